@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const PackageUrl = require('./PackageUrl');
+
+const ECOSYSTEMS = ['npm', 'pypi', 'rust', 'java', 'ruby', 'php', 'go', 'dotnet'];
+
+const RC_FILES = [
+  '.documentation-mapperrc',
+  '.documentation-mapperrc.json',
+  '.documentation-mapperrc.yaml',
+  '.documentation-mapperrc.yml'
+];
+
+const ENV_PREFIX = 'DOCUMENTATION_MAPPER_';
+
+// Environment variables that predate the config file keep working
+const LEGACY_ENV = {
+  MONGODB_URI: 'database.mongodbUri',
+  FIRECRAWL_API_KEY: 'crawler.firecrawl.apiKey',
+  FIRECRAWL_BASE_URL: 'crawler.firecrawl.baseUrl'
+};
+
+const string = (defaultValue) => ({ kind: 'string', default: defaultValue });
+const integer = (defaultValue, min = 0) => ({ kind: 'integer', min, default: defaultValue });
+const boolean = (defaultValue) => ({ kind: 'boolean', default: defaultValue });
+const oneOf = (values, defaultValue) => ({ kind: 'enum', values, default: defaultValue });
+const list = (items, defaultValue) => ({ kind: 'array', items, default: defaultValue });
+const url = (defaultValue) => ({ kind: 'url', default: defaultValue });
+
+// Every setting with its type and default; unknown keys are rejected
+const SCHEMA = {
+  database: {
+    type: oneOf(['sqlite', 'mongodb'], 'sqlite'),
+    path: string('documentation.db'),
+    mongodbUri: string('mongodb://localhost:27017'),
+    mongodbName: string('documentation_mapper'),
+    autoMigrate: boolean(true)
+  },
+  network: {
+    timeout: integer(10000, 1),
+    userAgent: string('DocumentationMapper/1.0'),
+    concurrency: integer(8, 1),
+    rateLimits: { kind: 'rateLimits', default: {} },
+    offline: boolean(false),
+    snapshotDir: string('documentation-snapshot'),
+    trustProjectConfig: boolean(false)
+  },
+  cache: {
+    enabled: boolean(true),
+    directory: string('.documentation-mapper-cache'),
+    ttl: integer(24 * 60 * 60),
+    maxSize: integer(200, 1)
+  },
+  crawler: {
+    enabled: boolean(true),
+    timeout: integer(10000, 1),
+    contentLimit: integer(5000, 1),
+    retries: integer(3, 1),
+    retryDelay: integer(2000),
+    userAgent: string('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'),
+    firecrawl: {
+      apiKey: string(null),
+      baseUrl: url('https://api.firecrawl.dev'),
+      timeout: integer(30000, 1)
+    }
+  },
+  scanner: {
+    include: list('string', []),
+    exclude: list('string', []),
+    maxDepth: integer(null),
+    respectGitignore: boolean(true),
+    ecosystems: list(ECOSYSTEMS, ECOSYSTEMS)
+  },
+  refresh: {
+    maxAge: integer(30),
+    ecosystems: Object.fromEntries(ECOSYSTEMS.map(ecosystem => [ecosystem, { maxAge: integer(null) }])),
+    retryFailed: boolean(true),
+    retryBackoff: integer(60, 1),
+    maxRetries: integer(5)
+  },
+  licenses: {
+    policy: string('license-policy.yml')
+  },
+  audit: {
+    osvDir: string(null),
+    osvApi: url(null)
+  },
+  registries: Object.fromEntries([...ECOSYSTEMS.filter(ecosystem => ecosystem !== 'go'), 'github']
+    .map(ecosystem => [ecosystem, { url: url(null) }]))
+};
+
+/**
+ * Resolves settings from, lowest to highest precedence: built-in defaults,
+ * the config file (--config or a discovered .documentation-mapperrc),
+ * environment variables, then CLI flags.
+ */
+class ConfigLoader {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+  }
+
+  load(configFile, overrides = {}) {
+    const file = configFile ? path.resolve(this.cwd, configFile) : this.discover();
+    const errors = [];
+
+    let fromFile = {};
+    if (file) {
+      fromFile = this.normalizeEcosystems(this.readFile(file));
+      this.validate(fromFile, SCHEMA, '', errors);
+    }
+
+    const fromEnv = this.readEnv(errors);
+    overrides = this.normalizeEcosystems(overrides);
+    this.validate(overrides, SCHEMA, '', errors);
+
+    if (errors.length > 0) {
+      const origin = file ? ` (config file: ${file})` : '';
+      throw new Error(`Invalid configuration${origin}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    const config = this.merge(this.defaults(SCHEMA), fromFile, fromEnv, overrides);
+    config.file = file || null;
+    return config;
+  }
+
+  discover() {
+    for (let dir = path.resolve(this.cwd); ; dir = path.dirname(dir)) {
+      const found = RC_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+      if (found) {
+        return found;
+      }
+      if (path.dirname(dir) === dir) {
+        return null;
+      }
+    }
+  }
+
+  readFile(file) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read config file ${file}: ${error.message}`);
+    }
+
+    // The extensionless rc file may hold either format; JSON is valid YAML
+    let parsed;
+    try {
+      parsed = path.extname(file) === '.json' ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      throw new Error(`Cannot parse config file ${file}: ${error.message}`);
+    }
+
+    if (parsed === null || parsed === undefined) {
+      return {};
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`Invalid configuration (config file: ${file}):\n  - the top level must be an object`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Ecosystem aliases (`python`, `cargo`, `maven`, ...) are accepted wherever
+   * settings name ecosystems, and stored under the canonical name.
+   */
+  normalizeEcosystems(values) {
+    const normalizeKeys = (section) => (section && typeof section === 'object' && !Array.isArray(section)
+      ? Object.fromEntries(Object.entries(section).map(([key, value]) => [PackageUrl.normalizeEcosystem(key) || key, value]))
+      : section);
+    const result = { ...values };
+
+    if (result.scanner && typeof result.scanner === 'object' && Array.isArray(result.scanner.ecosystems)) {
+      result.scanner = {
+        ...result.scanner,
+        ecosystems: result.scanner.ecosystems.map(item => (typeof item === 'string' ? PackageUrl.normalizeEcosystem(item) : item))
+      };
+    }
+    if (result.refresh && typeof result.refresh === 'object' && !Array.isArray(result.refresh)) {
+      result.refresh = { ...result.refresh, ecosystems: normalizeKeys(result.refresh.ecosystems) };
+      if (result.refresh.ecosystems === undefined) {
+        delete result.refresh.ecosystems;
+      }
+    }
+    if (result.registries !== undefined) {
+      result.registries = normalizeKeys(result.registries);
+    }
+    return result;
+  }
+
+  /**
+   * DOCUMENTATION_MAPPER_<SECTION>_<KEY>, e.g. DOCUMENTATION_MAPPER_NETWORK_TIMEOUT
+   * or DOCUMENTATION_MAPPER_REGISTRIES_NPM_URL, for every scalar and list setting.
+   */
+  readEnv(errors) {
+    const values = {};
+
+    const visit = (schema, keys) => {
+      for (const [key, rule] of Object.entries(schema)) {
+        const setting = [...keys, key];
+        if (!rule.kind) {
+          visit(rule, setting);
+          continue;
+        }
+        if (rule.kind === 'rateLimits') {
+          continue;
+        }
+
+        const name = ENV_PREFIX + setting.map(part => part.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()).join('_');
+        const legacy = Object.keys(LEGACY_ENV).find(variable => LEGACY_ENV[variable] === setting.join('.'));
+        const variable = this.env[name] !== undefined ? name : legacy && this.env[legacy] !== undefined ? legacy : null;
+        if (variable === null || this.env[variable] === '') {
+          continue;
+        }
+
+        let value = this.coerce(this.env[variable], rule);
+        if (rule.items === ECOSYSTEMS && Array.isArray(value)) {
+          value = value.map(item => PackageUrl.normalizeEcosystem(item));
+        }
+        const error = this.check(value, rule);
+        if (error) {
+          errors.push(`${variable} ${error}`);
+        } else {
+          this.set(values, setting, value);
+        }
+      }
+    };
+
+    visit(SCHEMA, []);
+    return values;
+  }
+
+  coerce(raw, rule) {
+    switch (rule.kind) {
+      case 'integer':
+        return /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+      case 'boolean':
+        return ['true', '1', 'yes'].includes(raw.toLowerCase()) ? true
+          : ['false', '0', 'no'].includes(raw.toLowerCase()) ? false : raw;
+      case 'array':
+        return raw.split(',').map(item => item.trim()).filter(Boolean);
+      default:
+        return raw;
+    }
+  }
+
+  validate(values, schema, prefix, errors) {
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${prefix.slice(0, -1)} must be an object`);
+      return;
+    }
+
+    for (const [key, value] of Object.entries(values)) {
+      const setting = `${prefix}${key}`;
+      const rule = schema[key];
+
+      if (!rule) {
+        const known = Object.keys(schema).join(', ');
+        errors.push(`${setting} is not a known setting (expected one of: ${known})`);
+      } else if (!rule.kind) {
+        this.validate(value, rule, `${setting}.`, errors);
+      } else if (value !== undefined) {
+        const error = this.check(value, rule);
+        if (error) {
+          errors.push(`${setting} ${error}`);
+        }
+      }
+    }
+  }
+
+  check(value, rule) {
+    const got = `(got ${JSON.stringify(value)})`;
+
+    switch (rule.kind) {
+      case 'string':
+        return typeof value === 'string' ? null : `must be a string ${got}`;
+      case 'integer':
+        if (value === null && rule.default === null) {
+          return null;
+        }
+        return Number.isInteger(value) && value >= rule.min ? null : `must be an integer >= ${rule.min} ${got}`;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : `must be true or false ${got}`;
+      case 'enum':
+        return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')} ${got}`;
+      case 'url':
+        return typeof value === 'string' && /^https?:\/\/\S+$/.test(value) ? null : `must be an http(s) URL ${got}`;
+      case 'array': {
+        if (!Array.isArray(value)) {
+          return `must be a list ${got}`;
+        }
+        const invalid = value.filter(item => (rule.items === 'string' ? typeof item !== 'string' : !rule.items.includes(item)));
+        if (invalid.length > 0) {
+          return rule.items === 'string'
+            ? `must contain only strings ${got}`
+            : `contains unknown values ${invalid.map(item => JSON.stringify(item)).join(', ')} (expected any of: ${rule.items.join(', ')})`;
+        }
+        return null;
+      }
+      case 'rateLimits': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return `must map hosts to requests per second ${got}`;
+        }
+        for (const [host, limit] of Object.entries(value)) {
+          const { rate, burst } = typeof limit === 'number' ? { rate: limit } : (limit || {});
+          if (typeof rate !== 'number' || rate <= 0 || (burst !== undefined && !(Number.isInteger(burst) && burst >= 1))) {
+            return `entry "${host}" must be a positive number or { rate, burst } (got ${JSON.stringify(limit)})`;
+          }
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  defaults(schema) {
+    return Object.fromEntries(Object.entries(schema).map(([key, rule]) => [key, rule.kind ? rule.default : this.defaults(rule)]));
+  }
+
+  merge(target, ...sources) {
+    for (const source of sources) {
+      for (const [key, value] of Object.entries(source)) {
+        if (value === undefined) {
+          continue;
+        }
+        const nested = value && typeof value === 'object' && !Array.isArray(value) &&
+          target[key] && typeof target[key] === 'object' && !Array.isArray(target[key]);
+        target[key] = nested ? this.merge({ ...target[key] }, value) : value;
+      }
+    }
+    return target;
+  }
+
+  set(target, keys, value) {
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+      node = node[key] = node[key] || {};
+    }
+    node[keys[keys.length - 1]] = value;
+  }
+}
+
+module.exports = ConfigLoader;
@@ -1,18 +1,42 @@
 const sqlite3 = require('sqlite3').verbose();
 const { MongoClient } = require('mongodb');
+const fs = require('fs');
 const path = require('path');
+const SchemaMigrator = require('./SchemaMigrator');
+const OsvDatabase = require('./OsvDatabase');
+const SpdxLicense = require('./SpdxLicense');
+
+// The latest scan of the project that scan `s` belongs to; older scans only record history
+const LATEST_SCAN_SQL = `(SELECT latest.id FROM scans latest WHERE latest.project_id = s.project_id
+  ORDER BY latest.scan_date DESC, latest.id DESC LIMIT 1)`;
 
 class Database {
   constructor(options = {}) {
     this.type = options.type || 'sqlite';
     this.logger = options.logger || console;
     this.connection = null;
-    this.dbPath = path.join(process.cwd(), 'documentation.db');
+    this.dbPath = path.resolve(options.path || 'documentation.db');
+    this.mongodbUri = options.mongodbUri || process.env.MONGODB_URI || 'mongodb://localhost:27017';
+    this.mongodbName = options.mongodbName || 'documentation_mapper';
+    this.autoMigrate = options.autoMigrate !== false;
+    this.readOnly = Boolean(options.readOnly);
   }
 
   async initialize() {
     this.logger.info(`Initializing ${this.type} database...`);
 
+    await this.connect();
+
+    // Schema changes are applied (or, with autoMigrate off, required) before any reads or writes
+    const migrator = new SchemaMigrator({ database: this, logger: this.logger });
+    if (this.autoMigrate) {
+      await migrator.migrate();
+    } else {
+      await migrator.check();
+    }
+  }
+
+  async connect() {
     if (this.type === 'sqlite') {
       await this.initializeSQLite();
     } else if (this.type === 'mongodb') {
@@ -23,8 +47,14 @@ class Database {
   }
 
   async initializeSQLite() {
-    return new Promise((resolve, reject) => {
-      this.connection = new sqlite3.Database(this.dbPath, (err) => {
+    // Opening a missing file read-write would create an empty database
+    if (this.readOnly && !fs.existsSync(this.dbPath)) {
+      throw new Error(`No SQLite database at ${this.dbPath}`);
+    }
+
+    const mode = this.readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+    await new Promise((resolve, reject) => {
+      this.connection = new sqlite3.Database(this.dbPath, mode, (err) => {
         if (err) {
           this.logger.error('Failed to connect to SQLite database:', err);
           reject(err);
@@ -32,54 +62,45 @@ class Database {
         }
 
         this.logger.info('Connected to SQLite database');
+        resolve();
+      });
+    });
 
-        // Create tables
-        const createTablesSQL = `
-          CREATE TABLE IF NOT EXISTS packages (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            ecosystem TEXT NOT NULL,
-            name TEXT NOT NULL,
-            version TEXT NOT NULL,
-            source TEXT,
-            description TEXT,
-            documentation TEXT,
-            manifest_path TEXT,
-            is_dev_dependency BOOLEAN DEFAULT 0,
-            last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-            UNIQUE(ecosystem, name, version)
-          );
-
-          CREATE INDEX IF NOT EXISTS idx_packages_ecosystem_name ON packages(ecosystem, name);
-          CREATE INDEX IF NOT EXISTS idx_packages_name ON packages(name);
-        `;
-
-        this.connection.exec(createTablesSQL, (err) => {
-          if (err) {
-            this.logger.error('Failed to create tables:', err);
-            reject(err);
-            return;
-          }
-          this.logger.info('SQLite tables created successfully');
-          resolve();
-        });
+    // Per-connection setting; usages cascade away with their scans and packages
+    await this.exec('PRAGMA foreign_keys = ON');
+  }
+
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.connection.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        }
       });
     });
   }
 
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
   async initializeMongoDB() {
-    const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017';
-    this.client = new MongoClient(uri);
+    this.client = new MongoClient(this.mongodbUri);
 
     try {
       await this.client.connect();
-      this.connection = this.client.db('documentation_mapper');
+      this.connection = this.client.db(this.mongodbName);
       this.logger.info('Connected to MongoDB');
-
-      // Create indexes
-      await this.connection.collection('packages').createIndex({ ecosystem: 1, name: 1, version: 1 }, { unique: true });
-      await this.connection.collection('packages').createIndex({ name: 1 });
-
-      this.logger.info('MongoDB indexes created');
     } catch (error) {
       this.logger.error('Failed to connect to MongoDB:', error);
       throw error;
@@ -95,33 +116,52 @@ class Database {
   }
 
   async storePackageSQLite(packageData) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        INSERT OR REPLACE INTO packages
-        (ecosystem, name, version, source, description, documentation, manifest_path, is_dev_dependency, last_updated)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `;
-
-      const values = [
-        packageData.ecosystem,
-        packageData.name,
-        packageData.version,
-        packageData.source,
-        packageData.description,
-        JSON.stringify(packageData.documentation || {}),
-        packageData.manifestPath,
-        packageData.isDevDependency ? 1 : 0,
-        packageData.lastUpdated
-      ];
-
-      this.connection.run(sql, values, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID });
-        }
-      });
-    });
+    const columns = {
+      ecosystem: packageData.ecosystem,
+      name: packageData.name,
+      version: packageData.version,
+      purl: packageData.purl || null,
+      declared_version: packageData.declaredVersion,
+      relationship: packageData.relationship,
+      scope: packageData.scope,
+      source: packageData.source,
+      description: packageData.description,
+      documentation: JSON.stringify(packageData.documentation || {}),
+      manifest_path: packageData.manifestPath,
+      metadata: JSON.stringify(packageData.metadata || {}),
+      license: packageData.license || null,
+      repository_url: packageData.repositoryUrl || null,
+      homepage: packageData.homepage || null,
+      documentation_url: packageData.documentationUrl || null,
+      authors: JSON.stringify(packageData.authors || []),
+      keywords: JSON.stringify(packageData.keywords || []),
+      published_at: packageData.publishedAt || null,
+      latest_version: packageData.latestVersion || null,
+      deprecated: packageData.deprecated ? 1 : 0,
+      deprecation_message: packageData.deprecationMessage || null,
+      is_dev_dependency: packageData.isDevDependency ? 1 : 0,
+      failure_count: packageData.failureCount || 0,
+      last_updated: packageData.lastUpdated
+    };
+    const names = Object.keys(columns);
+    const updates = names.filter(column => !['ecosystem', 'name', 'version'].includes(column));
+
+    // Upsert rather than INSERT OR REPLACE so the row id (and its search index entry) stays stable
+    const sql = `
+      INSERT INTO packages (${names.join(', ')})
+      VALUES (${names.map(() => '?').join(', ')})
+      ON CONFLICT(ecosystem, name, version) DO UPDATE SET
+        ${updates.map(column => `${column} = excluded.${column}`).join(',\n        ')}
+    `;
+
+    const { lastID } = await this.run(sql, Object.values(columns));
+
+    // Usages recorded before the package was stored (e.g. while its registry was failing)
+    await this.run(`
+      UPDATE package_usages SET package_id = (SELECT id FROM packages WHERE ecosystem = ? AND name = ? AND version = ?)
+      WHERE package_id IS NULL AND ecosystem = ? AND name = ? AND version = ?
+    `, [columns.ecosystem, columns.name, columns.version, columns.ecosystem, columns.name, columns.version]);
+    return { id: lastID };
   }
 
   async storePackageMongoDB(packageData) {
@@ -142,6 +182,33 @@ class Database {
     return result;
   }
 
+  /**
+   * Record the outcome of a vulnerability audit on a stored package. Kept
+   * apart from storePackage so that refetching documentation leaves the last
+   * audit in place.
+   */
+  async storeAudit(pkg, audit) {
+    if (this.type === 'sqlite') {
+      return this.storeAuditSQLite(pkg, audit);
+    } else {
+      return this.storeAuditMongoDB(pkg, audit);
+    }
+  }
+
+  async storeAuditSQLite(pkg, audit) {
+    await this.run(
+      'UPDATE packages SET vulnerabilities = ?, max_severity = ?, audited_at = ? WHERE ecosystem = ? AND name = ? AND version = ?',
+      [JSON.stringify(audit.vulnerabilities), audit.maxSeverity, audit.auditedAt, pkg.ecosystem, pkg.name, pkg.version]
+    );
+  }
+
+  async storeAuditMongoDB(pkg, audit) {
+    await this.connection.collection('packages').updateOne(
+      { ecosystem: pkg.ecosystem, name: pkg.name, version: pkg.version },
+      { $set: { vulnerabilities: audit.vulnerabilities, maxSeverity: audit.maxSeverity, auditedAt: new Date(audit.auditedAt) } }
+    );
+  }
+
   async getPackageDocumentation(name, version, ecosystem) {
     if (this.type === 'sqlite') {
       return this.getPackageDocumentationSQLite(name, version, ecosystem);
@@ -166,6 +233,8 @@ class Database {
               row.documentation = {};
             }
           }
+          row.metadata = this.parseMetadata(row.metadata);
+          this.parseRegistryColumns(row);
           resolve(row);
         } else {
           resolve(null);
@@ -174,6 +243,58 @@ class Database {
     });
   }
 
+  parseMetadata(value) {
+    if (!value) {
+      return {};
+    }
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // authors, keywords and vulnerabilities are stored as JSON arrays, deprecated as 0/1
+  parseRegistryColumns(row) {
+    for (const column of ['authors', 'keywords', 'vulnerabilities']) {
+      const list = this.parseMetadata(row[column]);
+      row[column] = Array.isArray(list) ? list : [];
+    }
+    row.deprecated = Boolean(row.deprecated);
+  }
+
+  // Severities at or above the given one, e.g. high -> high, critical
+  getSeveritiesFrom(severity) {
+    const index = OsvDatabase.severities.indexOf(severity);
+    if (index === -1) {
+      throw new Error(`Unknown severity "${severity}" (expected one of: ${OsvDatabase.severities.join(', ')})`);
+    }
+    return OsvDatabase.severities.slice(index);
+  }
+
+  /**
+   * Identifiers a license filter matches: the SPDX id itself and its -only,
+   * -or-later and + forms (GPL-3.0 finds GPL-3.0-or-later, not LGPL-3.0).
+   */
+  getLicenseVariants(license) {
+    return ['', '-only', '-or-later', '+'].map(suffix => `${license}${suffix}`);
+  }
+
+  /**
+   * Whether any identifier of a stored license expression is the filter or one
+   * of its variants, e.g. the GPL-3.0 of "(MIT OR GPL-3.0-only)". Both sides
+   * are normalized, so deprecated identifiers such as GPL-2.0 match their
+   * replacements (GPL-2.0-only).
+   */
+  matchesLicense(license, filter) {
+    if (!license) {
+      return false;
+    }
+    const identifiers = (value) => String(SpdxLicense.normalize(value) || '').toLowerCase().split(/[\s()]+/).filter(Boolean);
+    const wanted = new Set(this.getLicenseVariants(filter).flatMap(identifiers));
+    return identifiers(license).some(identifier => wanted.has(identifier));
+  }
+
   async getPackageDocumentationMongoDB(name, version, ecosystem) {
     return await this.connection.collection('packages').findOne({
       name,
@@ -190,10 +311,29 @@ class Database {
     }
   }
 
+  /**
+   * Whether a package is only a development dependency of a project: no
+   * manifest in the project's latest scan declares it for production. The
+   * packages.is_dev_dependency column only holds whichever scan wrote last.
+   */
+  getProjectDevSQLite(alias, project) {
+    return {
+      sql: `NOT EXISTS (SELECT 1 FROM package_usages pu WHERE pu.package_id = ${alias}.id AND pu.is_dev_dependency = 0
+        AND pu.scan_id = (SELECT latest.id FROM scans latest JOIN projects lp ON lp.id = latest.project_id
+          WHERE lp.name = ? ORDER BY latest.scan_date DESC, latest.id DESC LIMIT 1))`,
+      params: [project]
+    };
+  }
+
   async queryPackagesSQLite(filters) {
     return new Promise((resolve, reject) => {
       let sql = 'SELECT * FROM packages WHERE 1=1';
       const params = [];
+      const projectDev = filters.project ? this.getProjectDevSQLite('packages', filters.project) : null;
+      if (projectDev) {
+        sql = `SELECT packages.*, ${projectDev.sql} AS project_dev FROM packages WHERE 1=1`;
+        params.push(...projectDev.params);
+      }
 
       if (filters.package) {
         sql += ' AND name = ?';
@@ -210,6 +350,41 @@ class Database {
         params.push(filters.ecosystem);
       }
 
+      if (filters.dev !== undefined && projectDev) {
+        sql += ` AND (${projectDev.sql}) = ?`;
+        params.push(...projectDev.params, filters.dev ? 1 : 0);
+      } else if (filters.dev !== undefined) {
+        sql += ' AND is_dev_dependency = ?';
+        params.push(filters.dev ? 1 : 0);
+      }
+
+      // Licenses are matched by matchesLicense, which SQL cannot express
+      if (filters.license) {
+        sql += ' AND license IS NOT NULL';
+      }
+
+      // Packages with a known vulnerability at or above this severity
+      if (filters.severity) {
+        const severities = this.getSeveritiesFrom(filters.severity);
+        sql += ` AND max_severity IN (${severities.map(() => '?').join(', ')})`;
+        params.push(...severities);
+      }
+
+      // Packages used in the project's latest scan (or in any project's latest scan), with the
+      // risk and signal filters applied to those same usages
+      if (filters.project || filters.minRisk !== undefined || filters.signal) {
+        const signalFilter = this.getSignalFilterSQLite(filters, 'u');
+        sql += ` AND id IN (
+          SELECT u.package_id FROM package_usages u
+          JOIN scans s ON s.id = u.scan_id JOIN projects pr ON pr.id = s.project_id
+          WHERE s.id = (
+            SELECT latest.id FROM scans latest WHERE latest.project_id = s.project_id
+            ORDER BY latest.scan_date DESC, latest.id DESC LIMIT 1
+          )${filters.project ? ' AND pr.name = ?' : ''}${signalFilter.sql}
+        )`;
+        params.push(...(filters.project ? [filters.project] : []), ...signalFilter.params);
+      }
+
       sql += ' ORDER BY name, version';
 
       this.connection.all(sql, params, (err, rows) => {
@@ -225,21 +400,591 @@ class Database {
                 row.documentation = {};
               }
             }
+            row.metadata = this.parseMetadata(row.metadata);
+            this.parseRegistryColumns(row);
+            if (projectDev) {
+              row.is_dev_dependency = row.project_dev;
+              delete row.project_dev;
+            }
           });
-          resolve(rows);
+          resolve(filters.license ? rows.filter(row => this.matchesLicense(row.license, filters.license)) : rows);
         }
       });
     });
   }
 
+  async searchPackages(query, filters = {}) {
+    if (this.type === 'sqlite') {
+      return this.searchPackagesSQLite(query, filters);
+    } else {
+      return this.searchPackagesMongoDB(query, filters);
+    }
+  }
+
+  /**
+   * Turn free text into an FTS5 query: every word is quoted so punctuation
+   * cannot break the syntax, and terms are ANDed unless `any` is set.
+   */
+  toFtsQuery(query, any) {
+    const terms = this.getSearchTerms(query).map(term => `"${term}"`);
+    return terms.join(any ? ' OR ' : ' ');
+  }
+
+  getSearchTerms(query) {
+    return String(query).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  }
+
+  async searchPackagesSQLite(query, filters) {
+    const ftsQuery = this.toFtsQuery(query, filters.any);
+    if (!ftsQuery) {
+      return [];
+    }
+
+    const projectDev = filters.project ? this.getProjectDevSQLite('p', filters.project) : null;
+    const open = filters.highlight ? filters.highlight[0] : '[';
+    const close = filters.highlight ? filters.highlight[1] : ']';
+    // bm25 weights: name, description, documentation content
+    let sql = `
+      SELECT p.id, p.ecosystem, p.name, p.version, p.scope, p.manifest_path, p.is_dev_dependency,
+        p.description, bm25(packages_fts, 10.0, 5.0, 1.0) AS rank,
+        (SELECT group_concat(DISTINCT pr.name) FROM package_usages u
+          JOIN scans s ON s.id = u.scan_id JOIN projects pr ON pr.id = s.project_id
+          WHERE u.package_id = p.id AND s.id = ${LATEST_SCAN_SQL}) AS projects,
+        highlight(packages_fts, 1, ?, ?) AS description_highlight,
+        snippet(packages_fts, 2, ?, ?, '…', 24) AS snippet
+        ${projectDev ? `, ${projectDev.sql} AS project_dev` : ''}
+      FROM packages_fts JOIN packages p ON p.id = packages_fts.rowid
+      WHERE packages_fts MATCH ?
+    `;
+    const params = [open, close, open, close, ...(projectDev ? projectDev.params : []), ftsQuery];
+
+    if (filters.ecosystem) {
+      sql += ' AND p.ecosystem = ?';
+      params.push(filters.ecosystem);
+    }
+    if (filters.dev !== undefined && projectDev) {
+      sql += ` AND (${projectDev.sql}) = ?`;
+      params.push(...projectDev.params, filters.dev ? 1 : 0);
+    } else if (filters.dev !== undefined) {
+      sql += ' AND p.is_dev_dependency = ?';
+      params.push(filters.dev ? 1 : 0);
+    }
+    // Packages used in the project's latest scan, as in queryPackagesSQLite
+    if (filters.project) {
+      sql += ` AND EXISTS (SELECT 1 FROM package_usages u
+        JOIN scans s ON s.id = u.scan_id JOIN projects pr ON pr.id = s.project_id
+        WHERE u.package_id = p.id AND pr.name = ? AND s.id = ${LATEST_SCAN_SQL})`;
+      params.push(filters.project);
+    }
+
+    sql += ' ORDER BY rank LIMIT ?';
+    params.push(filters.limit || 20);
+
+    const rows = await this.all(sql, params);
+    return rows.map(row => ({
+      ecosystem: row.ecosystem,
+      name: row.name,
+      version: row.version,
+      scope: row.scope,
+      projects: row.projects ? row.projects.split(',') : [],
+      manifestPath: row.manifest_path,
+      isDevDependency: Boolean(projectDev ? row.project_dev : row.is_dev_dependency),
+      description: row.description_highlight,
+      snippet: row.snippet || '',
+      // bm25 is lower-is-better; report a positive score
+      score: Number((-row.rank).toFixed(3))
+    }));
+  }
+
+  async searchPackagesMongoDB(query, filters) {
+    const terms = this.getSearchTerms(query);
+    if (terms.length === 0) {
+      return [];
+    }
+
+    // $text ORs bare words; quoted words are all required
+    const search = filters.any ? terms.join(' ') : terms.map(term => `"${term}"`).join(' ');
+    const match = { $text: { $search: search } };
+    if (filters.ecosystem) match.ecosystem = filters.ecosystem;
+    if (filters.dev !== undefined && !filters.project) match.isDevDependency = filters.dev;
+    const projectDev = filters.project ? await this.getProjectDevMongoDB(filters.project) : null;
+    if (filters.project) {
+      // Usages from the project's latest scan only
+      let used = (await this.findUsagesMongoDB({ project: filters.project }))
+        .map(({ ecosystem, name, version }) => ({ ecosystem, name, version }));
+      if (filters.dev !== undefined) {
+        used = used.filter(pkg => (projectDev.get(`${pkg.ecosystem}/${pkg.name}@${pkg.version}`) !== false) === filters.dev);
+      }
+      if (used.length === 0) {
+        return [];
+      }
+      match.$or = used;
+    }
+
+    const rows = await this.connection.collection('packages')
+      .find(match, { projection: { score: { $meta: 'textScore' } } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(filters.limit || 20)
+      .toArray();
+    const projects = await this.getProjectsUsingMongoDB(rows);
+
+    const [open, close] = filters.highlight || ['[', ']'];
+    return rows.map(row => ({
+      ecosystem: row.ecosystem,
+      name: row.name,
+      version: row.version,
+      scope: row.scope,
+      projects: projects.get(`${row.ecosystem}/${row.name}@${row.version}`) || [],
+      manifestPath: row.manifestPath,
+      isDevDependency: projectDev ? projectDev.get(`${row.ecosystem}/${row.name}@${row.version}`) !== false : Boolean(row.isDevDependency),
+      description: this.highlightTerms(row.description || '', terms, open, close),
+      snippet: this.highlightTerms(this.excerpt((row.documentation && row.documentation.content) || '', terms), terms, open, close),
+      score: Number(row.score.toFixed(3))
+    }));
+  }
+
+  async getProjectsUsingMongoDB(packages) {
+    if (packages.length === 0) {
+      return new Map();
+    }
+    // Projects whose latest scan uses the package
+    const seen = new Set();
+    const scans = (await this.connection.collection('scans').find({}).sort({ scanDate: -1, _id: -1 }).toArray())
+      .filter(scan => !seen.has(scan.project) && seen.add(scan.project));
+    const groups = await this.connection.collection('package_usages').aggregate([
+      { $match: { scanId: { $in: scans.map(scan => scan._id) }, $or: packages.map(({ ecosystem, name, version }) => ({ ecosystem, name, version })) } },
+      { $group: { _id: { ecosystem: '$ecosystem', name: '$name', version: '$version' }, projects: { $addToSet: '$project' } } }
+    ]).toArray();
+    return new Map(groups.map(({ _id, projects }) => [`${_id.ecosystem}/${_id.name}@${_id.version}`, projects.sort()]));
+  }
+
+  excerpt(text, terms, length = 200) {
+    const lower = text.toLowerCase();
+    const positions = terms.map(term => lower.indexOf(term)).filter(position => position !== -1);
+    if (positions.length === 0) {
+      return '';
+    }
+    const start = Math.max(0, Math.min(...positions) - length / 4);
+    return `${start > 0 ? '…' : ''}${text.slice(start, start + length)}${start + length < text.length ? '…' : ''}`;
+  }
+
+  highlightTerms(text, terms, open, close) {
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return text.replace(pattern, `${open}$1${close}`);
+  }
+
+  /**
+   * `ecosystem/name@version` → whether the package is only a development
+   * dependency of the project (see getProjectDevSQLite), from its latest scan.
+   */
+  async getProjectDevMongoDB(project) {
+    const dev = new Map();
+    for (const usage of await this.findUsagesMongoDB({ project })) {
+      const key = `${usage.ecosystem}/${usage.name}@${usage.version}`;
+      dev.set(key, (dev.has(key) ? dev.get(key) : true) && Boolean(usage.isDevDependency));
+    }
+    return dev;
+  }
+
   async queryPackagesMongoDB(filters) {
     const query = {};
     if (filters.package) query.name = filters.package;
     if (filters.version) query.version = filters.version;
     if (filters.ecosystem) query.ecosystem = filters.ecosystem;
+    if (filters.dev !== undefined && !filters.project) query.isDevDependency = filters.dev;
+    if (filters.license) query.license = { $type: 'string' };
+    if (filters.severity) query.maxSeverity = { $in: this.getSeveritiesFrom(filters.severity) };
+
+    // Usages in the project's latest scan (or each project's), flagged by the risk and signal filters
+    if (filters.project || filters.minRisk !== undefined || filters.signal) {
+      const usages = await this.findUsagesMongoDB({ project: filters.project, minRisk: filters.minRisk, signal: filters.signal });
+      if (usages.length === 0) {
+        return [];
+      }
+      query.$or = usages.map(({ ecosystem, name, version }) => ({ ecosystem, name, version }));
+    }
+
+    let rows = await this.connection.collection('packages').find(query).sort({ name: 1, version: 1 }).toArray();
+    if (filters.license) {
+      rows = rows.filter(row => this.matchesLicense(row.license, filters.license));
+    }
+    if (!filters.project) {
+      return rows;
+    }
+
+    const projectDev = await this.getProjectDevMongoDB(filters.project);
+    return rows
+      .map(row => ({ ...row, isDevDependency: Boolean(projectDev.get(`${row.ecosystem}/${row.name}@${row.version}`)) }))
+      .filter(row => filters.dev === undefined || row.isDevDependency === filters.dev);
+  }
+
+  /**
+   * Record one scan of a project (a repository checkout or a dependency scan
+   * file). Processing the same scan file again reuses its scan.
+   */
+  async recordScan(scan) {
+    if (this.type === 'sqlite') {
+      return this.recordScanSQLite(scan);
+    } else {
+      return this.recordScanMongoDB(scan);
+    }
+  }
+
+  async recordScanSQLite(scan) {
+    await this.run(`
+      INSERT INTO projects (name, path) VALUES (?, ?)
+      ON CONFLICT(name) DO UPDATE SET path = excluded.path
+    `, [scan.project, scan.path]);
+    const [project] = await this.all('SELECT id FROM projects WHERE name = ?', [scan.project]);
+
+    const summary = scan.summary ? JSON.stringify(scan.summary) : null;
+    const [existing] = await this.all(
+      'SELECT id FROM scans WHERE project_id = ? AND scan_date = ? AND commit_hash IS ?',
+      [project.id, scan.scanDate, scan.commitHash]
+    );
+    if (existing) {
+      await this.run('UPDATE scans SET summary = ? WHERE id = ?', [summary, existing.id]);
+      return existing.id;
+    }
+
+    const { lastID } = await this.run(
+      'INSERT INTO scans (project_id, commit_hash, scan_date, source, summary) VALUES (?, ?, ?, ?, ?)',
+      [project.id, scan.commitHash, scan.scanDate, scan.source, summary]
+    );
+    return lastID;
+  }
+
+  async recordScanMongoDB(scan) {
+    await this.connection.collection('projects').updateOne(
+      { name: scan.project },
+      { $set: { path: scan.path }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    const result = await this.connection.collection('scans').findOneAndUpdate(
+      { project: scan.project, scanDate: new Date(scan.scanDate), commitHash: scan.commitHash },
+      { $set: { source: scan.source, summary: scan.summary || null } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return result._id;
+  }
+
+  /**
+   * Link a stored package to the manifest that declared it in a scan.
+   * `dependency` is the resolved dependency; its version is the stored one.
+   */
+  async recordUsage(scanId, dependency) {
+    if (this.type === 'sqlite') {
+      return this.recordUsageSQLite(scanId, dependency);
+    } else {
+      return this.recordUsageMongoDB(scanId, dependency);
+    }
+  }
+
+  async recordUsageSQLite(scanId, dependency) {
+    const manifestPath = dependency.manifestPath || '';
+    const version = dependency.version || '';
+    await this.run(`
+      INSERT INTO manifests (project_id, path, ecosystem)
+      SELECT project_id, ?, ? FROM scans WHERE id = ?
+      ON CONFLICT(project_id, path) DO NOTHING
+    `, [manifestPath, dependency.ecosystem, scanId]);
+
+    // The package may not be stored (failed, skipped or workspace dependencies); storePackage links it later
+    await this.run(`
+      INSERT INTO package_usages (package_id, scan_id, manifest_id, ecosystem, name, version, declared_version, relationship,
+        scope, is_dev_dependency, risk_score, signals, line_number, script_section, resolved)
+      SELECT (SELECT p.id FROM packages p WHERE p.ecosystem = ? AND p.name = ? AND p.version = ?), s.id, m.id,
+        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+      FROM scans s JOIN manifests m ON m.project_id = s.project_id AND m.path = ?
+      WHERE s.id = ?
+      ON CONFLICT(scan_id, manifest_id, ecosystem, name, version) DO UPDATE SET
+        package_id = excluded.package_id,
+        declared_version = excluded.declared_version,
+        relationship = excluded.relationship,
+        scope = excluded.scope,
+        is_dev_dependency = excluded.is_dev_dependency,
+        risk_score = excluded.risk_score,
+        signals = excluded.signals,
+        line_number = excluded.line_number,
+        script_section = excluded.script_section,
+        resolved = excluded.resolved
+    `, [
+      dependency.ecosystem,
+      dependency.name,
+      version,
+      dependency.ecosystem,
+      dependency.name,
+      version,
+      dependency.declaredVersion || dependency.version,
+      dependency.relationship,
+      dependency.scope,
+      dependency.isDevDependency ? 1 : 0,
+      dependency.riskScore === undefined ? null : dependency.riskScore,
+      dependency.signals ? JSON.stringify(dependency.signals) : null,
+      dependency.lineNumber === undefined ? null : dependency.lineNumber,
+      dependency.scriptSection === undefined || dependency.scriptSection === null ? null : (dependency.scriptSection ? 1 : 0),
+      dependency.resolved || null,
+      manifestPath,
+      scanId
+    ]);
+  }
+
+  async recordUsageMongoDB(scanId, dependency) {
+    const scan = await this.connection.collection('scans').findOne({ _id: scanId });
+    await this.connection.collection('package_usages').updateOne(
+      {
+        scanId,
+        manifestPath: dependency.manifestPath || '',
+        ecosystem: dependency.ecosystem,
+        name: dependency.name,
+        version: dependency.version
+      },
+      {
+        $set: {
+          project: scan.project,
+          declaredVersion: dependency.declaredVersion || dependency.version,
+          relationship: dependency.relationship,
+          scope: dependency.scope,
+          isDevDependency: Boolean(dependency.isDevDependency),
+          riskScore: dependency.riskScore === undefined ? null : dependency.riskScore,
+          signals: dependency.signals || null,
+          lineNumber: dependency.lineNumber === undefined ? null : dependency.lineNumber,
+          scriptSection: dependency.scriptSection === undefined ? null : dependency.scriptSection,
+          resolved: dependency.resolved || null
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Which projects and manifests use a package ("which services use lodash
+   * 4.17.20"), or everything a project depended on ("what did this repo use at
+   * commit X"). Only each project's latest matching scan is considered unless
+   * `allScans` is set; `commit` matches a hash prefix.
+   */
+  async findUsages(filters = {}) {
+    if (this.type === 'sqlite') {
+      return this.findUsagesSQLite(filters);
+    } else {
+      return this.findUsagesMongoDB(filters);
+    }
+  }
+
+  async findUsagesSQLite(filters) {
+    let sql = `
+      SELECT pr.name AS project, s.id AS scan_id, s.commit_hash, s.scan_date, m.path AS manifest_path,
+        u.ecosystem, u.name, u.version, u.declared_version, u.relationship, u.scope, u.is_dev_dependency,
+        u.risk_score, u.signals, u.line_number, u.script_section, u.resolved
+      FROM package_usages u
+      JOIN scans s ON s.id = u.scan_id
+      JOIN projects pr ON pr.id = s.project_id
+      JOIN manifests m ON m.id = u.manifest_id
+      WHERE 1=1
+    `;
+    const params = [];
+    const commit = filters.commit ? `${filters.commit}%` : null;
+
+    if (commit) {
+      sql += ' AND s.commit_hash LIKE ?';
+      params.push(commit);
+    }
+    if (!filters.allScans) {
+      sql += ` AND s.id = (
+        SELECT latest.id FROM scans latest WHERE latest.project_id = s.project_id${commit ? ' AND latest.commit_hash LIKE ?' : ''}
+        ORDER BY latest.scan_date DESC, latest.id DESC LIMIT 1
+      )`;
+      if (commit) {
+        params.push(commit);
+      }
+    }
+    if (filters.project) {
+      sql += ' AND pr.name = ?';
+      params.push(filters.project);
+    }
+    if (filters.package) {
+      sql += ' AND u.name = ?';
+      params.push(filters.package);
+    }
+    if (filters.version) {
+      sql += ' AND u.version = ?';
+      params.push(filters.version);
+    }
+    if (filters.ecosystem) {
+      sql += ' AND u.ecosystem = ?';
+      params.push(filters.ecosystem);
+    }
+    const signalFilter = this.getSignalFilterSQLite(filters, 'u');
+    sql += signalFilter.sql;
+    params.push(...signalFilter.params);
+
+    sql += ' ORDER BY pr.name, s.scan_date DESC, m.path, u.ecosystem, u.name, u.version';
+
+    const rows = await this.all(sql, params);
+    return rows.map(row => ({
+      project: row.project,
+      scanId: row.scan_id,
+      commitHash: row.commit_hash,
+      scanDate: row.scan_date,
+      manifestPath: row.manifest_path,
+      ecosystem: row.ecosystem,
+      name: row.name,
+      version: row.version,
+      declaredVersion: row.declared_version,
+      relationship: row.relationship,
+      scope: row.scope,
+      isDevDependency: Boolean(row.is_dev_dependency),
+      riskScore: row.risk_score,
+      signals: this.parseSignals(row.signals),
+      lineNumber: row.line_number,
+      scriptSection: row.script_section === null ? null : Boolean(row.script_section),
+      resolved: row.resolved
+    }));
+  }
+
+  parseSignals(value) {
+    const signals = this.parseMetadata(value);
+    return Array.isArray(signals) ? signals : [];
+  }
+
+  /**
+   * Conditions on the risk score and signals a scan reported for a usage
+   * (`minRisk`, and `signal`: a signal type, case-insensitive).
+   */
+  getSignalFilterSQLite(filters, alias) {
+    let sql = '';
+    const params = [];
+    if (filters.minRisk !== undefined && filters.minRisk !== null) {
+      sql += ` AND ${alias}.risk_score >= ?`;
+      params.push(filters.minRisk);
+    }
+    if (filters.signal) {
+      sql += ` AND EXISTS (
+        SELECT 1 FROM json_each(CASE WHEN json_valid(${alias}.signals) THEN ${alias}.signals ELSE '[]' END) signal
+        WHERE lower(json_extract(signal.value, '$.type')) = lower(?)
+      )`;
+      params.push(filters.signal);
+    }
+    return { sql, params };
+  }
+
+  getSignalFilterMongoDB(filters) {
+    const match = {};
+    if (filters.minRisk !== undefined && filters.minRisk !== null) match.riskScore = { $gte: filters.minRisk };
+    if (filters.signal) {
+      const type = new RegExp(`^${filters.signal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+      match.signals = { $elemMatch: { type } };
+    }
+    return match;
+  }
+
+  async findUsagesMongoDB(filters) {
+    const scanMatch = {};
+    if (filters.project) scanMatch.project = filters.project;
+    if (filters.commit) scanMatch.commitHash = { $regex: `^${filters.commit.replace(/[^0-9a-zA-Z]/g, '')}` };
+
+    let scans = await this.connection.collection('scans').find(scanMatch).sort({ scanDate: -1, _id: -1 }).toArray();
+    if (!filters.allScans) {
+      const seen = new Set();
+      scans = scans.filter(scan => !seen.has(scan.project) && seen.add(scan.project));
+    }
+    const scansById = new Map(scans.map(scan => [String(scan._id), scan]));
+
+    const match = { scanId: { $in: scans.map(scan => scan._id) } };
+    if (filters.package) match.name = filters.package;
+    if (filters.version) match.version = filters.version;
+    if (filters.ecosystem) match.ecosystem = filters.ecosystem;
+    Object.assign(match, this.getSignalFilterMongoDB(filters));
+
+    const usages = await this.connection.collection('package_usages').find(match)
+      .sort({ project: 1, manifestPath: 1, ecosystem: 1, name: 1, version: 1 })
+      .toArray();
+    return usages.map(usage => {
+      const scan = scansById.get(String(usage.scanId));
+      return {
+        project: usage.project,
+        scanId: usage.scanId,
+        commitHash: scan.commitHash,
+        scanDate: scan.scanDate.toISOString(),
+        manifestPath: usage.manifestPath,
+        ecosystem: usage.ecosystem,
+        name: usage.name,
+        version: usage.version,
+        declaredVersion: usage.declaredVersion,
+        relationship: usage.relationship,
+        scope: usage.scope,
+        isDevDependency: usage.isDevDependency,
+        riskScore: usage.riskScore === undefined ? null : usage.riskScore,
+        signals: usage.signals || [],
+        lineNumber: usage.lineNumber === undefined ? null : usage.lineNumber,
+        scriptSection: usage.scriptSection === undefined ? null : usage.scriptSection,
+        resolved: usage.resolved || null
+      };
+    });
+  }
+
+  async listProjects() {
+    if (this.type === 'sqlite') {
+      return this.listProjectsSQLite();
+    } else {
+      return this.listProjectsMongoDB();
+    }
+  }
+
+  async listProjectsSQLite() {
+    const rows = await this.all(`
+      SELECT pr.name, pr.path, s.id AS scan_id, s.commit_hash, s.scan_date, s.source, s.summary,
+        (SELECT COUNT(*) FROM package_usages u WHERE u.scan_id = s.id) AS usages
+      FROM projects pr JOIN scans s ON s.project_id = pr.id
+      ORDER BY pr.name, s.scan_date DESC, s.id DESC
+    `);
+    return this.groupScans(rows.map(row => ({
+      project: row.name,
+      path: row.path,
+      scan: {
+        id: row.scan_id,
+        commitHash: row.commit_hash,
+        scanDate: row.scan_date,
+        source: row.source,
+        summary: row.summary ? this.parseMetadata(row.summary) : null,
+        usages: row.usages
+      }
+    })));
+  }
 
-    const cursor = this.connection.collection('packages').find(query).sort({ name: 1, version: 1 });
-    return await cursor.toArray();
+  async listProjectsMongoDB() {
+    const projects = await this.connection.collection('projects').find().toArray();
+    const paths = new Map(projects.map(project => [project.name, project.path]));
+    const scans = await this.connection.collection('scans').find().sort({ project: 1, scanDate: -1, _id: -1 }).toArray();
+    const usages = await this.connection.collection('package_usages').aggregate([
+      { $group: { _id: '$scanId', count: { $sum: 1 } } }
+    ]).toArray();
+    const counts = new Map(usages.map(usage => [String(usage._id), usage.count]));
+
+    return this.groupScans(scans.map(scan => ({
+      project: scan.project,
+      path: paths.get(scan.project),
+      scan: {
+        id: scan._id,
+        commitHash: scan.commitHash,
+        scanDate: scan.scanDate.toISOString(),
+        source: scan.source,
+        summary: scan.summary || null,
+        usages: counts.get(String(scan._id)) || 0
+      }
+    })));
+  }
+
+  // Rows are ordered by project, newest scan first
+  groupScans(rows) {
+    const projects = new Map();
+    for (const row of rows) {
+      if (!projects.has(row.project)) {
+        projects.set(row.project, { name: row.project, path: row.path, scans: [] });
+      }
+      projects.get(row.project).scans.push(row.scan);
+    }
+    return [...projects.values()];
   }
 
   async close() {
@@ -1,10 +1,52 @@
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
+const ignore = require('ignore');
+const { minimatch } = require('minimatch');
+const semver = require('semver');
+const TOML = require('smol-toml');
+const YAML = require('yaml');
+const { XMLParser } = require('fast-xml-parser');
+const PackageUrl = require('./PackageUrl');
+
+// Directories that never contain first-party manifests
+const DEFAULT_EXCLUDES = [
+  '**/node_modules/**',
+  '**/vendor/**',
+  '**/.git/**',
+  '**/target/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/out/**',
+  '**/bin/**',
+  '**/obj/**',
+  '**/.next/**',
+  '**/.venv/**',
+  '**/venv/**',
+  '**/__pycache__/**'
+];
+
+// Lockfile name -> the manifest whose ranges it resolves
+const LOCKFILES = {
+  'package-lock.json': 'package.json',
+  'yarn.lock': 'package.json',
+  'pnpm-lock.yaml': 'package.json',
+  'Pipfile.lock': 'Pipfile',
+  'Cargo.lock': 'Cargo.toml',
+  'Gemfile.lock': 'Gemfile'
+};
 
 class DependencyScanner {
   constructor(options = {}) {
     this.logger = options.logger;
+    this.include = options.include || [];
+    this.exclude = options.exclude || [];
+    // Depth is counted in directories below the repository root (0 = root only)
+    this.maxDepth = Number.isInteger(options.maxDepth) ? options.maxDepth : Infinity;
+    this.respectGitignore = options.respectGitignore !== false;
+    this.reactorPoms = new Map();
+    this.pomCache = new Map();
+    this.catalogCache = new Map();
   }
 
   async scan(repoPath) {
@@ -14,25 +56,180 @@ class DependencyScanner {
 
     // Scan for common dependency files
     const manifestFiles = await this.findManifestFiles(repoPath);
+    this.logger.info(`Found ${manifestFiles.length} manifest files`);
+    this.indexMavenReactor(manifestFiles);
+
+    const parsed = new Map();
 
     for (const file of manifestFiles) {
       try {
-        const deps = await this.parseManifestFile(file);
-        dependencies.push(...deps);
+        parsed.set(file, await this.parseManifestFile(file));
       } catch (error) {
         this.logger.warn(`Failed to parse ${file}: ${error.message}`);
       }
     }
 
+    const seen = new Set();
+    for (const [file, deps] of this.applyLockfiles(parsed)) {
+      // One spelling per package (PEP 503 names, lowercase NuGet ids and Composer names)
+      for (const dep of deps.map(parsedDep => PackageUrl.canonicalize(parsedDep))) {
+        // Parsers that follow includes report the file each dependency came from
+        const manifestPath = this.toRelativePath(repoPath, dep.manifestPath || file);
+        const key = [manifestPath, dep.ecosystem, dep.name, dep.version].join('|');
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
+        dependencies.push({
+          ...dep,
+          manifestPath,
+          relationship: dep.relationship || 'direct',
+          scope: dep.scope || (dep.isDevDependency ? 'dev' : 'runtime')
+        });
+      }
+    }
+
     return dependencies;
   }
 
+  /**
+   * Replace manifest ranges with the versions pinned by a sibling lockfile,
+   * or by the root lockfile of an npm, yarn or pnpm workspace for its member
+   * manifests. Lockfile entries that match a manifest dependency are folded
+   * into it; the remaining entries are kept as transitive dependencies of the
+   * lockfile.
+   */
+  applyLockfiles(parsed) {
+    const result = new Map(parsed);
+
+    for (const [lockFile, lockDeps] of parsed) {
+      const manifestName = LOCKFILES[path.basename(lockFile)];
+      if (!manifestName) {
+        continue;
+      }
+
+      // package-lock.json (v2+) and pnpm-lock.yaml record which importer (workspace directory) uses each entry
+      const hasImporters = lockDeps.some(dep => dep.importers);
+      const consumed = new Set();
+
+      for (const [manifestFile, importer] of this.getLockedManifests(lockFile, manifestName, parsed, hasImporters)) {
+        const candidates = hasImporters ? lockDeps.filter(dep => (dep.importers || []).includes(importer)) : lockDeps;
+
+        // Exact "name@range" matches (yarn.lock) win over plain name matches
+        const bySpecifier = new Map();
+        const byName = new Map();
+        for (const lockDep of candidates) {
+          for (const specifier of lockDep.specifiers || []) {
+            bySpecifier.set(`${lockDep.name}@${specifier}`, lockDep);
+          }
+          const current = byName.get(lockDep.name);
+          if (!current || (lockDep.relationship === 'direct' && current.relationship !== 'direct')) {
+            byName.set(lockDep.name, lockDep);
+          }
+        }
+
+        // Without importers a name alone cannot tell which member's copy is meant
+        const matchByName = hasImporters || importer === '';
+        result.set(manifestFile, result.get(manifestFile).map(dep => {
+          const locked = bySpecifier.get(`${dep.name}@${dep.declaredVersion || dep.version}`) || (matchByName && byName.get(dep.name));
+          if (!locked) {
+            return dep;
+          }
+
+          consumed.add(locked);
+          return {
+            ...dep,
+            version: locked.version,
+            declaredVersion: dep.declaredVersion || dep.version,
+            relationship: 'direct',
+            locked: true
+          };
+        }));
+      }
+
+      result.set(lockFile, lockDeps.filter(dep => !consumed.has(dep)));
+    }
+
+    // Versions read from a lockfile are already concrete
+    for (const lockFile of parsed.keys()) {
+      if (LOCKFILES[path.basename(lockFile)]) {
+        result.set(lockFile, result.get(lockFile).map(dep => ({ ...dep, locked: true })));
+      }
+    }
+
+    for (const [file, deps] of result) {
+      result.set(file, deps.map(({ specifiers, importers, ...dep }) => dep));
+    }
+
+    return result;
+  }
+
+  /**
+   * The manifests a lockfile pins, with their importer path relative to the
+   * lockfile's directory: the sibling manifest ('') and, for npm, yarn and
+   * pnpm workspaces, each member manifest without a lockfile of its own.
+   * Members are the importers the lockfile lists, or for yarn.lock the
+   * directories matched by the root package.json "workspaces" globs.
+   */
+  getLockedManifests(lockFile, manifestName, parsed, hasImporters) {
+    const lockDir = path.dirname(lockFile);
+    const manifests = [];
+    const sibling = path.join(lockDir, manifestName);
+    if (parsed.has(sibling)) {
+      manifests.push([sibling, '']);
+    }
+    if (manifestName !== 'package.json') {
+      return manifests;
+    }
+
+    const workspaces = hasImporters ? null : this.getWorkspaceGlobs(sibling);
+    if (!hasImporters && workspaces.length === 0) {
+      return manifests;
+    }
+
+    for (const file of parsed.keys()) {
+      const memberDir = path.dirname(file);
+      const importer = path.relative(lockDir, memberDir).split(path.sep).join('/');
+      if (path.basename(file) !== manifestName || !importer || importer.startsWith('..') || path.isAbsolute(importer)) {
+        continue;
+      }
+      // A member with its own lockfile is pinned by that one
+      if (Object.keys(LOCKFILES).some(name => LOCKFILES[name] === manifestName && parsed.has(path.join(memberDir, name)))) {
+        continue;
+      }
+      if (hasImporters || workspaces.some(pattern => minimatch(importer, pattern))) {
+        manifests.push([file, importer]);
+      }
+    }
+
+    return manifests;
+  }
+
+  // package.json "workspaces": a list of globs, or { packages: [...] } (yarn classic)
+  getWorkspaceGlobs(manifestFile) {
+    try {
+      const { workspaces } = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+      const globs = Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || [];
+      return globs.map(pattern => pattern.replace(/^\.\//, '').replace(/\/+$/, ''));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  toRelativePath(repoPath, filePath) {
+    return path.relative(path.resolve(repoPath), filePath).split(path.sep).join('/');
+  }
+
   async findManifestFiles(repoPath) {
     const patterns = [
       'package.json',
       'package-lock.json',
       'yarn.lock',
+      'pnpm-lock.yaml',
       'requirements.txt',
+      'requirements-*.txt',
+      'requirements/*.txt',
       'pyproject.toml',
       'Pipfile',
       'Pipfile.lock',
@@ -42,6 +239,7 @@ class DependencyScanner {
       'Gemfile.lock',
       'pom.xml',
       'build.gradle',
+      'build.gradle.kts',
       'composer.json',
       'go.mod',
       'go.sum',
@@ -50,20 +248,51 @@ class DependencyScanner {
       '*.vbproj'
     ];
 
-    const files = [];
+    const matches = glob.sync(patterns.map(pattern => `**/${pattern}`), {
+      cwd: repoPath,
+      nodir: true,
+      dot: false,
+      maxDepth: this.maxDepth + 1,
+      ignore: [...DEFAULT_EXCLUDES, ...this.exclude]
+    });
 
-    for (const pattern of patterns) {
-      const matches = glob.sync(pattern, {
-        cwd: repoPath,
-        absolute: true,
-        nodir: true
-      });
-      files.push(...matches);
-    }
+    const gitignore = this.respectGitignore ? this.loadGitignore(repoPath) : null;
+
+    const files = matches
+      .map(file => file.split(path.sep).join('/'))
+      .filter(file => !gitignore || !gitignore(file))
+      .filter(file => this.include.length === 0 ||
+        this.include.some(pattern => minimatch(file, pattern, { dot: true })))
+      .sort()
+      .map(file => path.resolve(repoPath, file));
 
     return [...new Set(files)]; // Remove duplicates
   }
 
+  loadGitignore(repoPath) {
+    // Collect every .gitignore in the tree; rules apply relative to their own directory
+    const gitignoreFiles = glob.sync('**/.gitignore', {
+      cwd: repoPath,
+      nodir: true,
+      dot: true,
+      maxDepth: this.maxDepth + 1,
+      ignore: DEFAULT_EXCLUDES
+    });
+
+    if (gitignoreFiles.length === 0) {
+      return null;
+    }
+
+    const matchers = gitignoreFiles.map(file => {
+      const dir = path.posix.dirname(file.split(path.sep).join('/'));
+      const matcher = ignore().add(fs.readFileSync(path.join(repoPath, file), 'utf8'));
+      return { dir: dir === '.' ? '' : `${dir}/`, matcher };
+    });
+
+    return (relativeFile) => matchers.some(({ dir, matcher }) =>
+      relativeFile.startsWith(dir) && matcher.ignores(relativeFile.slice(dir.length)));
+  }
+
   async parseManifestFile(filePath) {
     const ext = path.extname(filePath);
     const filename = path.basename(filePath);
@@ -71,6 +300,20 @@ class DependencyScanner {
     switch (filename) {
       case 'package.json':
         return this.parsePackageJson(filePath);
+      case 'package-lock.json':
+        return this.parsePackageLock(filePath);
+      case 'yarn.lock':
+        return this.parseYarnLock(filePath);
+      case 'pnpm-lock.yaml':
+        return this.parsePnpmLock(filePath);
+      case 'Pipfile.lock':
+        return this.parsePipfileLock(filePath);
+      case 'Cargo.lock':
+        return this.parseCargoLock(filePath);
+      case 'Gemfile.lock':
+        return this.parseGemfileLock(filePath);
+      case 'go.sum':
+        return this.parseGoSum(filePath);
       case 'requirements.txt':
         return this.parseRequirementsTxt(filePath);
       case 'pyproject.toml':
@@ -81,11 +324,20 @@ class DependencyScanner {
         return this.parseGemfile(filePath);
       case 'pom.xml':
         return this.parsePomXml(filePath);
+      case 'build.gradle':
+      case 'build.gradle.kts':
+        return this.parseGradle(filePath);
       case 'composer.json':
         return this.parseComposerJson(filePath);
       case 'go.mod':
         return this.parseGoMod(filePath);
+      case 'Pipfile':
+        return this.parsePipfile(filePath);
       default:
+        if (/^requirements[-_].*\.txt$/.test(filename) ||
+            (ext === '.txt' && path.basename(path.dirname(filePath)) === 'requirements')) {
+          return this.parseRequirementsTxt(filePath);
+        }
         if (filename.endsWith('.csproj')) {
           return this.parseCsproj(filePath);
         }
@@ -103,7 +355,7 @@ class DependencyScanner {
         dependencies.push({
           ecosystem: 'npm',
           name,
-          version: version.replace(/^[^\d]*/, ''), // Remove ^,~ etc.
+          version,
           source: 'registry',
           manifestPath: filePath,
           isDevDependency: false
@@ -117,7 +369,7 @@ class DependencyScanner {
         dependencies.push({
           ecosystem: 'npm',
           name,
-          version: version.replace(/^[^\d]*/, ''),
+          version,
           source: 'registry',
           manifestPath: filePath,
           isDevDependency: true
@@ -128,110 +380,392 @@ class DependencyScanner {
     return dependencies;
   }
 
-  async parseRequirementsTxt(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const dependencies = [];
+  async parseRequirementsTxt(filePath, visited = new Set()) {
+    const resolvedPath = path.resolve(filePath);
+    if (visited.has(resolvedPath)) {
+      return [];
+    }
+    visited.add(resolvedPath);
 
-    const lines = content.split('\n').filter(line => line.trim() && !line.startsWith('#'));
+    const { requirements, includes, constraintFiles } = this.readRequirementsFile(resolvedPath);
+    const scope = this.inferRequirementsScope(resolvedPath);
 
-    for (const line of lines) {
-      // Parse lines like "package==1.0.0" or "package>=1.0.0"
-      const match = line.match(/^([a-zA-Z0-9\-_.]+)([><=~!]+)(.+)$/);
-      if (match) {
-        const [, name, , version] = match;
-        dependencies.push({
-          ecosystem: 'pypi',
-          name,
-          version,
-          source: 'pypi',
-          manifestPath: filePath,
-          isDevDependency: false
-        });
-      } else {
-        // Just package name
-        dependencies.push({
-          ecosystem: 'pypi',
-          name: line.trim(),
-          version: '*',
-          source: 'pypi',
-          manifestPath: filePath,
-          isDevDependency: false
-        });
+    // Constraint files (-c) only narrow the versions of packages required elsewhere
+    const constraints = new Map();
+    for (const constraintFile of constraintFiles) {
+      const constrainedVisited = new Set(visited);
+      for (const constraint of this.readRequirementsFile(constraintFile, constrainedVisited).requirements) {
+        if (constraint.source === 'pypi' && constraint.version !== '*') {
+          constraints.set(this.normalizePythonName(constraint.name), constraint.version);
+        }
+      }
+    }
+
+    const dependencies = requirements.map(requirement => {
+      const constraint = requirement.source === 'pypi' && constraints.get(this.normalizePythonName(requirement.name));
+      if (constraint) {
+        requirement.version = requirement.version === '*' ? constraint : `${requirement.version},${constraint}`;
+      }
+      return this.createPythonDependency(requirement, resolvedPath, scope);
+    });
+
+    // Included files (-r) keep their own manifest path
+    for (const include of includes) {
+      if (!fs.existsSync(include)) {
+        this.logger.warn(`Included requirements file not found: ${include}`);
+        continue;
       }
+      dependencies.push(...await this.parseRequirementsTxt(include, visited));
     }
 
     return dependencies;
   }
 
-  async parsePyprojectToml(filePath) {
-    // Basic TOML parsing - would need a proper TOML parser for production
+  readRequirementsFile(filePath, visited = new Set()) {
     const content = fs.readFileSync(filePath, 'utf8');
-    const dependencies = [];
+    const baseDir = path.dirname(filePath);
+    const requirements = [];
+    const includes = [];
+    const constraintFiles = [];
 
-    // Very basic parsing - look for [tool.poetry.dependencies] section
-    const lines = content.split('\n');
-    let inDependenciesSection = false;
+    // Join backslash continuations (typically used with --hash) into logical lines
+    const lines = content.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
 
-    for (const line of lines) {
-      if (line.includes('[tool.poetry.dependencies]')) {
-        inDependenciesSection = true;
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+      if (!line) {
         continue;
-      } else if (line.startsWith('[') && inDependenciesSection) {
-        inDependenciesSection = false;
       }
 
-      if (inDependenciesSection && line.includes('=')) {
-        const [name, version] = line.split('=').map(s => s.trim().replace(/"/g, ''));
-        if (name && name !== 'python') {
-          dependencies.push({
-            ecosystem: 'pypi',
-            name,
-            version: version || '*',
-            source: 'pypi',
-            manifestPath: filePath,
-            isDevDependency: false
-          });
+      const include = line.match(/^(?:-r|--requirement)(?:\s*=\s*|\s+|(?=[^\s-]))(.+)$/);
+      if (include) {
+        includes.push(path.resolve(baseDir, include[1].trim()));
+        continue;
+      }
+
+      const constraint = line.match(/^(?:-c|--constraint)(?:\s*=\s*|\s+|(?=[^\s-]))(.+)$/);
+      if (constraint) {
+        const constraintFile = path.resolve(baseDir, constraint[1].trim());
+        if (fs.existsSync(constraintFile) && !visited.has(constraintFile)) {
+          visited.add(constraintFile);
+          constraintFiles.push(constraintFile);
+        }
+        continue;
+      }
+
+      const editable = line.match(/^(?:-e|--editable)(?:\s*=\s*|\s+)(.+)$/);
+      if (editable) {
+        const requirement = this.parseRequirementUrl(editable[1].trim(), baseDir);
+        if (requirement) {
+          requirements.push({ ...requirement, editable: true });
+        }
+        continue;
+      }
+
+      // Global options: --index-url, --extra-index-url, --find-links, --pre, ...
+      if (line.startsWith('-')) {
+        continue;
+      }
+
+      // Per-requirement options (--hash, --config-settings) follow the specifier
+      const spec = line.split(/\s+--?[a-z]/i)[0].trim();
+      const requirement = this.isRequirementUrl(spec)
+        ? this.parseRequirementUrl(spec, baseDir)
+        : this.parsePep508(spec);
+
+      if (requirement) {
+        requirements.push(requirement);
+      } else {
+        this.logger.warn(`Unrecognized requirement in ${filePath}: ${line}`);
+      }
+    }
+
+    return { requirements, includes, constraintFiles };
+  }
+
+  isRequirementUrl(spec) {
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(spec) || /^(file:|\.|\/|~)/.test(spec);
+  }
+
+  /**
+   * Parse a bare URL or path requirement (`git+https://...#egg=name`,
+   * `./libs/foo`, `https://host/pkg-1.0-py3-none-any.whl`).
+   */
+  parseRequirementUrl(url, baseDir) {
+    const source = this.classifyUrlSource(url);
+    const location = url.replace(/#.*$/, '');
+    const egg = url.match(/#(?:.*&)?egg=([A-Za-z0-9._-]+)/);
+    const archive = location.match(/([A-Za-z0-9_.]+?)-(\d[^-/]*)(?:-[^/]*)?\.(?:whl|tar\.gz|zip|tar\.bz2)$/);
+
+    let name = egg && egg[1];
+    let version = '*';
+
+    if (archive) {
+      name = name || archive[1];
+      version = archive[2];
+    } else if (source === 'git') {
+      const ref = location.match(/\.git@([^@/]+)$|@([^@/:]+)$/);
+      version = ref ? (ref[1] || ref[2]) : '*';
+    }
+
+    if (!name) {
+      const target = source === 'path'
+        ? path.resolve(baseDir, location.replace(/^file:(\/\/)?/, ''))
+        : location.replace(/@[^@/]*$/, '');
+      name = path.basename(target.replace(/\/+$/, '')).replace(/\.git$/, '');
+    }
+
+    if (!name) {
+      return null;
+    }
+
+    return { name, version, extras: [], marker: null, source, url };
+  }
+
+  inferRequirementsScope(filePath) {
+    const relevant = `${path.basename(path.dirname(filePath))}/${path.basename(filePath)}`.toLowerCase();
+    return /(^|[-_./])(dev|develop|test|tests|testing|lint|docs|ci)([-_.]|$)/.test(relevant) ? 'dev' : 'runtime';
+  }
+
+  normalizePythonName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+  }
+
+  async parsePyprojectToml(filePath) {
+    const content = TOML.parse(fs.readFileSync(filePath, 'utf8'));
+    const dependencies = [];
+    const project = content.project || {};
+    const poetry = (content.tool && content.tool.poetry) || {};
+    const pdm = (content.tool && content.tool.pdm) || {};
+
+    const addRequirement = (requirement, scope, group) => {
+      const parsed = this.parsePep508(requirement);
+      if (parsed) {
+        dependencies.push(this.createPythonDependency(parsed, filePath, scope, group));
+      }
+    };
+
+    // PEP 621
+    for (const requirement of project.dependencies || []) {
+      addRequirement(requirement, 'runtime');
+    }
+    for (const [extra, requirements] of Object.entries(project['optional-dependencies'] || {})) {
+      requirements.forEach(requirement => addRequirement(requirement, 'optional', extra));
+    }
+
+    // PEP 735 dependency groups; entries may also be {include-group = "..."} tables
+    for (const [group, requirements] of Object.entries(content['dependency-groups'] || {})) {
+      requirements
+        .filter(requirement => typeof requirement === 'string')
+        .forEach(requirement => addRequirement(requirement, 'dev', group));
+    }
+
+    for (const [group, requirements] of Object.entries(pdm['dev-dependencies'] || {})) {
+      requirements.forEach(requirement => addRequirement(requirement, 'dev', group));
+    }
+
+    for (const requirement of (content['build-system'] && content['build-system'].requires) || []) {
+      addRequirement(requirement, 'build');
+    }
+
+    // Poetry
+    const poetryTables = [
+      [poetry.dependencies, 'runtime'],
+      [poetry['dev-dependencies'], 'dev', 'dev']
+    ];
+    for (const [group, table] of Object.entries(poetry.group || {})) {
+      poetryTables.push([table.dependencies, 'dev', group]);
+    }
+
+    for (const [table, scope, group] of poetryTables) {
+      for (const [name, spec] of Object.entries(table || {})) {
+        if (name.toLowerCase() === 'python') {
+          continue;
         }
+
+        // Multiple-constraint dependencies are arrays of tables; take the first
+        const entry = Array.isArray(spec) ? spec[0] : spec;
+        const details = typeof entry === 'string' ? { version: entry } : entry;
+        const source = this.classifyTableSource(details);
+
+        dependencies.push(this.createPythonDependency({
+          name,
+          version: details.version || (source === 'git' ? (details.rev || details.tag || details.branch) : null) || '*',
+          extras: details.extras || [],
+          marker: details.markers || null,
+          source
+        }, filePath, details.optional && scope === 'runtime' ? 'optional' : scope, group));
       }
     }
 
     return dependencies;
   }
 
+  createPythonDependency(requirement, filePath, scope, group) {
+    const dependency = {
+      ecosystem: 'pypi',
+      name: requirement.name,
+      version: requirement.version || '*',
+      source: requirement.source || 'pypi',
+      manifestPath: filePath,
+      isDevDependency: scope === 'dev',
+      scope
+    };
+
+    if (group) {
+      dependency.group = group;
+    }
+    if (requirement.extras && requirement.extras.length > 0) {
+      dependency.extras = requirement.extras;
+    }
+    if (requirement.marker) {
+      dependency.marker = requirement.marker;
+    }
+    if (requirement.url) {
+      dependency.url = requirement.url;
+    }
+    if (requirement.editable) {
+      dependency.editable = true;
+    }
+
+    return dependency;
+  }
+
+  /**
+   * Parse a PEP 508 requirement string such as
+   * `requests[security]>=2.8.1,<3; python_version < "3.8"` or `pkg @ git+https://...`.
+   */
+  parsePep508(requirement) {
+    const [spec, ...markerParts] = requirement.split(';');
+    const marker = markerParts.join(';').trim() || null;
+    const match = spec.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[([^\]]*)\])?\s*(.*)$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const [, name, extras, rest] = match;
+    const parsed = {
+      name,
+      extras: extras ? extras.split(',').map(extra => extra.trim()).filter(Boolean) : [],
+      marker,
+      version: '*',
+      source: 'pypi'
+    };
+
+    if (rest.startsWith('@')) {
+      parsed.url = rest.slice(1).trim();
+      parsed.source = this.classifyUrlSource(parsed.url);
+      const ref = parsed.url.match(/@([^@/#]+)(?:#.*)?$/);
+      parsed.version = parsed.source === 'git' && ref ? ref[1] : '*';
+    } else if (rest) {
+      // Legacy "name (>=1.0)" form wraps the specifier in parentheses
+      parsed.version = rest.replace(/^\(|\)$/g, '').replace(/\s+/g, '');
+    }
+
+    return parsed;
+  }
+
+  classifyUrlSource(url) {
+    if (/^(git|hg|svn|bzr)\+/.test(url) || /\.git(@|#|$)/.test(url)) {
+      return 'git';
+    }
+    if (/^(file:|\.|\/|~)/.test(url)) {
+      return 'path';
+    }
+    return 'url';
+  }
+
+  classifyTableSource(details) {
+    if (details.git) {
+      return 'git';
+    }
+    if (details.path) {
+      return 'path';
+    }
+    if (details.url) {
+      return 'url';
+    }
+    return null;
+  }
+
   async parseCargoToml(filePath) {
-    // Basic TOML parsing for Cargo.toml
-    const content = fs.readFileSync(filePath, 'utf8');
+    const content = TOML.parse(fs.readFileSync(filePath, 'utf8'));
     const dependencies = [];
 
-    const lines = content.split('\n');
-    let inDependenciesSection = false;
+    const tables = [
+      [content.dependencies, 'runtime'],
+      [content['dev-dependencies'], 'dev'],
+      [content['build-dependencies'], 'build']
+    ];
 
-    for (const line of lines) {
-      if (line.includes('[dependencies]')) {
-        inDependenciesSection = true;
-        continue;
-      } else if (line.startsWith('[') && inDependenciesSection) {
-        inDependenciesSection = false;
-      }
+    // Platform-specific tables: [target.'cfg(windows)'.dependencies] etc.
+    for (const [target, targetTables] of Object.entries(content.target || {})) {
+      tables.push(
+        [targetTables.dependencies, 'runtime', target],
+        [targetTables['dev-dependencies'], 'dev', target],
+        [targetTables['build-dependencies'], 'build', target]
+      );
+    }
 
-      if (inDependenciesSection && line.includes('=')) {
-        const [name, version] = line.split('=').map(s => s.trim().replace(/"/g, ''));
-        if (name) {
-          dependencies.push({
-            ecosystem: 'rust',
-            name,
-            version: version || '*',
-            source: 'crates.io',
-            manifestPath: filePath,
-            isDevDependency: false
-          });
+    for (const [table, scope, target] of tables) {
+      for (const [key, spec] of Object.entries(table || {})) {
+        let details = typeof spec === 'string' ? { version: spec } : { ...spec };
+
+        // `serde = { workspace = true }` inherits from [workspace.dependencies]
+        if (details.workspace === true) {
+          const inherited = this.findCargoWorkspaceDependency(filePath, key);
+          if (inherited) {
+            details = { ...(typeof inherited === 'string' ? { version: inherited } : inherited), ...details };
+          }
+        }
+
+        const source = this.classifyTableSource(details) || 'crates.io';
+        const dependency = {
+          ecosystem: 'rust',
+          // Renamed dependencies point at the real crate through `package`
+          name: details.package || key,
+          version: details.version || (source === 'git' ? (details.rev || details.tag || details.branch) : null) || '*',
+          source,
+          manifestPath: filePath,
+          isDevDependency: scope === 'dev',
+          scope: details.optional && scope === 'runtime' ? 'optional' : scope
+        };
+
+        if (target) {
+          dependency.group = target;
         }
+        if (details.git) {
+          dependency.url = details.git;
+        }
+
+        dependencies.push(dependency);
       }
     }
 
     return dependencies;
   }
 
+  findCargoWorkspaceDependency(filePath, name) {
+    let dir = path.dirname(filePath);
+
+    while (true) {
+      const candidate = path.join(dir, 'Cargo.toml');
+      if (fs.existsSync(candidate)) {
+        const content = TOML.parse(fs.readFileSync(candidate, 'utf8'));
+        if (content.workspace) {
+          return (content.workspace.dependencies || {})[name] || null;
+        }
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return null;
+      }
+      dir = parent;
+    }
+  }
+
   async parseGemfile(filePath) {
     const content = fs.readFileSync(filePath, 'utf8');
     const dependencies = [];
@@ -258,66 +792,496 @@ class DependencyScanner {
   }
 
   async parsePomXml(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
+    const model = this.loadEffectivePom(filePath);
     const dependencies = [];
 
-    // Basic XML parsing - look for dependency tags
-    const dependencyMatches = content.match(/<dependency>[\s\S]*?<\/dependency>/g);
-
-    if (dependencyMatches) {
-      for (const dep of dependencyMatches) {
-        const groupIdMatch = dep.match(/<groupId>([^<]+)<\/groupId>/);
-        const artifactIdMatch = dep.match(/<artifactId>([^<]+)<\/artifactId>/);
-        const versionMatch = dep.match(/<version>([^<]+)<\/version>/);
+    // Only <project><dependencies>; <plugin> and <dependencyManagement> entries are not dependencies
+    for (const dep of model.dependencies) {
+      const groupId = this.interpolatePom(dep.groupId, model.properties);
+      const artifactId = this.interpolatePom(dep.artifactId, model.properties);
+      if (!groupId || !artifactId) {
+        continue;
+      }
 
-        if (groupIdMatch && artifactIdMatch) {
-          const name = `${groupIdMatch[1]}:${artifactIdMatch[1]}`;
-          const version = versionMatch ? versionMatch[1] : 'latest';
+      const name = `${groupId}:${artifactId}`;
+      const managed = model.managed.get(name) || {};
+      let version = this.interpolatePom(dep.version || managed.version, model.properties);
 
-          dependencies.push({
-            ecosystem: 'java',
-            name,
-            version,
-            source: 'maven_central',
-            manifestPath: filePath,
-            isDevDependency: false
-          });
-        }
+      if (!version || version.includes('${')) {
+        this.logger.warn(`Could not determine version of ${name} in ${filePath}${version ? ` (${version})` : ''}`);
+        version = '*';
       }
+
+      const mavenScope = dep.scope || managed.scope || 'compile';
+      const scope = this.mapMavenScope(mavenScope, dep.optional === 'true');
+
+      dependencies.push({
+        ecosystem: 'java',
+        name,
+        version,
+        // Modules of the same multi-module build are not fetched from Maven Central
+        source: this.reactorPoms.has(name) ? 'path' : 'maven_central',
+        manifestPath: filePath,
+        isDevDependency: mavenScope === 'test' || mavenScope === 'provided',
+        scope,
+        group: mavenScope
+      });
     }
 
     return dependencies;
   }
 
-  async parseComposerJson(filePath) {
-    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    const dependencies = [];
+  mapMavenScope(mavenScope, optional) {
+    switch (mavenScope) {
+      case 'test':
+        return 'dev';
+      case 'provided':
+      case 'system':
+        return 'provided';
+      default:
+        return optional ? 'optional' : 'runtime';
+    }
+  }
 
-    // Regular dependencies
-    if (content.require) {
-      for (const [name, version] of Object.entries(content.require)) {
-        if (name !== 'php') {
-          dependencies.push({
-            ecosystem: 'php',
-            name,
-            version,
-            source: 'packagist.org',
-            manifestPath: filePath,
-            isDevDependency: false
-          });
+  readPom(filePath) {
+    const parser = new XMLParser({
+      ignoreAttributes: true,
+      parseTagValue: false,
+      trimValues: true,
+      isArray: (name) => ['dependency', 'module'].includes(name)
+    });
+    return parser.parse(fs.readFileSync(filePath, 'utf8')).project || {};
+  }
+
+  /**
+   * Remember the coordinates of every pom.xml in the scanned tree so parents,
+   * BOM imports and sibling modules can be resolved locally.
+   */
+  indexMavenReactor(files) {
+    this.reactorPoms = new Map();
+    this.pomCache = new Map();
+
+    for (const file of files.filter(file => path.basename(file) === 'pom.xml')) {
+      try {
+        const project = this.readPom(file);
+        const groupId = project.groupId || (project.parent && project.parent.groupId);
+        if (groupId && project.artifactId) {
+          this.reactorPoms.set(`${groupId}:${project.artifactId}`, file);
         }
+      } catch (error) {
+        this.logger.warn(`Failed to read ${file}: ${error.message}`);
       }
     }
+  }
 
-    // Dev dependencies
-    if (content['require-dev']) {
-      for (const [name, version] of Object.entries(content['require-dev'])) {
-        dependencies.push({
-          ecosystem: 'php',
-          name,
-          version,
-          source: 'packagist.org',
-          manifestPath: filePath,
+  findParentPom(filePath, parent) {
+    const coordinates = `${parent.groupId}:${parent.artifactId}`;
+
+    // An empty <relativePath/> disables the filesystem lookup
+    if (parent.relativePath !== '') {
+      let candidate = path.resolve(path.dirname(filePath), parent.relativePath || '../pom.xml');
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isDirectory()) {
+        candidate = path.join(candidate, 'pom.xml');
+      }
+
+      if (fs.existsSync(candidate)) {
+        const project = this.readPom(candidate);
+        const groupId = project.groupId || (project.parent && project.parent.groupId);
+        if (`${groupId}:${project.artifactId}` === coordinates) {
+          return candidate;
+        }
+      }
+    }
+
+    return this.reactorPoms.get(coordinates) || null;
+  }
+
+  /**
+   * Build the effective model of a POM: properties, coordinates and managed
+   * versions merged down the chain of local parent POMs, with BOM imports applied.
+   */
+  loadEffectivePom(filePath, depth = 0) {
+    const resolvedPath = path.resolve(filePath);
+    if (this.pomCache.has(resolvedPath)) {
+      return this.pomCache.get(resolvedPath);
+    }
+
+    const project = this.readPom(resolvedPath);
+    const parent = project.parent || null;
+    let parentModel = null;
+
+    if (parent && depth < 10) {
+      const parentPath = this.findParentPom(resolvedPath, parent);
+      if (parentPath) {
+        parentModel = this.loadEffectivePom(parentPath, depth + 1);
+      } else {
+        this.logger.warn(`Parent POM ${parent.groupId}:${parent.artifactId} of ${filePath} is not in the scanned tree`);
+      }
+    }
+
+    const groupId = project.groupId || (parent && parent.groupId);
+    const version = project.version || (parent && parent.version);
+    const properties = {
+      ...(parentModel ? parentModel.properties : {}),
+      ...Object.fromEntries(Object.entries(project.properties || {}).map(([key, value]) => [key, String(value)]))
+    };
+
+    for (const prefix of ['project', 'pom']) {
+      properties[`${prefix}.groupId`] = groupId;
+      properties[`${prefix}.artifactId`] = project.artifactId;
+      properties[`${prefix}.version`] = version;
+      if (parent) {
+        properties[`${prefix}.parent.groupId`] = parent.groupId;
+        properties[`${prefix}.parent.version`] = parent.version;
+      }
+    }
+
+    // Precedence: this POM's own entries, then its BOM imports, then the parent's
+    const ownManaged = new Map();
+    const imports = [];
+    const managedDeps = (project.dependencyManagement && project.dependencyManagement.dependencies &&
+      project.dependencyManagement.dependencies.dependency) || [];
+
+    for (const dep of managedDeps) {
+      const key = `${this.interpolatePom(dep.groupId, properties)}:${this.interpolatePom(dep.artifactId, properties)}`;
+      if (dep.scope === 'import' && dep.type === 'pom') {
+        imports.push(key);
+      } else {
+        ownManaged.set(key, {
+          version: this.interpolatePom(dep.version, properties),
+          scope: dep.scope
+        });
+      }
+    }
+
+    const importedManaged = new Map();
+    for (const key of imports) {
+      const bomPath = this.reactorPoms.get(key);
+      if (!bomPath || depth >= 10) {
+        this.logger.warn(`Imported BOM ${key} of ${filePath} is not in the scanned tree`);
+        continue;
+      }
+      for (const [managedKey, managed] of this.loadEffectivePom(bomPath, depth + 1).managed) {
+        if (!importedManaged.has(managedKey)) {
+          importedManaged.set(managedKey, managed);
+        }
+      }
+    }
+
+    const model = {
+      groupId,
+      artifactId: project.artifactId,
+      version,
+      properties,
+      managed: new Map([
+        ...(parentModel ? parentModel.managed : []),
+        ...importedManaged,
+        ...ownManaged
+      ]),
+      dependencies: (project.dependencies && project.dependencies.dependency) || []
+    };
+
+    this.pomCache.set(resolvedPath, model);
+    return model;
+  }
+
+  interpolatePom(value, properties) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+
+    let result = String(value);
+    // Properties may reference other properties; stop once nothing changes
+    for (let i = 0; i < 10 && result.includes('${'); i++) {
+      const next = result.replace(/\$\{([^}]+)\}/g, (match, key) =>
+        (properties[key] !== undefined ? properties[key] : match));
+      if (next === result) {
+        break;
+      }
+      result = next;
+    }
+
+    return result;
+  }
+
+  async parseGradle(filePath) {
+    const content = this.stripGradleComments(fs.readFileSync(filePath, 'utf8'));
+    const variables = this.collectGradleVariables(filePath, content);
+    const catalogs = this.loadVersionCatalogs(filePath);
+    const dependencies = [];
+
+    // buildscript { dependencies { classpath ... } } declares plugins, not project dependencies
+    const body = content.replace(/buildscript\s*\{[\s\S]*?\n\}/g, '');
+    const declaration = /\b((?:[a-z][A-Za-z]*)?(?:[iI]mplementation|[aA]pi|[cC]ompileOnly|[rR]untimeOnly|[cC]ompile|[rR]untime|[aA]nnotationProcessor|kapt|ksp))\b\s*\(?\s*([^\n]+)/g;
+
+    let match;
+    while ((match = declaration.exec(body)) !== null) {
+      const [, configuration, rawArgument] = match;
+      const argument = rawArgument.trim();
+      const scope = this.mapGradleConfiguration(configuration);
+
+      for (const coordinate of this.parseGradleArgument(argument, variables, catalogs, filePath)) {
+        dependencies.push({
+          ecosystem: 'java',
+          name: coordinate.name,
+          version: coordinate.version || '*',
+          source: 'maven_central',
+          manifestPath: filePath,
+          isDevDependency: scope === 'dev' || scope === 'provided',
+          scope,
+          group: configuration
+        });
+      }
+    }
+
+    return dependencies;
+  }
+
+  stripGradleComments(content) {
+    return content
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/(^|\s)\/\/.*$/gm, '$1');
+  }
+
+  mapGradleConfiguration(configuration) {
+    if (/^(test|androidTest|testFixtures|integrationTest)/.test(configuration)) {
+      return 'dev';
+    }
+    if (/compileOnly|annotationProcessor|kapt|ksp/i.test(configuration)) {
+      return 'provided';
+    }
+    return 'runtime';
+  }
+
+  /**
+   * Turn the argument of a dependency declaration into Maven coordinates.
+   * Handles "g:a:v" strings, group:/name:/version: maps, platform() wrappers
+   * and version catalog accessors (libs.foo.bar, libs.bundles.baz).
+   */
+  parseGradleArgument(argument, variables, catalogs, filePath) {
+    const unwrapped = argument.replace(/^(?:enforcedPlatform|platform|testFixtures)\s*\(\s*/, '');
+
+    const accessor = unwrapped.match(/^([A-Za-z]\w*)\.((?:\w+\.)*\w+)/);
+    if (accessor && catalogs.has(accessor[1])) {
+      const catalog = catalogs.get(accessor[1]);
+      // Kotlin DSL sometimes spells out the provider: libs.foo.get()
+      const alias = accessor[2].replace(/\.get$/, '');
+
+      if (alias.startsWith('bundles.')) {
+        const bundle = catalog.bundles.get(alias.slice('bundles.'.length));
+        return bundle ? bundle.map(library => catalog.libraries.get(library)).filter(Boolean) : [];
+      }
+
+      const library = catalog.libraries.get(alias);
+      if (!library) {
+        this.logger.warn(`Unknown version catalog alias ${accessor[1]}.${alias} in ${filePath}`);
+        return [];
+      }
+      return [library];
+    }
+
+    const literal = unwrapped.match(/^["']([^"']+)["']/);
+    if (literal) {
+      const [groupId, artifactId, version] = this.interpolateGradle(literal[1], variables).replace(/@\w+$/, '').split(':');
+      return groupId && artifactId ? [{ name: `${groupId}:${artifactId}`, version: this.cleanGradleVersion(version) }] : [];
+    }
+
+    // group: 'g', name: 'a', version: 'v' (Groovy) or group = "g", name = "a" (Kotlin)
+    const field = (key) => {
+      const found = unwrapped.match(new RegExp(`\\b${key}\\s*[:=]\\s*["']([^"']+)["']`));
+      return found ? this.interpolateGradle(found[1], variables) : null;
+    };
+    if (field('group') && field('name')) {
+      return [{ name: `${field('group')}:${field('name')}`, version: this.cleanGradleVersion(field('version')) }];
+    }
+
+    const kotlinModule = unwrapped.match(/^kotlin\s*\(\s*["']([^"']+)["']\s*(?:,\s*["']([^"']+)["'])?/);
+    if (kotlinModule) {
+      return [{ name: `org.jetbrains.kotlin:kotlin-${kotlinModule[1]}`, version: this.cleanGradleVersion(kotlinModule[2]) }];
+    }
+
+    // project(':core'), files(...), fileTree(...) and the like are not external artifacts
+    return [];
+  }
+
+  cleanGradleVersion(version) {
+    if (!version || version.includes('$')) {
+      return null;
+    }
+    // "1.0!!" is Gradle's shorthand for a strict version
+    return version.replace(/!!.*$/, '');
+  }
+
+  interpolateGradle(value, variables) {
+    return value.replace(/\$\{([^}]+)\}|\$([A-Za-z_]\w*)/g, (match, expression, name) => {
+      const key = (expression || name).trim();
+      // ${rootProject.ext.kotlinVersion}, ${Versions.kotlin}, ${project.property("x")}
+      const last = key.replace(/\W+$/, '').split(/[.("']+/).filter(Boolean).pop();
+      if (variables[key] !== undefined) return variables[key];
+      if (variables[last] !== undefined) return variables[last];
+      return match;
+    });
+  }
+
+  /**
+   * Collect simple string assignments (ext blocks, val/def declarations and
+   * gradle.properties) from the build script and its project root.
+   */
+  collectGradleVariables(filePath, content) {
+    const variables = {};
+    const dirs = [];
+    let dir = path.dirname(filePath);
+
+    while (true) {
+      dirs.unshift(dir);
+      if (['settings.gradle', 'settings.gradle.kts'].some(name => fs.existsSync(path.join(dir, name)))) {
+        break;
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        dirs.splice(0, dirs.length - 1);
+        break;
+      }
+      dir = parent;
+    }
+
+    const assignment = /(?:\b(?:val|var|def|const val)\s+|\bext\.|\bset\(\s*["'])?([A-Za-z_][\w]*)["']?\s*[=,]\s*["']([^"'$\n]+)["']/g;
+
+    // The root project's values first so the module's own settings override them
+    for (const current of dirs) {
+      const properties = path.join(current, 'gradle.properties');
+      if (fs.existsSync(properties)) {
+        for (const line of fs.readFileSync(properties, 'utf8').split('\n')) {
+          const property = line.match(/^\s*([\w.-]+)\s*[=:]\s*(.+?)\s*$/);
+          if (property && !line.trim().startsWith('#')) {
+            variables[property[1]] = property[2];
+          }
+        }
+      }
+
+      for (const name of ['build.gradle', 'build.gradle.kts']) {
+        const buildFile = path.join(current, name);
+        if (path.resolve(buildFile) === path.resolve(filePath) || !fs.existsSync(buildFile)) {
+          continue;
+        }
+        const rootContent = this.stripGradleComments(fs.readFileSync(buildFile, 'utf8'));
+        for (const [, key, value] of rootContent.matchAll(assignment)) {
+          variables[key] = value;
+        }
+      }
+    }
+
+    for (const [, key, value] of content.matchAll(assignment)) {
+      variables[key] = value;
+    }
+
+    return variables;
+  }
+
+  /**
+   * Find the gradle/*.versions.toml catalogs of the build that owns filePath.
+   * The catalog name is the file name prefix: libs.versions.toml -> libs.
+   */
+  loadVersionCatalogs(filePath) {
+    let dir = path.dirname(path.resolve(filePath));
+
+    while (true) {
+      if (this.catalogCache.has(dir)) {
+        return this.catalogCache.get(dir);
+      }
+
+      const gradleDir = path.join(dir, 'gradle');
+      const catalogFiles = fs.existsSync(gradleDir)
+        ? fs.readdirSync(gradleDir).filter(name => name.endsWith('.versions.toml'))
+        : [];
+
+      if (catalogFiles.length > 0) {
+        const catalogs = new Map();
+        for (const name of catalogFiles) {
+          try {
+            catalogs.set(name.replace(/\.versions\.toml$/, ''), this.parseVersionCatalog(path.join(gradleDir, name)));
+          } catch (error) {
+            this.logger.warn(`Failed to parse version catalog ${name}: ${error.message}`);
+          }
+        }
+        this.catalogCache.set(dir, catalogs);
+        return catalogs;
+      }
+
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        return new Map();
+      }
+      dir = parent;
+    }
+  }
+
+  parseVersionCatalog(filePath) {
+    const content = TOML.parse(fs.readFileSync(filePath, 'utf8'));
+    const versions = content.versions || {};
+    const accessorFor = (alias) => alias.replace(/[-_]/g, '.');
+
+    const resolveVersion = (version) => {
+      if (!version) return null;
+      if (typeof version === 'string') return version;
+      if (version.ref) return resolveVersion(versions[version.ref]);
+      return version.strictly || version.require || version.prefer || null;
+    };
+
+    const libraries = new Map();
+    for (const [alias, library] of Object.entries(content.libraries || {})) {
+      let name;
+      let version;
+
+      if (typeof library === 'string') {
+        const [groupId, artifactId, literalVersion] = library.split(':');
+        name = `${groupId}:${artifactId}`;
+        version = literalVersion || null;
+      } else {
+        name = library.module || `${library.group}:${library.name}`;
+        version = resolveVersion(library.version);
+      }
+
+      libraries.set(accessorFor(alias), { name, version: this.cleanGradleVersion(version) });
+    }
+
+    const bundles = new Map();
+    for (const [alias, members] of Object.entries(content.bundles || {})) {
+      bundles.set(accessorFor(alias), members.map(accessorFor));
+    }
+
+    return { libraries, bundles };
+  }
+
+  async parseComposerJson(filePath) {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const dependencies = [];
+
+    // Regular dependencies
+    if (content.require) {
+      for (const [name, version] of Object.entries(content.require)) {
+        if (name !== 'php') {
+          dependencies.push({
+            ecosystem: 'php',
+            name,
+            version,
+            source: 'packagist.org',
+            manifestPath: filePath,
+            isDevDependency: false
+          });
+        }
+      }
+    }
+
+    // Dev dependencies
+    if (content['require-dev']) {
+      for (const [name, version] of Object.entries(content['require-dev'])) {
+        dependencies.push({
+          ecosystem: 'php',
+          name,
+          version,
+          source: 'packagist.org',
+          manifestPath: filePath,
           isDevDependency: true
         });
       }
@@ -327,47 +1291,67 @@ class DependencyScanner {
   }
 
   async parseGoMod(filePath) {
-    const content = fs.readFileSync(filePath, 'utf8');
+    const goMod = this.parseGoModDirectives(fs.readFileSync(filePath, 'utf8'));
+    const goSumPath = path.join(path.dirname(filePath), 'go.sum');
+    const goSum = fs.existsSync(goSumPath) ? this.readGoSum(goSumPath) : null;
     const dependencies = [];
 
-    const lines = content.split('\n');
+    for (const requirement of goMod.require) {
+      if (goMod.exclude.some(ex => ex.path === requirement.path && ex.version === requirement.version)) {
+        this.logger.info(`Skipping excluded module ${requirement.path}@${requirement.version}`);
+        continue;
+      }
 
-    for (const line of lines) {
-      if (line.startsWith('require') || line.includes('=>')) {
-        const requireMatch = line.match(/require\s+\(([\s\S]*?)\)/);
-        if (requireMatch) {
-          // Multi-line require block
-          const block = requireMatch[1];
-          const depLines = block.split('\n').filter(l => l.trim());
-
-          for (const depLine of depLines) {
-            const depMatch = depLine.trim().match(/^([^@\s]+)\s+([^@\s]+)/);
-            if (depMatch) {
-              const [, name, version] = depMatch;
-              dependencies.push({
-                ecosystem: 'go',
-                name,
-                version,
-                source: 'goproxy',
-                manifestPath: filePath,
-                isDevDependency: false
-              });
-            }
-          }
-        } else {
-          // Single line require
-          const depMatch = line.match(/require\s+([^@\s]+)\s+([^@\s]+)/);
-          if (depMatch) {
-            const [, name, version] = depMatch;
-            dependencies.push({
-              ecosystem: 'go',
-              name,
-              version,
-              source: 'goproxy',
-              manifestPath: filePath,
-              isDevDependency: false
-            });
-          }
+      const dependency = {
+        ecosystem: 'go',
+        // Major-version suffixes (/v2) are part of the module path and stay intact
+        name: requirement.path,
+        version: requirement.version,
+        source: 'goproxy',
+        manifestPath: filePath,
+        isDevDependency: false,
+        relationship: requirement.indirect ? 'transitive' : 'direct'
+      };
+
+      // A versioned replace only applies to that exact version
+      const replacement = goMod.replace.find(rep => rep.from === requirement.path &&
+        (!rep.fromVersion || rep.fromVersion === requirement.version));
+
+      if (replacement && /^(\.{1,2}\/|\/)/.test(replacement.to)) {
+        dependency.source = 'path';
+        dependency.url = replacement.to;
+      } else if (replacement) {
+        dependency.replaces = `${requirement.path}@${requirement.version}`;
+        dependency.name = replacement.to;
+        dependency.version = replacement.toVersion || requirement.version;
+      }
+
+      if (goSum && dependency.source === 'goproxy') {
+        dependency.verified = goSum.entries.has(`${dependency.name}@${dependency.version}`);
+        if (!dependency.verified) {
+          this.logger.warn(`${dependency.name}@${dependency.version} from ${filePath} has no go.sum entry`);
+        }
+      }
+
+      dependencies.push(dependency);
+    }
+
+    // Before Go 1.17 go.mod only lists direct requirements; go.sum holds the rest of the build
+    const [goMajor, goMinor] = (goMod.go || '').split('.').map(Number);
+    if (goSum && goMajor === 1 && goMinor < 17) {
+      const required = new Set(dependencies.map(dep => dep.name));
+      for (const [name, version] of goSum.highest) {
+        if (!required.has(name)) {
+          dependencies.push({
+            ecosystem: 'go',
+            name,
+            version,
+            source: 'goproxy',
+            manifestPath: goSumPath,
+            isDevDependency: false,
+            relationship: 'transitive',
+            verified: true
+          });
         }
       }
     }
@@ -375,6 +1359,83 @@ class DependencyScanner {
     return dependencies;
   }
 
+  parseGoModDirectives(content) {
+    const goMod = { module: null, go: null, require: [], replace: [], exclude: [] };
+    let block = null;
+
+    for (const rawLine of content.split('\n')) {
+      const commentIndex = rawLine.indexOf('//');
+      const comment = commentIndex >= 0 ? rawLine.slice(commentIndex + 2).trim() : '';
+      const line = (commentIndex >= 0 ? rawLine.slice(0, commentIndex) : rawLine).trim();
+
+      if (!line) {
+        continue;
+      }
+
+      if (block) {
+        if (line === ')') {
+          block = null;
+        } else {
+          this.addGoModEntry(goMod, block, line, comment);
+        }
+        continue;
+      }
+
+      const blockStart = line.match(/^(require|replace|exclude|retract|tool|ignore|godebug)\s*\($/);
+      if (blockStart) {
+        block = blockStart[1];
+        continue;
+      }
+
+      const directive = line.match(/^(\w+)\s+(.+)$/);
+      if (!directive) {
+        continue;
+      }
+
+      const [, verb, rest] = directive;
+      if (verb === 'module') {
+        goMod.module = rest.replace(/"/g, '');
+      } else if (verb === 'go') {
+        goMod.go = rest;
+      } else {
+        this.addGoModEntry(goMod, verb, rest, comment);
+      }
+    }
+
+    return goMod;
+  }
+
+  addGoModEntry(goMod, verb, entry, comment) {
+    const tokens = entry.replace(/"/g, '').split(/\s+/);
+
+    switch (verb) {
+      case 'require':
+        if (tokens.length >= 2) {
+          goMod.require.push({
+            path: tokens[0],
+            version: tokens[1],
+            indirect: /(^|;\s*)indirect\b/.test(comment)
+          });
+        }
+        break;
+      case 'exclude':
+        goMod.exclude.push({ path: tokens[0], version: tokens[1] });
+        break;
+      case 'replace': {
+        const arrow = tokens.indexOf('=>');
+        if (arrow > 0) {
+          const [from, fromVersion] = tokens.slice(0, arrow);
+          const [to, toVersion] = tokens.slice(arrow + 1);
+          goMod.replace.push({ from, fromVersion: fromVersion || null, to, toVersion: toVersion || null });
+        }
+        break;
+      }
+      default:
+        // retract, tool, godebug and friends carry no dependency information
+        break;
+    }
+  }
+
   async parseCsproj(filePath) {
     const content = fs.readFileSync(filePath, 'utf8');
     const dependencies = [];
@@ -405,6 +1466,427 @@ class DependencyScanner {
 
     return dependencies;
   }
+
+  async parsePipfile(filePath) {
+    const content = TOML.parse(fs.readFileSync(filePath, 'utf8'));
+    const dependencies = [];
+
+    for (const [section, isDevDependency] of [['packages', false], ['dev-packages', true]]) {
+      for (const [name, spec] of Object.entries(content[section] || {})) {
+        const version = typeof spec === 'string' ? spec : (spec.version || spec.ref || '*');
+        let source = 'pypi';
+        if (typeof spec === 'object' && spec.git) {
+          source = 'git';
+        } else if (typeof spec === 'object' && (spec.path || spec.file)) {
+          source = 'path';
+        }
+
+        dependencies.push({
+          ecosystem: 'pypi',
+          name,
+          version,
+          source,
+          manifestPath: filePath,
+          isDevDependency
+        });
+      }
+    }
+
+    return dependencies;
+  }
+
+  async parsePackageLock(filePath) {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const dependencies = [];
+    const seen = new Map();
+
+    const addEntry = (name, entry, relationship, importers) => {
+      const key = `${name}@${entry.version}`;
+      if (!entry.version) {
+        return;
+      }
+      if (seen.has(key)) {
+        const existing = seen.get(key);
+        if (importers) {
+          existing.importers = [...new Set([...(existing.importers || []), ...importers])];
+        }
+        return;
+      }
+
+      const dependency = {
+        ecosystem: 'npm',
+        name,
+        version: entry.version,
+        source: 'registry',
+        manifestPath: filePath,
+        isDevDependency: Boolean(entry.dev),
+        relationship,
+        ...(importers && { importers })
+      };
+      seen.set(key, dependency);
+      dependencies.push(dependency);
+    };
+
+    if (content.packages) {
+      // lockfileVersion 2/3: flat map keyed by install path. The root package ('') and
+      // workspace members (e.g. packages/a) are the only keys outside node_modules.
+      const importersByKey = new Map();
+      for (const [importer, entry] of Object.entries(content.packages)) {
+        if (importer.includes('node_modules/')) {
+          continue;
+        }
+        for (const name of Object.keys({
+          ...entry.dependencies,
+          ...entry.devDependencies,
+          ...entry.optionalDependencies,
+          ...entry.peerDependencies
+        })) {
+          // Node resolution: the member's own node_modules, then the hoisted copy at the root
+          const nested = importer && `${importer}/node_modules/${name}`;
+          const key = nested && content.packages[nested] ? nested : `node_modules/${name}`;
+          importersByKey.set(key, [...(importersByKey.get(key) || []), importer]);
+        }
+      }
+
+      // Shallowest install paths first so hoisted copies win over nested ones
+      const entries = Object.entries(content.packages)
+        .filter(([key, entry]) => key.includes('node_modules/') && !entry.link)
+        .sort(([a], [b]) => a.split('node_modules/').length - b.split('node_modules/').length);
+
+      for (const [key, entry] of entries) {
+        const marker = key.lastIndexOf('node_modules/');
+        const name = key.slice(marker + 'node_modules/'.length);
+        const importers = importersByKey.get(key) || [];
+        addEntry(name, entry, importers.length > 0 ? 'direct' : 'transitive', importers);
+      }
+    } else if (content.dependencies) {
+      // lockfileVersion 1: nested dependency tree
+      const walk = (deps) => {
+        for (const [name, entry] of Object.entries(deps)) {
+          addEntry(name, entry, 'transitive');
+          if (entry.dependencies) {
+            walk(entry.dependencies);
+          }
+        }
+      };
+      walk(content.dependencies);
+    }
+
+    return dependencies;
+  }
+
+  async parseYarnLock(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const entries = [];
+    let current = null;
+
+    // Handles both the classic (v1) format and the YAML-based Berry format
+    for (const line of content.split('\n')) {
+      if (!line.trim() || line.startsWith('#')) {
+        continue;
+      }
+
+      if (!line.startsWith(' ')) {
+        // Entry header: comma-separated "name@range" specifiers
+        current = { name: null, version: null, specifiers: [] };
+        const specs = line.replace(/:\s*$/, '').split(',').map(spec => spec.trim().replace(/^"|"$/g, ''));
+
+        for (const spec of specs) {
+          const at = spec.indexOf('@', 1);
+          if (at === -1) {
+            continue;
+          }
+          const range = spec.slice(at + 1).replace(/^npm:/, '');
+          if (/^(workspace|patch|link|portal|file):/.test(range)) {
+            continue;
+          }
+          current.name = spec.slice(0, at);
+          current.specifiers.push(range);
+        }
+
+        if (current.name) {
+          entries.push(current);
+        }
+        continue;
+      }
+
+      const versionMatch = line.match(/^ {2}version:?\s+"?([^"\s]+)"?/);
+      if (current && versionMatch) {
+        current.version = versionMatch[1];
+      }
+    }
+
+    const byKey = new Map();
+    for (const entry of entries) {
+      if (!entry.version) {
+        continue;
+      }
+      const key = `${entry.name}@${entry.version}`;
+      if (byKey.has(key)) {
+        byKey.get(key).specifiers.push(...entry.specifiers);
+        continue;
+      }
+      byKey.set(key, {
+        ecosystem: 'npm',
+        name: entry.name,
+        version: entry.version,
+        source: 'registry',
+        manifestPath: filePath,
+        isDevDependency: false,
+        relationship: 'transitive',
+        specifiers: entry.specifiers
+      });
+    }
+
+    return [...byKey.values()];
+  }
+
+  /**
+   * pnpm-lock.yaml, lockfile versions 5 to 9. Packages are keyed
+   * /name/1.0.0 (v5), /name@1.0.0 (v6) or name@1.0.0 (v9), with peer
+   * suffixes (_peer@1.0.0 or (peer@1.0.0)); each importer (workspace
+   * directory, "." for the root) lists the versions it depends on directly.
+   */
+  async parsePnpmLock(filePath) {
+    const content = YAML.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    const byKey = new Map();
+
+    // Links, tarballs and git dependencies have no registry version
+    const cleanVersion = (version) => {
+      const cleaned = String(version).replace(/[_(].*$/, '');
+      return semver.valid(cleaned) ? cleaned : null;
+    };
+
+    for (const [key, details] of Object.entries(content.packages || {})) {
+      const match = /^\/?((?:@[^/@]+\/)?[^/@]+)@([^(]+)/.exec(key) || /^\/((?:@[^/]+\/)?[^/]+)\/([^/_(]+)/.exec(key);
+      const version = match && cleanVersion(match[2]);
+      if (!version || byKey.has(`${match[1]}@${version}`)) {
+        continue;
+      }
+      byKey.set(`${match[1]}@${version}`, {
+        ecosystem: 'npm',
+        name: match[1],
+        version,
+        source: 'registry',
+        manifestPath: filePath,
+        isDevDependency: (details && details.dev) === true,
+        relationship: 'transitive',
+        // v9 lockfiles no longer mark dev-only packages
+        devKnown: Boolean(details && typeof details.dev === 'boolean')
+      });
+    }
+
+    // Lockfiles before v9 without workspaces keep the root importer at the top level
+    const importers = content.importers || { '.': content };
+    for (const [directory, importer] of Object.entries(importers)) {
+      const name = directory === '.' ? '' : directory.replace(/^\.\//, '');
+
+      for (const section of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+        for (const [depName, entry] of Object.entries((importer && importer[section]) || {})) {
+          // v5 maps names to versions; v6 and later to { specifier, version }
+          const version = cleanVersion(entry && typeof entry === 'object' ? entry.version : entry);
+          if (!version) {
+            continue;
+          }
+
+          const key = `${depName}@${version}`;
+          if (!byKey.has(key)) {
+            byKey.set(key, {
+              ecosystem: 'npm',
+              name: depName,
+              version,
+              source: 'registry',
+              manifestPath: filePath,
+              isDevDependency: section === 'devDependencies',
+              relationship: 'direct',
+              devKnown: true
+            });
+          }
+
+          const dependency = byKey.get(key);
+          if (!dependency.devKnown) {
+            // Dev-only unless some importer also depends on it for production
+            dependency.isDevDependency = (!dependency.importers || dependency.isDevDependency) && section === 'devDependencies';
+          }
+          dependency.relationship = 'direct';
+          dependency.importers = [...new Set([...(dependency.importers || []), name])];
+        }
+      }
+    }
+
+    return [...byKey.values()].map(({ devKnown, ...dependency }) => dependency);
+  }
+
+  async parsePipfileLock(filePath) {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const dependencies = [];
+
+    for (const [section, isDevDependency] of [['default', false], ['develop', true]]) {
+      for (const [name, entry] of Object.entries(content[section] || {})) {
+        let source = 'pypi';
+        if (entry.git) {
+          source = 'git';
+        } else if (entry.path || entry.file) {
+          source = 'path';
+        }
+
+        dependencies.push({
+          ecosystem: 'pypi',
+          name,
+          version: entry.version ? entry.version.replace(/^==/, '') : (entry.ref || '*'),
+          source,
+          manifestPath: filePath,
+          isDevDependency,
+          relationship: 'transitive'
+        });
+      }
+    }
+
+    return dependencies;
+  }
+
+  async parseCargoLock(filePath) {
+    const content = TOML.parse(fs.readFileSync(filePath, 'utf8'));
+    const packages = content.package || [];
+    const dependencies = [];
+
+    // Packages without a source are the workspace's own crates
+    const directNames = new Set(
+      packages
+        .filter(pkg => !pkg.source)
+        .flatMap(pkg => (pkg.dependencies || []).map(dep => dep.split(' ')[0]))
+    );
+
+    for (const pkg of packages) {
+      if (!pkg.source) {
+        continue;
+      }
+
+      dependencies.push({
+        ecosystem: 'rust',
+        name: pkg.name,
+        version: pkg.version,
+        source: pkg.source.startsWith('git+') ? 'git' : 'crates.io',
+        manifestPath: filePath,
+        isDevDependency: false,
+        relationship: directNames.has(pkg.name) ? 'direct' : 'transitive'
+      });
+    }
+
+    return dependencies;
+  }
+
+  async parseGemfileLock(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const sources = { GEM: 'rubygems.org', GIT: 'git', PATH: 'path' };
+    const specs = [];
+    const directNames = new Set();
+    let section = null;
+    let inSpecs = false;
+
+    for (const line of content.split('\n')) {
+      if (/^[A-Z]/.test(line)) {
+        section = line.trim();
+        inSpecs = false;
+        continue;
+      }
+
+      if (section === 'DEPENDENCIES') {
+        const depMatch = line.match(/^ {2}([^\s!]+)/);
+        if (depMatch) {
+          directNames.add(depMatch[1]);
+        }
+        continue;
+      }
+
+      if (line.trim() === 'specs:') {
+        inSpecs = true;
+        continue;
+      }
+
+      // Resolved specs sit at four spaces; their own requirements are indented further
+      const specMatch = inSpecs && line.match(/^ {4}([^\s(]+) \(([^)]+)\)\s*$/);
+      if (specMatch && sources[section]) {
+        specs.push({
+          name: specMatch[1],
+          // Drop platform suffixes such as 1.13.10-x86_64-linux
+          version: specMatch[2].replace(/-(x86|x64|arm|aarch64|universal|java|mingw|mswin|darwin|linux).*$/, ''),
+          source: sources[section]
+        });
+      }
+    }
+
+    const seen = new Set();
+    return specs
+      .filter(spec => {
+        const key = `${spec.name}@${spec.version}`;
+        return !seen.has(key) && seen.add(key);
+      })
+      .map(spec => ({
+        ecosystem: 'ruby',
+        name: spec.name,
+        version: spec.version,
+        source: spec.source,
+        manifestPath: filePath,
+        isDevDependency: false,
+        relationship: directNames.has(spec.name) ? 'direct' : 'transitive'
+      }));
+  }
+
+  async parseGoSum(filePath) {
+    // go.mod pins exact versions and cross-checks go.sum itself
+    if (fs.existsSync(path.join(path.dirname(filePath), 'go.mod'))) {
+      return [];
+    }
+
+    return [...this.readGoSum(filePath).highest].map(([name, version]) => ({
+      ecosystem: 'go',
+      name,
+      version,
+      source: 'goproxy',
+      manifestPath: filePath,
+      isDevDependency: false,
+      relationship: 'transitive',
+      locked: true
+    }));
+  }
+
+  readGoSum(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const entries = new Set();
+    const highest = new Map();
+
+    for (const line of content.split('\n')) {
+      const [name, rawVersion] = line.trim().split(/\s+/);
+      if (!name || !rawVersion) {
+        continue;
+      }
+
+      const version = rawVersion.replace(/\/go\.mod$/, '');
+      entries.add(`${name}@${version}`);
+
+      // "/go.mod" lines only pin the module's go.mod, not a build dependency
+      if (rawVersion.endsWith('/go.mod')) {
+        continue;
+      }
+
+      const current = highest.get(name);
+      if (!current || this.compareGoVersions(version, current) > 0) {
+        highest.set(name, version);
+      }
+    }
+
+    return { entries, highest };
+  }
+
+  compareGoVersions(a, b) {
+    const left = semver.valid(a, { loose: true });
+    const right = semver.valid(b, { loose: true });
+    if (left && right) {
+      return semver.compare(left, right);
+    }
+    return a.localeCompare(b);
+  }
 }
 
 module.exports = DependencyScanner;
@@ -1,12 +1,25 @@
 const axios = require('axios');
+const PackageUrl = require('./PackageUrl');
+const RepositoryUrl = require('./RepositoryUrl');
 
 class DocumentationCrawler {
   constructor(options = {}) {
     this.logger = options.logger;
-    this.firecrawlApiKey = process.env.FIRECRAWL_API_KEY;
+    this.http = options.http || axios;
+    this.timeout = options.timeout || 10000;
+    this.contentLimit = options.contentLimit || 5000;
+    this.retries = options.retries || 3;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 2000;
+    this.userAgent = options.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    this.registryUserAgent = options.registryUserAgent || 'DocumentationMapper/1.0';
+    this.npmRegistry = (options.registries && options.registries.npm) || 'https://registry.npmjs.org';
+    this.registryConfig = options.registryConfig || null;
+    // Firecrawl is a live service; offline and snapshot runs use the basic fetch so pages can be replayed
+    const firecrawl = options.firecrawl || {};
+    this.firecrawlApiKey = options.firecrawl === false ? null : (firecrawl.apiKey || process.env.FIRECRAWL_API_KEY);
     // Allow configurable Firecrawl base URL for local instances
-    this.firecrawlBaseUrl = process.env.FIRECRAWL_BASE_URL || 'https://api.firecrawl.dev';
-    this.cache = new Map();
+    this.firecrawlBaseUrl = firecrawl.baseUrl || process.env.FIRECRAWL_BASE_URL || 'https://api.firecrawl.dev';
+    this.firecrawlTimeout = firecrawl.timeout || 30000;
   }
 
   async delay(ms) {
@@ -14,12 +27,7 @@ class DocumentationCrawler {
   }
 
   async crawlDocumentation(dependency) {
-    const { ecosystem, name, version, source } = dependency;
-    const cacheKey = `${ecosystem}:${name}:${version}`;
-
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
-    }
+    const { name, version } = PackageUrl.canonicalize(dependency);
 
     try {
       let documentation = {};
@@ -32,7 +40,6 @@ class DocumentationCrawler {
         documentation = await this.fetchBasicDocumentation(dependency);
       }
 
-      this.cache.set(cacheKey, documentation);
       return documentation;
 
     } catch (error) {
@@ -55,7 +62,7 @@ class DocumentationCrawler {
     }
 
     try {
-      const response = await axios.post(`${this.firecrawlBaseUrl}/v1/scrape`, {
+      const response = await this.http.post(`${this.firecrawlBaseUrl}/v1/scrape`, {
         url: docUrl,
         formats: ['markdown'],
         onlyMainContent: true
@@ -64,7 +71,7 @@ class DocumentationCrawler {
           'Authorization': `Bearer ${this.firecrawlApiKey}`,
           'Content-Type': 'application/json'
         },
-        timeout: 30000
+        timeout: this.firecrawlTimeout
       });
 
       if (response.data.success) {
@@ -93,12 +100,12 @@ class DocumentationCrawler {
     }
 
     // Retry logic for rate limiting
-    for (let attempt = 1; attempt <= 3; attempt++) {
+    for (let attempt = 1; attempt <= this.retries; attempt++) {
       try {
-        const response = await axios.get(docUrl, {
-          timeout: 10000,
+        const response = await this.http.get(docUrl, {
+          timeout: this.timeout,
           headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+            'User-Agent': this.userAgent,
             'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
             'Accept-Language': 'en-US,en;q=0.5',
             'Accept-Encoding': 'gzip, deflate, br',
@@ -117,17 +124,17 @@ class DocumentationCrawler {
 
         return {
           url: docUrl,
-          content: content.substring(0, 5000), // Limit content length
+          content: content.substring(0, this.contentLimit), // Limit content length
           crawled_at: new Date().toISOString(),
           source: 'basic_fetch',
           note: 'Basic HTML text extraction - consider using Firecrawl API for better results'
         };
 
       } catch (error) {
-        if (error.response && error.response.status === 403 && attempt < 3) {
+        if (error.response && error.response.status === 403 && attempt < this.retries) {
           // Wait longer between retries for 403 errors
-          this.logger.warn(`403 error on attempt ${attempt} for ${name}@${version}, retrying in ${attempt * 2} seconds...`);
-          await this.delay(attempt * 2000);
+          this.logger.warn(`403 error on attempt ${attempt} for ${name}@${version}, retrying in ${(attempt * this.retryDelay) / 1000} seconds...`);
+          await this.delay(attempt * this.retryDelay);
           continue;
         }
 
@@ -141,26 +148,32 @@ class DocumentationCrawler {
   }
 
   async getDocumentationUrl(dependency) {
-    const { ecosystem, name, version } = dependency;
+    const { ecosystem, name, version, source } = PackageUrl.canonicalize(dependency);
+
+    // Unpublished dependencies: only a hosted git repository has anything to crawl
+    if (['git', 'path', 'url'].includes(source)) {
+      const repositoryUrl = source === 'git' ? RepositoryUrl.normalize(dependency.url) : null;
+      return repositoryUrl && /^https?:\/\//.test(repositoryUrl) ? repositoryUrl : null;
+    }
 
     switch (ecosystem) {
       case 'npm':
         // Try to get GitHub repository URL from npm registry
         try {
-          const registryUrl = `https://registry.npmjs.org/${encodeURIComponent(name)}`;
-          const response = await axios.get(registryUrl, {
-            timeout: 5000,
+          const registry = this.registryConfig ? this.registryConfig.getRegistries('npm', name, this.npmRegistry)[0] : this.npmRegistry;
+          const registryUrl = `${registry}/${encodeURIComponent(name)}`;
+          const response = await this.http.get(registryUrl, {
+            timeout: this.timeout,
             headers: {
-              'User-Agent': 'DocumentationMapper/1.0',
+              'User-Agent': this.registryUserAgent,
               'Accept': 'application/json'
             }
           });
 
           if (response.data && response.data.repository && response.data.repository.url) {
-            let repoUrl = response.data.repository.url;
-            // Convert git+https://github.com/user/repo.git to https://github.com/user/repo
-            repoUrl = repoUrl.replace(/^git\+/, '').replace(/\.git$/, '');
-            if (repoUrl.includes('github.com')) {
+            // git+https://github.com/user/repo.git becomes https://github.com/user/repo
+            const repoUrl = RepositoryUrl.normalize(response.data.repository.url);
+            if (repoUrl && repoUrl.startsWith('https://github.com/')) {
               return repoUrl;
             }
           }
@@ -171,25 +184,29 @@ class DocumentationCrawler {
         // Fallback to npm docs (but this might get 403)
         return `https://www.npmjs.com/package/${encodeURIComponent(name)}`;
 
-      case 'python':
       case 'pypi':
         return `https://pypi.org/project/${encodeURIComponent(name)}/${encodeURIComponent(version)}/`;
 
       case 'rust':
         return `https://docs.rs/${encodeURIComponent(name)}/${encodeURIComponent(version)}/`;
 
-      case 'java':
-        // For Maven, try Maven Central or project website
-        return `https://mvnrepository.com/artifact/${encodeURIComponent(name.replace(':', '/'))}/${encodeURIComponent(version)}`;
+      case 'java': {
+        const { namespace: groupId, name: artifactId } = PackageUrl.fromDependency(dependency);
+        if (!groupId) {
+          return null;
+        }
+        return `https://mvnrepository.com/artifact/${encodeURIComponent(groupId)}/${encodeURIComponent(artifactId)}/${encodeURIComponent(version)}`;
+      }
 
       case 'ruby':
         return `https://rubygems.org/gems/${encodeURIComponent(name)}/versions/${encodeURIComponent(version)}`;
 
       case 'go':
         if (name.startsWith('github.com/')) {
-          return `https://${name}`;
+          // The repository is github.com/owner/repo; /v2 suffixes and subpackages live inside it
+          return `https://${name.split('/').slice(0, 3).join('/')}`;
         }
-        return `https://pkg.go.dev/${encodeURIComponent(name)}@${encodeURIComponent(version)}`;
+        return `https://pkg.go.dev/${name}@${encodeURIComponent(version)}`;
 
       case 'dotnet':
         return `https://www.nuget.org/packages/${encodeURIComponent(name)}/${encodeURIComponent(version)}`;
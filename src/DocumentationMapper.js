@@ -1,34 +1,103 @@
 const fs = require('fs');
 const path = require('path');
+const { execFileSync } = require('child_process');
+const axios = require('axios');
 const winston = require('winston');
 const Database = require('./Database');
 const DependencyScanner = require('./DependencyScanner');
 const PackageFetcher = require('./PackageFetcher');
 const DocumentationCrawler = require('./DocumentationCrawler');
+const VersionResolver = require('./VersionResolver');
+const RateLimiter = require('./RateLimiter');
+const HttpCache = require('./HttpCache');
+const RegistrySnapshot = require('./RegistrySnapshot');
+const RegistryConfig = require('./RegistryConfig');
+const ProgressReporter = require('./ProgressReporter');
+const ConfigLoader = require('./ConfigLoader');
+const ReportExporter = require('./ReportExporter');
+const SbomConverter = require('./SbomConverter');
+const PackageUrl = require('./PackageUrl');
+const OsvDatabase = require('./OsvDatabase');
+const ScanSchema = require('./ScanSchema');
+
+// Registry metadata stored per package: [field, SQLite column]
+const REGISTRY_FIELDS = [
+  ['license', 'license'],
+  ['repositoryUrl', 'repository_url'],
+  ['homepage', 'homepage'],
+  ['documentationUrl', 'documentation_url'],
+  ['authors', 'authors'],
+  ['keywords', 'keywords'],
+  ['publishedAt', 'published_at'],
+  ['latestVersion', 'latest_version'],
+  ['deprecated', 'deprecated'],
+  ['deprecationMessage', 'deprecation_message']
+];
 
 class DocumentationMapper {
   constructor(options = {}) {
-    this.dbType = options.dbType || 'sqlite';
-    this.configFile = options.configFile;
-    this.skipDocs = options.skipDocs || false;
+    // Fully resolved settings (defaults, config file, environment, CLI); see ConfigLoader
+    this.config = options.config || new ConfigLoader().load(options.configFile);
+    const { database, network, cache, crawler, scanner, registries } = this.config;
+
+    this.dbType = database.type;
+    this.skipDocs = !crawler.enabled;
+    this.scanOptions = {
+      include: scanner.include,
+      exclude: scanner.exclude,
+      maxDepth: scanner.maxDepth,
+      respectGitignore: scanner.respectGitignore
+    };
+    this.ecosystems = scanner.ecosystems;
+    this.concurrency = network.concurrency;
+    this.rateLimits = network.rateLimits;
+    this.cacheOptions = { ...cache, maxSize: cache.maxSize * 1024 * 1024 };
+    this.registries = Object.fromEntries(Object.entries(registries)
+      .filter(([, settings]) => settings.url)
+      .map(([ecosystem, settings]) => [ecosystem, settings.url.replace(/\/+$/, '')]));
+    this.offline = network.offline;
+    this.trustProjectConfig = network.trustProjectConfig;
+    this.snapshotDir = network.snapshotDir;
+    this.recordSnapshot = options.recordSnapshot || false;
+    // Refetch even when the stored row is fresh
+    this.force = options.force || false;
+    // Load the valid records of a scan file that has malformed ones
+    this.skipInvalid = options.skipInvalid || false;
+    this.refreshPolicy = this.config.refresh;
+    this.projectDir = options.projectDir || process.cwd();
     this.logger = this.setupLogger();
     this.database = null;
     this.scanner = null;
     this.fetcher = null;
     this.crawler = null;
+    this.resolver = null;
+    this.http = null;
+    this.httpCache = null;
+    this.snapshot = null;
+    this.registryConfig = null;
   }
 
   setupLogger() {
+    // Registry tokens and passwords must never reach the console or log file
+    const redactSecrets = winston.format((info) => {
+      if (this.registryConfig) {
+        info.message = this.registryConfig.redact(info.message);
+      }
+      return info;
+    });
+
     return winston.createLogger({
       level: 'info',
       format: winston.format.combine(
+        redactSecrets(),
         winston.format.timestamp(),
         winston.format.printf(({ timestamp, level, message }) => {
           return `${timestamp} [${level}]: ${message}`;
         })
       ),
       transports: [
-        new winston.transports.Console(),
+        // stdout is reserved for command output such as --json documents
+        new winston.transports.Console({ stderrLevels: Object.keys(winston.config.npm.levels) }),
         new winston.transports.File({ filename: 'documentation-mapper.log' })
       ]
     });
@@ -36,18 +105,77 @@ class DocumentationMapper {
 
   async initialize() {
     this.logger.info('Initializing DocumentationMapper...');
+    if (this.config.file) {
+      this.logger.info(`Using configuration from ${this.config.file}`);
+    }
 
     // Initialize database
     this.database = new Database({
       type: this.dbType,
+      path: this.config.database.path,
+      mongodbUri: this.config.database.mongodbUri,
+      mongodbName: this.config.database.mongodbName,
+      autoMigrate: this.config.database.autoMigrate,
       logger: this.logger
     });
     await this.database.initialize();
 
     // Initialize components
-    this.scanner = new DependencyScanner({ logger: this.logger });
-    this.fetcher = new PackageFetcher({ logger: this.logger });
-    this.crawler = new DocumentationCrawler({ logger: this.logger });
+    this.scanner = new DependencyScanner({ logger: this.logger, ...this.scanOptions });
+    this.registryConfig = new RegistryConfig({
+      logger: this.logger,
+      projectDir: this.projectDir,
+      trustProject: this.trustProjectConfig
+    }).load();
+    this.http = this.registryConfig.attach(axios.create());
+    if (this.offline || this.recordSnapshot) {
+      this.snapshot = new RegistrySnapshot({ logger: this.logger, directory: this.snapshotDir });
+    }
+
+    if (this.offline) {
+      // Every response comes from the snapshot directory; nothing goes over the network
+      this.logger.info(`Offline mode: serving registry responses from ${this.snapshot.directory}`);
+      this.snapshot.replay(this.http);
+    } else {
+      // Shared HTTP client: cache lookups first, then per-host rate limiting for real requests
+      const rateLimiter = new RateLimiter({ logger: this.logger, limits: this.rateLimits });
+      rateLimiter.attach(this.http);
+      if (this.cacheOptions.enabled !== false) {
+        this.httpCache = new HttpCache({ logger: this.logger, ...this.cacheOptions, revalidate: this.force });
+        this.httpCache.attach(this.http);
+      }
+      if (this.recordSnapshot) {
+        this.logger.info(`Recording registry responses to ${this.snapshot.directory}`);
+        this.snapshot.record(this.http);
+      }
+    }
+
+    // Snapshot runs produce the requests that offline runs will replay, so both skip Firecrawl
+    const useFirecrawl = !this.offline && !this.recordSnapshot;
+    const { network, crawler } = this.config;
+    this.fetcher = new PackageFetcher({
+      logger: this.logger,
+      http: this.http,
+      timeout: network.timeout,
+      userAgent: network.userAgent,
+      // --registry wins over the primary registry from .npmrc / pip.conf
+      registries: { ...this.registryConfig.registries, ...this.registries },
+      registryConfig: this.registryConfig
+    });
+    this.crawler = new DocumentationCrawler({
+      logger: this.logger,
+      http: this.http,
+      registries: this.fetcher.registries,
+      registryConfig: this.registryConfig,
+      timeout: crawler.timeout,
+      contentLimit: crawler.contentLimit,
+      retries: crawler.retries,
+      retryDelay: crawler.retryDelay,
+      userAgent: crawler.userAgent,
+      registryUserAgent: network.userAgent,
+      firecrawl: useFirecrawl && crawler.firecrawl
+    });
+    this.resolver = new VersionResolver({ logger: this.logger, fetcher: this.fetcher });
 
     this.logger.info('DocumentationMapper initialized successfully');
   }
@@ -58,107 +186,558 @@ class DocumentationMapper {
     const content = fs.readFileSync(jsonFilePath, 'utf8');
     const data = JSON.parse(content);
 
-    if (!data.dependencies || !Array.isArray(data.dependencies)) {
-      throw new Error('Invalid JSON format: missing dependencies array');
+    const sbom = new SbomConverter({ logger: this.logger });
+    const format = sbom.detect(data);
+    if (format) {
+      this.logger.info(`Reading ${format === 'spdx' ? 'SPDX' : 'CycloneDX'} SBOM`);
+      const { scan, dependencies } = sbom.read(data, jsonFilePath);
+      this.scanInfo = {
+        ...scan,
+        path: path.resolve(jsonFilePath),
+        scanDate: scan.scanDate || fs.statSync(jsonFilePath).mtime.toISOString(),
+        source: path.resolve(jsonFilePath)
+      };
+      return dependencies;
     }
 
-    return data.dependencies.map(dep => ({
+    const records = this.validateScanFile(data, jsonFilePath);
+
+    // Dependency dumps describe one repository; fall back to the file name
+    const repo = data.repo || {};
+    this.scanInfo = {
+      project: repo.path ? this.getProjectName(repo.path) : path.basename(jsonFilePath, path.extname(jsonFilePath)),
+      path: repo.path || path.resolve(jsonFilePath),
+      commitHash: repo.commit_hash || null,
+      scanDate: repo.scan_date || fs.statSync(jsonFilePath).mtime.toISOString(),
+      source: path.resolve(jsonFilePath),
+      summary: data.scan_summary || null
+    };
+
+    return records.map(dep => ({
       ecosystem: dep.ecosystem,
       name: dep.dependency.name,
       version: dep.dependency.version,
       source: dep.dependency.source,
+      resolved: dep.dependency.resolved || null,
       manifestPath: dep.manifest_path,
-      isDevDependency: dep.metadata.dev_dependency
+      isDevDependency: dep.metadata.dev_dependency,
+      lineNumber: dep.metadata.line_number === undefined ? null : dep.metadata.line_number,
+      scriptSection: dep.metadata.script_section === undefined ? null : dep.metadata.script_section,
+      riskScore: dep.risk_score === undefined ? null : dep.risk_score,
+      signals: dep.signals || []
     }));
   }
 
+  /**
+   * The records of a dependency scan file that match its schema version.
+   * Malformed records reject the file, each listed with its problems, unless
+   * skipInvalid is set; then they are skipped with a warning.
+   */
+  validateScanFile(data, file) {
+    const schema = new ScanSchema();
+    const { version, errors, invalid } = schema.validate(data);
+    if (errors.length > 0) {
+      throw new Error(`Invalid dependency scan ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    const problems = [...invalid].map(([index, messages]) => `${schema.describe(data.dependencies[index], index)}: ${messages.join('; ')}`);
+    if (problems.length > 0 && !this.skipInvalid) {
+      throw new Error(`Invalid dependency scan ${file} (schema version ${version}): ${problems.length} malformed record${problems.length === 1 ? '' : 's'}\n` +
+        `${problems.map(problem => `  - ${problem}`).join('\n')}\nUse --skip-invalid to load the remaining records`);
+    }
+    problems.forEach(problem => this.logger.warn(`Skipping ${problem}`));
+    return data.dependencies.filter((record, index) => !invalid.has(index));
+  }
+
   async scanRepository(repoPath) {
     this.logger.info(`Scanning repository: ${repoPath}`);
+    this.scanInfo = {
+      project: this.getProjectName(path.resolve(repoPath)),
+      path: path.resolve(repoPath),
+      commitHash: this.getCommitHash(repoPath),
+      scanDate: new Date().toISOString(),
+      source: path.resolve(repoPath)
+    };
+
     return await this.scanner.scan(repoPath);
   }
 
-  async processDependencies(dependencies) {
-    this.logger.info(`Processing ${dependencies.length} dependencies`);
-
-    const results = [];
-
-    for (const dep of dependencies) {
-      try {
-        this.logger.info(`Processing ${dep.ecosystem}/${dep.name}@${dep.version}`);
-
-        // Skip workspace packages (internal monorepo packages)
-        if (dep.version === 'workspace:*' || dep.version?.includes('workspace:')) {
-          this.logger.info(`Skipping workspace package: ${dep.name}@${dep.version}`);
-          results.push({
-            ecosystem: dep.ecosystem,
-            name: dep.name,
-            version: dep.version,
-            description: `Internal workspace package: ${dep.name}`,
-            documentation: { note: 'Workspace package - no external documentation available' },
-            source: dep.source,
-            manifestPath: dep.manifestPath,
-            isDevDependency: dep.isDevDependency,
-            lastUpdated: new Date().toISOString()
-          });
-          continue;
-        }
+  // Scan files may come from Windows machines (e.g. "F:\cal.com")
+  getProjectName(projectPath) {
+    return path.posix.basename(projectPath.replace(/\\/g, '/').replace(/\/+$/, '')) || projectPath;
+  }
 
-        // Check if already exists in database
-        const existing = await this.database.getPackageDocumentation(dep.name, dep.version, dep.ecosystem);
-        if (existing) {
-          this.logger.info(`Documentation already exists for ${dep.name}@${dep.version}`);
-          results.push(existing);
-          continue;
-        }
+  getCommitHash(repoPath) {
+    try {
+      return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: repoPath, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async processDependencies(allDependencies) {
+    const canonical = allDependencies.map(dep => PackageUrl.canonicalize(dep));
+    const dependencies = canonical.filter(dep => this.ecosystems.includes(dep.ecosystem));
+    const skipped = canonical.filter(dep => !this.ecosystems.includes(dep.ecosystem));
+    if (skipped.length > 0) {
+      this.logger.info(`Skipping ${skipped.length} dependencies from ecosystems not enabled in scanner.ecosystems`);
+    }
 
-        // Fetch package description
-        const description = await this.fetcher.fetchDescription(dep);
+    this.logger.info(`Processing ${dependencies.length} dependencies with concurrency ${this.concurrency}`);
 
-        // Crawl documentation (skip if disabled)
-        let documentation = { note: 'Documentation fetching disabled' };
-        if (!this.skipDocs) {
-          documentation = await this.crawler.crawlDocumentation(dep);
-        }
+    // Scans (unlike refreshes) record which manifests use each package
+    if (this.scanInfo) {
+      this.scanId = await this.database.recordScan(this.scanInfo);
+      this.logger.info(`Recording scan of ${this.scanInfo.project}${this.scanInfo.commitHash ? ` at ${this.scanInfo.commitHash}` : ''}`);
+      // Still part of what the project declared, so "what did it use at commit X" stays complete
+      for (const dep of skipped) {
+        await this.recordUsage(dep);
+      }
+    }
 
-        // Store in database
-        const packageData = {
+    const results = new Array(dependencies.length);
+    const progress = new ProgressReporter({ total: dependencies.length, logger: this.logger });
+    let next = 0;
+
+    // Each worker pulls the next dependency; per-host rate limits are enforced by the HTTP client
+    const worker = async () => {
+      while (next < dependencies.length) {
+        const index = next++;
+        results[index] = await this.processDependency(dependencies[index]);
+        progress.tick(Boolean(results[index].error));
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.concurrency, dependencies.length) }, worker);
+    await Promise.all(workers);
+    progress.done();
+
+    if (this.httpCache) {
+      const { hits, misses, revalidated } = this.httpCache.stats;
+      this.logger.info(`HTTP cache: ${hits} hits, ${revalidated} revalidated, ${misses} fetched`);
+    }
+    if (this.snapshot) {
+      const { recorded, replayed, missing } = this.snapshot.stats;
+      this.logger.info(this.offline
+        ? `Snapshot: ${replayed} responses replayed, ${missing} not found`
+        : `Snapshot: ${recorded} responses recorded`);
+    }
+
+    return results;
+  }
+
+  async processDependency(declared) {
+    let dep = declared;
+
+    // Every declared dependency is recorded in the scan, including workspace packages and failures
+    try {
+      this.logger.info(`Processing ${dep.ecosystem}/${dep.name}@${dep.version}`);
+
+      // Skip workspace packages (internal monorepo packages)
+      if (dep.version === 'workspace:*' || dep.version?.includes('workspace:')) {
+        this.logger.info(`Skipping workspace package: ${dep.name}@${dep.version}`);
+        return {
           ecosystem: dep.ecosystem,
           name: dep.name,
           version: dep.version,
+          description: `Internal workspace package: ${dep.name}`,
+          documentation: { note: 'Workspace package - no external documentation available' },
           source: dep.source,
-          description: description,
-          documentation: documentation,
           manifestPath: dep.manifestPath,
           isDevDependency: dep.isDevDependency,
           lastUpdated: new Date().toISOString()
         };
+      }
 
-        await this.database.storePackage(packageData);
-        results.push(packageData);
+      // Resolve declared ranges (^1.2.0, >=2.0, ~> 7.0) to a concrete published version
+      dep = await this.resolver.resolve(dep);
 
-        this.logger.info(`Successfully processed ${dep.name}@${dep.version}`);
+      // Reuse stored documentation until it goes stale; forced and snapshot runs fetch everything
+      const existing = await this.database.getPackageDocumentation(dep.name, dep.version, dep.ecosystem);
+      if (existing) {
+        const reason = this.force || this.recordSnapshot ? 'forced refresh' : this.getRefreshReason(existing);
+        if (!reason) {
+          this.logger.info(`Documentation already exists for ${dep.name}@${dep.version}`);
+          return existing;
+        }
+        this.logger.info(`Refreshing ${dep.name}@${dep.version}: ${reason}`);
+      }
 
-        // Add randomized delay to be respectful to APIs (200-500ms)
-        const delay = 200 + Math.random() * 300;
-        await this.delay(delay);
+      // Fetch package description, license, links and the rest of the registry record
+      const info = await this.fetcher.fetchPackageInfo(dep);
 
-      } catch (error) {
-        this.logger.error(`Failed to process ${dep.name}@${dep.version}: ${error.message}`);
-        results.push({
-          ecosystem: dep.ecosystem,
-          name: dep.name,
-          version: dep.version,
-          error: error.message
-        });
+      // Crawl documentation (skip if disabled)
+      let documentation = { note: 'Documentation fetching disabled' };
+      if (!this.skipDocs) {
+        documentation = await this.crawler.crawlDocumentation(dep);
       }
+
+      // Store in database
+      const packageData = {
+        ecosystem: dep.ecosystem,
+        name: dep.name,
+        version: dep.version,
+        purl: PackageUrl.identify(dep),
+        declaredVersion: dep.declaredVersion || dep.version,
+        relationship: dep.relationship,
+        scope: dep.scope,
+        source: dep.source,
+        description: info.description,
+        documentation: documentation,
+        manifestPath: dep.manifestPath,
+        metadata: this.getDependencyMetadata(dep),
+        ...this.getRegistryMetadata(info, dep, existing),
+        isDevDependency: dep.isDevDependency,
+        lastUpdated: new Date().toISOString()
+      };
+      // Consecutive failures drive the retry backoff; any success resets it
+      packageData.failureCount = this.isFailedRow(packageData) ? this.getFailureCount(existing) + 1 : 0;
+
+      await this.database.storePackage(packageData);
+
+      this.logger.info(`Successfully processed ${dep.name}@${dep.version}`);
+      return packageData;
+
+    } catch (error) {
+      this.logger.error(`Failed to process ${dep.name}@${dep.version}: ${error.message}`);
+      return {
+        ecosystem: dep.ecosystem,
+        name: dep.name,
+        version: dep.version,
+        error: error.message
+      };
+    } finally {
+      await this.recordUsage(dep);
+    }
+  }
+
+  async recordUsage(dep) {
+    if (this.scanId === undefined) {
+      return;
+    }
+    try {
+      await this.database.recordUsage(this.scanId, dep);
+    } catch (error) {
+      this.logger.error(`Failed to record usage of ${dep.ecosystem}/${dep.name}@${dep.version}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Why a stored row should be fetched again, or null while it is still fresh.
+   * Failed rows are retried with exponential backoff (retryBackoff minutes,
+   * doubling per consecutive failure) until maxRetries is reached; every row
+   * is refetched once it is older than its ecosystem's maxAge (days).
+   */
+  getRefreshReason(row) {
+    const policy = this.refreshPolicy;
+    const ecosystem = PackageUrl.normalizeEcosystem(row.ecosystem);
+    const ecosystemMaxAge = policy.ecosystems[ecosystem] ? policy.ecosystems[ecosystem].maxAge : null;
+    const maxAge = (ecosystemMaxAge !== null ? ecosystemMaxAge : policy.maxAge) * 24 * 60 * 60 * 1000;
+    const age = Date.now() - new Date(row.last_updated || row.lastUpdated).getTime();
+
+    if (Number.isNaN(age)) {
+      return 'no last update time recorded';
     }
 
+    if (policy.retryFailed && this.isFailedRow(row)) {
+      // Rows stored before failures were counted have failed at least once
+      const failures = Math.max(1, this.getFailureCount(row));
+      if (failures <= policy.maxRetries) {
+        const backoff = Math.min(maxAge, policy.retryBackoff * 60 * 1000 * 2 ** (failures - 1));
+        return age >= backoff ? `retrying after ${failures} failed attempt${failures === 1 ? '' : 's'}` : null;
+      }
+    }
+
+    return age >= maxAge ? `last updated ${Math.floor(age / (24 * 60 * 60 * 1000))} days ago` : null;
+  }
+
+  isFailedRow(row) {
+    const description = row.description || '';
+    const documentation = row.documentation || {};
+    return description.startsWith('Failed to fetch description') || Boolean(documentation.error);
+  }
+
+  getFailureCount(row) {
+    if (!row) {
+      return 0;
+    }
+    return Number(row.failure_count !== undefined ? row.failure_count : row.failureCount) || 0;
+  }
+
+  /**
+   * Stored rows (from any earlier scan) that are due for a refresh, with the reason.
+   */
+  async findStalePackages(filters = {}) {
+    const rows = await this.database.queryPackages(this.normalizeFilters(filters));
+    return rows
+      .map(row => ({ row, reason: this.force ? 'forced refresh' : this.getRefreshReason(row) }))
+      .filter(entry => entry.reason);
+  }
+
+  /**
+   * Compare stored packages (or those in a project's latest scan) with what
+   * their registries publish now: the latest stable release, how far behind
+   * the stored version is, how old it is, and whether it was deprecated or
+   * yanked.
+   */
+  async findOutdated(filters = {}) {
+    const rows = await this.database.queryPackages(this.normalizeFilters(filters));
+    const results = new Array(rows.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < rows.length) {
+        const index = next++;
+        results[index] = await this.checkOutdated(rows[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, rows.length) }, worker));
     return results;
   }
 
+  async checkOutdated(row) {
+    const dep = this.rowToDependency(row);
+    const result = {
+      ecosystem: dep.ecosystem,
+      name: dep.name,
+      version: dep.version,
+      isDevDependency: dep.isDevDependency,
+      latest: null,
+      update: null,
+      behind: null,
+      publishedAt: null,
+      ageDays: null,
+      deprecated: false,
+      deprecationMessage: null,
+      error: null
+    };
+    if (['git', 'path', 'url'].includes(dep.source)) {
+      result.error = `Unpublished ${dep.source} dependency`;
+      return result;
+    }
+
+    const [info, versions] = await Promise.all([
+      this.fetcher.fetchPackageInfo(dep),
+      this.fetcher.fetchVersions(dep).catch(error => error)
+    ]);
+    // Metadata from the last successful fetch stands in when the registry is unreachable
+    const metadata = this.getRegistryMetadata(info, dep, row);
+    Object.assign(result, {
+      publishedAt: metadata.publishedAt || null,
+      deprecated: Boolean(metadata.deprecated),
+      deprecationMessage: metadata.deprecationMessage || null
+    });
+    if (result.publishedAt) {
+      result.ageDays = Math.floor((Date.now() - new Date(result.publishedAt).getTime()) / (24 * 60 * 60 * 1000));
+    }
+
+    if (versions instanceof Error) {
+      // Without the version list only the kind of update is known
+      const comparison = metadata.latestVersion && this.resolver.compareToLatest(dep.ecosystem, dep.version, [metadata.latestVersion]);
+      Object.assign(result, {
+        latest: metadata.latestVersion || null,
+        update: comparison ? comparison.update : null,
+        error: versions.message
+      });
+      return result;
+    }
+
+    const comparison = this.resolver.compareToLatest(dep.ecosystem, dep.version, versions);
+    if (comparison) {
+      Object.assign(result, comparison);
+    } else {
+      result.latest = metadata.latestVersion || null;
+      result.error = `Cannot compare version "${dep.version}"`;
+    }
+    return result;
+  }
+
+  /**
+   * Rebuild the dependency a stored row came from, so it can be refreshed
+   * without the original scan input.
+   */
+  rowToDependency(row) {
+    return {
+      ...(row.metadata || {}),
+      ecosystem: row.ecosystem,
+      name: row.name,
+      version: row.version,
+      declaredVersion: row.declared_version || row.declaredVersion,
+      relationship: row.relationship,
+      scope: row.scope,
+      source: row.source,
+      manifestPath: row.manifest_path || row.manifestPath,
+      isDevDependency: Boolean(row.is_dev_dependency || row.isDevDependency),
+      // Refresh the stored version itself rather than re-resolving its range
+      locked: true
+    };
+  }
+
+  getDependencyMetadata(dep) {
+    // Parser-specific details that have no dedicated column
+    const metadata = {};
+    for (const key of ['group', 'extras', 'marker', 'url', 'editable', 'replaces', 'verified']) {
+      if (dep[key] !== undefined) {
+        metadata[key] = dep[key];
+      }
+    }
+    return metadata;
+  }
+
+  /**
+   * The registry metadata columns for a package. A failed fetch keeps what an
+   * earlier one stored; a license declared by an SBOM fills in for registries
+   * that have none.
+   */
+  getRegistryMetadata(info, dep, existing) {
+    const fields = {};
+    for (const [field, column] of REGISTRY_FIELDS) {
+      const stored = existing ? (existing[field] !== undefined ? existing[field] : existing[column]) : undefined;
+      fields[field] = info.failed && stored !== undefined && stored !== null ? stored : info[field];
+    }
+    fields.license = fields.license || dep.license || null;
+    return fields;
+  }
+
+  /**
+   * Accept ecosystem aliases and a purl (`pkg:npm/express@4.18.2`, version
+   * optional) in place of ecosystem, package and version filters.
+   */
+  normalizeFilters(filters) {
+    const normalized = { ...filters };
+    if (filters.purl) {
+      const purl = PackageUrl.parse(filters.purl);
+      if (!purl.ecosystem) {
+        throw new Error(`Unsupported package URL type "${purl.type}"`);
+      }
+      Object.assign(normalized, { ecosystem: purl.ecosystem, package: purl.dependencyName, version: purl.version || filters.version });
+      delete normalized.purl;
+    }
+    if (normalized.ecosystem) {
+      normalized.ecosystem = PackageUrl.normalizeEcosystem(normalized.ecosystem);
+      if (normalized.package) {
+        normalized.package = PackageUrl.canonicalize({ ecosystem: normalized.ecosystem, name: normalized.package }).name;
+      }
+    }
+    return normalized;
+  }
+
   async queryDocumentation(filters = {}) {
     this.logger.info('Querying documentation with filters:', filters);
-    return await this.database.queryPackages(filters);
+    return await this.database.queryPackages(this.normalizeFilters(filters));
+  }
+
+  /**
+   * Render stored documentation as an HTML site, Markdown handbook, CSV file
+   * or CycloneDX/SPDX SBOM.
+   */
+  async exportReport(filters, format, output) {
+    const rows = await this.database.queryPackages(this.normalizeFilters(filters));
+    if (SbomConverter.formats.includes(format)) {
+      const bom = new SbomConverter({ logger: this.logger }).write(rows, format, { project: filters.project });
+      fs.writeFileSync(output, `${JSON.stringify(bom, null, 2)}\n`);
+      this.logger.info(`Exported ${rows.length} packages as ${format} to ${output}`);
+      return path.resolve(output);
+    }
+    return new ReportExporter({ logger: this.logger, title: filters.project ? `${filters.project} dependencies` : undefined })
+      .export(rows, format, output);
+  }
+
+  /**
+   * Stored packages (or those in a project's latest scan) with their verdict
+   * under a LicensePolicy. Within a project, a package is a development
+   * dependency only if every manifest using it declares it as one.
+   */
+  async evaluateLicenses(policy, filters = {}) {
+    const rows = await this.database.queryPackages(this.normalizeFilters(filters));
+    return rows.map(row => {
+      const isDevDependency = Boolean(row.is_dev_dependency || row.isDevDependency);
+      return {
+        ecosystem: row.ecosystem,
+        name: row.name,
+        version: row.version,
+        license: row.license || null,
+        isDevDependency,
+        ...policy.evaluate(row.license, { dev: isDevDependency })
+      };
+    });
+  }
+
+  /**
+   * Match stored packages (or those in a project's latest scan) against OSV
+   * advisories from the configured export directory and/or API, and store
+   * the advisories, highest severity and audit time with each package.
+   * Packages whose lookup fails keep their previous audit.
+   */
+  async auditPackages(filters = {}) {
+    const { osvDir, osvApi } = this.config.audit;
+    if (!osvDir && !osvApi) {
+      throw new Error('No vulnerability source: set audit.osvDir (--osv-dir) or audit.osvApi (--osv-api)');
+    }
+    // API queries are POSTs, which snapshots do not record
+    if (this.offline && !osvDir) {
+      throw new Error('Offline mode needs a local OSV export (--osv-dir)');
+    }
+    if (this.offline && osvApi) {
+      this.logger.warn(`Offline mode: not querying ${osvApi}`);
+    }
+
+    const rows = (await this.database.queryPackages(this.normalizeFilters(filters)))
+      .filter(row => !['git', 'path', 'url'].includes(row.source));
+    const osv = new OsvDatabase({
+      logger: this.logger,
+      http: this.http,
+      resolver: this.resolver,
+      directory: osvDir && path.resolve(osvDir),
+      apiUrl: this.offline ? null : osvApi,
+      timeout: this.config.network.timeout,
+      userAgent: this.config.network.userAgent
+    });
+    osv.load(rows);
+
+    const auditedAt = new Date().toISOString();
+    const results = new Array(rows.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < rows.length) {
+        const index = next++;
+        const row = rows[index];
+        const result = {
+          ecosystem: row.ecosystem,
+          name: row.name,
+          version: row.version,
+          isDevDependency: Boolean(row.is_dev_dependency || row.isDevDependency),
+          vulnerabilities: [],
+          maxSeverity: null,
+          error: null
+        };
+        try {
+          result.vulnerabilities = await osv.findVulnerabilities(row);
+          result.maxSeverity = OsvDatabase.getMaxSeverity(result.vulnerabilities);
+          await this.database.storeAudit(row, { vulnerabilities: result.vulnerabilities, maxSeverity: result.maxSeverity, auditedAt });
+        } catch (error) {
+          this.logger.error(`Failed to audit ${row.name}@${row.version}: ${error.message}`);
+          result.error = error.message;
+        }
+        results[index] = result;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, rows.length) }, worker));
+    return results;
+  }
+
+  async searchDocumentation(query, filters = {}) {
+    this.logger.info(`Searching documentation for "${query}"`);
+    return await this.database.searchPackages(query, this.normalizeFilters(filters));
+  }
+
+  async findUsages(filters = {}) {
+    return await this.database.findUsages(this.normalizeFilters(filters));
+  }
+
+  async listProjects() {
+    return await this.database.listProjects();
   }
 
   async delay(ms) {
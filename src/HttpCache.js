@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const DEFAULT_TTL = 24 * 60 * 60; // seconds, used when a response carries no freshness information
+const DEFAULT_MAX_SIZE = 200 * 1024 * 1024; // bytes
+
+class HttpCache {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.directory = path.resolve(options.directory || '.documentation-mapper-cache');
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    // Forced refreshes check even fresh entries with the server (once per run)
+    this.revalidate = Boolean(options.revalidate);
+    this.memory = new Map();
+    this.inflight = new Map();
+    this.size = null;
+    this.stats = { hits: 0, misses: 0, revalidated: 0, stored: 0 };
+  }
+
+  /**
+   * Wrap the adapter of an axios instance so GET requests are answered from
+   * the cache when fresh, revalidated with ETag/Last-Modified when stale, and
+   * fetched at most once per run.
+   */
+  attach(http) {
+    const adapter = axios.getAdapter(http.defaults.adapter);
+
+    http.defaults.adapter = async (config) => {
+      if ((config.method || 'get').toLowerCase() !== 'get' || config.responseType === 'stream') {
+        return adapter(config);
+      }
+
+      const url = axios.getUri(config);
+      const key = this.getKey(url, config.headers);
+
+      // Concurrent requests for the same document share one network round trip
+      if (!this.inflight.has(key)) {
+        const pending = this.fetch(key, url, config, adapter).finally(() => this.inflight.delete(key));
+        this.inflight.set(key, pending);
+      }
+
+      const entry = await this.inflight.get(key);
+      return this.toResponse(entry, config);
+    };
+
+    return http;
+  }
+
+  async fetch(key, url, config, adapter) {
+    // Anything fetched or revalidated during this run stays valid until exit
+    if (this.memory.has(key)) {
+      this.stats.hits += 1;
+      return this.memory.get(key);
+    }
+
+    // Responses to requests with registry credentials are kept for this run only, so they are
+    // never written to the shared cache directory or served to a run with other credentials
+    const authenticated = axios.AxiosHeaders.from(config.headers).has('Authorization');
+    const cached = authenticated ? null : this.read(key);
+    if (cached && cached.expiresAt > Date.now() && !this.revalidate) {
+      this.stats.hits += 1;
+      this.memory.set(key, cached);
+      return cached;
+    }
+
+    const headers = axios.AxiosHeaders.from(config.headers);
+    if (cached && cached.etag) {
+      headers.set('If-None-Match', cached.etag);
+    }
+    if (cached && cached.lastModified) {
+      headers.set('If-Modified-Since', cached.lastModified);
+    }
+
+    const response = await adapter({
+      ...config,
+      headers,
+      validateStatus: (status) => (config.validateStatus ? config.validateStatus(status) : status >= 200 && status < 300) ||
+        (Boolean(cached) && status === 304)
+    });
+
+    if (cached && response.status === 304) {
+      this.stats.revalidated += 1;
+      const refreshed = { ...cached, ...this.getFreshness(response.headers, cached.storedAt) };
+      this.write(key, refreshed);
+      this.memory.set(key, refreshed);
+      return refreshed;
+    }
+
+    this.stats.misses += 1;
+    const entry = {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: this.plainHeaders(response.headers),
+      data: typeof response.data === 'string' ? response.data : JSON.stringify(response.data),
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      storedAt: Date.now(),
+      ...this.getFreshness(response.headers)
+    };
+
+    if (response.status === 200 && !authenticated && !/no-store|private/i.test(response.headers['cache-control'] || '')) {
+      this.write(key, entry);
+    }
+    this.memory.set(key, entry);
+    return entry;
+  }
+
+  toResponse(entry, config) {
+    // Each caller gets its own object; axios parses `data` after the adapter returns
+    return {
+      data: entry.data,
+      status: entry.status,
+      statusText: entry.statusText,
+      headers: axios.AxiosHeaders.from(entry.headers),
+      config,
+      request: null
+    };
+  }
+
+  getFreshness(headers, storedAt = Date.now()) {
+    const cacheControl = String(headers['cache-control'] || '');
+    const now = Date.now();
+
+    if (/no-cache|must-revalidate/i.test(cacheControl) && !/max-age=\d+/.test(cacheControl)) {
+      return { expiresAt: now };
+    }
+
+    const maxAge = cacheControl.match(/(?:^|[,\s])max-age=(\d+)/i);
+    if (maxAge) {
+      return { expiresAt: now + Number(maxAge[1]) * 1000 };
+    }
+
+    if (headers.expires) {
+      const expires = Date.parse(headers.expires);
+      if (!Number.isNaN(expires)) {
+        return { expiresAt: expires };
+      }
+    }
+
+    return { expiresAt: Math.max(now, storedAt) + this.ttl * 1000 };
+  }
+
+  plainHeaders(headers) {
+    const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    // Never persist cookies handed out by registries or doc sites
+    delete plain['set-cookie'];
+    return plain;
+  }
+
+  getKey(url, headers) {
+    const values = axios.AxiosHeaders.from(headers || {});
+    const authorization = values.get('Authorization');
+    // Requests with different credentials never share an entry, even in memory
+    const credential = authorization ? `\n${crypto.createHash('sha256').update(String(authorization)).digest('hex')}` : '';
+    return crypto.createHash('sha256').update(`${url}\n${values.get('Accept') || ''}${credential}`).digest('hex');
+  }
+
+  entryPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  read(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.entryPath(key), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  write(key, entry) {
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      const file = this.entryPath(key);
+      const previous = fs.existsSync(file) ? fs.statSync(file).size : 0;
+      const content = JSON.stringify(entry);
+      fs.writeFileSync(file, content);
+
+      this.stats.stored += 1;
+      this.size = (this.size === null ? this.computeSize() : this.size + Buffer.byteLength(content) - previous);
+      if (this.size > this.maxSize) {
+        this.prune();
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to write HTTP cache entry for ${entry.url}: ${error.message}`);
+    }
+  }
+
+  listEntries() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .filter(name => name.endsWith('.json'))
+      .map(name => {
+        const file = path.join(this.directory, name);
+        const stat = fs.statSync(file);
+        return { file, size: stat.size, mtime: stat.mtimeMs };
+      });
+  }
+
+  computeSize() {
+    return this.listEntries().reduce((total, entry) => total + entry.size, 0);
+  }
+
+  /**
+   * Evict the least recently written entries until the cache is back under
+   * 90% of its size cap.
+   */
+  prune() {
+    const entries = this.listEntries().sort((a, b) => a.mtime - b.mtime);
+    let size = entries.reduce((total, entry) => total + entry.size, 0);
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (size <= this.maxSize * 0.9) {
+        break;
+      }
+      fs.unlinkSync(entry.file);
+      size -= entry.size;
+      removed += 1;
+    }
+
+    this.size = size;
+    this.logger.info(`Pruned ${removed} HTTP cache entries to stay under ${this.maxSize} bytes`);
+  }
+
+  clear() {
+    const entries = this.listEntries();
+    entries.forEach(entry => fs.unlinkSync(entry.file));
+    this.memory.clear();
+    this.size = 0;
+    return entries.length;
+  }
+
+  getStats() {
+    const entries = this.listEntries();
+    const now = Date.now();
+    let fresh = 0;
+
+    for (const entry of entries) {
+      try {
+        if (JSON.parse(fs.readFileSync(entry.file, 'utf8')).expiresAt > now) {
+          fresh += 1;
+        }
+      } catch (error) {
+        // Unreadable entries count as stale
+      }
+    }
+
+    return {
+      directory: this.directory,
+      entries: entries.length,
+      fresh,
+      stale: entries.length - fresh,
+      sizeBytes: entries.reduce((total, entry) => total + entry.size, 0),
+      maxSizeBytes: this.maxSize,
+      oldest: entries.length ? new Date(Math.min(...entries.map(entry => entry.mtime))).toISOString() : null,
+      newest: entries.length ? new Date(Math.max(...entries.map(entry => entry.mtime))).toISOString() : null
+    };
+  }
+}
+
+module.exports = HttpCache;
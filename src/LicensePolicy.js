@@ -0,0 +1,140 @@
+const fs = require('fs');
+const YAML = require('yaml');
+const SpdxLicense = require('./SpdxLicense');
+
+// From most to least permissive
+const VERDICTS = ['allow', 'review', 'deny'];
+const LABELS = { allow: 'allowed', review: 'requires review', deny: 'denied' };
+const LIST_KEYS = ['allow', 'review', 'deny'];
+const VERDICT_KEYS = ['unknown', 'unlisted'];
+
+/**
+ * Evaluates SPDX license expressions against a policy of allowed,
+ * review-required and denied licenses:
+ *
+ *   allow: [MIT, Apache-2.0, BSD-*]
+ *   review: [MPL-2.0, LGPL-*]
+ *   deny: [GPL-*, AGPL-*]
+ *   unknown: review     # packages without a recorded license
+ *   unlisted: review    # licenses on none of the lists
+ *   dev:                # overrides for development dependencies
+ *     deny: []
+ *
+ * An identifier also matches its -only, -or-later and + forms, and `*` is a
+ * wildcard. For `A OR B` the most permissive choice counts; for `A AND B`
+ * the least permissive.
+ */
+class LicensePolicy {
+  constructor(policy = {}) {
+    const errors = [];
+    this.validate(policy, '', errors);
+    if (policy.dev !== undefined) {
+      if (!policy.dev || typeof policy.dev !== 'object' || Array.isArray(policy.dev)) {
+        errors.push('dev: expected a mapping');
+      } else {
+        this.validate(policy.dev, 'dev.', errors);
+      }
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid license policy:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+
+    this.production = this.compile(policy);
+    this.development = this.compile({ ...policy, ...(policy.dev || {}) });
+  }
+
+  static load(file) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read license policy ${file}: ${error.message}`);
+    }
+
+    // JSON is valid YAML
+    let parsed;
+    try {
+      parsed = YAML.parse(content);
+    } catch (error) {
+      throw new Error(`Cannot parse license policy ${file}: ${error.message}`);
+    }
+    if (parsed !== null && (typeof parsed !== 'object' || Array.isArray(parsed))) {
+      throw new Error(`Invalid license policy ${file}: expected a mapping`);
+    }
+    return new LicensePolicy(parsed || {});
+  }
+
+  validate(rules, prefix, errors) {
+    for (const [key, value] of Object.entries(rules)) {
+      if (LIST_KEYS.includes(key)) {
+        if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || !entry.trim())) {
+          errors.push(`${prefix}${key}: expected a list of SPDX identifiers`);
+        }
+      } else if (VERDICT_KEYS.includes(key)) {
+        if (!VERDICTS.includes(value)) {
+          errors.push(`${prefix}${key}: expected one of ${VERDICTS.join(', ')}`);
+        }
+      } else if (key !== 'dev' || prefix) {
+        errors.push(`${prefix}${key}: unknown key`);
+      }
+    }
+  }
+
+  compile(rules) {
+    return {
+      // Checked in this order, so a license on several lists gets the strictest verdict
+      lists: ['deny', 'review', 'allow'].map(verdict => [verdict, (rules[verdict] || []).map(pattern => this.toMatcher(pattern))]),
+      unknown: rules.unknown || 'review',
+      unlisted: rules.unlisted || 'review'
+    };
+  }
+
+  toMatcher(pattern) {
+    // A wildcard stays within one identifier, so GPL-* does not match "GPL-2.0-only WITH ..."
+    const source = pattern.trim().split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\S*');
+    const variants = pattern.includes('*') || /(-only|-or-later|\+)$/i.test(pattern) ? '' : '(-only|-or-later|\\+)?';
+    return new RegExp(`^${source}${variants}$`, 'i');
+  }
+
+  /**
+   * The verdict (allow, review or deny) for a license expression, with the
+   * reason for it.
+   */
+  evaluate(license, { dev = false } = {}) {
+    const rules = dev ? this.development : this.production;
+    if (!license) {
+      return { verdict: rules.unknown, reason: 'no license recorded' };
+    }
+
+    let tree;
+    try {
+      tree = SpdxLicense.parse(license);
+    } catch (error) {
+      return { verdict: rules.unlisted, reason: 'not an SPDX expression' };
+    }
+    return this.evaluateNode(tree, rules);
+  }
+
+  evaluateNode(node, rules) {
+    if (!node.operator) {
+      // An exception can be listed on its own, e.g. "GPL-2.0-only WITH Classpath-exception-2.0"
+      const names = node.exception ? [`${node.license} WITH ${node.exception}`, node.license] : [node.license];
+      for (const name of names) {
+        for (const [verdict, matchers] of rules.lists) {
+          if (matchers.some(matcher => matcher.test(name))) {
+            return { verdict, reason: `${name} is ${LABELS[verdict]}` };
+          }
+        }
+      }
+      return { verdict: rules.unlisted, reason: `${node.license} is not in the policy` };
+    }
+
+    // OR leaves the choice of license to us; AND requires all of them
+    const results = node.operands.map(operand => this.evaluateNode(operand, rules));
+    const pick = node.operator === 'OR' ? Math.min : Math.max;
+    const rank = pick(...results.map(result => VERDICTS.indexOf(result.verdict)));
+    return results.find(result => VERDICTS.indexOf(result.verdict) === rank);
+  }
+}
+
+module.exports = LicensePolicy;
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const PackageUrl = require('./PackageUrl');
+
+// OSV ecosystem names (https://ossf.github.io/osv-schema/#affectedpackage-field) and ours
+const OSV_ECOSYSTEMS = {
+  npm: 'npm',
+  PyPI: 'pypi',
+  'crates.io': 'rust',
+  Maven: 'java',
+  RubyGems: 'ruby',
+  Packagist: 'php',
+  Go: 'go',
+  NuGet: 'dotnet'
+};
+
+const TO_OSV = Object.fromEntries(Object.entries(OSV_ECOSYSTEMS).map(([osv, ecosystem]) => [ecosystem, osv]));
+
+// Lowest to highest
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// GitHub advisories rate MODERATE what CVSS calls medium
+const SEVERITY_LABELS = { low: 'low', moderate: 'medium', medium: 'medium', high: 'high', critical: 'critical' };
+
+// CVSS v3.x base metric weights (https://www.first.org/cvss/v3.1/specification-document#7-4-Metric-Values)
+const CVSS3_WEIGHTS = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  PR: { U: { N: 0.85, L: 0.62, H: 0.27 }, C: { N: 0.85, L: 0.68, H: 0.5 } },
+  UI: { N: 0.85, R: 0.62 },
+  CIA: { H: 0.56, L: 0.22, N: 0 }
+};
+
+/**
+ * Known vulnerabilities in the OSV format (https://ossf.github.io/osv-schema/),
+ * read from a local export (the per-ecosystem all.zip files from
+ * https://osv-vulnerabilities.storage.googleapis.com, unpacked) and/or an
+ * OSV API endpoint such as https://api.osv.dev.
+ */
+class OsvDatabase {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.http = options.http;
+    // Version ordering per ecosystem comes from VersionResolver
+    this.resolver = options.resolver;
+    this.directory = options.directory || null;
+    this.apiUrl = options.apiUrl ? options.apiUrl.replace(/\/+$/, '') : null;
+    this.timeout = options.timeout || 10000;
+    this.userAgent = options.userAgent || 'DocumentationMapper/1.0';
+    // "<ecosystem>:<name>" -> advisories affecting some version of it
+    this.index = new Map();
+  }
+
+  static get severities() {
+    return SEVERITIES;
+  }
+
+  static compareSeverity(a, b) {
+    return SEVERITIES.indexOf(a) - SEVERITIES.indexOf(b);
+  }
+
+  key(ecosystem, name) {
+    return `${ecosystem}:${name}`;
+  }
+
+  /**
+   * Index the advisories in the export directory (searched recursively for
+   * .json files) that affect any of the given packages. Advisories for other
+   * packages are not kept, so whole-registry exports fit in memory.
+   */
+  load(packages) {
+    if (!this.directory) {
+      return;
+    }
+    if (!fs.existsSync(this.directory) || !fs.statSync(this.directory).isDirectory()) {
+      throw new Error(`OSV directory not found: ${this.directory}`);
+    }
+
+    const wanted = new Set(packages.map(pkg => this.key(pkg.ecosystem, pkg.name)));
+    let files = 0;
+    let indexed = 0;
+
+    const visit = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          visit(file);
+          continue;
+        }
+        if (!entry.isFile() || !entry.name.endsWith('.json')) {
+          continue;
+        }
+
+        files += 1;
+        let vulnerability;
+        try {
+          vulnerability = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+          this.logger.warn(`Skipping unreadable OSV record ${file}: ${error.message}`);
+          continue;
+        }
+        // Withdrawn advisories were published in error
+        if (!vulnerability.id || vulnerability.withdrawn) {
+          continue;
+        }
+
+        const keys = new Set((vulnerability.affected || [])
+          .map(affected => this.getPackageKey(affected.package))
+          .filter(key => key && wanted.has(key)));
+        for (const key of keys) {
+          if (!this.index.has(key)) {
+            this.index.set(key, []);
+          }
+          this.index.get(key).push(vulnerability);
+          indexed += 1;
+        }
+      }
+    };
+    visit(this.directory);
+
+    this.logger.info(`Read ${files} OSV records from ${this.directory}; ${indexed} concern stored packages`);
+  }
+
+  // Our "<ecosystem>:<name>" for an OSV affected package, or null for other ecosystems
+  getPackageKey(pkg) {
+    if (!pkg || !pkg.name || !pkg.ecosystem) {
+      return null;
+    }
+    // Release-specific ecosystems such as "Debian:12" are not package registries we track
+    const ecosystem = OSV_ECOSYSTEMS[pkg.ecosystem];
+    if (!ecosystem) {
+      return null;
+    }
+    return this.key(ecosystem, PackageUrl.canonicalize({ ecosystem, name: pkg.name }).name);
+  }
+
+  /**
+   * Advisories affecting one package version, as stored with the package:
+   * `{ id, aliases, summary, severity, score, fixed, url, published, modified }`,
+   * most severe first.
+   */
+  async findVulnerabilities(dependency) {
+    const { ecosystem, name, version } = PackageUrl.canonicalize(dependency);
+    const key = this.key(ecosystem, name);
+
+    const matches = new Map();
+    for (const vulnerability of this.index.get(key) || []) {
+      const affected = this.getAffected(vulnerability, key);
+      if (affected.some(entry => this.isAffected(entry, ecosystem, version))) {
+        matches.set(vulnerability.id, { vulnerability, affected });
+      }
+    }
+
+    if (this.apiUrl) {
+      // The API has already matched the version
+      for (const vulnerability of await this.query(ecosystem, name, version)) {
+        if (!matches.has(vulnerability.id)) {
+          matches.set(vulnerability.id, { vulnerability, affected: this.getAffected(vulnerability, key) });
+        }
+      }
+    }
+
+    return [...matches.values()]
+      .map(({ vulnerability, affected }) => this.toAdvisory(vulnerability, affected, ecosystem))
+      .sort((a, b) => OsvDatabase.compareSeverity(b.severity, a.severity) || a.id.localeCompare(b.id));
+  }
+
+  getAffected(vulnerability, key) {
+    return (vulnerability.affected || []).filter(affected => this.getPackageKey(affected.package) === key);
+  }
+
+  async query(ecosystem, name, version) {
+    if (!TO_OSV[ecosystem]) {
+      return [];
+    }
+
+    const vulnerabilities = [];
+    let pageToken;
+    do {
+      let response;
+      try {
+        response = await this.http.post(`${this.apiUrl}/v1/query`, {
+          package: { ecosystem: TO_OSV[ecosystem], name },
+          version,
+          ...(pageToken ? { page_token: pageToken } : {})
+        }, {
+          timeout: this.timeout,
+          headers: { 'User-Agent': this.userAgent, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        throw new Error(`OSV query failed: ${error.message}`);
+      }
+      vulnerabilities.push(...((response.data && response.data.vulns) || []).filter(vulnerability => !vulnerability.withdrawn));
+      pageToken = response.data && response.data.next_page_token;
+    } while (pageToken);
+    return vulnerabilities;
+  }
+
+  /**
+   * Whether an OSV `affected` entry covers the version, through its explicit
+   * `versions` list or its SEMVER/ECOSYSTEM ranges. Commit (GIT) ranges and
+   * versions the ecosystem's ordering cannot read are not matched.
+   */
+  isAffected(affected, ecosystem, version) {
+    if ((affected.versions || []).includes(version)) {
+      return true;
+    }
+
+    const scheme = this.resolver.getVersionScheme(ecosystem);
+    if (!scheme || !version || !scheme.parts(version)) {
+      return false;
+    }
+    const readable = (value) => value === '0' || Boolean(scheme.parts(value));
+
+    return (affected.ranges || [])
+      .filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+      .some(range => {
+        const events = (range.events || []).map(event => {
+          const [type, value] = Object.entries(event)[0] || [];
+          return { type, value };
+        }).filter(event => event.value && readable(event.value));
+
+        // OSV evaluation: walk the events in version order; the last one at or below the version decides
+        const order = (value) => (value === '0' ? null : value);
+        events.sort((a, b) => (order(a.value) === null ? -1 : order(b.value) === null ? 1 : scheme.compare(a.value, b.value)));
+
+        let affectedNow = false;
+        for (const event of events) {
+          if (event.type === 'introduced' && (event.value === '0' || scheme.compare(version, event.value) >= 0)) {
+            affectedNow = true;
+          } else if (event.type === 'fixed' && scheme.compare(version, event.value) >= 0) {
+            affectedNow = false;
+          } else if (event.type === 'last_affected' && scheme.compare(version, event.value) > 0) {
+            affectedNow = false;
+          } else if (event.type === 'limit' && scheme.compare(version, event.value) >= 0) {
+            affectedNow = false;
+          }
+        }
+        return affectedNow;
+      });
+  }
+
+  toAdvisory(vulnerability, affected, ecosystem) {
+    const { severity, score } = this.getSeverity(vulnerability, affected);
+    const fixed = new Set();
+    for (const entry of affected) {
+      for (const range of entry.ranges || []) {
+        if (range.type !== 'GIT') {
+          (range.events || []).filter(event => event.fixed).forEach(event => fixed.add(event.fixed));
+        }
+      }
+    }
+
+    const scheme = this.resolver.getVersionScheme(ecosystem);
+    const sorted = [...fixed];
+    if (scheme && sorted.every(value => scheme.parts(value))) {
+      sorted.sort((a, b) => scheme.compare(a, b));
+    }
+
+    const references = vulnerability.references || [];
+    const advisory = references.find(reference => reference.type === 'ADVISORY') || references.find(reference => reference.type === 'WEB');
+    return {
+      id: vulnerability.id,
+      aliases: vulnerability.aliases || [],
+      summary: vulnerability.summary || (vulnerability.details ? vulnerability.details.split('\n')[0].slice(0, 200) : null),
+      severity,
+      score,
+      fixed: sorted,
+      url: advisory ? advisory.url : `https://osv.dev/vulnerability/${encodeURIComponent(vulnerability.id)}`,
+      published: vulnerability.published || null,
+      modified: vulnerability.modified || null
+    };
+  }
+
+  /**
+   * Severity from a CVSS v3 vector where one is given, otherwise the
+   * database's own rating (GitHub's LOW/MODERATE/HIGH/CRITICAL). Null when
+   * the advisory rates neither way.
+   */
+  getSeverity(vulnerability, affected) {
+    const vectors = [vulnerability, ...affected].flatMap(entry => entry.severity || []);
+    for (const { type, score } of vectors) {
+      if (/^CVSS_V3/.test(type)) {
+        const base = this.getCvss3Score(score);
+        if (base !== null) {
+          return { severity: this.getCvssRating(base), score: base };
+        }
+      }
+    }
+
+    const ratings = [vulnerability, ...affected]
+      .map(entry => (entry.database_specific && entry.database_specific.severity) || (entry.ecosystem_specific && entry.ecosystem_specific.severity))
+      .filter(value => typeof value === 'string')
+      .map(value => SEVERITY_LABELS[value.toLowerCase()])
+      .filter(Boolean);
+    return { severity: ratings[0] || null, score: null };
+  }
+
+  // CVSS v3.0/v3.1 base score from a vector such as CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H
+  getCvss3Score(vector) {
+    const metrics = Object.fromEntries(String(vector).split('/').slice(1).map(part => part.split(':')));
+    const { AV, AC, PR, UI, S, C, I, A } = metrics;
+    const weights = CVSS3_WEIGHTS;
+    if (![AV in weights.AV, AC in weights.AC, PR in weights.PR.U, UI in weights.UI, ['U', 'C'].includes(S),
+      C in weights.CIA, I in weights.CIA, A in weights.CIA].every(Boolean)) {
+      return null;
+    }
+
+    const iss = 1 - (1 - weights.CIA[C]) * (1 - weights.CIA[I]) * (1 - weights.CIA[A]);
+    const impact = S === 'U' ? 6.42 * iss : 7.52 * (iss - 0.029) - 3.25 * (iss - 0.02) ** 15;
+    const exploitability = 8.22 * weights.AV[AV] * weights.AC[AC] * weights.PR[S][PR] * weights.UI[UI];
+    if (impact <= 0) {
+      return 0;
+    }
+    return this.roundUp(Math.min((S === 'U' ? 1 : 1.08) * (impact + exploitability), 10));
+  }
+
+  // The specification's Roundup, which avoids floating point artifacts
+  roundUp(value) {
+    const integer = Math.round(value * 100000);
+    return integer % 10000 === 0 ? integer / 100000 : (Math.floor(integer / 10000) + 1) / 10;
+  }
+
+  getCvssRating(score) {
+    if (score >= 9) return 'critical';
+    if (score >= 7) return 'high';
+    if (score >= 4) return 'medium';
+    return score > 0 ? 'low' : null;
+  }
+
+  /**
+   * The most severe rating among advisories; advisories without one count as
+   * low. Null without advisories.
+   */
+  static getMaxSeverity(advisories) {
+    if (advisories.length === 0) {
+      return null;
+    }
+    return advisories.map(advisory => advisory.severity || 'low')
+      .reduce((max, severity) => (OsvDatabase.compareSeverity(severity, max) > 0 ? severity : max));
+  }
+}
+
+module.exports = OsvDatabase;
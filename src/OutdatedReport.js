@@ -0,0 +1,114 @@
+const FORMATS = ['table', 'json', 'markdown'];
+const UPDATE_ORDER = ['major', 'minor', 'patch', 'none'];
+const COLUMNS = ['Package', 'Current', 'Latest', 'Update', 'Behind', 'Age', 'Notes'];
+
+/**
+ * Renders the results of DocumentationMapper.findOutdated as a terminal
+ * table, JSON or Markdown.
+ */
+class OutdatedReport {
+  static get formats() {
+    return FORMATS;
+  }
+
+  render(results, format = 'table') {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown outdated format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+    }
+
+    // Biggest updates first
+    const sorted = [...results].sort((a, b) =>
+      this.updateRank(a) - this.updateRank(b) || a.ecosystem.localeCompare(b.ecosystem) || a.name.localeCompare(b.name));
+
+    switch (format) {
+      case 'json':
+        return `${JSON.stringify({ generatedAt: new Date().toISOString(), summary: this.summarize(results), packages: sorted }, null, 2)}\n`;
+      case 'markdown':
+        return this.toMarkdown(sorted);
+      default:
+        return this.toTable(sorted);
+    }
+  }
+
+  updateRank(result) {
+    return result.update ? UPDATE_ORDER.indexOf(result.update) : UPDATE_ORDER.length;
+  }
+
+  summarize(results) {
+    const count = (predicate) => results.filter(predicate).length;
+    return {
+      packages: results.length,
+      major: count(result => result.update === 'major'),
+      minor: count(result => result.update === 'minor'),
+      patch: count(result => result.update === 'patch'),
+      upToDate: count(result => result.update === 'none'),
+      deprecated: count(result => result.deprecated),
+      unknown: count(result => !result.update)
+    };
+  }
+
+  summaryLine(results) {
+    const summary = this.summarize(results);
+    return `${summary.packages} package${summary.packages === 1 ? '' : 's'}: ${summary.major} major, ${summary.minor} minor and ${summary.patch} patch updates available, ` +
+      `${summary.deprecated} deprecated or yanked, ${summary.unknown} not checked`;
+  }
+
+  cells(result) {
+    return [
+      `${result.ecosystem}/${result.name}${result.isDevDependency ? ' (dev)' : ''}`,
+      result.version,
+      result.latest || '?',
+      result.update || '?',
+      this.formatBehind(result.behind),
+      this.formatAge(result.ageDays),
+      [result.deprecated ? `DEPRECATED${result.deprecationMessage ? `: ${result.deprecationMessage}` : ''}` : null, result.error]
+        .filter(Boolean).join('; ')
+    ];
+  }
+
+  // "2 major, 1 minor"; empty when up to date
+  formatBehind(behind) {
+    if (!behind) {
+      return '';
+    }
+    return ['major', 'minor', 'patch'].filter(level => behind[level] > 0).map(level => `${behind[level]} ${level}`).join(', ');
+  }
+
+  formatAge(days) {
+    if (days === null || days === undefined) {
+      return '';
+    }
+    if (days < 60) {
+      return `${days}d`;
+    }
+    return days < 730 ? `${Math.round(days / 30)}mo` : `${(days / 365).toFixed(1)}y`;
+  }
+
+  toTable(results) {
+    if (results.length === 0) {
+      return 'No packages to report\n';
+    }
+
+    const rows = results.map(result => this.cells(result).map(cell => cell.replace(/\s+/g, ' ')));
+    const widths = COLUMNS.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)));
+    const line = (row) => row.map((cell, index) => (index === row.length - 1 ? cell : cell.padEnd(widths[index]))).join('  ').trimEnd();
+
+    return `${[line(COLUMNS), line(widths.map(width => '-'.repeat(width))), ...rows.map(line), '', this.summaryLine(results)].join('\n')}\n`;
+  }
+
+  toMarkdown(results) {
+    const cell = (value) => String(value).replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+    const lines = [
+      '# Outdated dependencies',
+      '',
+      `${this.summaryLine(results)}. Generated ${new Date().toISOString()}.`,
+      '',
+      `| ${COLUMNS.join(' | ')} |`,
+      `| ${COLUMNS.map(() => '---').join(' | ')} |`,
+      ...results.map(result => `| ${this.cells(result).map(cell).join(' | ')} |`)
+    ];
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = OutdatedReport;
@@ -1,253 +1,655 @@
 const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const PackageUrl = require('./PackageUrl');
+const SpdxLicense = require('./SpdxLicense');
+const RepositoryUrl = require('./RepositoryUrl');
+
+// Base URLs of the public registries; each can be pointed at a mirror (Verdaccio, devpi, Artifactory, ...)
+const DEFAULT_REGISTRIES = {
+  npm: 'https://registry.npmjs.org',
+  pypi: 'https://pypi.org/pypi',
+  rust: 'https://crates.io/api/v1',
+  java: 'https://repo1.maven.org/maven2',
+  ruby: 'https://rubygems.org',
+  dotnet: 'https://api.nuget.org/v3/index.json',
+  php: 'https://repo.packagist.org',
+  // Repository metadata for Go modules hosted on GitHub
+  github: 'https://api.github.com'
+};
+
+const CODE_HOSTS = /^https?:\/\/(www\.)?(github\.com|gitlab\.com|bitbucket\.org)\/[^/]+\/[^/]+/;
 
 class PackageFetcher {
   constructor(options = {}) {
     this.logger = options.logger;
-    this.cache = new Map();
+    // Shared HTTP client; the mapper's instance applies per-host rate limits
+    this.http = options.http || axios;
+    this.timeout = options.timeout || 10000;
+    this.userAgent = options.userAgent || 'DocumentationMapper/1.0';
+    this.registries = { ...DEFAULT_REGISTRIES, ...options.registries };
+    // Scoped npm registries, extra pip indexes, NuGet sources and Composer repositories
+    this.registryConfig = options.registryConfig || null;
   }
 
-  async fetchDescription(dependency) {
-    const { ecosystem, name, version, source } = dependency;
-    const cacheKey = `${ecosystem}:${name}:${version}`;
-
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+  /**
+   * The registry's record of a package version: description, SPDX license,
+   * repository, homepage and documentation URLs, authors, keywords, publish
+   * date, latest version and deprecation. Fields a registry does not provide
+   * are null (or empty lists). Failed lookups are flagged with `failed`.
+   */
+  async fetchPackageInfo(dependency) {
+    const { ecosystem, name, version, source } = PackageUrl.canonicalize(dependency);
+
+    // VCS, URL and local dependencies are not published to a registry
+    if (['git', 'path', 'url'].includes(source)) {
+      return this.toPackageInfo({
+        description: `Unpublished ${source} dependency${dependency.url ? `: ${dependency.url}` : ''}`,
+        repositoryUrl: source === 'git' ? dependency.url : null
+      });
     }
 
-    let description = '';
+    let info;
 
     try {
       switch (ecosystem) {
         case 'npm':
-          description = await this.fetchNPMDescription(name, version);
+          info = await this.fetchNPMInfo(name, version);
           break;
-        case 'python':
         case 'pypi':
-          description = await this.fetchPyPIDescription(name, version);
+          info = await this.fetchPyPIInfo(name, version);
           break;
         case 'rust':
-          description = await this.fetchCratesDescription(name, version);
+          info = await this.fetchCratesInfo(name, version);
           break;
         case 'java':
-          description = await this.fetchMavenDescription(name, version);
+          info = await this.fetchMavenInfo(name, version);
           break;
         case 'ruby':
-          description = await this.fetchRubyGemsDescription(name, version);
+          info = await this.fetchRubyGemsInfo(name, version);
           break;
         case 'go':
-          description = await this.fetchGoDescription(name, version);
+          info = await this.fetchGoInfo(name, version);
           break;
         case 'dotnet':
-          description = await this.fetchNuGetDescription(name, version);
+          info = await this.fetchNuGetInfo(name, version);
           break;
         case 'php':
-          description = await this.fetchPackagistDescription(name, version);
+          info = await this.fetchPackagistInfo(name, version);
           break;
         default:
           this.logger.warn(`Unsupported ecosystem: ${ecosystem}`);
-          description = `Package from ${ecosystem} ecosystem`;
+          info = { description: `Package from ${ecosystem} ecosystem` };
       }
 
-      this.cache.set(cacheKey, description);
-      return description;
+      return this.toPackageInfo(info);
 
     } catch (error) {
       this.logger.error(`Failed to fetch description for ${name}@${version}: ${error.message}`);
-      return `Failed to fetch description: ${error.message}`;
+      return { ...this.toPackageInfo({ description: `Failed to fetch description: ${error.message}` }), failed: true };
     }
   }
 
-  async fetchNPMDescription(name, version) {
+  async fetchDescription(dependency) {
+    return (await this.fetchPackageInfo(dependency)).description;
+  }
+
+  toPackageInfo(fields) {
+    const list = (values) => [...new Set((values || []).map(value => (typeof value === 'string' ? value.trim() : null)).filter(Boolean))];
+    const published = fields.publishedAt ? new Date(fields.publishedAt) : null;
+    const homepage = fields.homepage || null;
+
+    return {
+      description: fields.description || 'No description available',
+      license: SpdxLicense.normalize(fields.license),
+      // Registries without a repository field often point the homepage at it
+      repositoryUrl: RepositoryUrl.normalize(fields.repositoryUrl) || (CODE_HOSTS.test(homepage || '') ? RepositoryUrl.normalize(homepage) : null),
+      homepage,
+      documentationUrl: fields.documentationUrl || null,
+      authors: list(fields.authors),
+      keywords: list(fields.keywords),
+      publishedAt: published && !Number.isNaN(published.getTime()) ? published.toISOString() : null,
+      latestVersion: fields.latestVersion || null,
+      deprecated: Boolean(fields.deprecated),
+      deprecationMessage: typeof fields.deprecated === 'string' ? fields.deprecated : null
+    };
+  }
+
+  // "Jane Doe <jane@example.com> (https://example.com)" or { name, email }
+  getPersonName(person) {
+    if (!person) {
+      return null;
+    }
+    const name = typeof person === 'object' ? person.name : String(person).replace(/\s*[<(].*$/, '');
+    return name ? name.trim() : null;
+  }
+
+  async fetchNPMInfo(name, version) {
     try {
       // First get package info
-      const packageUrl = `https://registry.npmjs.org/${encodeURIComponent(name)}`;
-      const response = await axios.get(packageUrl, {
-        timeout: 10000,
+      const response = await this.getFromRegistries('npm', name, registry => this.http.get(`${registry}/${encodeURIComponent(name)}`, {
+        timeout: this.timeout,
         headers: {
-          'User-Agent': 'DocumentationMapper/1.0',
+          'User-Agent': this.userAgent,
           'Accept': 'application/json'
         }
-      });
-
-      if (response.data && response.data.versions && response.data.versions[version]) {
-        const versionData = response.data.versions[version];
-        return versionData.description || response.data.description || 'No description available';
-      } else {
-        // Fallback to latest if specific version not found
-        return response.data.description || 'No description available';
-      }
+      }));
+
+      const data = response.data;
+      // Fall back to the package document if the specific version is not found
+      const versionData = (data.versions && data.versions[version]) || {};
+      const repository = versionData.repository || data.repository;
+
+      return {
+        description: versionData.description || data.description,
+        license: versionData.license || versionData.licenses || data.license,
+        repositoryUrl: repository && typeof repository === 'object' ? repository.url : repository,
+        homepage: versionData.homepage || data.homepage,
+        authors: [versionData.author || data.author, ...(versionData.maintainers || data.maintainers || [])]
+          .map(person => this.getPersonName(person)),
+        keywords: versionData.keywords || data.keywords,
+        publishedAt: data.time && data.time[version],
+        latestVersion: data['dist-tags'] && data['dist-tags'].latest,
+        deprecated: versionData.deprecated
+      };
     } catch (error) {
       throw new Error(`NPM fetch failed: ${error.message}`);
     }
   }
 
-  async fetchPyPIDescription(name, version) {
-    try {
-      // PyPI JSON API
-      const url = `https://pypi.org/pypi/${encodeURIComponent(name)}/${encodeURIComponent(version)}/json`;
-      const response = await axios.get(url, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'DocumentationMapper/1.0',
-          'Accept': 'application/json'
-        }
-      });
+  async fetchPyPIInfo(name, version) {
+    const request = (suffix) => this.getFromRegistries('pypi', name, registry => this.http.get(`${registry}/${encodeURIComponent(name)}${suffix}/json`, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': this.userAgent,
+        'Accept': 'application/json'
+      }
+    }));
 
-      const info = response.data.info;
-      return info.summary || info.description || 'No description available';
+    // PyPI JSON API
+    let response;
+    let latest = null;
+    try {
+      response = await request(`/${encodeURIComponent(version)}`);
+      try {
+        latest = (await request('')).data.info.version;
+      } catch (error) {
+        this.logger.debug(`Could not look up the latest version of ${name}: ${error.message}`);
+      }
     } catch (error) {
       // Try without version
       try {
-        const url = `https://pypi.org/pypi/${encodeURIComponent(name)}/json`;
-        const response = await axios.get(url, {
-          timeout: 10000,
-          headers: {
-            'User-Agent': 'DocumentationMapper/1.0',
-            'Accept': 'application/json'
-          }
-        });
-        const info = response.data.info;
-        return info.summary || info.description || 'No description available';
+        response = await request('');
+        latest = response.data.info.version;
       } catch (fallbackError) {
         throw new Error(`PyPI fetch failed: ${error.message}`);
       }
     }
+
+    const info = response.data.info;
+    const files = response.data.urls || [];
+    const projectUrls = info.project_urls || {};
+    const projectUrl = (pattern) => Object.entries(projectUrls).find(([label]) => pattern.test(label.trim()));
+    const repository = projectUrl(/^(source( code)?|repository|code|github|gitlab)$/i);
+    const documentation = projectUrl(/^(documentation|docs)$/i);
+    const homepage = projectUrl(/^home ?page$/i);
+    // The license field sometimes holds the full license text
+    const licenseText = info.license && info.license.length <= 100 && !/\n/.test(info.license) && info.license !== 'UNKNOWN' ? info.license : null;
+    const keywords = Array.isArray(info.keywords) ? info.keywords : String(info.keywords || '').split(info.keywords && info.keywords.includes(',') ? ',' : /\s+/);
+    const yanked = info.yanked || (files.length > 0 && files.every(file => file.yanked));
+    // "Jane Doe <jane@example.com>" names someone; a bare address does not
+    const nameFromEmail = (email) => (email && !/^[^<]*@/.test(email) ? this.getPersonName(email) : null);
+
+    return {
+      description: info.summary || info.description,
+      license: info.license_expression || SpdxLicense.fromClassifiers(info.classifiers) || licenseText,
+      repositoryUrl: repository ? repository[1] : null,
+      homepage: (homepage && homepage[1]) || info.home_page,
+      documentationUrl: (documentation && documentation[1]) || info.docs_url,
+      authors: [info.author, info.maintainer, nameFromEmail(info.author_email), nameFromEmail(info.maintainer_email)],
+      keywords,
+      publishedAt: files.length > 0 ? files[0].upload_time_iso_8601 : null,
+      latestVersion: latest,
+      deprecated: yanked ? info.yanked_reason || 'Release yanked from PyPI' : false
+    };
   }
 
-  async fetchCratesDescription(name, version) {
+  async fetchCratesInfo(name, version) {
     try {
       // Crates.io API
-      const url = `https://crates.io/api/v1/crates/${encodeURIComponent(name)}`;
-      const response = await axios.get(url, { timeout: 10000 });
-
-      return response.data.crate.description || response.data.crate.description ||
-             'No description available';
+      const response = await this.getFromRegistries('rust', name, registry => this.http.get(`${registry}/crates/${encodeURIComponent(name)}`, {
+        timeout: this.timeout,
+        headers: { 'User-Agent': this.userAgent }
+      }));
+
+      const { crate, versions = [] } = response.data;
+      const release = versions.find(entry => entry.num === version) || {};
+      return {
+        description: crate.description,
+        // Old crates separate alternatives with '/'
+        license: release.license ? release.license.replace(/\s*\/\s*/g, ' OR ') : null,
+        repositoryUrl: crate.repository,
+        homepage: crate.homepage,
+        documentationUrl: crate.documentation,
+        authors: release.published_by ? [release.published_by.name || release.published_by.login] : [],
+        keywords: crate.keywords,
+        publishedAt: release.created_at,
+        latestVersion: crate.max_stable_version || crate.newest_version,
+        deprecated: release.yanked ? 'Version yanked from crates.io' : false
+      };
     } catch (error) {
       throw new Error(`Crates.io fetch failed: ${error.message}`);
     }
   }
 
-  async fetchMavenDescription(name, version) {
+  async fetchMavenInfo(name, version) {
+    const { namespace: groupId, name: artifactId } = PackageUrl.fromDependency({ ecosystem: 'java', name });
+    if (!groupId || !artifactId) {
+      return { description: 'Invalid Maven coordinate format' };
+    }
+
+    let pom;
     try {
-      // For Maven, name is in format groupId:artifactId
-      const [groupId, artifactId] = name.split(':');
-      if (!groupId || !artifactId) {
-        return 'Invalid Maven coordinate format';
-      }
+      pom = await this.fetchMavenPom(groupId, artifactId, version);
+    } catch (error) {
+      throw new Error(`Maven fetch failed: ${error.message}`);
+    }
 
-      // Maven Central search API
-      const searchUrl = `https://search.maven.org/solrsearch/select?q=g:"${groupId}"+AND+a:"${artifactId}"&rows=1&wt=json`;
-      const response = await axios.get(searchUrl, { timeout: 10000 });
+    let latestVersion = null;
+    try {
+      const response = await this.getFromRegistries('java', name, registry => this.http.get(`${registry}/${this.getMavenPath(groupId, artifactId)}/maven-metadata.xml`, {
+        timeout: this.timeout,
+        responseType: 'text'
+      }));
+      const match = /<release>([^<]+)<\/release>/.exec(String(response.data)) || /<latest>([^<]+)<\/latest>/.exec(String(response.data));
+      latestVersion = match ? match[1] : null;
+    } catch (error) {
+      this.logger.debug(`Could not look up the latest version of ${name}: ${error.message}`);
+    }
 
-      if (response.data.response.docs && response.data.response.docs.length > 0) {
-        // Could fetch POM file for description, but for now return basic info
-        return `Maven package ${groupId}:${artifactId} version ${version}`;
-      }
+    return {
+      description: pom.description || `Maven package ${groupId}:${artifactId} version ${version}`,
+      license: pom.licenses,
+      repositoryUrl: pom.scm,
+      homepage: pom.url,
+      authors: pom.developers,
+      latestVersion
+    };
+  }
 
-      return 'Maven package description not available';
-    } catch (error) {
-      throw new Error(`Maven fetch failed: ${error.message}`);
+  /**
+   * The fields this tool uses from a POM, inheriting licenses, URLs and
+   * developers from parent POMs (a few levels up) where the POM leaves them out.
+   */
+  async fetchMavenPom(groupId, artifactId, version, depth = 0) {
+    const response = await this.getFromRegistries('java', `${groupId}:${artifactId}`, registry => this.http.get(`${registry}/${this.getMavenPath(groupId, artifactId)}/${version}/${artifactId}-${version}.pom`, {
+      timeout: this.timeout,
+      responseType: 'text'
+    }));
+    const project = new XMLParser({ ignoreAttributes: true, parseTagValue: false, trimValues: true }).parse(String(response.data)).project || {};
+
+    // Properties such as ${project.version} are left unresolved
+    const text = (value) => (typeof value === 'string' && value && !value.includes('${') ? value : null);
+    const toArray = (value) => (value === undefined || value === '' ? [] : Array.isArray(value) ? value : [value]);
+    const pom = {
+      description: text(project.description),
+      url: text(project.url),
+      scm: project.scm ? text(project.scm.url) || text(String(project.scm.connection || '').replace(/^scm:git:/, '')) : null,
+      licenses: toArray(project.licenses && project.licenses.license).map(license => text(license.name)).filter(Boolean),
+      developers: toArray(project.developers && project.developers.developer).map(developer => text(developer.name) || text(developer.id))
+    };
+
+    const parent = project.parent;
+    if (depth < 3 && parent && parent.groupId && parent.artifactId && parent.version &&
+      (pom.licenses.length === 0 || !pom.url || !pom.scm || pom.developers.length === 0)) {
+      try {
+        const inherited = await this.fetchMavenPom(parent.groupId, parent.artifactId, parent.version, depth + 1);
+        pom.url = pom.url || inherited.url;
+        pom.scm = pom.scm || inherited.scm;
+        pom.licenses = pom.licenses.length > 0 ? pom.licenses : inherited.licenses;
+        pom.developers = pom.developers.length > 0 ? pom.developers : inherited.developers;
+      } catch (error) {
+        this.logger.debug(`Could not read parent POM ${parent.groupId}:${parent.artifactId}:${parent.version}: ${error.message}`);
+      }
     }
+    return pom;
   }
 
-  async fetchRubyGemsDescription(name, version) {
+  /**
+   * groupId/artifactId as a path in a Maven repository layout.
+   */
+  getMavenPath(groupId, artifactId) {
+    return `${groupId.replace(/\./g, '/')}/${artifactId}`;
+  }
+
+  async fetchRubyGemsInfo(name, version) {
     try {
-      const url = `https://rubygems.org/api/v1/gems/${encodeURIComponent(name)}.json`;
-      const response = await axios.get(url, { timeout: 10000 });
+      const response = await this.getFromRegistries('ruby', name, registry => this.http.get(`${registry}/api/v1/gems/${encodeURIComponent(name)}.json`, { timeout: this.timeout }));
+      const gem = response.data;
+
+      // The gem endpoint describes the latest version
+      let release = gem;
+      if (version && version !== gem.version) {
+        try {
+          release = (await this.getFromRegistries('ruby', name, registry => this.http.get(`${registry}/api/v2/rubygems/${encodeURIComponent(name)}/versions/${encodeURIComponent(version)}.json`, {
+            timeout: this.timeout
+          }))).data;
+        } catch (error) {
+          this.logger.debug(`Could not fetch ${name} ${version} from RubyGems: ${error.message}`);
+        }
+      }
 
-      return response.data.info || response.data.summary || 'No description available';
+      return {
+        description: release.info || release.summary || gem.info,
+        license: release.licenses,
+        repositoryUrl: release.source_code_uri || gem.source_code_uri,
+        homepage: release.homepage_uri || gem.homepage_uri,
+        documentationUrl: release.documentation_uri || gem.documentation_uri,
+        authors: String(release.authors || '').split(/\s*,\s*/),
+        publishedAt: release.created_at || release.version_created_at,
+        latestVersion: gem.version,
+        deprecated: release.yanked ? 'Version yanked from RubyGems' : false
+      };
     } catch (error) {
       throw new Error(`RubyGems fetch failed: ${error.message}`);
     }
   }
 
-  async fetchGoDescription(name, version) {
+  async fetchGoInfo(name, version) {
     try {
-      // Go modules don't have centralized descriptions like others
-      // Could try to fetch from GitHub if it's a github.com package
+      // Go modules don't have centralized metadata like others; the module path names the repository
+      const repository = /^(github\.com|gitlab\.com|bitbucket\.org)\/[^/]+\/[^/]+/.exec(name);
+      const info = {
+        description: `Go module ${name}@${version}`,
+        repositoryUrl: repository ? `https://${repository[0]}` : null
+      };
+
       if (name.startsWith('github.com/')) {
-        return await this.fetchGitHubGoDescription(name, version);
+        Object.assign(info, await this.fetchGitHubGoInfo(name, version));
       }
-
-      return `Go module ${name}@${version}`;
+      return info;
     } catch (error) {
       throw new Error(`Go fetch failed: ${error.message}`);
     }
   }
 
-  async fetchGitHubGoDescription(name, version) {
+  async fetchGitHubGoInfo(name, version) {
     try {
       // Extract owner/repo from name
       const parts = name.split('/');
       if (parts.length >= 3) {
         const owner = parts[1];
         const repo = parts[2];
-        const url = `https://api.github.com/repos/${owner}/${repo}`;
-
-        const response = await axios.get(url, {
-          timeout: 10000,
+        const response = await this.getFromRegistries('github', name, registry => this.http.get(`${registry}/repos/${owner}/${repo}`, {
+          timeout: this.timeout,
           headers: {
-            'User-Agent': 'DocumentationMapper/1.0'
+            'User-Agent': this.userAgent
           }
-        });
-
-        return response.data.description || 'No description available';
+        }));
+
+        const { license } = response.data;
+        return {
+          description: response.data.description,
+          license: license && license.spdx_id !== 'NOASSERTION' ? license.spdx_id : null,
+          homepage: response.data.homepage,
+          keywords: response.data.topics,
+          deprecated: response.data.archived ? 'Repository archived' : false
+        };
       }
 
-      return `GitHub Go module ${name}`;
+      return { description: `GitHub Go module ${name}` };
     } catch (error) {
-      return `GitHub Go module ${name}`;
+      return { description: `GitHub Go module ${name}` };
     }
   }
 
-  async fetchNuGetDescription(name, version) {
+  async fetchNuGetInfo(name, version) {
     try {
       // NuGet API
-      const url = `https://api.nuget.org/v3/registration5-semver1/${name.toLowerCase()}/index.json`;
-      const response = await axios.get(url, { timeout: 10000 });
-
-      if (response.data.items && response.data.items.length > 0) {
-        // Find the specific version
-        for (const item of response.data.items) {
-          if (item.catalogEntry.version === version) {
-            return item.catalogEntry.description || 'No description available';
-          }
-        }
+      const response = await this.getFromRegistries('dotnet', name, async (source) => {
+        const registrations = await this.getNuGetResource(source, ['RegistrationsBaseUrl/3.6.0', 'RegistrationsBaseUrl/3.4.0', 'RegistrationsBaseUrl']);
+        return this.http.get(`${registrations}/${name.toLowerCase()}/index.json`, { timeout: this.timeout });
+      });
 
-        // Fallback to latest
-        const latestItem = response.data.items[response.data.items.length - 1];
-        return latestItem.catalogEntry.description || 'No description available';
+      // Registration pages list their leaves inline unless the package has very many versions
+      const entries = (response.data.items || []).flatMap(page => page.items || []).map(item => item.catalogEntry);
+      if (entries.length === 0) {
+        return { description: 'NuGet package description not available' };
       }
 
-      return 'NuGet package description not available';
+      // Find the specific version, falling back to the latest
+      const entry = entries.find(candidate => candidate.version.toLowerCase() === String(version).toLowerCase()) || entries[entries.length - 1];
+      const latest = entries.filter(candidate => candidate.listed !== false && !candidate.version.includes('-')).pop();
+      const { deprecation } = entry;
+
+      return {
+        description: entry.description,
+        license: entry.licenseExpression,
+        homepage: entry.projectUrl,
+        authors: String(entry.authors || '').split(/\s*,\s*/),
+        keywords: Array.isArray(entry.tags) ? entry.tags : String(entry.tags || '').split(/\s+/),
+        // Unlisted packages report a placeholder date
+        publishedAt: entry.published && !entry.published.startsWith('1900') ? entry.published : null,
+        latestVersion: latest ? latest.version : null,
+        deprecated: deprecation ? deprecation.message || (deprecation.reasons || []).join(', ') || true : false
+      };
     } catch (error) {
       throw new Error(`NuGet fetch failed: ${error.message}`);
     }
   }
 
-  async fetchPackagistDescription(name, version) {
+  async fetchPackagistInfo(name, version) {
     try {
-      const url = `https://repo.packagist.org/p2/${encodeURIComponent(name)}.json`;
-      const response = await axios.get(url, { timeout: 10000 });
+      const response = await this.getFromRegistries('php', name, registry => this.http.get(`${registry}/p2/${name}.json`, { timeout: this.timeout, ecosystem: 'php' }));
 
       const packages = response.data.packages;
-      if (packages && packages[name]) {
-        const versions = packages[name];
-        if (versions[version]) {
-          return versions[version].description || 'No description available';
-        }
-
-        // Find latest version
-        const versionKeys = Object.keys(versions);
-        const latestVersion = versionKeys[versionKeys.length - 1];
-        return versions[latestVersion].description || 'No description available';
+      if (!packages || !packages[name]) {
+        return { description: 'Packagist package description not available' };
       }
 
-      return 'Packagist package description not available';
+      // Newest first; tags may carry a leading "v"
+      const versions = response.data.minified ? this.expandComposerVersions(packages[name]) : packages[name];
+      const release = versions.find(candidate => candidate.version.replace(/^v/, '') === String(version).replace(/^v/, '')) || versions[0];
+      const latest = versions.find(candidate => !String(candidate.version_normalized || candidate.version).includes('-'));
+
+      return {
+        description: release.description,
+        license: release.license,
+        repositoryUrl: (release.support && release.support.source) || (release.source && release.source.url),
+        homepage: release.homepage,
+        documentationUrl: release.support && release.support.docs,
+        authors: (release.authors || []).map(author => this.getPersonName(author)),
+        keywords: release.keywords,
+        publishedAt: release.time,
+        latestVersion: latest ? latest.version : null,
+        // A replacement package name, or true
+        deprecated: typeof release.abandoned === 'string' ? `Abandoned; use ${release.abandoned} instead` : release.abandoned
+      };
     } catch (error) {
       throw new Error(`Packagist fetch failed: ${error.message}`);
     }
   }
+
+  /**
+   * Composer 2 metadata lists each version as its changes from the previous
+   * (newer) one, with "__unset" marking removed fields.
+   */
+  expandComposerVersions(versions) {
+    let previous = {};
+    return versions.map(entry => {
+      const expanded = { ...previous, ...entry };
+      for (const [key, value] of Object.entries(entry)) {
+        if (value === '__unset') {
+          delete expanded[key];
+        }
+      }
+      previous = expanded;
+      return expanded;
+    });
+  }
+
+  async fetchVersions(dependency) {
+    const { ecosystem, name } = PackageUrl.canonicalize(dependency);
+
+    switch (ecosystem) {
+      case 'npm':
+        return this.fetchNPMVersions(name);
+      case 'pypi':
+        return this.fetchPyPIVersions(name);
+      case 'rust':
+        return this.fetchCratesVersions(name);
+      case 'java':
+        return this.fetchMavenVersions(name);
+      case 'ruby':
+        return this.fetchRubyGemsVersions(name);
+      case 'dotnet':
+        return this.fetchNuGetVersions(name);
+      case 'php':
+        return this.fetchPackagistVersions(name);
+      default:
+        throw new Error(`Version listing not supported for ecosystem: ${ecosystem}`);
+    }
+  }
+
+  async fetchNPMVersions(name) {
+    const response = await this.getFromRegistries('npm', name, registry => this.http.get(`${registry}/${encodeURIComponent(name)}`, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': this.userAgent,
+        'Accept': 'application/json'
+      }
+    }));
+
+    return Object.keys(response.data.versions || {});
+  }
+
+  async fetchPyPIVersions(name) {
+    const response = await this.getFromRegistries('pypi', name, registry => this.http.get(`${registry}/${encodeURIComponent(name)}/json`, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': this.userAgent,
+        'Accept': 'application/json'
+      }
+    }));
+
+    // Skip releases whose every file has been yanked
+    return Object.entries(response.data.releases || {})
+      .filter(([, files]) => files.length === 0 || !files.every(file => file.yanked))
+      .map(([version]) => version);
+  }
+
+  async fetchCratesVersions(name) {
+    const response = await this.getFromRegistries('rust', name, registry => this.http.get(`${registry}/crates/${encodeURIComponent(name)}`, {
+      timeout: this.timeout,
+      headers: { 'User-Agent': this.userAgent }
+    }));
+
+    return (response.data.versions || [])
+      .filter(version => !version.yanked)
+      .map(version => version.num);
+  }
+
+  async fetchMavenVersions(name) {
+    const { namespace: groupId, name: artifactId } = PackageUrl.fromDependency({ ecosystem: 'java', name });
+    if (!groupId || !artifactId) {
+      throw new Error('Invalid Maven coordinate format');
+    }
+
+    const response = await this.getFromRegistries('java', name, registry => this.http.get(`${registry}/${this.getMavenPath(groupId, artifactId)}/maven-metadata.xml`, {
+      timeout: this.timeout,
+      responseType: 'text'
+    }));
+
+    return [...String(response.data).matchAll(/<version>([^<]+)<\/version>/g)].map(match => match[1]);
+  }
+
+  async fetchRubyGemsVersions(name) {
+    const response = await this.getFromRegistries('ruby', name, registry => this.http.get(`${registry}/api/v1/versions/${encodeURIComponent(name)}.json`, { timeout: this.timeout }));
+
+    return response.data.map(version => version.number);
+  }
+
+  async fetchNuGetVersions(name) {
+    const response = await this.getFromRegistries('dotnet', name, async (source) => {
+      const packageBase = await this.getNuGetResource(source, ['PackageBaseAddress/3.0.0']);
+      return this.http.get(`${packageBase}/${name.toLowerCase()}/index.json`, { timeout: this.timeout });
+    });
+
+    return response.data.versions || [];
+  }
+
+  async fetchPackagistVersions(name) {
+    const response = await this.getFromRegistries('php', name, registry => this.http.get(`${registry}/p2/${name}.json`, { timeout: this.timeout, ecosystem: 'php' }));
+
+    const versions = (response.data.packages && response.data.packages[name]) || [];
+    return versions.map(version => version.version);
+  }
+
+  /**
+   * Try each registry configured for the package in order, moving on when one
+   * does not have it (or refuses access), like npm scopes, pip's
+   * extra-index-url, NuGet sources and Composer repositories do. Every
+   * registry request goes through here, so mirrors and fallbacks apply to all
+   * ecosystems.
+   */
+  async getFromRegistries(ecosystem, name, request) {
+    const registries = this.registryConfig
+      ? this.registryConfig.getRegistries(ecosystem, name, this.registries[ecosystem])
+      : [this.registries[ecosystem]];
+    let lastError = new Error(`No ${ecosystem} registry configured for ${name}`);
+
+    for (const registry of registries) {
+      try {
+        return await request(registry);
+      } catch (error) {
+        if (!error.response || ![401, 403, 404].includes(error.response.status)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Look up a resource in a NuGet v3 service index (index.json), e.g. the
+   * flat container (PackageBaseAddress) or the registration hive.
+   */
+  async getNuGetResource(source, types) {
+    // Repeat lookups are answered by the HTTP cache
+    const response = await this.http.get(source, { timeout: this.timeout });
+    const resources = response.data.resources || [];
+
+    for (const type of types) {
+      const resource = resources.find(entry => entry['@type'] === type);
+      if (resource) {
+        return resource['@id'].replace(/\/+$/, '');
+      }
+    }
+    throw new Error(`NuGet source ${source} has no ${types[0]} resource`);
+  }
+
+  /**
+   * Parse CLI values such as "npm=https://verdaccio.internal" (or
+   * "github=https://github.example.com/api/v3") into registry base URLs.
+   */
+  static parseRegistries(values = []) {
+    const registries = {};
+
+    for (const value of values) {
+      const match = String(value).match(/^([a-z]+)=(https?:\/\/.+)$/);
+      if (!match) {
+        throw new Error(`Invalid registry "${value}", expected ecosystem=url`);
+      }
+      const ecosystem = PackageUrl.normalizeEcosystem(match[1]);
+      if (!DEFAULT_REGISTRIES[ecosystem]) {
+        throw new Error(`Invalid registry "${value}", supported: ${Object.keys(DEFAULT_REGISTRIES).join(', ')}`);
+      }
+      registries[ecosystem] = match[2].replace(/\/+$/, '');
+    }
+
+    return registries;
+  }
 }
 
 module.exports = PackageFetcher;
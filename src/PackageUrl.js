@@ -0,0 +1,212 @@
+// purl types and the ecosystem names used throughout this tool
+const TYPE_TO_ECOSYSTEM = {
+  npm: 'npm',
+  pypi: 'pypi',
+  cargo: 'rust',
+  maven: 'java',
+  gem: 'ruby',
+  composer: 'php',
+  golang: 'go',
+  nuget: 'dotnet'
+};
+
+const ECOSYSTEM_TO_TYPE = Object.fromEntries(Object.entries(TYPE_TO_ECOSYSTEM).map(([type, ecosystem]) => [ecosystem, type]));
+
+// Other names for the same ecosystems accepted on input (scan files, CLI flags, config)
+const ECOSYSTEM_ALIASES = {
+  ...TYPE_TO_ECOSYSTEM,
+  python: 'pypi',
+  pip: 'pypi',
+  crates: 'rust',
+  gradle: 'java',
+  rubygems: 'ruby',
+  packagist: 'php',
+  golang: 'go',
+  '.net': 'dotnet',
+  csharp: 'dotnet'
+};
+
+/**
+ * A package URL (https://github.com/package-url/purl-spec), e.g.
+ * pkg:npm/%40types/node@20.1.0 or pkg:maven/org.slf4j/slf4j-api@2.0.9.
+ */
+class PackageUrl {
+  constructor({ type, namespace = null, name, version = null, qualifiers = {}, subpath = null }) {
+    this.type = type.toLowerCase();
+    this.namespace = namespace || null;
+    this.name = name;
+    this.version = version || null;
+    this.qualifiers = qualifiers;
+    this.subpath = subpath || null;
+
+    // Registries that treat names case-insensitively get one spelling. npm
+    // names stay as published: legacy names such as JSONStream are case-sensitive.
+    switch (this.type) {
+      case 'pypi':
+        // PEP 503: runs of '-', '_' and '.' are equivalent
+        this.name = this.name.toLowerCase().replace(/[-_.]+/g, '-');
+        break;
+      case 'nuget':
+        this.name = this.name.toLowerCase();
+        break;
+      case 'composer':
+        this.namespace = this.namespace && this.namespace.toLowerCase();
+        this.name = this.name.toLowerCase();
+        break;
+    }
+  }
+
+  static get ecosystems() {
+    return Object.values(TYPE_TO_ECOSYSTEM);
+  }
+
+  /**
+   * The canonical ecosystem for any accepted spelling (`python`, `cargo`,
+   * `maven`, `nuget`, ...); unknown ecosystems such as `docker` pass through.
+   */
+  static normalizeEcosystem(ecosystem) {
+    const key = String(ecosystem || '').trim().toLowerCase();
+    return ECOSYSTEM_ALIASES[key] || key;
+  }
+
+  /**
+   * The dependency with its canonical ecosystem and name, so the same package
+   * is identified the same way whichever manifest, SBOM or scan file named it.
+   */
+  static canonicalize(dependency) {
+    const ecosystem = PackageUrl.normalizeEcosystem(dependency.ecosystem);
+    if (!ECOSYSTEM_TO_TYPE[ecosystem] || !dependency.name) {
+      return { ...dependency, ecosystem };
+    }
+    const purl = PackageUrl.fromDependency({ ecosystem, name: dependency.name });
+    return { ...dependency, ecosystem, name: purl.dependencyName };
+  }
+
+  /**
+   * The versioned purl string identifying a stored package, or null for
+   * ecosystems without a purl type.
+   */
+  static identify(dependency) {
+    const ecosystem = PackageUrl.normalizeEcosystem(dependency.ecosystem);
+    return ECOSYSTEM_TO_TYPE[ecosystem] ? PackageUrl.fromDependency({ ...dependency, ecosystem }).toString() : null;
+  }
+
+  static parse(purl) {
+    const match = /^pkg:\/*([a-zA-Z.+-][a-zA-Z0-9.+-]*)\/(.+)$/.exec(String(purl).trim());
+    if (!match) {
+      throw new Error(`Invalid package URL: ${purl}`);
+    }
+
+    let remainder = match[2];
+    let subpath = null;
+    let qualifiers = {};
+
+    const hash = remainder.indexOf('#');
+    if (hash !== -1) {
+      subpath = remainder.slice(hash + 1).split('/').filter(segment => segment && segment !== '.' && segment !== '..')
+        .map(decode).join('/');
+      remainder = remainder.slice(0, hash);
+    }
+
+    const question = remainder.indexOf('?');
+    if (question !== -1) {
+      qualifiers = Object.fromEntries(remainder.slice(question + 1).split('&').filter(Boolean).map(pair => {
+        const [key, ...value] = pair.split('=');
+        return [key.toLowerCase(), decode(value.join('='))];
+      }));
+      remainder = remainder.slice(0, question);
+    }
+
+    // The version follows the last '@' of the last path segment (scopes may be written unencoded)
+    let version = null;
+    const at = remainder.lastIndexOf('@');
+    if (at > remainder.lastIndexOf('/')) {
+      version = decode(remainder.slice(at + 1));
+      remainder = remainder.slice(0, at);
+    }
+
+    const segments = remainder.replace(/\/+$/, '').split('/').filter(Boolean).map(decode);
+    const name = segments.pop();
+    if (!name) {
+      throw new Error(`Invalid package URL (no name): ${purl}`);
+    }
+
+    return new PackageUrl({
+      type: match[1],
+      namespace: segments.length > 0 ? segments.join('/') : null,
+      name,
+      version,
+      qualifiers,
+      subpath
+    });
+  }
+
+  /**
+   * The purl of a dependency as this tool names it: Maven `group:artifact`,
+   * Composer `vendor/package`, Go module paths and scoped npm names are split
+   * into namespace and name.
+   */
+  static fromDependency({ ecosystem, name, version }) {
+    const type = ECOSYSTEM_TO_TYPE[PackageUrl.normalizeEcosystem(ecosystem)];
+    if (!type) {
+      throw new Error(`No package URL type for ecosystem "${ecosystem}"`);
+    }
+
+    let namespace = null;
+    let shortName = name;
+    const separator = type === 'maven' ? name.indexOf(':') : ['npm', 'composer', 'golang'].includes(type) ? name.lastIndexOf('/') : -1;
+    if (separator > 0) {
+      namespace = name.slice(0, separator);
+      shortName = name.slice(separator + 1);
+    }
+
+    return new PackageUrl({ type, namespace, name: shortName, version });
+  }
+
+  get ecosystem() {
+    return TYPE_TO_ECOSYSTEM[this.type] || null;
+  }
+
+  // The inverse of fromDependency
+  get dependencyName() {
+    if (!this.namespace) {
+      return this.name;
+    }
+    return this.type === 'maven' ? `${this.namespace}:${this.name}` : `${this.namespace}/${this.name}`;
+  }
+
+  toString() {
+    let purl = `pkg:${this.type}/`;
+    if (this.namespace) {
+      purl += `${this.namespace.split('/').map(encode).join('/')}/`;
+    }
+    purl += encode(this.name);
+    if (this.version) {
+      purl += `@${encode(this.version)}`;
+    }
+
+    const qualifiers = Object.keys(this.qualifiers).filter(key => this.qualifiers[key]).sort();
+    if (qualifiers.length > 0) {
+      purl += `?${qualifiers.map(key => `${key}=${encode(this.qualifiers[key])}`).join('&')}`;
+    }
+    if (this.subpath) {
+      purl += `#${this.subpath.split('/').map(encode).join('/')}`;
+    }
+    return purl;
+  }
+}
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+// The spec leaves ':' unencoded
+function encode(value) {
+  return encodeURIComponent(value).replace(/%3A/gi, ':');
+}
+
+module.exports = PackageUrl;
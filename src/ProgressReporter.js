@@ -0,0 +1,61 @@
+class ProgressReporter {
+  constructor(options = {}) {
+    this.total = options.total || 0;
+    this.logger = options.logger;
+    this.stream = options.stream || process.stderr;
+    // Redraw a single line on terminals; elsewhere log a line every `interval` ms
+    this.interactive = Boolean(this.stream.isTTY) && !process.env.CI;
+    this.interval = options.interval || 10000;
+    this.completed = 0;
+    this.failed = 0;
+    this.startedAt = Date.now();
+    this.lastReportAt = 0;
+  }
+
+  tick(failed = false) {
+    this.completed += 1;
+    if (failed) {
+      this.failed += 1;
+    }
+
+    const now = Date.now();
+    if (this.interactive) {
+      this.stream.write(`\r${this.format(now)}`);
+    } else if (now - this.lastReportAt >= this.interval || this.completed === this.total) {
+      this.lastReportAt = now;
+      this.logger.info(this.format(now));
+    }
+  }
+
+  done() {
+    if (this.interactive) {
+      this.stream.write(`\r${this.format(Date.now())}\n`);
+    }
+  }
+
+  format(now) {
+    const elapsed = (now - this.startedAt) / 1000;
+    const throughput = elapsed > 0 ? this.completed / elapsed : 0;
+    const remaining = this.total - this.completed;
+    const eta = throughput > 0 ? remaining / throughput : null;
+    const percent = this.total > 0 ? Math.floor((this.completed / this.total) * 100) : 100;
+
+    return `Progress: ${this.completed}/${this.total} (${percent}%), ` +
+      `${throughput.toFixed(1)} deps/s, ETA ${eta === null ? '--' : this.formatDuration(eta)}` +
+      (this.failed > 0 ? `, ${this.failed} failed` : '');
+  }
+
+  formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    if (hours > 0) {
+      return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    return minutes > 0 ? `${minutes}m ${String(secs).padStart(2, '0')}s` : `${secs}s`;
+  }
+}
+
+module.exports = ProgressReporter;
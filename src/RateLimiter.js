@@ -0,0 +1,114 @@
+const axios = require('axios');
+
+// Requests per second (rate) and burst size per registry host
+const DEFAULT_LIMITS = {
+  'registry.npmjs.org': { rate: 20, burst: 20 },
+  'pypi.org': { rate: 10, burst: 10 },
+  // crates.io's crawler policy asks for at most one request per second
+  'crates.io': { rate: 1, burst: 1 },
+  'rubygems.org': { rate: 10, burst: 10 },
+  'api.nuget.org': { rate: 10, burst: 10 },
+  'repo.packagist.org': { rate: 10, burst: 10 },
+  'repo1.maven.org': { rate: 5, burst: 5 },
+  'search.maven.org': { rate: 2, burst: 2 },
+  'api.github.com': { rate: 1, burst: 5 },
+  'api.firecrawl.dev': { rate: 1, burst: 2 }
+};
+
+const FALLBACK_LIMIT = { rate: 5, burst: 5 };
+
+class TokenBucket {
+  constructor({ rate, burst }) {
+    this.rate = rate;
+    this.capacity = Math.max(1, burst || rate);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  take() {
+    // Waiters are chained so tokens are handed out in request order
+    const turn = this.queue.then(() => this.waitForToken());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForToken() {
+    this.refill();
+    if (this.tokens < 1) {
+      await new Promise(resolve => setTimeout(resolve, ((1 - this.tokens) / this.rate) * 1000));
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+}
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.limits = { ...DEFAULT_LIMITS };
+    // A bare number is a rate with a matching burst
+    for (const [host, limit] of Object.entries(options.limits || {})) {
+      this.limits[host] = typeof limit === 'number' ? { rate: limit, burst: Math.max(1, Math.ceil(limit)) } : limit;
+    }
+    this.buckets = new Map();
+  }
+
+  /**
+   * Wait until a request to the host of `url` is allowed.
+   */
+  async acquire(url) {
+    const host = new URL(url).host;
+
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, new TokenBucket(this.limits[host] || this.limits[new URL(url).hostname] || FALLBACK_LIMIT));
+    }
+
+    await this.buckets.get(host).take();
+  }
+
+  /**
+   * Wrap the adapter of an axios instance so every request that reaches the
+   * network waits for its host's bucket (cache hits answered by an outer
+   * adapter never get here).
+   */
+  attach(http) {
+    const adapter = axios.getAdapter(http.defaults.adapter);
+
+    http.defaults.adapter = async (config) => {
+      await this.acquire(axios.getUri(config));
+      return adapter(config);
+    };
+
+    return http;
+  }
+
+  /**
+   * Parse CLI values such as "registry.npmjs.org=20" or "crates.io=1:2" (rate:burst).
+   */
+  static parseLimits(values = []) {
+    const limits = {};
+
+    for (const value of values) {
+      const match = String(value).match(/^([^=]+)=(\d+(?:\.\d+)?)(?::(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid rate limit "${value}", expected host=requestsPerSecond[:burst]`);
+      }
+      const rate = Number(match[2]);
+      if (rate <= 0) {
+        throw new Error(`Invalid rate limit "${value}", rate must be positive`);
+      }
+      limits[match[1]] = { rate, burst: match[3] ? Number(match[3]) : Math.max(1, Math.ceil(rate)) };
+    }
+
+    return limits;
+  }
+}
+
+module.exports = RateLimiter;
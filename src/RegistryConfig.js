@@ -0,0 +1,495 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Registry locations and credentials read from the package managers' own
+ * configuration: .npmrc, pip.conf, nuget.config and Composer's auth.json /
+ * composer.json. Credentials are attached to outgoing requests by URL prefix
+ * and are masked in anything passed through `redact`.
+ *
+ * Files inside the scanned repository are only read with `trustProject`, and
+ * environment variables are never expanded in them: a hostile repository
+ * could otherwise point a registry at its own host and have ${GITHUB_TOKEN}
+ * sent there as a credential.
+ */
+class RegistryConfig {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.projectDir = path.resolve(options.projectDir || process.cwd());
+    this.homeDir = options.homeDir || os.homedir();
+    this.env = options.env || process.env;
+    this.trustProject = options.trustProject || false;
+
+    // Primary registry per ecosystem, used in place of the public default
+    this.registries = {};
+    this.npmScopes = {};
+    this.pypiExtraIndexes = [];
+    // A null url stands for the default nuget.org feed until a <clear/> removes it
+    this.nugetSources = [{ name: 'nuget.org', url: null }];
+    this.nugetMapping = {};
+    this.composerRepositories = [];
+    this.packagistEnabled = true;
+    this.credentials = [];
+    this.secrets = new Set();
+  }
+
+  load() {
+    this.loadNpmrc();
+    this.loadPipConfig();
+    this.loadNugetConfig();
+    this.loadComposerConfig();
+
+    // Longest prefix wins when several credentials match a URL
+    this.credentials.sort((a, b) => b.prefix.length - a.prefix.length);
+    return this;
+  }
+
+  /**
+   * Ordered registry base URLs to try for a package. `primary` is the
+   * registry the fetcher would otherwise use (public default or --registry).
+   */
+  getRegistries(ecosystem, name, primary) {
+    switch (ecosystem) {
+      case 'npm': {
+        const scope = name.startsWith('@') ? name.split('/')[0] : null;
+        return [(scope && this.npmScopes[scope]) || primary];
+      }
+      case 'pypi':
+        return [primary, ...this.pypiExtraIndexes.filter(url => url !== primary)];
+      case 'dotnet':
+        return this.getNugetSources(name).map(source => source.url || primary);
+      case 'php':
+        return [...this.composerRepositories, ...(this.packagistEnabled ? [primary] : [])];
+      default:
+        return [primary];
+    }
+  }
+
+  /**
+   * Add the matching Authorization header to every request made through `http`.
+   * Credentials scoped to an ecosystem only go with requests whose config
+   * names that `ecosystem`.
+   */
+  attach(http) {
+    http.interceptors.request.use((config) => {
+      const url = new URL(config.url, config.baseURL).href;
+      const credential = this.credentials.find(entry => url.startsWith(entry.prefix) &&
+        (!entry.ecosystem || entry.ecosystem === config.ecosystem));
+      if (credential && !config.headers.has('Authorization')) {
+        config.headers.set('Authorization', credential.authorization);
+      }
+      return config;
+    });
+    return http;
+  }
+
+  redact(text) {
+    let result = String(text);
+    for (const secret of this.secrets) {
+      result = result.split(secret).join('***');
+    }
+    return result;
+  }
+
+  addCredential(url, authorization, ...secrets) {
+    const prefix = url.endsWith('/') ? url : `${url}/`;
+    const credential = { prefix, authorization, ecosystem: null };
+    this.credentials.push(credential);
+    // Very short values would mask unrelated log text without protecting anything
+    for (const secret of [authorization.split(' ')[1], ...secrets]) {
+      if (secret && secret.length >= 4) {
+        this.secrets.add(secret);
+      }
+    }
+    return credential;
+  }
+
+  /**
+   * Move user:password@ out of a configured URL into a Basic credential so
+   * the URL itself can be logged safely.
+   */
+  extractUrlCredentials(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return value;
+    }
+
+    if (url.username || url.password) {
+      const username = decodeURIComponent(url.username);
+      const password = decodeURIComponent(url.password);
+      url.username = '';
+      url.password = '';
+      this.addCredential(url.origin, `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`, password);
+    }
+
+    return url.href.replace(/\/+$/, '');
+  }
+
+  readFile(filePath) {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a configuration file from the scanned repository may be used.
+   */
+  isTrusted(file) {
+    if (this.trustProject) {
+      return true;
+    }
+    if (fs.existsSync(file)) {
+      this.logger.warn(`Ignoring ${file} from the scanned repository; pass --trust-project-config to use its registry settings`);
+    }
+    return false;
+  }
+
+  /**
+   * Project files are used verbatim; a value referring to an environment
+   * variable is dropped rather than sent unexpanded.
+   */
+  readProjectValue(value, file) {
+    if (/\$\{[^}]+\}|%[A-Za-z_][A-Za-z0-9_]*%/.test(value)) {
+      this.logger.warn(`Ignoring an environment variable reference in ${file}; variables are only expanded in user configuration`);
+      return null;
+    }
+    return value;
+  }
+
+  expandEnv(value) {
+    // npm style ${VAR} and NuGet style %VAR%
+    return value
+      .replace(/\$\{([^}?]+)\??\}/g, (match, name) => this.env[name] || '')
+      .replace(/%([A-Za-z_][A-Za-z0-9_]*)%/g, (match, name) => (this.env[name] !== undefined ? this.env[name] : match));
+  }
+
+  loadNpmrc() {
+    const userConfig = this.env.NPM_CONFIG_USERCONFIG || this.env.npm_config_userconfig || path.join(this.homeDir, '.npmrc');
+    const projectConfig = path.join(this.projectDir, '.npmrc');
+    const settings = {};
+
+    // Project settings override the user's, as in npm
+    for (const file of [userConfig, projectConfig]) {
+      const project = file === projectConfig;
+      const content = project && !this.isTrusted(file) ? null : this.readFile(file);
+      if (content === null) {
+        continue;
+      }
+      for (const line of content.split(/\r?\n/)) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) {
+          continue;
+        }
+        const separator = trimmed.indexOf('=');
+        if (separator === -1) {
+          continue;
+        }
+        const value = trimmed.slice(separator + 1).trim().replace(/^(["'])(.*)\1$/, '$2');
+        const setting = project ? this.readProjectValue(value, file) : this.expandEnv(value);
+        if (setting !== null) {
+          settings[trimmed.slice(0, separator).trim()] = setting;
+        }
+      }
+      this.logger.info(`Loaded npm registry configuration from ${file}`);
+    }
+
+    if (settings.registry) {
+      this.registries.npm = settings.registry.replace(/\/+$/, '');
+    }
+
+    const auth = {};
+    for (const [key, value] of Object.entries(settings)) {
+      const scoped = key.match(/^(@[^:]+):registry$/);
+      if (scoped) {
+        this.npmScopes[scoped[1]] = value.replace(/\/+$/, '');
+        continue;
+      }
+
+      // //host/path/:_authToken, //host/path/:_auth, //host/path/:username and :_password
+      const nerfed = key.match(/^(\/\/.+?):(_authToken|_auth|username|_password)$/);
+      if (nerfed) {
+        auth[nerfed[1]] = { ...auth[nerfed[1]], [nerfed[2]]: value };
+      } else if (['_authToken', '_auth'].includes(key) && settings.registry) {
+        // Legacy top-level credentials apply to the default registry
+        const registry = settings.registry.replace(/^https?:/, '');
+        auth[registry] = { ...auth[registry], [key]: value };
+      }
+    }
+
+    for (const [location, values] of Object.entries(auth)) {
+      for (const protocol of ['https:', 'http:']) {
+        const url = `${protocol}${location}`;
+        if (values._authToken) {
+          this.addCredential(url, `Bearer ${values._authToken}`);
+        } else if (values._auth) {
+          this.addCredential(url, `Basic ${values._auth}`);
+        } else if (values.username && values._password) {
+          const password = Buffer.from(values._password, 'base64').toString('utf8');
+          this.addCredential(url, `Basic ${Buffer.from(`${values.username}:${password}`).toString('base64')}`, values._password, password);
+        }
+      }
+    }
+  }
+
+  /**
+   * Minimal INI reader for pip.conf: [sections], key = value and indented
+   * continuation lines (used for multiple extra-index-url values).
+   */
+  parseIni(content) {
+    const sections = {};
+    let section = null;
+    let key = null;
+
+    for (const line of content.split(/\r?\n/)) {
+      if (!line.trim() || /^\s*[#;]/.test(line)) {
+        continue;
+      }
+      const header = line.match(/^\s*\[([^\]]+)\]/);
+      if (header) {
+        section = sections[header[1].trim()] = sections[header[1].trim()] || {};
+        key = null;
+      } else if (/^\s/.test(line) && section && key) {
+        section[key] += `\n${line.trim()}`;
+      } else if (section) {
+        const match = line.match(/^\s*([^=:]+?)\s*[=:]\s*(.*)$/);
+        if (match) {
+          key = match[1].toLowerCase();
+          section[key] = match[2].trim();
+        }
+      }
+    }
+
+    return sections;
+  }
+
+  loadPipConfig() {
+    // Later files override earlier ones, as in pip: global, user, virtualenv, PIP_CONFIG_FILE
+    const files = [
+      '/etc/pip.conf',
+      path.join(this.homeDir, '.pip', 'pip.conf'),
+      path.join(this.env.XDG_CONFIG_HOME || path.join(this.homeDir, '.config'), 'pip', 'pip.conf'),
+      this.env.APPDATA && path.join(this.env.APPDATA, 'pip', 'pip.ini'),
+      this.env.VIRTUAL_ENV && path.join(this.env.VIRTUAL_ENV, 'pip.conf'),
+      this.env.PIP_CONFIG_FILE
+    ].filter(Boolean);
+
+    let indexUrl = null;
+    let extraIndexUrls = null;
+
+    for (const file of files) {
+      const content = this.readFile(file);
+      if (content === null) {
+        continue;
+      }
+      const sections = this.parseIni(content);
+      const settings = { ...sections.global, ...sections.install };
+      indexUrl = settings['index-url'] || indexUrl;
+      extraIndexUrls = settings['extra-index-url'] || extraIndexUrls;
+      this.logger.info(`Loaded pip index configuration from ${file}`);
+    }
+
+    indexUrl = this.env.PIP_INDEX_URL || indexUrl;
+    extraIndexUrls = this.env.PIP_EXTRA_INDEX_URL || extraIndexUrls;
+
+    if (indexUrl && /^https?:\/\//.test(indexUrl)) {
+      this.registries.pypi = this.toPypiJsonApi(this.extractUrlCredentials(indexUrl));
+    }
+    if (extraIndexUrls) {
+      // Local wheel directories (file://) have no JSON API to query
+      this.pypiExtraIndexes = extraIndexUrls.split(/\s+/).filter(url => /^https?:\/\//.test(url))
+        .map(url => this.toPypiJsonApi(this.extractUrlCredentials(url)));
+    }
+  }
+
+  toPypiJsonApi(indexUrl) {
+    // pip is configured with the simple index (…/simple); metadata comes from the JSON API beside it (…/pypi)
+    return indexUrl.replace(/\/simple$/, '/pypi');
+  }
+
+  loadNugetConfig() {
+    const files = [];
+    for (let dir = this.projectDir; ; dir = path.dirname(dir)) {
+      const name = ['nuget.config', 'NuGet.Config', 'NuGet.config']
+        .find(candidate => fs.existsSync(path.join(dir, candidate)));
+      // Parent directories belong to the machine, not the scanned repository
+      if (name && (dir !== this.projectDir || this.isTrusted(path.join(dir, name)))) {
+        files.push(path.join(dir, name));
+      }
+      if (path.dirname(dir) === dir) {
+        break;
+      }
+    }
+    files.push(this.env.APPDATA
+      ? path.join(this.env.APPDATA, 'NuGet', 'NuGet.Config')
+      : path.join(this.homeDir, '.nuget', 'NuGet', 'NuGet.Config'));
+
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '',
+      isArray: (name) => ['add', 'packageSource', 'package', 'clear'].includes(name)
+    });
+    const credentials = {};
+
+    // Apply the user-wide file first and the file closest to the project last
+    for (const file of [...new Set(files)].reverse()) {
+      const project = path.dirname(file) === this.projectDir;
+      const content = this.readFile(file);
+      if (content === null) {
+        continue;
+      }
+
+      let configuration;
+      try {
+        configuration = parser.parse(content).configuration || {};
+      } catch (error) {
+        this.logger.warn(`Failed to parse ${file}: ${error.message}`);
+        continue;
+      }
+
+      const sources = configuration.packageSources || {};
+      if (sources.clear) {
+        this.nugetSources = [];
+      }
+      for (const entry of sources.add || []) {
+        this.nugetSources = this.nugetSources.filter(source => source.name !== entry.key);
+        this.nugetSources.push({ name: entry.key, url: this.extractUrlCredentials(entry.value) });
+      }
+
+      const disabled = ((configuration.disabledPackageSources || {}).add || [])
+        .filter(entry => String(entry.value).toLowerCase() === 'true')
+        .map(entry => entry.key);
+      this.nugetSources = this.nugetSources.filter(source => !disabled.includes(source.name));
+
+      for (const source of (configuration.packageSourceMapping || {}).packageSource || []) {
+        this.nugetMapping[source.key] = (source.package || []).map(entry => entry.pattern);
+      }
+
+      // Element names are the source names (spaces encoded as _x0020_)
+      for (const [name, values] of Object.entries(configuration.packageSourceCredentials || {})) {
+        const settings = Object.fromEntries((values.add || [])
+          .map(entry => [entry.key.toLowerCase(), project ? this.readProjectValue(String(entry.value), file) : this.expandEnv(String(entry.value))])
+          .filter(([, value]) => value !== null));
+        credentials[name.replace(/_x0020_/g, ' ')] = settings;
+      }
+
+      this.logger.info(`Loaded NuGet sources from ${file}`);
+    }
+
+    for (const [name, settings] of Object.entries(credentials)) {
+      const source = this.nugetSources.find(entry => entry.name === name);
+      if (!source || !source.url) {
+        continue;
+      }
+      if (settings.cleartextpassword) {
+        const basic = Buffer.from(`${settings.username || ''}:${settings.cleartextpassword}`).toString('base64');
+        this.addCredential(new URL(source.url).origin, `Basic ${basic}`, settings.cleartextpassword);
+      } else if (settings.password) {
+        this.logger.warn(`NuGet source ${name} uses an encrypted password, which can only be read on the machine that stored it; use ClearTextPassword with an environment variable instead`);
+      }
+    }
+  }
+
+  /**
+   * Sources a NuGet package may come from. With package source mapping the
+   * most specific matching pattern decides; otherwise every source is tried.
+   */
+  getNugetSources(name) {
+    const lowerName = name.toLowerCase();
+    let best = null;
+    let matches = [];
+
+    for (const source of this.nugetSources) {
+      for (const pattern of this.nugetMapping[source.name] || []) {
+        const lowerPattern = pattern.toLowerCase();
+        const matched = lowerPattern.endsWith('*')
+          ? lowerName.startsWith(lowerPattern.slice(0, -1))
+          : lowerName === lowerPattern;
+        if (!matched) {
+          continue;
+        }
+        // Exact ids beat prefixes; longer prefixes beat shorter ones
+        const specificity = lowerPattern.endsWith('*') ? lowerPattern.length - 1 : Infinity;
+        if (best === null || specificity > best) {
+          best = specificity;
+          matches = [source];
+        } else if (specificity === best && !matches.includes(source)) {
+          matches.push(source);
+        }
+      }
+    }
+
+    return Object.keys(this.nugetMapping).length > 0 ? matches : this.nugetSources;
+  }
+
+  loadComposerConfig() {
+    const composerHome = this.env.COMPOSER_HOME ||
+      [path.join(this.homeDir, '.config', 'composer'), path.join(this.homeDir, '.composer')].find(dir => fs.existsSync(dir));
+    const projectAuth = path.join(this.projectDir, 'auth.json');
+    const sources = [
+      composerHome && path.join(composerHome, 'auth.json'),
+      this.isTrusted(projectAuth) && projectAuth
+    ].filter(Boolean).map(file => ({ file, content: this.readFile(file) }));
+    if (this.env.COMPOSER_AUTH) {
+      sources.push({ file: 'COMPOSER_AUTH', content: this.env.COMPOSER_AUTH });
+    }
+
+    for (const { file, content } of sources) {
+      if (content === null) {
+        continue;
+      }
+
+      let auth;
+      try {
+        auth = JSON.parse(content);
+      } catch (error) {
+        this.logger.warn(`Failed to parse Composer auth from ${file}: ${error.message}`);
+        continue;
+      }
+
+      for (const [host, values] of Object.entries(auth['http-basic'] || {})) {
+        const basic = Buffer.from(`${values.username}:${values.password}`).toString('base64');
+        this.addCredential(`https://${host}`, `Basic ${basic}`, values.password);
+      }
+      for (const [host, token] of Object.entries(auth.bearer || {})) {
+        this.addCredential(`https://${host}`, `Bearer ${token}`);
+      }
+      for (const [host, token] of Object.entries(auth['github-oauth'] || {})) {
+        // Tokens for github.com are used against its API host, and only by Composer lookups (not Go modules)
+        this.addCredential(`https://${host === 'github.com' ? 'api.github.com' : host}`, `token ${token}`).ecosystem = 'php';
+      }
+      this.logger.info(`Loaded Composer credentials from ${file}`);
+    }
+
+    // composer.json is always present in a PHP project, so skipping its repositories is not worth a warning
+    const manifest = this.trustProject ? this.readFile(path.join(this.projectDir, 'composer.json')) : null;
+    if (manifest === null) {
+      return;
+    }
+
+    let repositories;
+    try {
+      repositories = JSON.parse(manifest).repositories || [];
+    } catch (error) {
+      return;
+    }
+
+    // repositories is either a list or an object keyed by name; { "packagist.org": false } disables Packagist
+    for (const [key, repository] of Object.entries(repositories)) {
+      if (repository === false && key === 'packagist.org') {
+        this.packagistEnabled = false;
+      } else if (repository && repository['packagist.org'] === false) {
+        this.packagistEnabled = false;
+      } else if (repository && repository.type === 'composer' && repository.url) {
+        this.composerRepositories.push(this.extractUrlCredentials(repository.url));
+      }
+    }
+  }
+}
+
+module.exports = RegistryConfig;
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Files that already carry one of these extensions are stored under their own name
+const KNOWN_EXTENSIONS = ['.json', '.xml', '.html', '.htm', '.txt', '.md'];
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown'
+};
+
+/**
+ * A directory of registry responses and documentation pages laid out as
+ * <host>/<path>, e.g. registry.npmjs.org/express.json or
+ * pypi.org/pypi/requests/json.json. `record` saves what a live run fetched,
+ * `replay` answers every request from the directory without network access.
+ */
+class RegistrySnapshot {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.directory = path.resolve(options.directory || 'documentation-snapshot');
+    this.recorded = new Set();
+    this.stats = { recorded: 0, replayed: 0, missing: 0 };
+  }
+
+  record(http) {
+    const adapter = axios.getAdapter(http.defaults.adapter);
+
+    http.defaults.adapter = async (config) => {
+      const response = await adapter(config);
+
+      if ((config.method || 'get').toLowerCase() === 'get' && response.status === 200 && typeof response.data === 'string') {
+        this.save(axios.getUri(config), response);
+      }
+
+      return response;
+    };
+
+    return http;
+  }
+
+  replay(http) {
+    http.defaults.adapter = async (config) => {
+      const url = axios.getUri(config);
+      const method = (config.method || 'get').toUpperCase();
+      const file = method === 'GET' ? this.find(url) : null;
+
+      if (!file) {
+        this.stats.missing += 1;
+        const response = { data: '', status: 404, statusText: 'Not Found', headers: new axios.AxiosHeaders(), config, request: null };
+        throw new axios.AxiosError(`Offline mode: ${method} ${url} is not in the snapshot at ${this.directory}`,
+          axios.AxiosError.ERR_BAD_REQUEST, config, null, response);
+      }
+
+      this.stats.replayed += 1;
+      return {
+        data: fs.readFileSync(file, 'utf8'),
+        status: 200,
+        statusText: 'OK',
+        headers: axios.AxiosHeaders.from({ 'content-type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' }),
+        config,
+        request: null
+      };
+    };
+
+    return http;
+  }
+
+  save(url, response) {
+    const contentType = String(response.headers['content-type'] || '');
+    const extension = /json/i.test(contentType) ? '.json' : /xml/i.test(contentType) ? '.xml' : /html/i.test(contentType) ? '.html' : '.txt';
+    const base = this.getBasePath(url);
+    const file = KNOWN_EXTENSIONS.includes(path.extname(base)) ? base : `${base}${extension}`;
+    if (this.recorded.has(file)) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, response.data);
+      this.recorded.add(file);
+      this.stats.recorded += 1;
+    } catch (error) {
+      this.logger.warn(`Failed to record ${url} in snapshot: ${error.message}`);
+    }
+  }
+
+  find(url) {
+    const base = this.getBasePath(url);
+    const candidates = KNOWN_EXTENSIONS.includes(path.extname(base))
+      ? [base]
+      : KNOWN_EXTENSIONS.map(extension => `${base}${extension}`);
+
+    return candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+  }
+
+  /**
+   * Map a URL to its location in the snapshot, without the content extension.
+   * Path segments are decoded so scoped npm packages land in @scope/name;
+   * query strings are kept percent-encoded in the file name.
+   */
+  getBasePath(url) {
+    const { host, pathname, search } = new URL(url);
+    const segments = pathname.split('/')
+      .flatMap(segment => this.decodeSegment(segment).split('/'))
+      .filter(segment => segment && segment !== '.' && segment !== '..');
+
+    if (pathname.endsWith('/') || segments.length === 0) {
+      segments.push('index');
+    }
+
+    let file = path.join(this.directory, host.replace(/:/g, '_'), ...segments);
+    if (search) {
+      file += `__${search.slice(1).replace(/[^A-Za-z0-9._~=&+%-]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)}`;
+    }
+
+    if (!file.startsWith(this.directory + path.sep)) {
+      throw new Error(`Refusing to map ${url} outside the snapshot directory`);
+    }
+    return file;
+  }
+
+  decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }
+}
+
+module.exports = RegistrySnapshot;
@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = {
+  html: 'documentation-report',
+  markdown: 'documentation-report.md',
+  csv: 'documentation-report.csv'
+};
+
+// [header, value]
+const CSV_COLUMNS = [
+  ['ecosystem', pkg => pkg.ecosystem],
+  ['name', pkg => pkg.name],
+  ['version', pkg => pkg.version],
+  ['declared_version', pkg => pkg.declaredVersion],
+  ['scope', pkg => pkg.scope],
+  ['dev_dependency', pkg => (pkg.isDevDependency ? 'true' : 'false')],
+  ['license', pkg => pkg.license],
+  ['description', pkg => pkg.description],
+  ['documentation_url', pkg => pkg.documentation.url],
+  ['documentation_source', pkg => pkg.documentation.source],
+  ['repository_url', pkg => pkg.repositoryUrl],
+  ['latest_version', pkg => pkg.latestVersion],
+  ['deprecated', pkg => (pkg.deprecated ? 'true' : 'false')],
+  ['vulnerabilities', pkg => pkg.vulnerabilities.map(advisory => advisory.id).join(' ')],
+  ['max_severity', pkg => pkg.maxSeverity],
+  ['documentation_status', pkg => getStatus(pkg)],
+  ['source', pkg => pkg.source],
+  ['manifest_path', pkg => pkg.manifestPath],
+  ['last_updated', pkg => pkg.lastUpdated]
+];
+
+const STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+  a { color: #0969da; text-decoration: none; }
+  a:hover { text-decoration: underline; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+  th, td { text-align: left; padding: .4rem .6rem; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+  .dev { color: #9a6700; font-size: .85em; }
+  .meta { color: #59636e; }
+  .content { white-space: pre-wrap; background: #f6f8fa; padding: 1rem; border-radius: 6px; }
+  .error { color: #cf222e; }
+`;
+
+function getStatus(pkg) {
+  if (pkg.documentation.error) {
+    return 'error';
+  }
+  return pkg.documentation.content ? 'available' : 'missing';
+}
+
+/**
+ * Renders stored packages as a static HTML site, a Markdown handbook or CSV.
+ * Works only from database rows, so it never touches the network.
+ */
+class ReportExporter {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.title = options.title || 'Dependency Documentation';
+  }
+
+  static get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  static getDefaultOutput(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * Write the report and return the path of the file (or, for HTML, the
+   * directory) that was written.
+   */
+  export(rows, format, output = FORMATS[format]) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown export format "${format}" (expected one of: ${ReportExporter.formats.join(', ')})`);
+    }
+
+    const packages = rows.map(row => this.normalize(row))
+      .sort((a, b) => a.ecosystem.localeCompare(b.ecosystem) || a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+
+    switch (format) {
+      case 'html':
+        this.writeHtml(packages, output);
+        break;
+      case 'markdown':
+        this.writeFile(output, this.toMarkdown(packages));
+        break;
+      case 'csv':
+        this.writeFile(output, this.toCsv(packages));
+        break;
+    }
+
+    this.logger.info(`Exported ${packages.length} packages as ${format} to ${output}`);
+    return path.resolve(output);
+  }
+
+  // SQLite rows are snake_case, MongoDB documents camelCase
+  normalize(row) {
+    const documentation = row.documentation && typeof row.documentation === 'object' ? row.documentation : {};
+    return {
+      ecosystem: row.ecosystem,
+      name: row.name,
+      version: row.version,
+      declaredVersion: row.declared_version || row.declaredVersion || row.version,
+      scope: row.scope || null,
+      isDevDependency: Boolean(row.is_dev_dependency || row.isDevDependency),
+      description: row.description || '',
+      documentation,
+      license: row.license || null,
+      repositoryUrl: row.repository_url || row.repositoryUrl || null,
+      homepage: row.homepage || null,
+      latestVersion: row.latest_version || row.latestVersion || null,
+      deprecated: Boolean(row.deprecated),
+      deprecationMessage: row.deprecation_message || row.deprecationMessage || null,
+      vulnerabilities: Array.isArray(row.vulnerabilities) ? row.vulnerabilities : [],
+      maxSeverity: row.max_severity || row.maxSeverity || null,
+      source: row.source || null,
+      manifestPath: row.manifest_path || row.manifestPath || null,
+      lastUpdated: row.last_updated || (row.lastUpdated instanceof Date ? row.lastUpdated.toISOString() : row.lastUpdated) || null
+    };
+  }
+
+  groupByEcosystem(packages) {
+    const groups = new Map();
+    for (const pkg of packages) {
+      if (!groups.has(pkg.ecosystem)) {
+        groups.set(pkg.ecosystem, []);
+      }
+      groups.get(pkg.ecosystem).push(pkg);
+    }
+    return groups;
+  }
+
+  writeFile(file, content) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+
+  toCsv(packages) {
+    const lines = [CSV_COLUMNS.map(([header]) => header).join(',')];
+    for (const pkg of packages) {
+      lines.push(CSV_COLUMNS.map(([, value]) => this.csvField(value(pkg))).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    // Names, versions, URLs and paths come from scan files and registries. Quoting
+    // does not stop Excel or Sheets from evaluating =HYPERLINK(...), so any value
+    // that could start a formula gets a leading ' (@scope/name becomes '@scope/name).
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toMarkdown(packages) {
+    const groups = this.groupByEcosystem(packages);
+    const lines = [`# ${this.title}`, '', `${packages.length} packages, generated ${new Date().toISOString()}.`, ''];
+
+    for (const [ecosystem, members] of groups) {
+      lines.push(`- [${ecosystem}](#${this.anchor(ecosystem)}) (${members.length})`);
+    }
+
+    for (const [ecosystem, members] of groups) {
+      lines.push('', `<a id="${this.anchor(ecosystem)}"></a>`, '', `## ${ecosystem}`, '');
+      lines.push('| Package | Version | Description |', '| --- | --- | --- |');
+      for (const pkg of members) {
+        const dev = pkg.isDevDependency ? ' (dev)' : '';
+        lines.push(`| [${this.markdownCell(pkg.name)}](#${this.anchor(ecosystem, pkg.name, pkg.version)})${dev} | ${this.markdownCell(pkg.version)} | ${this.markdownCell(pkg.description)} |`);
+      }
+
+      for (const pkg of members) {
+        lines.push('', `<a id="${this.anchor(ecosystem, pkg.name, pkg.version)}"></a>`, '', `### ${pkg.name}@${pkg.version}`, '');
+        if (pkg.description) {
+          lines.push(pkg.description, '');
+        }
+        lines.push(...this.getDetails(pkg).map(([label, value]) => `- **${label}:** ${value}`));
+
+        const { documentation } = pkg;
+        if (documentation.error) {
+          lines.push('', `> Documentation could not be fetched: ${documentation.error}`);
+        } else if (documentation.content) {
+          // Crawled content is untrusted; a fence keeps it from restructuring the handbook
+          const fence = '`'.repeat(Math.max(3, ...(documentation.content.match(/`+/g) || []).map(run => run.length + 1)));
+          lines.push('', `${fence}text`, documentation.content, fence);
+        }
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  markdownCell(value) {
+    return String(value || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+  }
+
+  anchor(...parts) {
+    return parts.join('-').toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
+  }
+
+  getDetails(pkg) {
+    const details = [];
+    if (pkg.declaredVersion !== pkg.version) details.push(['Declared', pkg.declaredVersion]);
+    if (pkg.scope) details.push(['Scope', pkg.scope]);
+    details.push(['Dependency type', pkg.isDevDependency ? 'development' : 'production']);
+    if (pkg.license) details.push(['License', pkg.license]);
+    if (pkg.latestVersion && pkg.latestVersion !== pkg.version) details.push(['Latest version', pkg.latestVersion]);
+    if (pkg.deprecated) details.push(['Deprecated', pkg.deprecationMessage || 'yes']);
+    if (pkg.vulnerabilities.length > 0) {
+      details.push(['Vulnerabilities', `${pkg.vulnerabilities.length} known, highest severity ${pkg.maxSeverity}`]);
+      for (const advisory of pkg.vulnerabilities) {
+        const rating = `${advisory.severity || 'unrated'}${advisory.score !== null && advisory.score !== undefined ? ` ${advisory.score}` : ''}`;
+        const fixed = advisory.fixed && advisory.fixed.length > 0 ? `fixed in ${advisory.fixed.join(', ')}` : 'no fix released';
+        details.push([advisory.id, `${rating}: ${advisory.summary || 'no summary'} (${fixed}) ${advisory.url}`]);
+      }
+    }
+    if (pkg.documentation.url) details.push(['Documentation', pkg.documentation.url]);
+    if (pkg.repositoryUrl) details.push(['Repository', pkg.repositoryUrl]);
+    if (pkg.homepage) details.push(['Homepage', pkg.homepage]);
+    if (pkg.source) details.push(['Source', pkg.source]);
+    if (pkg.manifestPath) details.push(['Manifest', pkg.manifestPath]);
+    if (pkg.lastUpdated) details.push(['Last updated', pkg.lastUpdated]);
+    return details;
+  }
+
+  writeHtml(packages, directory) {
+    const groups = this.groupByEcosystem(packages);
+    fs.mkdirSync(directory, { recursive: true });
+
+    const sections = [...groups].map(([ecosystem, members]) => {
+      const rows = members.map(pkg => `
+        <tr>
+          <td><a href="${this.escape(this.pagePath(pkg))}">${this.escape(pkg.name)}</a>${pkg.isDevDependency ? ' <span class="dev">dev</span>' : ''}</td>
+          <td>${this.escape(pkg.version)}</td>
+          <td>${this.escape(pkg.description)}</td>
+        </tr>`).join('');
+      return `
+      <h2 id="${this.escape(this.anchor(ecosystem))}">${this.escape(ecosystem)} <span class="meta">(${members.length})</span></h2>
+      <table>
+        <thead><tr><th>Package</th><th>Version</th><th>Description</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`;
+    }).join('');
+
+    const toc = [...groups].map(([ecosystem, members]) =>
+      `<a href="#${this.escape(this.anchor(ecosystem))}">${this.escape(ecosystem)}</a> (${members.length})`).join(' · ');
+    fs.writeFileSync(path.join(directory, 'index.html'), this.htmlPage(this.title, `
+      <h1>${this.escape(this.title)}</h1>
+      <p class="meta">${packages.length} packages, generated ${new Date().toISOString()}</p>
+      <p>${toc}</p>${sections}`));
+
+    for (const pkg of packages) {
+      const file = path.join(directory, this.pagePath(pkg));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, this.htmlPage(`${pkg.name}@${pkg.version}`, this.packageHtml(pkg)));
+    }
+  }
+
+  packageHtml(pkg) {
+    const details = this.getDetails(pkg).map(([label, value]) => {
+      const link = /^https?:\/\//.test(value) ? `<a href="${this.escape(value)}">${this.escape(value)}</a>` : this.escape(value);
+      return `<tr><th>${this.escape(label)}</th><td>${link}</td></tr>`;
+    }).join('\n        ');
+
+    const { documentation } = pkg;
+    let body = '<p class="meta">No documentation content stored.</p>';
+    if (documentation.error) {
+      body = `<p class="error">Documentation could not be fetched: ${this.escape(documentation.error)}</p>`;
+    } else if (documentation.content) {
+      body = `<div class="content">${this.escape(documentation.content)}</div>`;
+    }
+
+    return `
+      <p><a href="../index.html#${this.escape(this.anchor(pkg.ecosystem))}">← ${this.escape(this.title)}</a></p>
+      <h1>${this.escape(pkg.name)} <span class="meta">${this.escape(pkg.version)} · ${this.escape(pkg.ecosystem)}</span></h1>
+      <p>${this.escape(pkg.description)}</p>
+      <table>
+        ${details}
+      </table>
+      ${body}`;
+  }
+
+  // <ecosystem>/<name>-<version>.html with path-safe names (e.g. @types/node)
+  pagePath(pkg) {
+    const safe = (value) => String(value).replace(/[^A-Za-z0-9._-]+/g, '_');
+    return `${safe(pkg.ecosystem)}/${safe(pkg.name)}-${safe(pkg.version)}.html`;
+  }
+
+  htmlPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${this.escape(title)}</title>
+    <style>${STYLE}</style>
+  </head>
+  <body>${body}
+  </body>
+</html>
+`;
+  }
+
+  escape(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = ReportExporter;
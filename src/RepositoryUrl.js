@@ -0,0 +1,36 @@
+// owner/repo, optionally prefixed with the host: github:x/y, gitlab:x/y, bitbucket:x/y
+const SHORTHAND = /^(?:(github|gitlab|bitbucket):)?([\w.-]+\/[\w.-]+)$/;
+
+/**
+ * Repository URLs as registries, POMs, scan files and pip requirements write
+ * them, normalized to the repository's https URL. git+https://github.com/x/y.git,
+ * git@github.com:x/y.git, github:x/y and pip's
+ * git+https://github.com/x/y.git@v1.0#egg=y all become https://github.com/x/y.
+ */
+class RepositoryUrl {
+  static normalize(url) {
+    if (!url || typeof url !== 'string') {
+      return null;
+    }
+
+    const value = url.trim();
+    const shorthand = SHORTHAND.exec(value);
+    if (shorthand) {
+      const host = shorthand[1] === 'bitbucket' ? 'bitbucket.org' : `${shorthand[1] || 'github'}.com`;
+      return `https://${host}/${shorthand[2].replace(/\.git$/, '')}`;
+    }
+
+    return value
+      .replace(/^git\+/, '')
+      // #egg=name, #subdirectory=... and #readme anchors
+      .replace(/#.*$/, '')
+      .replace(/^(git|ssh):\/\/(git@)?/, 'https://')
+      .replace(/^git@([^:]+):/, 'https://$1/')
+      .replace(/^http:\/\/(github\.com|gitlab\.com|bitbucket\.org)/, 'https://$1')
+      // A pip-style @ref (tag, branch or commit) after owner/repo or a .git path
+      .replace(/^(https?:\/\/[^/]+\/(?:[^@/]+\/[^@/]+|[^@]+?\.git))@.*$/, '$1')
+      .replace(/(\.git)?\/*$/, '');
+  }
+}
+
+module.exports = RepositoryUrl;
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const path = require('path');
+const PackageUrl = require('./PackageUrl');
+const SpdxLicense = require('./SpdxLicense');
+const { version: toolVersion } = require('../package.json');
+
+const TOOL_NAME = 'documentation-mapper';
+
+/**
+ * Reads CycloneDX and SPDX JSON SBOMs as scan input, and writes stored
+ * packages back out as SBOMs enriched with descriptions, licenses and
+ * documentation URLs.
+ */
+class SbomConverter {
+  constructor(options = {}) {
+    this.logger = options.logger;
+  }
+
+  static get formats() {
+    return ['cyclonedx', 'spdx'];
+  }
+
+  static getDefaultOutput(format) {
+    return format === 'spdx' ? 'bom.spdx.json' : 'bom.cdx.json';
+  }
+
+  detect(data) {
+    if (data && data.bomFormat === 'CycloneDX') {
+      return 'cyclonedx';
+    }
+    if (data && typeof data.spdxVersion === 'string') {
+      return 'spdx';
+    }
+    return null;
+  }
+
+  /**
+   * Dependencies and scan details from a parsed SBOM. Components are mapped
+   * onto ecosystems through their purl; anything without a purl of a
+   * supported type is skipped.
+   */
+  read(data, file) {
+    const format = this.detect(data);
+    const { scan, packages } = format === 'cyclonedx' ? this.readCycloneDX(data) : this.readSPDX(data);
+    const manifestPath = path.basename(file);
+
+    const dependencies = [];
+    let skipped = 0;
+    for (const pkg of packages) {
+      let purl = null;
+      try {
+        purl = pkg.purl ? PackageUrl.parse(pkg.purl) : null;
+      } catch (error) {
+        this.logger.warn(`${manifestPath}: ${error.message}`);
+      }
+      if (!purl || !purl.ecosystem) {
+        skipped += 1;
+        continue;
+      }
+
+      const version = purl.version || pkg.version;
+      dependencies.push({
+        ecosystem: purl.ecosystem,
+        name: purl.dependencyName,
+        version,
+        declaredVersion: version,
+        source: 'registry',
+        manifestPath,
+        isDevDependency: pkg.dev,
+        scope: pkg.dev ? 'dev' : pkg.optional ? 'optional' : 'runtime',
+        relationship: pkg.relationship,
+        // Exact versions from an SBOM are never re-resolved
+        locked: Boolean(version),
+        license: pkg.license || undefined
+      });
+    }
+
+    if (skipped > 0) {
+      this.logger.info(`Skipped ${skipped} ${format} entries without a package URL of a supported type`);
+    }
+    return { scan: { ...scan, project: scan.project || path.basename(file).replace(/(\.(cdx|spdx|bom))?\.json$/i, '') }, dependencies };
+  }
+
+  readCycloneDX(data) {
+    const root = (data.metadata && data.metadata.component) || null;
+    const rootRef = root && root['bom-ref'];
+    const graph = new Map((data.dependencies || []).map(entry => [entry.ref, entry.dependsOn || []]));
+    const direct = rootRef && graph.has(rootRef) ? new Set(graph.get(rootRef)) : null;
+
+    // Components may nest (assemblies); flatten them
+    const components = [];
+    const visit = (list) => (list || []).forEach(component => {
+      components.push(component);
+      visit(component.components);
+    });
+    visit(data.components);
+
+    return {
+      scan: {
+        project: root ? root.name : null,
+        commitHash: null,
+        scanDate: (data.metadata && data.metadata.timestamp) || null
+      },
+      packages: components
+        .filter(component => !['application', 'operating-system', 'device', 'file'].includes(component.type))
+        .map(component => ({
+          purl: component.purl,
+          version: component.version,
+          dev: component.scope === 'excluded' || this.hasDevProperty(component.properties),
+          optional: component.scope === 'optional',
+          relationship: direct ? (direct.has(component['bom-ref']) ? 'direct' : 'transitive') : undefined,
+          license: this.getCycloneDXLicense(component.licenses)
+        }))
+    };
+  }
+
+  // e.g. cdx:npm:package:development=true from cyclonedx-npm
+  hasDevProperty(properties) {
+    return (properties || []).some(property => /(^|:)(dev|development)$/i.test(property.name) && String(property.value) === 'true');
+  }
+
+  getCycloneDXLicense(licenses) {
+    const ids = (licenses || []).map(entry => entry.expression || (entry.license && (entry.license.id || entry.license.name))).filter(Boolean);
+    return ids.length > 1 ? ids.map(id => (/\s/.test(id) ? `(${id})` : id)).join(' AND ') : ids[0] || null;
+  }
+
+  readSPDX(data) {
+    const packages = data.packages || [];
+    const relationships = data.relationships || [];
+    const rootIds = new Set([
+      ...(data.documentDescribes || []),
+      ...relationships.filter(rel => rel.spdxElementId === 'SPDXRef-DOCUMENT' && rel.relationshipType === 'DESCRIBES')
+        .map(rel => rel.relatedSpdxElement)
+    ]);
+    const root = packages.find(pkg => rootIds.has(pkg.SPDXID));
+
+    const direct = new Set();
+    const dev = new Set();
+    const optional = new Set();
+    for (const { spdxElementId: from, relatedSpdxElement: to, relationshipType: type } of relationships) {
+      if (type === 'DEPENDS_ON' && rootIds.has(from)) direct.add(to);
+      if (/^(|DEV_|OPTIONAL_|BUILD_|RUNTIME_|TEST_)DEPENDENCY_OF$/.test(type) && rootIds.has(to)) direct.add(from);
+      if (type === 'DEV_DEPENDENCY_OF') dev.add(from);
+      if (type === 'OPTIONAL_DEPENDENCY_OF') optional.add(from);
+    }
+    const hasGraph = direct.size > 0;
+
+    return {
+      scan: {
+        project: root ? root.name : data.name || null,
+        commitHash: null,
+        scanDate: (data.creationInfo && data.creationInfo.created) || null
+      },
+      packages: packages
+        .filter(pkg => !rootIds.has(pkg.SPDXID))
+        .map(pkg => {
+          const ref = (pkg.externalRefs || []).find(entry => entry.referenceType === 'purl');
+          const license = [pkg.licenseConcluded, pkg.licenseDeclared].find(value => value && !['NOASSERTION', 'NONE'].includes(value));
+          return {
+            purl: ref ? ref.referenceLocator : null,
+            version: pkg.versionInfo,
+            dev: dev.has(pkg.SPDXID),
+            optional: optional.has(pkg.SPDXID),
+            relationship: hasGraph ? (direct.has(pkg.SPDXID) ? 'direct' : 'transitive') : undefined,
+            license: license || null
+          };
+        })
+    };
+  }
+
+  /**
+   * An SBOM document for stored package rows (SQLite or MongoDB shape).
+   */
+  write(rows, format, options = {}) {
+    const packages = rows.map(row => this.normalize(row));
+    return format === 'spdx' ? this.toSPDX(packages, options) : this.toCycloneDX(packages, options);
+  }
+
+  normalize(row) {
+    const metadata = row.metadata && typeof row.metadata === 'object' ? row.metadata : {};
+    const documentation = row.documentation && typeof row.documentation === 'object' ? row.documentation : {};
+    const purl = row.purl || PackageUrl.identify(row);
+
+    return {
+      ecosystem: row.ecosystem,
+      name: row.name,
+      version: row.version,
+      purl,
+      description: row.description && !row.description.startsWith('Failed to fetch description') ? row.description : null,
+      license: row.license || metadata.license || null,
+      documentationUrl: documentation.url || row.documentation_url || row.documentationUrl || null,
+      repositoryUrl: row.repository_url || row.repositoryUrl || null,
+      homepage: row.homepage || null,
+      isDevDependency: Boolean(row.is_dev_dependency || row.isDevDependency),
+      relationship: row.relationship || null,
+      vulnerabilities: Array.isArray(row.vulnerabilities) ? row.vulnerabilities : []
+    };
+  }
+
+  toCycloneDX(packages, { project }) {
+    const rootRef = project ? `project:${project}` : null;
+    const components = packages.map(pkg => {
+      const purl = pkg.purl ? PackageUrl.parse(pkg.purl) : null;
+      const component = {
+        type: 'library',
+        'bom-ref': pkg.purl || `${pkg.ecosystem}:${pkg.name}@${pkg.version}`,
+        group: purl && purl.namespace ? purl.namespace : undefined,
+        name: purl ? purl.name : pkg.name,
+        version: pkg.version,
+        description: pkg.description || undefined,
+        scope: pkg.isDevDependency ? 'excluded' : 'required',
+        purl: pkg.purl || undefined,
+        licenses: this.getCycloneDXLicenses(pkg.license),
+        externalReferences: this.getExternalReferences(pkg),
+        properties: [{ name: `${TOOL_NAME}:ecosystem`, value: pkg.ecosystem }]
+      };
+      return JSON.parse(JSON.stringify(component));
+    });
+
+    const bom = {
+      bomFormat: 'CycloneDX',
+      specVersion: '1.5',
+      serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+      version: 1,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        tools: { components: [{ type: 'application', name: TOOL_NAME, version: toolVersion }] }
+      },
+      components
+    };
+
+    const vulnerabilities = this.getCycloneDXVulnerabilities(packages, components);
+    if (vulnerabilities.length > 0) {
+      bom.vulnerabilities = vulnerabilities;
+    }
+
+    if (rootRef) {
+      bom.metadata.component = { type: 'application', 'bom-ref': rootRef, name: project };
+      bom.dependencies = [{
+        ref: rootRef,
+        dependsOn: components.filter((component, index) => packages[index].relationship !== 'transitive').map(component => component['bom-ref'])
+      }];
+    }
+    return bom;
+  }
+
+  // One entry per advisory from the last audit, listing every component it affects
+  getCycloneDXVulnerabilities(packages, components) {
+    const byId = new Map();
+    packages.forEach((pkg, index) => {
+      for (const advisory of pkg.vulnerabilities) {
+        if (!byId.has(advisory.id)) {
+          byId.set(advisory.id, JSON.parse(JSON.stringify({
+            id: advisory.id,
+            source: { name: 'OSV', url: `https://osv.dev/vulnerability/${encodeURIComponent(advisory.id)}` },
+            references: advisory.aliases && advisory.aliases.length > 0
+              ? advisory.aliases.map(alias => ({ id: alias, source: { name: alias.startsWith('CVE-') ? 'NVD' : 'OSV' } }))
+              : undefined,
+            ratings: advisory.severity
+              ? [advisory.score === null ? { severity: advisory.severity } : { severity: advisory.severity, score: advisory.score, method: 'CVSSv3' }]
+              : undefined,
+            description: advisory.summary || undefined,
+            recommendation: advisory.fixed && advisory.fixed.length > 0 ? `Upgrade to ${advisory.fixed.join(' or ')}` : undefined,
+            advisories: advisory.url ? [{ url: advisory.url }] : undefined,
+            published: advisory.published || undefined,
+            updated: advisory.modified || undefined,
+            affects: []
+          })));
+        }
+        byId.get(advisory.id).affects.push({ ref: components[index]['bom-ref'] });
+      }
+    });
+    return [...byId.values()];
+  }
+
+  getExternalReferences(pkg) {
+    const references = [
+      ['documentation', pkg.documentationUrl],
+      ['vcs', pkg.repositoryUrl],
+      ['website', pkg.homepage]
+    ].filter(([, url]) => url).map(([type, url]) => ({ type, url }));
+    return references.length > 0 ? references : undefined;
+  }
+
+  // `id` only takes SPDX license list identifiers (deprecated ones are replaced); anything else is written as a name
+  getCycloneDXLicenses(stored) {
+    const license = SpdxLicense.normalize(stored);
+    if (!license) {
+      return undefined;
+    }
+    if (SpdxLicense.isKnown(license)) {
+      return [{ license: { id: license } }];
+    }
+    return [SpdxLicense.isValidExpression(license) ? { expression: license } : { license: { name: license } }];
+  }
+
+  /**
+   * A valid SPDX expression for a stored license, with deprecated identifiers
+   * replaced. Anything else (Commercial, UNLICENSED) becomes a LicenseRef, recorded in
+   * `extracted` with the text as the registry gave it.
+   */
+  getSPDXLicense(stored, extracted) {
+    const license = SpdxLicense.normalize(stored);
+    if (!license) {
+      return 'NOASSERTION';
+    }
+    if (SpdxLicense.isValidExpression(license)) {
+      for (const ref of license.match(/(^|[\s(])LicenseRef-[A-Za-z0-9.-]+/g) || []) {
+        const id = ref.trim().replace(/^\(/, '');
+        if (!extracted.has(id)) {
+          extracted.set(id, id);
+        }
+      }
+      return license;
+    }
+
+    const base = `LicenseRef-${license.replace(/[^A-Za-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '') || 'unknown'}`;
+    let id = base;
+    for (let suffix = 2; extracted.has(id) && extracted.get(id) !== license; suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    extracted.set(id, license);
+    return id;
+  }
+
+  toSPDX(packages, { project }) {
+    const name = project || TOOL_NAME;
+    const extracted = new Map();
+    const spdxPackages = packages.map((pkg, index) => {
+      const externalRefs = [];
+      if (pkg.purl) {
+        externalRefs.push({ referenceCategory: 'PACKAGE-MANAGER', referenceType: 'purl', referenceLocator: pkg.purl });
+      }
+      if (pkg.documentationUrl) {
+        externalRefs.push({ referenceCategory: 'OTHER', referenceType: 'documentation', referenceLocator: pkg.documentationUrl });
+      }
+      return JSON.parse(JSON.stringify({
+        SPDXID: `SPDXRef-Package-${index + 1}`,
+        name: pkg.name,
+        versionInfo: pkg.version,
+        downloadLocation: 'NOASSERTION',
+        homepage: pkg.homepage || undefined,
+        filesAnalyzed: false,
+        licenseConcluded: 'NOASSERTION',
+        licenseDeclared: this.getSPDXLicense(pkg.license, extracted),
+        copyrightText: 'NOASSERTION',
+        description: pkg.description || undefined,
+        externalRefs: externalRefs.length > 0 ? externalRefs : undefined
+      }));
+    });
+
+    const relationships = [];
+    if (project) {
+      spdxPackages.unshift({
+        SPDXID: 'SPDXRef-Project',
+        name: project,
+        downloadLocation: 'NOASSERTION',
+        filesAnalyzed: false,
+        licenseConcluded: 'NOASSERTION',
+        licenseDeclared: 'NOASSERTION',
+        copyrightText: 'NOASSERTION'
+      });
+      relationships.push({ spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-Project' });
+      packages.forEach((pkg, index) => relationships.push(pkg.isDevDependency
+        ? { spdxElementId: `SPDXRef-Package-${index + 1}`, relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: 'SPDXRef-Project' }
+        : { spdxElementId: 'SPDXRef-Project', relationshipType: 'DEPENDS_ON', relatedSpdxElement: `SPDXRef-Package-${index + 1}` }));
+    } else {
+      packages.forEach((pkg, index) => relationships.push(
+        { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: `SPDXRef-Package-${index + 1}` }));
+    }
+
+    return {
+      spdxVersion: 'SPDX-2.3',
+      dataLicense: 'CC0-1.0',
+      SPDXID: 'SPDXRef-DOCUMENT',
+      name,
+      documentNamespace: `https://spdx.org/spdxdocs/${encodeURIComponent(name)}-${crypto.randomUUID()}`,
+      creationInfo: {
+        created: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+        creators: [`Tool: ${TOOL_NAME}-${toolVersion}`]
+      },
+      packages: spdxPackages,
+      relationships,
+      hasExtractedLicensingInfos: extracted.size > 0
+        ? [...extracted].map(([licenseId, extractedText]) => ({ licenseId, name: extractedText, extractedText }))
+        : undefined
+    };
+  }
+}
+
+module.exports = SbomConverter;
@@ -0,0 +1,174 @@
+// A field's type, and whether it may be null or missing
+const field = (type, options = {}) => ({ type, nullable: false, optional: false, ...options });
+const nullable = (type, options = {}) => field(type, { nullable: true, optional: true, ...options });
+
+/**
+ * Dependency scan file formats by `schema_version`. Files without one are
+ * version 1. Versions are never edited once released; add a new one instead.
+ * Unlisted keys are allowed so scanners can add fields ahead of a schema.
+ */
+const SCHEMAS = {
+  1: {
+    file: {
+      repo: field('object', {
+        optional: true,
+        fields: {
+          path: nullable('string'),
+          commit_hash: nullable('string'),
+          scan_date: nullable('string', { date: true })
+        }
+      }),
+      scan_summary: nullable('object'),
+      dependencies: field('array')
+    },
+    record: {
+      ecosystem: field('string', { nonEmpty: true }),
+      manifest_path: field('string'),
+      dependency: field('object', {
+        fields: {
+          name: field('string', { nonEmpty: true }),
+          version: nullable('string'),
+          source: nullable('string'),
+          resolved: nullable('string')
+        }
+      }),
+      metadata: field('object', {
+        fields: {
+          dev_dependency: field('boolean'),
+          line_number: nullable('integer', { min: 0 }),
+          script_section: nullable('boolean')
+        }
+      }),
+      risk_score: nullable('number', { min: 0 }),
+      signals: nullable('array', {
+        items: field('object', {
+          fields: {
+            type: field('string', { nonEmpty: true }),
+            file: nullable('string'),
+            line: nullable('integer', { min: 0 }),
+            detail: nullable('string'),
+            severity: nullable('string')
+          }
+        })
+      })
+    }
+  }
+};
+
+/**
+ * Validates dependency scan files (the `repo` / `scan_summary` /
+ * `dependencies` format produced by the upstream scanner) against the schema
+ * of their version, reporting every malformed record by index.
+ */
+class ScanSchema {
+  static get versions() {
+    return Object.keys(SCHEMAS).map(Number);
+  }
+
+  /**
+   * `{ version, errors, invalid }`: problems with the file as a whole, and a
+   * Map from each malformed record's index to its problems. Records are only
+   * checked once the file itself is sound.
+   */
+  validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { version: null, errors: ['expected a JSON object with a dependencies array'], invalid: new Map() };
+    }
+
+    const version = this.getVersion(data.schema_version);
+    if (!SCHEMAS[version]) {
+      return {
+        version: null,
+        errors: [`unsupported schema_version ${JSON.stringify(data.schema_version)} (supported: ${ScanSchema.versions.join(', ')})`],
+        invalid: new Map()
+      };
+    }
+
+    const schema = SCHEMAS[version];
+    const errors = [];
+    this.checkFields(data, schema.file, '', errors);
+    const invalid = new Map();
+    if (errors.length === 0) {
+      data.dependencies.forEach((record, index) => {
+        const problems = [];
+        this.check(record, field('object', { fields: schema.record }), '', problems);
+        if (problems.length > 0) {
+          invalid.set(index, problems);
+        }
+      });
+    }
+    return { version, errors, invalid };
+  }
+
+  // "1", 1 and "1.0" all mean version 1
+  getVersion(value) {
+    if (value === undefined || value === null) {
+      return 1;
+    }
+    return /^\d+(\.\d+)*$/.test(String(value)) ? parseInt(value, 10) : NaN;
+  }
+
+  check(value, rule, path, problems) {
+    const label = path || 'record';
+    if (value === undefined) {
+      if (!rule.optional) {
+        problems.push(`${label} is missing`);
+      }
+      return;
+    }
+    if (value === null) {
+      if (!rule.nullable) {
+        problems.push(`${label} must not be null`);
+      }
+      return;
+    }
+
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    const expected = rule.type === 'integer' ? 'number' : rule.type;
+    if (actual !== expected || (rule.type === 'integer' && !Number.isInteger(value)) || (expected === 'number' && !Number.isFinite(value))) {
+      problems.push(`${label} must be ${/^[aeiou]/.test(rule.type) ? 'an' : 'a'} ${rule.type} (got ${this.show(value)})`);
+      return;
+    }
+
+    if (rule.nonEmpty && !value.trim()) {
+      problems.push(`${label} must not be empty`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      problems.push(`${label} must be >= ${rule.min} (got ${value})`);
+    }
+    if (rule.date && Number.isNaN(Date.parse(value))) {
+      problems.push(`${label} must be a date (got ${this.show(value)})`);
+    }
+    if (rule.fields) {
+      this.checkFields(value, rule.fields, path, problems);
+    }
+    if (rule.items) {
+      value.forEach((item, index) => this.check(item, rule.items, `${label}[${index}]`, problems));
+    }
+  }
+
+  checkFields(value, fields, path, problems) {
+    for (const [key, rule] of Object.entries(fields)) {
+      this.check(value[key], rule, path ? `${path}.${key}` : key, problems);
+    }
+  }
+
+  show(value) {
+    const text = JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+  }
+
+  // dependencies[12] (npm left-pad, apps/web/package.json)
+  describe(record, index) {
+    const parts = [];
+    if (record && typeof record === 'object') {
+      const name = record.dependency && typeof record.dependency === 'object' ? record.dependency.name : null;
+      const pkg = [record.ecosystem, name].filter(value => typeof value === 'string' && value).join(' ');
+      if (pkg) parts.push(pkg);
+      if (typeof record.manifest_path === 'string' && record.manifest_path) parts.push(record.manifest_path);
+    }
+    return `dependencies[${index}]${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+  }
+}
+
+module.exports = ScanSchema;
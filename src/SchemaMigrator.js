@@ -0,0 +1,537 @@
+const fs = require('fs');
+const PackageUrl = require('./PackageUrl');
+
+/**
+ * Ordered schema changes per backend. Versions are never renumbered or
+ * edited once released; add a new entry instead. Early migrations are
+ * idempotent because databases created before versioning already carry
+ * some of their changes.
+ */
+const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Create packages table',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS packages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          ecosystem TEXT NOT NULL,
+          name TEXT NOT NULL,
+          version TEXT NOT NULL,
+          source TEXT,
+          description TEXT,
+          documentation TEXT,
+          manifest_path TEXT,
+          is_dev_dependency BOOLEAN DEFAULT 0,
+          last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(ecosystem, name, version)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_packages_ecosystem_name ON packages(ecosystem, name);
+        CREATE INDEX IF NOT EXISTS idx_packages_name ON packages(name);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'Add declared version, relationship, scope and metadata to packages',
+    up: async (db) => {
+      await addColumns(db, 'packages', {
+        declared_version: 'TEXT',
+        relationship: 'TEXT',
+        scope: 'TEXT',
+        metadata: 'TEXT'
+      });
+    }
+  },
+  {
+    version: 3,
+    name: 'Count consecutive fetch failures',
+    up: async (db) => {
+      await addColumns(db, 'packages', { failure_count: 'INTEGER DEFAULT 0' });
+    }
+  },
+  {
+    version: 4,
+    name: 'Track projects, scans, manifests and package usages',
+    up: async (db) => {
+      await db.exec(`
+        CREATE TABLE IF NOT EXISTS projects (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          path TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS scans (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+          commit_hash TEXT,
+          scan_date DATETIME NOT NULL,
+          source TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS manifests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          project_id INTEGER NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+          path TEXT NOT NULL,
+          ecosystem TEXT,
+          UNIQUE(project_id, path)
+        );
+
+        CREATE TABLE IF NOT EXISTS package_usages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          package_id INTEGER NOT NULL REFERENCES packages(id) ON DELETE CASCADE,
+          scan_id INTEGER NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+          manifest_id INTEGER NOT NULL REFERENCES manifests(id) ON DELETE CASCADE,
+          declared_version TEXT,
+          relationship TEXT,
+          scope TEXT,
+          is_dev_dependency BOOLEAN,
+          UNIQUE(scan_id, manifest_id, package_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_scans_project ON scans(project_id, scan_date);
+        CREATE INDEX IF NOT EXISTS idx_package_usages_package ON package_usages(package_id);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'Full-text search index over names, descriptions and documentation',
+    up: async (db) => {
+      await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS packages_fts USING fts5(
+          name, description, content, tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS packages_fts_insert AFTER INSERT ON packages BEGIN
+          INSERT INTO packages_fts(rowid, name, description, content)
+          VALUES (new.id, new.name, new.description, json_extract(new.documentation, '$.content'));
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS packages_fts_update AFTER UPDATE ON packages BEGIN
+          DELETE FROM packages_fts WHERE rowid = old.id;
+          INSERT INTO packages_fts(rowid, name, description, content)
+          VALUES (new.id, new.name, new.description, json_extract(new.documentation, '$.content'));
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS packages_fts_delete AFTER DELETE ON packages BEGIN
+          DELETE FROM packages_fts WHERE rowid = old.id;
+        END;
+      `);
+
+      // Rows stored before the index existed
+      await db.run(`
+        INSERT INTO packages_fts(rowid, name, description, content)
+        SELECT id, name, description, CASE WHEN json_valid(documentation) THEN json_extract(documentation, '$.content') END
+        FROM packages WHERE id NOT IN (SELECT rowid FROM packages_fts)
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'Identify packages by package URL',
+    up: async (db) => {
+      await addColumns(db, 'packages', { purl: 'TEXT' });
+
+      // Rows stored under an alias (python) or another spelling of the same
+      // name (Django, django) collapse into the most recently updated one
+      const rows = await db.all('SELECT id, ecosystem, name, version, purl FROM packages ORDER BY last_updated DESC, id DESC');
+      const { survivors, duplicates } = groupByIdentity(rows);
+      for (const { id, survivorId } of duplicates) {
+        await db.run('UPDATE OR IGNORE package_usages SET package_id = ? WHERE package_id = ?', [survivorId, id]);
+        await db.run('DELETE FROM packages WHERE id = ?', [id]);
+      }
+      for (const { id, ecosystem, name, purl } of survivors) {
+        await db.run('UPDATE packages SET ecosystem = ?, name = ?, purl = ? WHERE id = ?', [ecosystem, name, purl, id]);
+      }
+
+      await db.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_packages_purl ON packages(purl)');
+      if (duplicates.length > 0) {
+        db.logger.info(`Merged ${duplicates.length} duplicate package rows`);
+      }
+    }
+  },
+  {
+    version: 7,
+    name: 'Store license, repository, homepage and maintainer metadata',
+    up: async (db) => {
+      await addColumns(db, 'packages', {
+        license: 'TEXT',
+        repository_url: 'TEXT',
+        homepage: 'TEXT',
+        documentation_url: 'TEXT',
+        authors: 'TEXT',
+        keywords: 'TEXT',
+        published_at: 'DATETIME',
+        latest_version: 'TEXT',
+        deprecated: 'BOOLEAN DEFAULT 0',
+        deprecation_message: 'TEXT'
+      });
+
+      // Licenses (and purls, now a column of their own) read from SBOMs were kept in the metadata column
+      await db.run(`
+        UPDATE packages
+        SET license = coalesce(json_extract(metadata, '$.license'), license),
+          metadata = json_remove(metadata, '$.license', '$.purl')
+        WHERE json_valid(metadata) AND (json_type(metadata, '$.license') IS NOT NULL OR json_type(metadata, '$.purl') IS NOT NULL)
+      `);
+      await db.run('CREATE INDEX IF NOT EXISTS idx_packages_license ON packages(license)');
+    }
+  },
+  {
+    version: 8,
+    name: 'Store known vulnerabilities from OSV audits',
+    up: async (db) => {
+      await addColumns(db, 'packages', {
+        vulnerabilities: 'TEXT',
+        max_severity: 'TEXT',
+        audited_at: 'DATETIME'
+      });
+      await db.run('CREATE INDEX IF NOT EXISTS idx_packages_max_severity ON packages(max_severity)');
+    }
+  },
+  {
+    version: 9,
+    name: 'Keep risk scores, signals and source locations from dependency scans',
+    up: async (db) => {
+      await addColumns(db, 'package_usages', {
+        risk_score: 'REAL',
+        signals: 'TEXT',
+        line_number: 'INTEGER',
+        script_section: 'BOOLEAN',
+        resolved: 'TEXT'
+      });
+      await addColumns(db, 'scans', { summary: 'TEXT' });
+      await db.run('CREATE INDEX IF NOT EXISTS idx_package_usages_risk_score ON package_usages(risk_score)');
+    }
+  },
+  {
+    version: 10,
+    name: 'Record usages of dependencies without a stored package',
+    up: async (db) => {
+      // Usages name their package, as in MongoDB, so dependencies that failed,
+      // were skipped or are workspace packages are recorded too; package_id
+      // links the stored package once there is one. SQLite cannot drop NOT NULL
+      // in place, so the table is rebuilt.
+      await db.exec(`
+        CREATE TABLE package_usages_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          package_id INTEGER REFERENCES packages(id) ON DELETE SET NULL,
+          scan_id INTEGER NOT NULL REFERENCES scans(id) ON DELETE CASCADE,
+          manifest_id INTEGER NOT NULL REFERENCES manifests(id) ON DELETE CASCADE,
+          ecosystem TEXT NOT NULL,
+          name TEXT NOT NULL,
+          version TEXT NOT NULL,
+          declared_version TEXT,
+          relationship TEXT,
+          scope TEXT,
+          is_dev_dependency BOOLEAN,
+          risk_score REAL,
+          signals TEXT,
+          line_number INTEGER,
+          script_section BOOLEAN,
+          resolved TEXT,
+          UNIQUE(scan_id, manifest_id, ecosystem, name, version)
+        );
+
+        INSERT INTO package_usages_new (id, package_id, scan_id, manifest_id, ecosystem, name, version, declared_version,
+          relationship, scope, is_dev_dependency, risk_score, signals, line_number, script_section, resolved)
+        SELECT u.id, u.package_id, u.scan_id, u.manifest_id, p.ecosystem, p.name, p.version, u.declared_version,
+          u.relationship, u.scope, u.is_dev_dependency, u.risk_score, u.signals, u.line_number, u.script_section, u.resolved
+        FROM package_usages u JOIN packages p ON p.id = u.package_id;
+
+        DROP TABLE package_usages;
+        ALTER TABLE package_usages_new RENAME TO package_usages;
+
+        CREATE INDEX idx_package_usages_package ON package_usages(package_id);
+        CREATE INDEX idx_package_usages_identity ON package_usages(ecosystem, name, version);
+        CREATE INDEX idx_package_usages_risk_score ON package_usages(risk_score);
+      `);
+    }
+  }
+];
+
+const MONGODB_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Index packages by ecosystem, name and version',
+    up: async (db) => {
+      await db.connection.collection('packages').createIndex({ ecosystem: 1, name: 1, version: 1 }, { unique: true });
+      await db.connection.collection('packages').createIndex({ name: 1 });
+    }
+  },
+  {
+    version: 2,
+    name: 'Index projects, scans and package usages',
+    up: async (db) => {
+      await db.connection.collection('projects').createIndex({ name: 1 }, { unique: true });
+      await db.connection.collection('scans').createIndex({ project: 1, scanDate: -1 });
+      // Manifests are embedded in usages by path rather than kept in their own collection
+      await db.connection.collection('package_usages').createIndex(
+        { scanId: 1, manifestPath: 1, ecosystem: 1, name: 1, version: 1 },
+        { unique: true }
+      );
+      await db.connection.collection('package_usages').createIndex({ ecosystem: 1, name: 1, version: 1 });
+    }
+  },
+  {
+    version: 3,
+    name: 'Text index over names, descriptions and documentation',
+    up: async (db) => {
+      await db.connection.collection('packages').createIndex(
+        { name: 'text', description: 'text', 'documentation.content': 'text' },
+        { name: 'packages_text', weights: { name: 10, description: 5, 'documentation.content': 1 } }
+      );
+    }
+  },
+  {
+    version: 4,
+    name: 'Identify packages by package URL',
+    up: async (db) => {
+      const packages = db.connection.collection('packages');
+      const usages = db.connection.collection('package_usages');
+      const rows = await packages.find({}, { projection: { ecosystem: 1, name: 1, version: 1, purl: 1 } })
+        .sort({ lastUpdated: -1, _id: -1 }).toArray();
+      const byId = new Map(rows.map(row => [String(row._id), row]));
+      const { survivors, duplicates } = groupByIdentity(rows.map(row => ({ ...row, id: String(row._id) })));
+
+      // Usages are keyed by ecosystem, name and version rather than by id
+      const moveUsages = async (from, to) => {
+        for (const usage of await usages.find({ ecosystem: from.ecosystem, name: from.name, version: from.version }).toArray()) {
+          try {
+            await usages.updateOne({ _id: usage._id }, { $set: { ecosystem: to.ecosystem, name: to.name } });
+          } catch (error) {
+            // The scan already records the canonical package
+            if (error.code !== 11000) throw error;
+            await usages.deleteOne({ _id: usage._id });
+          }
+        }
+      };
+
+      for (const { id, survivorId } of duplicates) {
+        await moveUsages(byId.get(id), byId.get(survivorId));
+        await packages.deleteOne({ _id: byId.get(id)._id });
+      }
+      for (const survivor of survivors) {
+        const row = byId.get(survivor.id);
+        if (row.ecosystem !== survivor.ecosystem || row.name !== survivor.name) {
+          await moveUsages(row, survivor);
+        }
+        await packages.updateOne({ _id: row._id }, { $set: { ecosystem: survivor.ecosystem, name: survivor.name, purl: survivor.purl } });
+      }
+
+      await packages.createIndex({ purl: 1 }, { unique: true, partialFilterExpression: { purl: { $type: 'string' } } });
+    }
+  },
+  {
+    version: 5,
+    name: 'Store license, repository, homepage and maintainer metadata',
+    up: async (db) => {
+      const packages = db.connection.collection('packages');
+      // Licenses (and purls, now a field of their own) read from SBOMs were kept in metadata
+      await packages.updateMany(
+        { 'metadata.license': { $exists: true } },
+        [{ $set: { license: '$metadata.license' } }, { $unset: 'metadata.license' }]
+      );
+      await packages.updateMany({ 'metadata.purl': { $exists: true } }, { $unset: { 'metadata.purl': '' } });
+      await packages.createIndex({ license: 1 });
+    }
+  },
+  {
+    version: 6,
+    name: 'Index packages by vulnerability severity',
+    up: async (db) => {
+      await db.connection.collection('packages').createIndex({ maxSeverity: 1 });
+    }
+  },
+  {
+    version: 7,
+    name: 'Index package usages by risk score and signal type',
+    up: async (db) => {
+      await db.connection.collection('package_usages').createIndex({ riskScore: 1 });
+      await db.connection.collection('package_usages').createIndex({ 'signals.type': 1 });
+    }
+  }
+];
+
+/**
+ * Canonical identity for each stored row, in the order given. The first row
+ * with a given identity survives; later ones are reported as its duplicates.
+ * Survivors are only listed when something about them changes.
+ */
+function groupByIdentity(rows) {
+  const seen = new Map();
+  const survivors = [];
+  const duplicates = [];
+  for (const row of rows) {
+    const { ecosystem, name } = PackageUrl.canonicalize(row);
+    const key = JSON.stringify([ecosystem, name, row.version]);
+    if (seen.has(key)) {
+      duplicates.push({ id: row.id, survivorId: seen.get(key) });
+      continue;
+    }
+    seen.set(key, row.id);
+    const purl = PackageUrl.identify({ ecosystem, name, version: row.version });
+    if (ecosystem !== row.ecosystem || name !== row.name || purl !== (row.purl || null)) {
+      survivors.push({ id: row.id, ecosystem, name, purl });
+    }
+  }
+  return { survivors, duplicates };
+}
+
+async function addColumns(db, table, columns) {
+  const existing = new Set((await db.all(`PRAGMA table_info(${table})`)).map(row => row.name));
+  for (const [column, type] of Object.entries(columns)) {
+    if (!existing.has(column)) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+  }
+}
+
+/**
+ * Applies pending migrations to a connected Database and records each one in
+ * schema_version (a table in SQLite, a collection in MongoDB). SQLite files
+ * are backed up before the first pending migration runs.
+ */
+class SchemaMigrator {
+  constructor(options = {}) {
+    this.database = options.database;
+    this.logger = options.logger || this.database.logger;
+    this.backup = options.backup !== false;
+    this.migrations = this.database.type === 'sqlite' ? SQLITE_MIGRATIONS : MONGODB_MIGRATIONS;
+  }
+
+  get latestVersion() {
+    return this.migrations[this.migrations.length - 1].version;
+  }
+
+  async getApplied() {
+    if (this.database.type === 'sqlite') {
+      const [table] = await this.database.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+      if (!table) {
+        return [];
+      }
+      const rows = await this.database.all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+      return rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }));
+    }
+
+    const rows = await this.database.connection.collection('schema_version').find().sort({ version: 1 }).toArray();
+    return rows.map(row => ({ version: row.version, name: row.name, appliedAt: row.appliedAt.toISOString() }));
+  }
+
+  async getStatus() {
+    const applied = await this.getApplied();
+    const current = applied.length > 0 ? applied[applied.length - 1].version : 0;
+    return {
+      type: this.database.type,
+      currentVersion: current,
+      latestVersion: this.latestVersion,
+      applied,
+      pending: this.migrations
+        .filter(migration => migration.version > current)
+        .map(({ version, name }) => ({ version, name }))
+    };
+  }
+
+  /**
+   * Refuse to work with a database that is behind (needs `db migrate`) or
+   * ahead (written by a newer version of this tool) of this code.
+   */
+  async check() {
+    const status = await this.getStatus();
+    if (status.currentVersion > status.latestVersion) {
+      throw new Error(`Database schema version ${status.currentVersion} is newer than this tool supports (${status.latestVersion}); upgrade documentation-mapper`);
+    }
+    if (status.pending.length > 0) {
+      throw new Error(`Database schema is at version ${status.currentVersion} but ${status.latestVersion} is required; run "documentation-mapper db migrate"`);
+    }
+    return status;
+  }
+
+  async migrate() {
+    const status = await this.getStatus();
+    if (status.currentVersion > status.latestVersion) {
+      throw new Error(`Database schema version ${status.currentVersion} is newer than this tool supports (${status.latestVersion}); upgrade documentation-mapper`);
+    }
+    if (status.pending.length === 0) {
+      return { ...status, applied: [], backupPath: null };
+    }
+
+    const backupPath = this.backup && this.database.type === 'sqlite' ? await this.backupSQLite(status.currentVersion) : null;
+    const applied = [];
+
+    for (const migration of this.migrations.filter(candidate => candidate.version > status.currentVersion)) {
+      this.logger.info(`Applying migration ${migration.version}: ${migration.name}`);
+      try {
+        if (this.database.type === 'sqlite') {
+          await this.applySQLite(migration);
+        } else {
+          await this.applyMongoDB(migration);
+        }
+      } catch (error) {
+        const restore = backupPath ? ` (backup of the previous database: ${backupPath})` : '';
+        throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}${restore}`);
+      }
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    this.logger.info(`Database schema migrated from version ${status.currentVersion} to ${this.latestVersion}`);
+    return { ...status, currentVersion: this.latestVersion, applied, pending: [], backupPath };
+  }
+
+  async applySQLite(migration) {
+    // Each migration and its schema_version row commit together
+    await this.database.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      BEGIN;
+    `);
+    try {
+      await migration.up(this.database);
+      await this.database.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await this.database.exec('COMMIT');
+    } catch (error) {
+      await this.database.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async applyMongoDB(migration) {
+    // MongoDB index builds cannot join a transaction; every step is safe to repeat
+    await migration.up(this.database);
+    await this.database.connection.collection('schema_version').insertOne({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: new Date()
+    });
+  }
+
+  /**
+   * Copy the database file next to itself before changing its schema, e.g.
+   * documentation.db.v3-20250101T120000.bak. Databases without tables (just
+   * created) have nothing worth saving.
+   */
+  async backupSQLite(version) {
+    const [{ tables }] = await this.database.all("SELECT COUNT(*) AS tables FROM sqlite_master WHERE type = 'table'");
+    if (tables === 0) {
+      return null;
+    }
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+    const backupPath = `${this.database.dbPath}.v${version}-${stamp}.bak`;
+    if (fs.existsSync(backupPath)) {
+      fs.unlinkSync(backupPath);
+    }
+    // VACUUM INTO writes a consistent copy through the open connection
+    await this.database.run('VACUUM INTO ?', [backupPath]);
+    this.logger.info(`Backed up database to ${backupPath}`);
+    return backupPath;
+  }
+}
+
+module.exports = SchemaMigrator;
@@ -0,0 +1,200 @@
+const LICENSE_IDS = new Set(require('spdx-license-ids'));
+const EXCEPTION_IDS = new Set(require('spdx-exceptions'));
+const DEPRECATED_IDS = new Set(require('spdx-license-ids/deprecated'));
+
+// Deprecated identifiers whose replacement is not just an -only/-or-later suffix
+const REPLACEMENTS = {
+  'GPL-2.0-with-classpath-exception': 'GPL-2.0-only WITH Classpath-exception-2.0',
+  'BSD-2-Clause-FreeBSD': 'BSD-2-Clause',
+  'BSD-2-Clause-NetBSD': 'BSD-2-Clause',
+  'StandardML-NJ': 'SMLNJ'
+};
+
+// License names as registries and POMs spell them, mapped to SPDX identifiers
+const LICENSE_NAMES = [
+  [/^apache(\s+software)?(\s+license)?,?\s*(version|v)?\s*2(\.0)?$/i, 'Apache-2.0'],
+  [/^the apache (software )?license,? version 2\.0$/i, 'Apache-2.0'],
+  [/^asl 2\.0$/i, 'Apache-2.0'],
+  [/^(the )?mit( license)?$/i, 'MIT'],
+  [/^(the )?isc( license)?$/i, 'ISC'],
+  [/^(new |modified |revised )?bsd( 3-clause| license 3| three-clause)?( license)?$/i, 'BSD-3-Clause'],
+  [/^(simplified |freebsd )?bsd( 2-clause| two-clause)( license)?$/i, 'BSD-2-Clause'],
+  [/^(the )?unlicense$/i, 'Unlicense'],
+  [/^cc0( 1\.0)?( universal)?$/i, 'CC0-1.0'],
+  [/^mozilla public license,? (version )?2\.0$/i, 'MPL-2.0'],
+  [/^eclipse public license,? -? ?(version |v)?1\.0$/i, 'EPL-1.0'],
+  [/^eclipse public license,? -? ?(version |v)?2\.0$/i, 'EPL-2.0'],
+  [/^(gnu )?lesser general public license,? (version |v)?2\.1$/i, 'LGPL-2.1-only'],
+  [/^(gnu )?lesser general public license,? (version |v)?3(\.0)?$/i, 'LGPL-3.0-only'],
+  [/^(gnu )?general public license,? (version |v)?2(\.0)?$/i, 'GPL-2.0-only'],
+  [/^(gnu )?general public license,? (version |v)?3(\.0)?$/i, 'GPL-3.0-only'],
+  [/^(gnu )?affero general public license,? (version |v)?3(\.0)?$/i, 'AGPL-3.0-only'],
+  [/^python software foundation license$/i, 'PSF-2.0']
+];
+
+// Trove classifiers used by PyPI packages without a license expression
+const CLASSIFIERS = {
+  'License :: OSI Approved :: MIT License': 'MIT',
+  'License :: OSI Approved :: Apache Software License': 'Apache-2.0',
+  'License :: OSI Approved :: BSD License': 'BSD-3-Clause',
+  'License :: OSI Approved :: ISC License (ISCL)': 'ISC',
+  'License :: OSI Approved :: Mozilla Public License 2.0 (MPL 2.0)': 'MPL-2.0',
+  'License :: OSI Approved :: GNU General Public License v2 (GPLv2)': 'GPL-2.0-only',
+  'License :: OSI Approved :: GNU General Public License v2 or later (GPLv2+)': 'GPL-2.0-or-later',
+  'License :: OSI Approved :: GNU General Public License v3 (GPLv3)': 'GPL-3.0-only',
+  'License :: OSI Approved :: GNU General Public License v3 or later (GPLv3+)': 'GPL-3.0-or-later',
+  'License :: OSI Approved :: GNU Lesser General Public License v2 or later (LGPLv2+)': 'LGPL-2.0-or-later',
+  'License :: OSI Approved :: GNU Lesser General Public License v3 (LGPLv3)': 'LGPL-3.0-only',
+  'License :: OSI Approved :: GNU Lesser General Public License v3 or later (LGPLv3+)': 'LGPL-3.0-or-later',
+  'License :: OSI Approved :: GNU Affero General Public License v3': 'AGPL-3.0-only',
+  'License :: OSI Approved :: GNU Affero General Public License v3 or later (AGPLv3+)': 'AGPL-3.0-or-later',
+  'License :: OSI Approved :: Python Software Foundation License': 'PSF-2.0',
+  'License :: OSI Approved :: The Unlicense (Unlicense)': 'Unlicense',
+  'License :: CC0 1.0 Universal (CC0 1.0) Public Domain Dedication': 'CC0-1.0'
+};
+
+/**
+ * SPDX license identifiers and expressions (https://spdx.org/licenses/) from
+ * the ways registries declare licenses.
+ */
+class SpdxLicense {
+  /**
+   * An SPDX expression for a declared license: identifiers and expressions
+   * pass through and well-known license names are mapped. Registries list
+   * several licenses for dual-licensed packages, so a list combines with OR.
+   * Deprecated identifiers in an expression are replaced (GPL-2.0 becomes
+   * GPL-2.0-only, GPL-2.0+ GPL-2.0-or-later). Anything unrecognized is kept
+   * as written.
+   */
+  static normalize(value, operator = 'OR') {
+    const names = (Array.isArray(value) ? value : [value])
+      .map(entry => (entry && typeof entry === 'object' ? entry.type || entry.name : entry))
+      .filter(entry => typeof entry === 'string' && entry.trim())
+      .map(entry => SpdxLicense.replaceDeprecated(SpdxLicense.normalizeName(entry.trim())));
+    const unique = [...new Set(names)];
+    if (unique.length > 1) {
+      return unique.map(name => (/\s/.test(name) ? `(${name})` : name)).join(` ${operator} `);
+    }
+    return unique[0] || null;
+  }
+
+  static normalizeName(name) {
+    const match = LICENSE_NAMES.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : name;
+  }
+
+  // Only within parseable expressions, so prose that mentions an identifier is left alone
+  static replaceDeprecated(expression) {
+    try {
+      SpdxLicense.parse(expression);
+    } catch (error) {
+      return expression;
+    }
+    return expression.replace(/[^\s()]+/g, token => SpdxLicense.replaceDeprecatedId(token));
+  }
+
+  static replaceDeprecatedId(id) {
+    if (REPLACEMENTS[id]) {
+      return REPLACEMENTS[id];
+    }
+    const base = id.replace(/\+$/, '');
+    if (!DEPRECATED_IDS.has(base)) {
+      return id;
+    }
+    const replacement = id.endsWith('+') ? `${base}-or-later` : `${base}-only`;
+    return LICENSE_IDS.has(replacement) ? replacement : id;
+  }
+
+  /**
+   * Whether an identifier is on the current SPDX license list. Deprecated
+   * identifiers such as GPL-2.0 are not.
+   */
+  static isKnown(id) {
+    return LICENSE_IDS.has(id);
+  }
+
+  static isLicenseRef(id) {
+    return /^(DocumentRef-[A-Za-z0-9.-]+:)?LicenseRef-[A-Za-z0-9.-]+$/.test(id);
+  }
+
+  /**
+   * Whether an expression is valid SPDX: every license is on the license list
+   * (optionally with `+`) or a LicenseRef, and every exception is known.
+   */
+  static isValidExpression(expression) {
+    let tree;
+    try {
+      tree = SpdxLicense.parse(expression);
+    } catch (error) {
+      return false;
+    }
+    const valid = (node) => (node.operands
+      ? node.operands.every(valid)
+      : (SpdxLicense.isKnown(node.license.replace(/\+$/, '')) || SpdxLicense.isLicenseRef(node.license)) &&
+        (!node.exception || EXCEPTION_IDS.has(node.exception)));
+    return valid(tree);
+  }
+
+  static fromClassifiers(classifiers = []) {
+    return SpdxLicense.normalize(classifiers.map(classifier => CLASSIFIERS[classifier]).filter(Boolean));
+  }
+
+  /**
+   * Parse an SPDX expression into a tree of `{ license, exception }` leaves
+   * and `{ operator: 'AND' | 'OR', operands }` nodes. WITH binds tighter
+   * than AND, and AND tighter than OR. Throws on anything else, such as a
+   * license name written out in prose.
+   */
+  static parse(expression) {
+    const tokens = String(expression || '').match(/\(|\)|[^\s()]+/g) || [];
+    let position = 0;
+    const peek = () => (position < tokens.length ? tokens[position].toUpperCase() : null);
+    const fail = () => {
+      throw new Error(`Invalid SPDX expression: ${expression}`);
+    };
+    const identifier = () => {
+      const token = tokens[position];
+      if (!token || ['AND', 'OR', 'WITH', '(', ')'].includes(peek()) || !/^[A-Za-z0-9.+:-]+$/.test(token)) {
+        fail();
+      }
+      position += 1;
+      return token;
+    };
+
+    const parseOperand = () => {
+      if (peek() === '(') {
+        position += 1;
+        const node = parseOr();
+        if (peek() !== ')') {
+          fail();
+        }
+        position += 1;
+        return node;
+      }
+      const license = identifier();
+      if (peek() === 'WITH') {
+        position += 1;
+        return { license, exception: identifier() };
+      }
+      return { license, exception: null };
+    };
+    const parseBinary = (operator, parseNext) => () => {
+      const operands = [parseNext()];
+      while (peek() === operator) {
+        position += 1;
+        operands.push(parseNext());
+      }
+      return operands.length === 1 ? operands[0] : { operator, operands };
+    };
+    const parseAnd = parseBinary('AND', parseOperand);
+    const parseOr = parseBinary('OR', parseAnd);
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+      fail();
+    }
+    return tree;
+  }
+}
+
+module.exports = SpdxLicense;
@@ -0,0 +1,567 @@
+const semver = require('semver');
+const PackageUrl = require('./PackageUrl');
+
+// PEP 440 public version, as in packaging.version.VERSION_PATTERN
+const PEP440_PATTERN = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d+)?)?(?:-(\d+)|[-_.]?(post|rev|r)[-_.]?(\d+)?)?(?:[-_.]?(dev)[-_.]?(\d+)?)?(?:\+[a-z0-9]+(?:[-_.][a-z0-9]+)*)?$/i;
+
+const PEP440_PRE_RANKS = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+// Sources that are not published to a registry and have nothing to resolve against
+const NON_REGISTRY_SOURCES = new Set(['git', 'path', 'url']);
+
+// Maven qualifiers that mean "release"
+const RELEASE_QUALIFIERS = new Set(['final', 'ga', 'release']);
+
+class VersionResolver {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.fetcher = options.fetcher;
+  }
+
+  /**
+   * Resolve a dependency's declared range to the highest concrete version
+   * published in its registry. Returns the dependency with `version` set to
+   * the concrete version and `declaredVersion` holding the original range.
+   */
+  async resolve(dependency) {
+    const declaredVersion = dependency.declaredVersion || dependency.version;
+    const resolved = { ...PackageUrl.canonicalize(dependency), declaredVersion };
+    const { ecosystem } = resolved;
+
+    if (dependency.locked || !declaredVersion || NON_REGISTRY_SOURCES.has(dependency.source)) {
+      return resolved;
+    }
+
+    const exact = this.getExactVersion(ecosystem, declaredVersion);
+    if (exact) {
+      return { ...resolved, version: exact };
+    }
+
+    const matcher = this.createMatcher(ecosystem, declaredVersion);
+    if (!matcher) {
+      this.logger.warn(`Cannot interpret version range "${declaredVersion}" for ${ecosystem}/${dependency.name}`);
+      return resolved;
+    }
+
+    try {
+      const versions = await this.fetcher.fetchVersions(resolved);
+      const version = this.pickHighest(versions, matcher);
+
+      if (!version) {
+        this.logger.warn(`No published version of ${dependency.name} satisfies "${declaredVersion}"`);
+        return resolved;
+      }
+
+      this.logger.info(`Resolved ${dependency.name}@${declaredVersion} to ${version}`);
+      return { ...resolved, version };
+    } catch (error) {
+      this.logger.warn(`Failed to resolve ${dependency.name}@${declaredVersion}: ${error.message}`);
+      return resolved;
+    }
+  }
+
+  /**
+   * How far `version` trails the newest stable release among `versions`: the
+   * latest version, the kind of update that reaches it (major, minor, patch
+   * or none), and how many newer major versions, minor releases of the
+   * current major and patch releases of the current minor are published.
+   * Cargo treats a minor bump of a 0.x crate as breaking, so for Rust those
+   * count as major. Null when the version cannot be interpreted.
+   */
+  compareToLatest(ecosystem, version, versions) {
+    const scheme = this.getVersionScheme(ecosystem);
+    const current = scheme && scheme.parts(version);
+    if (!current) {
+      return null;
+    }
+
+    const stable = versions.filter(candidate => scheme.parts(candidate) && scheme.isStable(candidate));
+    const latest = stable.reduce((best, candidate) => (best === null || scheme.compare(candidate, best) > 0 ? candidate : best), null);
+    const newer = stable.filter(candidate => scheme.compare(candidate, version) > 0).map(candidate => scheme.parts(candidate));
+    const lines = (parts, depth) => new Set(parts.map(entry => entry.slice(0, depth).join('.'))).size;
+
+    const cargoZero = ecosystem === 'rust' && current[0] === 0;
+    let update = 'none';
+    if (latest && scheme.compare(latest, version) > 0) {
+      const target = scheme.parts(latest);
+      update = target[0] !== current[0] ? 'major' : target[1] !== current[1] ? (cargoZero ? 'major' : 'minor') : 'patch';
+    }
+
+    const newerMajors = lines(newer.filter(parts => parts[0] > current[0]), 1);
+    const newerMinors = lines(newer.filter(parts => parts[0] === current[0] && parts[1] > current[1]), 2);
+    return {
+      latest,
+      update,
+      behind: {
+        major: cargoZero ? newerMajors + newerMinors : newerMajors,
+        minor: cargoZero ? 0 : newerMinors,
+        patch: lines(newer.filter(parts => parts[0] === current[0] && parts[1] === current[1] && parts[2] > current[2]), 3)
+      }
+    };
+  }
+
+  /**
+   * An ecosystem's version ordering: { parts(v) -> [major, minor, patch] or
+   * null, isStable(v), compare(a, b) }.
+   */
+  getVersionScheme(ecosystem) {
+    const pad = (numbers) => [0, 1, 2].map(i => numbers[i] || 0);
+
+    switch (ecosystem) {
+      case 'npm':
+      case 'rust':
+      case 'go':
+      case 'php': {
+        // Composer tags may omit the patch (or minor) number
+        const parse = (version) => semver.parse(String(version).replace(/^v(?=\d+(\.\d+){0,2}$)/i, '')
+          .replace(/^(\d+)(\.\d+)?$/, (match, major, minor) => `${major}${minor || '.0'}.0`), { loose: true });
+        return {
+          parts: (version) => {
+            const parsed = parse(version);
+            return parsed ? [parsed.major, parsed.minor, parsed.patch] : null;
+          },
+          isStable: (version) => parse(version).prerelease.length === 0,
+          compare: (a, b) => semver.compare(parse(a), parse(b))
+        };
+      }
+      case 'pypi':
+        return {
+          parts: (version) => {
+            const parsed = this.parsePep440(version);
+            return parsed ? pad(parsed.release) : null;
+          },
+          isStable: (version) => !this.isPep440Prerelease(this.parsePep440(version)),
+          compare: (a, b) => this.comparePep440(this.parsePep440(a), this.parsePep440(b))
+        };
+      case 'ruby':
+      case 'java':
+      case 'dotnet':
+        return {
+          parts: (version) => {
+            const segments = this.splitSegments(version);
+            const end = segments.findIndex(part => typeof part !== 'number');
+            const numbers = end === -1 ? segments : segments.slice(0, end);
+            return numbers.length > 0 ? pad(numbers) : null;
+          },
+          // Maven classifiers such as 32.1.2-jre are not pre-releases
+          isStable: (version) => (ecosystem === 'java'
+            ? !/(alpha|beta|rc|cr|milestone|snapshot|preview|[.-]m\d|[.-]ea\b)/i.test(version)
+            : !this.isSegmentPrerelease(version)),
+          compare: (a, b) => this.compareSegments(a, b)
+        };
+      default:
+        return null;
+    }
+  }
+
+  pickHighest(versions, matcher) {
+    let best = null;
+    for (const version of versions) {
+      if (matcher.satisfies(version) && (best === null || matcher.compare(version, best) > 0)) {
+        best = version;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Return the concrete version when the declared value pins exactly one
+   * release in the ecosystem's own syntax, otherwise null.
+   */
+  getExactVersion(ecosystem, range) {
+    const value = range.trim();
+
+    switch (ecosystem) {
+      case 'npm':
+        return semver.valid(value) ? value : null;
+      case 'pypi': {
+        const match = value.match(/^(?:===?)?\s*([^\s,;*<>!=~]+)$/);
+        return match && this.parsePep440(match[1]) ? match[1] : null;
+      }
+      case 'rust': {
+        // Cargo treats a bare version as a caret requirement
+        const match = value.match(/^=\s*(\d+\.\d+\.\d+\S*)$/);
+        return match ? match[1] : null;
+      }
+      case 'ruby': {
+        const match = value.match(/^=?\s*(\d[\w.-]*)$/);
+        return match ? match[1] : null;
+      }
+      case 'java':
+      case 'dotnet': {
+        // A bare version is a soft (Maven) or minimum (NuGet) requirement that
+        // both tools satisfy with that exact version; [1.0] is a hard pin
+        const match = value.match(/^\[?\s*([^\s[\](),*$]+)\s*\]?$/);
+        if (!match || (value.startsWith('[') !== value.endsWith(']'))) {
+          return null;
+        }
+        return match[1];
+      }
+      case 'php':
+        return /^v?\d+(\.\d+){0,3}$/.test(value) ? value : null;
+      case 'go':
+        return value;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build a { satisfies(version), compare(a, b) } pair for a range expressed
+   * in the ecosystem's native syntax, or null when the range is not understood.
+   */
+  createMatcher(ecosystem, range) {
+    switch (ecosystem) {
+      case 'npm':
+        return this.createSemverMatcher(range);
+      case 'pypi':
+        return this.createPep440Matcher(range);
+      case 'rust':
+        return this.createSemverMatcher(this.cargoToSemverRange(range));
+      case 'php':
+        return this.createSemverMatcher(this.composerToSemverRange(range));
+      case 'ruby':
+        return this.createGemMatcher(range);
+      case 'java':
+      case 'dotnet':
+        return this.createIntervalMatcher(range);
+      default:
+        return null;
+    }
+  }
+
+  createSemverMatcher(range) {
+    if (!range || !semver.validRange(range, { loose: true })) {
+      return null;
+    }
+
+    const clean = (version) => semver.valid(version, { loose: true });
+    return {
+      satisfies: (version) => Boolean(clean(version)) && semver.satisfies(clean(version), range, { loose: true }),
+      compare: (a, b) => semver.compare(clean(a), clean(b))
+    };
+  }
+
+  cargoToSemverRange(range) {
+    return range.split(',').map(part => {
+      const comparator = part.trim();
+      // Bare versions are caret requirements in Cargo
+      return /^\d/.test(comparator) ? `^${comparator}` : comparator.replace(/^=\s*/, '');
+    }).join(' ');
+  }
+
+  composerToSemverRange(range) {
+    return range
+      .replace(/@(dev|alpha|beta|RC|stable)\b/gi, '')
+      .split(/\s*\|\|?\s*/)
+      .map(alternative => alternative
+        .replace(/\s*,\s*/g, ' ')
+        .split(/\s+/)
+        .map(comparator => {
+          // Composer's ~1.2 allows minor updates (>=1.2 <2.0), unlike npm's
+          const tilde = comparator.match(/^~v?(\d+)\.(\d+)$/);
+          if (tilde) {
+            return `>=${tilde[1]}.${tilde[2]}.0 <${Number(tilde[1]) + 1}.0.0`;
+          }
+          return comparator.replace(/^(\^|~|[<>]=?|=)?v(?=\d)/, '$1');
+        })
+        .join(' '))
+      .join(' || ');
+  }
+
+  /**
+   * Poetry writes Python constraints with npm-style ^ and ~ operators;
+   * rewrite those as PEP 440 specifiers and leave everything else alone.
+   */
+  poetryToPep440(range) {
+    return range.split(',').map(part => {
+      const constraint = part.trim();
+      const match = constraint.match(/^([\^~])(?!=)\s*(\d+(?:\.\d+)*)$/);
+      if (!match) {
+        return constraint;
+      }
+
+      const release = match[2].split('.').map(Number);
+      let upper;
+      if (match[1] === '^') {
+        // ^1.2.3 -> <2.0.0, ^0.2.3 -> <0.3.0, ^0.0.3 -> <0.0.4
+        const index = release.findIndex(part => part !== 0);
+        const bumpAt = index === -1 ? release.length - 1 : index;
+        upper = release.slice(0, bumpAt + 1);
+        upper[bumpAt] += 1;
+      } else {
+        // ~1.2.3 -> <1.3.0, ~1 -> <2.0.0
+        const bumpAt = release.length > 1 ? 1 : 0;
+        upper = release.slice(0, bumpAt + 1);
+        upper[bumpAt] += 1;
+      }
+
+      return `>=${match[2]},<${upper.join('.')}`;
+    }).join(',');
+  }
+
+  createPep440Matcher(declaredRange) {
+    // A bare `*` (Poetry, Pipfile) accepts any final release
+    const range = declaredRange.trim() === '*' ? '>=0' : this.poetryToPep440(declaredRange);
+    const specifiers = range.split(',').map(spec => spec.trim()).filter(Boolean).map(spec => {
+      const match = spec.match(/^(~=|===|==|!=|<=|>=|<|>)?\s*(\S+)$/);
+      if (!match) {
+        return null;
+      }
+      const operator = match[1] || '==';
+      const wildcard = match[2].endsWith('.*');
+      const target = this.parsePep440(wildcard ? match[2].slice(0, -2) : match[2]);
+      if (operator !== '===' && !target) {
+        return null;
+      }
+      return { operator, raw: match[2], target, wildcard };
+    });
+
+    if (specifiers.length === 0 || specifiers.includes(null)) {
+      return null;
+    }
+
+    // Pre-releases are only considered when a specifier names one explicitly
+    const allowPrereleases = specifiers.some(spec => spec.target && this.isPep440Prerelease(spec.target));
+
+    return {
+      satisfies: (version) => {
+        const parsed = this.parsePep440(version);
+        if (!parsed || (!allowPrereleases && this.isPep440Prerelease(parsed))) {
+          return false;
+        }
+        return specifiers.every(spec => this.matchesPep440Specifier(version, parsed, spec));
+      },
+      compare: (a, b) => this.comparePep440(this.parsePep440(a), this.parsePep440(b))
+    };
+  }
+
+  matchesPep440Specifier(version, parsed, { operator, raw, target, wildcard }) {
+    if (operator === '===') {
+      return version === raw;
+    }
+
+    if (wildcard) {
+      const prefixMatch = target.epoch === parsed.epoch &&
+        target.release.every((part, i) => (parsed.release[i] || 0) === part);
+      return operator === '!=' ? !prefixMatch : prefixMatch;
+    }
+
+    const cmp = this.comparePep440(parsed, target);
+    switch (operator) {
+      case '==': return cmp === 0;
+      case '!=': return cmp !== 0;
+      case '<=': return cmp <= 0;
+      case '>=': return cmp >= 0;
+      case '<': return cmp < 0;
+      case '>': return cmp > 0;
+      case '~=': {
+        // ~=1.4.5 is >=1.4.5, ==1.4.*
+        const prefix = target.release.slice(0, -1);
+        return cmp >= 0 && target.epoch === parsed.epoch &&
+          prefix.every((part, i) => (parsed.release[i] || 0) === part);
+      }
+      default:
+        return false;
+    }
+  }
+
+  parsePep440(version) {
+    const match = String(version).trim().match(PEP440_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const [, epoch, release, preLabel, preNumber, implicitPost, postLabel, postNumber, devLabel, devNumber] = match;
+    return {
+      epoch: Number(epoch || 0),
+      release: release.split('.').map(Number),
+      pre: preLabel ? [PEP440_PRE_RANKS[preLabel.toLowerCase()], Number(preNumber || 0)] : null,
+      post: implicitPost !== undefined ? Number(implicitPost) : (postLabel ? Number(postNumber || 0) : null),
+      dev: devLabel ? Number(devNumber || 0) : null
+    };
+  }
+
+  isPep440Prerelease(parsed) {
+    return parsed.pre !== null || parsed.dev !== null;
+  }
+
+  comparePep440(a, b) {
+    if (a.epoch !== b.epoch) {
+      return a.epoch - b.epoch;
+    }
+
+    const length = Math.max(a.release.length, b.release.length);
+    for (let i = 0; i < length; i++) {
+      const diff = (a.release[i] || 0) - (b.release[i] || 0);
+      if (diff !== 0) {
+        return diff;
+      }
+    }
+
+    // Sort keys follow packaging's _cmpkey: dev-only releases sort before pre-releases
+    const preKey = (v) => {
+      if (v.pre) return v.pre;
+      return v.post === null && v.dev !== null ? [-Infinity, 0] : [Infinity, 0];
+    };
+    const [aPre, bPre] = [preKey(a), preKey(b)];
+    if (aPre[0] !== bPre[0]) return aPre[0] < bPre[0] ? -1 : 1;
+    if (aPre[1] !== bPre[1]) return aPre[1] - bPre[1];
+
+    const aPost = a.post === null ? -Infinity : a.post;
+    const bPost = b.post === null ? -Infinity : b.post;
+    if (aPost !== bPost) return aPost < bPost ? -1 : 1;
+
+    const aDev = a.dev === null ? Infinity : a.dev;
+    const bDev = b.dev === null ? Infinity : b.dev;
+    if (aDev !== bDev) return aDev < bDev ? -1 : 1;
+
+    return 0;
+  }
+
+  createGemMatcher(range) {
+    const requirements = range.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const match = part.match(/^(~>|>=|<=|!=|=|>|<)?\s*(\d[\w.-]*)$/);
+      return match ? { operator: match[1] || '=', target: match[2] } : null;
+    });
+
+    if (requirements.length === 0 || requirements.includes(null)) {
+      return null;
+    }
+
+    const allowPrereleases = requirements.some(req => this.isSegmentPrerelease(req.target));
+
+    return {
+      satisfies: (version) => {
+        if (!/^\d/.test(version) || (!allowPrereleases && this.isSegmentPrerelease(version))) {
+          return false;
+        }
+        return requirements.every(({ operator, target }) => {
+          const cmp = this.compareSegments(version, target);
+          switch (operator) {
+            case '=': return cmp === 0;
+            case '!=': return cmp !== 0;
+            case '>': return cmp > 0;
+            case '<': return cmp < 0;
+            case '>=': return cmp >= 0;
+            case '<=': return cmp <= 0;
+            case '~>':
+              // ~> 2.1 is >= 2.1, < 3.0; ~> 2.1.3 is >= 2.1.3, < 2.2
+              return cmp >= 0 && this.compareSegments(version, this.bumpGemVersion(target)) < 0;
+            default:
+              return false;
+          }
+        });
+      },
+      compare: (a, b) => this.compareSegments(a, b)
+    };
+  }
+
+  bumpGemVersion(version) {
+    const segments = version.split('.').filter(part => /^\d+$/.test(part)).map(Number);
+    if (segments.length > 1) {
+      segments.pop();
+    }
+    segments[segments.length - 1] += 1;
+    return segments.join('.');
+  }
+
+  /**
+   * Maven and NuGet interval notation: [1.0,2.0), (,1.5], [1.2], and unions
+   * such as [1,2),[3,4). NuGet floating versions (1.2.*) are also accepted.
+   */
+  createIntervalMatcher(range) {
+    const value = range.trim();
+    const intervals = [];
+
+    if (/^[\d.]*\*$/.test(value) || /^\d[\w.-]*\.\*$/.test(value)) {
+      const prefix = value.replace(/\*$/, '');
+      return {
+        satisfies: (version) => version.startsWith(prefix) && !this.isSegmentPrerelease(version),
+        compare: (a, b) => this.compareSegments(a, b)
+      };
+    }
+
+    const pattern = /([[(])([^\])]*)([\])])/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+      const [, open, body, close] = match;
+      const bounds = body.split(',').map(part => part.trim());
+
+      if (bounds.length === 1) {
+        intervals.push({ lower: bounds[0], upper: bounds[0], lowerInclusive: true, upperInclusive: true });
+      } else if (bounds.length === 2) {
+        intervals.push({
+          lower: bounds[0] || null,
+          upper: bounds[1] || null,
+          lowerInclusive: open === '[',
+          upperInclusive: close === ']'
+        });
+      } else {
+        return null;
+      }
+    }
+
+    if (intervals.length === 0) {
+      return null;
+    }
+
+    return {
+      satisfies: (version) => !this.isSegmentPrerelease(version) && intervals.some(interval => {
+        if (interval.lower) {
+          const cmp = this.compareSegments(version, interval.lower);
+          if (cmp < 0 || (cmp === 0 && !interval.lowerInclusive)) return false;
+        }
+        if (interval.upper) {
+          const cmp = this.compareSegments(version, interval.upper);
+          if (cmp > 0 || (cmp === 0 && !interval.upperInclusive)) return false;
+        }
+        return true;
+      }),
+      compare: (a, b) => this.compareSegments(a, b)
+    };
+  }
+
+  splitSegments(version) {
+    return String(version)
+      .toLowerCase()
+      .split(/[.\-+_]/)
+      .flatMap(part => part.match(/\d+|[a-z]+/g) || [])
+      .filter(part => !RELEASE_QUALIFIERS.has(part))
+      .map(part => (/^\d+$/.test(part) ? Number(part) : part));
+  }
+
+  isSegmentPrerelease(version) {
+    return this.splitSegments(version).some(part => typeof part === 'string');
+  }
+
+  /**
+   * Segment-wise comparison used for RubyGems, Maven and NuGet versions.
+   * Textual segments mark pre-releases and sort before numeric ones.
+   */
+  compareSegments(a, b) {
+    const left = this.splitSegments(a);
+    const right = this.splitSegments(b);
+    const length = Math.max(left.length, right.length);
+
+    for (let i = 0; i < length; i++) {
+      const x = i < left.length ? left[i] : 0;
+      const y = i < right.length ? right[i] : 0;
+
+      if (x === y) {
+        continue;
+      }
+      if (typeof x === 'number' && typeof y === 'number') {
+        return x - y;
+      }
+      if (typeof x === 'string' && typeof y === 'string') {
+        return x < y ? -1 : 1;
+      }
+      return typeof x === 'string' ? -1 : 1;
+    }
+
+    return 0;
+  }
+}
+
+module.exports = VersionResolver;
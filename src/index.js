@@ -1,59 +1,209 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const { Command } = require('commander');
+const { Command, InvalidArgumentError } = require('commander');
 const path = require('path');
 const fs = require('fs');
 const DocumentationMapper = require('./DocumentationMapper');
+const RateLimiter = require('./RateLimiter');
+const HttpCache = require('./HttpCache');
+const PackageFetcher = require('./PackageFetcher');
+const ConfigLoader = require('./ConfigLoader');
+const Database = require('./Database');
+const SchemaMigrator = require('./SchemaMigrator');
+const ReportExporter = require('./ReportExporter');
+const SbomConverter = require('./SbomConverter');
+const LicensePolicy = require('./LicensePolicy');
+const OutdatedReport = require('./OutdatedReport');
+const OsvDatabase = require('./OsvDatabase');
+
+const EXPORT_FORMATS = [...ReportExporter.formats, ...SbomConverter.formats];
 
 const program = new Command();
 
+// Diagnostics go to stderr so stdout holds only command output (e.g. --json documents)
+const logger = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+
+// Commander passes the previous value as a second argument, which parseInt would take as a radix
+const parseInteger = (value) => {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed)) {
+    throw new InvalidArgumentError('Not a number.');
+  }
+  return parsed;
+};
+
+const parseNumber = (value) => {
+  const parsed = Number(value);
+  if (value.trim() === '' || !Number.isFinite(parsed)) {
+    throw new InvalidArgumentError('Not a number.');
+  }
+  return parsed;
+};
+
+/**
+ * Settings given as flags on this command line, shaped like the config file.
+ * Only flags the user actually typed count, so option defaults never mask
+ * values from the config file or environment.
+ */
+const getCliOverrides = (command) => {
+  const flag = (key) => (command.getOptionValueSource(key) === 'cli' ? command.opts()[key] : undefined);
+  const registries = PackageFetcher.parseRegistries(flag('registry'));
+
+  return {
+    database: { type: flag('db') },
+    network: {
+      concurrency: flag('concurrency'),
+      rateLimits: flag('rateLimit') && RateLimiter.parseLimits(flag('rateLimit')),
+      offline: flag('offline'),
+      snapshotDir: flag('snapshotDir'),
+      trustProjectConfig: flag('trustProjectConfig')
+    },
+    cache: {
+      enabled: flag('cache'),
+      directory: flag('cacheDir'),
+      ttl: flag('cacheTtl'),
+      maxSize: flag('cacheMaxSize')
+    },
+    crawler: { enabled: flag('skipDocs') ? false : undefined },
+    scanner: {
+      include: flag('include'),
+      exclude: flag('exclude'),
+      maxDepth: flag('maxDepth'),
+      respectGitignore: flag('gitignore')
+    },
+    licenses: { policy: flag('policy') },
+    audit: { osvDir: flag('osvDir'), osvApi: flag('osvApi') },
+    registries: Object.fromEntries(Object.entries(registries).map(([ecosystem, url]) => [ecosystem, { url }]))
+  };
+};
+
+const loadConfig = (command, overrides = {}) => {
+  const loader = new ConfigLoader();
+  return loader.load(command.opts().config, loader.merge(getCliOverrides(command), overrides));
+};
+
 program
   .name('documentation-mapper')
   .description('Extract dependencies and fetch documentation from codebase scans')
   .version('1.0.0');
 
-program
-  .command('scan')
-  .description('Scan a repository or process a dependency scan JSON file')
+const addScanOptions = (command) => command
   .argument('<input>', 'Path to repository directory or JSON file')
-  .option('-d, --db <type>', 'Database type: sqlite or mongodb', 'sqlite')
-  .option('-c, --config <file>', 'Configuration file path')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
   .option('-o, --output <file>', 'Output file for results')
-  .option('--skip-docs', 'Skip documentation fetching (descriptions only)', false)
-  .action(async (input, options) => {
-    try {
-      const mapper = new DocumentationMapper({
-        dbType: options.db,
-        configFile: options.config,
-        skipDocs: options.skipDocs
-      });
+  .option('--skip-docs', 'Skip documentation fetching (descriptions only)')
+  .option('--include <globs...>', 'Only scan manifests matching these globs (relative to the repository root)')
+  .option('--exclude <globs...>', 'Skip manifests matching these globs')
+  .option('--max-depth <n>', 'Maximum directory depth to search for manifests (0 = root only)', parseInteger)
+  .option('--no-gitignore', 'Do not honor .gitignore files when scanning')
+  .option('-j, --concurrency <n>', 'Number of dependencies processed in parallel (default: 8)', parseInteger)
+  .option('--registry <ecosystem=url...>', 'Registry base URL per ecosystem (or github for the GitHub API), e.g. npm=https://verdaccio.internal')
+  .option('--trust-project-config', 'Use registry settings and credentials from .npmrc, nuget.config, auth.json and composer.json in the scanned repository')
+  .option('--snapshot-dir <dir>', 'Directory of recorded registry responses (default: documentation-snapshot)')
+  .option('-f, --force', 'Refetch every dependency, even when its stored documentation is still fresh')
+  .option('--refresh', 'Alias for --force')
+  .option('--skip-invalid', 'Skip malformed records in a dependency scan file instead of rejecting the file');
 
-      await mapper.initialize();
+const runScan = async (input, command, overrides = {}) => {
+  try {
+    const config = loadConfig(command, overrides.config);
+    const mapper = new DocumentationMapper({
+      config,
+      // Registry configuration (.npmrc, nuget.config, composer.json) in the scanned repository is used with --trust-project-config
+      projectDir: fs.existsSync(input) && fs.statSync(input).isDirectory() ? input : process.cwd(),
+      recordSnapshot: overrides.recordSnapshot,
+      force: command.opts().force || command.opts().refresh,
+      skipInvalid: command.opts().skipInvalid
+    });
+    const options = command.opts();
 
-      let dependencies = [];
+    await mapper.initialize();
 
-      // Check if input is a JSON file or a directory
-      if (fs.existsSync(input) && fs.statSync(input).isFile() && path.extname(input) === '.json') {
-        console.log(`Processing dependency scan file: ${input}`);
-        dependencies = await mapper.loadDependenciesFromJSON(input);
-      } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
-        console.log(`Scanning repository: ${input}`);
-        dependencies = await mapper.scanRepository(input);
-      } else {
-        throw new Error(`Invalid input: ${input} is not a valid file or directory`);
-      }
+    let dependencies = [];
+
+    // Check if input is a JSON file or a directory
+    if (fs.existsSync(input) && fs.statSync(input).isFile() && path.extname(input) === '.json') {
+      console.log(`Processing dependency scan file: ${input}`);
+      dependencies = await mapper.loadDependenciesFromJSON(input);
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      console.log(`Scanning repository: ${input}`);
+      dependencies = await mapper.scanRepository(input);
+    } else {
+      throw new Error(`Invalid input: ${input} is not a valid file or directory`);
+    }
 
-      console.log(`Found ${dependencies.length} dependencies${options.skipDocs ? ' (documentation fetching disabled)' : ''}`);
+    console.log(`Found ${dependencies.length} dependencies${mapper.skipDocs ? ' (documentation fetching disabled)' : ''}`);
 
-      const results = await mapper.processDependencies(dependencies);
+    const results = await mapper.processDependencies(dependencies);
 
-      if (options.output) {
-        fs.writeFileSync(options.output, JSON.stringify(results, null, 2));
-        console.log(`Results saved to ${options.output}`);
+    if (options.output) {
+      fs.writeFileSync(options.output, JSON.stringify(results, null, 2));
+      console.log(`Results saved to ${options.output}`);
+    }
+
+    console.log('Documentation mapping completed successfully!');
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+};
+
+addScanOptions(program
+  .command('scan')
+  .description('Scan a repository or process a dependency scan JSON file'))
+  .option('--rate-limit <host=rps...>', 'Per-host request rate, e.g. registry.npmjs.org=20 or crates.io=1:2 (rate:burst)')
+  .option('--cache-dir <dir>', 'Directory for the persistent HTTP response cache')
+  .option('--cache-ttl <seconds>', 'Freshness lifetime for responses without Cache-Control', parseInteger)
+  .option('--cache-max-size <mb>', 'Maximum size of the HTTP cache in megabytes', parseInteger)
+  .option('--no-cache', 'Disable the persistent HTTP response cache')
+  .option('--offline', 'Answer every registry and documentation request from --snapshot-dir instead of the network')
+  .action((input, options, command) => runScan(input, command));
+
+addScanOptions(program
+  .command('snapshot')
+  .description('Run a live scan and record every registry response into --snapshot-dir for later --offline runs'))
+  .option('--rate-limit <host=rps...>', 'Per-host request rate, e.g. registry.npmjs.org=20 or crates.io=1:2 (rate:burst)')
+  .action((input, options, command) => runScan(input, command, {
+    recordSnapshot: true,
+    // Record what the registries answer now, not what an earlier run cached
+    config: { cache: { enabled: false }, network: { offline: false } }
+  }));
+
+program
+  .command('refresh')
+  .description('Refetch stale or failed entries already in the database, without the original scan input')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('-e, --ecosystem <type>', 'Only refresh packages of this ecosystem')
+  .option('-p, --package <name>', 'Only refresh this package')
+  .option('-f, --force', 'Refresh every matching entry, not just stale ones')
+  .option('--dry-run', 'List the entries that would be refreshed and why')
+  .option('--skip-docs', 'Skip documentation fetching (descriptions only)')
+  .option('-j, --concurrency <n>', 'Number of dependencies processed in parallel (default: 8)', parseInteger)
+  .option('--rate-limit <host=rps...>', 'Per-host request rate, e.g. registry.npmjs.org=20 or crates.io=1:2 (rate:burst)')
+  .option('--no-cache', 'Disable the persistent HTTP response cache')
+  .option('--offline', 'Answer every registry and documentation request from the snapshot directory')
+  .action(async (options, command) => {
+    try {
+      const mapper = new DocumentationMapper({ config: loadConfig(command), force: options.force });
+
+      await mapper.initialize();
+
+      const stale = await mapper.findStalePackages({ ecosystem: options.ecosystem, package: options.package });
+      if (options.dryRun) {
+        stale.forEach(({ row, reason }) => console.log(`${row.ecosystem}/${row.name}@${row.version}: ${reason}`));
+        console.log(`${stale.length} entries would be refreshed`);
+        await mapper.close();
+        return;
       }
 
-      console.log('Documentation mapping completed successfully!');
+      console.log(`Refreshing ${stale.length} stale entries`);
+      const results = await mapper.processDependencies(stale.map(({ row }) => mapper.rowToDependency(row)));
+      const failed = results.filter(result => result.error || mapper.isFailedRow(result)).length;
+      console.log(`Refreshed ${results.length - failed} entries${failed ? `, ${failed} still failing` : ''}`);
+      await mapper.close();
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -63,22 +213,32 @@ program
 program
   .command('query')
   .description('Query stored documentation')
-  .option('-d, --db <type>', 'Database type: sqlite or mongodb', 'sqlite')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
   .option('-p, --package <name>', 'Package name to query')
   .option('-v, --version <version>', 'Specific version')
   .option('-e, --ecosystem <type>', 'Ecosystem filter (npm, pypi, etc.)')
-  .action(async (options) => {
+  .option('--purl <purl>', 'Package URL, e.g. pkg:npm/express@4.18.2 (version optional)')
+  .option('-l, --license <spdx>', 'Packages whose license expression includes this SPDX identifier (e.g. GPL-3.0)')
+  .option('--vulnerable [severity]', `Packages with known vulnerabilities, optionally of this severity or worse (${OsvDatabase.severities.join(', ')}); see audit`)
+  .option('--min-risk <score>', 'Packages the scanner gave at least this risk score in some project\'s latest scan', parseNumber)
+  .option('--signal <type>', 'Packages the scanner flagged with this signal type (e.g. typosquat) in some project\'s latest scan')
+  .action(async (options, command) => {
     try {
-      const mapper = new DocumentationMapper({
-        dbType: options.db
-      });
+      const mapper = new DocumentationMapper({ config: loadConfig(command) });
 
       await mapper.initialize();
 
       const results = await mapper.queryDocumentation({
         package: options.package,
         version: options.version,
-        ecosystem: options.ecosystem
+        ecosystem: options.ecosystem,
+        purl: options.purl,
+        license: options.license,
+        // Advisories without a rating count as low
+        severity: options.vulnerable === true ? 'low' : options.vulnerable,
+        minRisk: options.minRisk,
+        signal: options.signal
       });
 
       console.log(JSON.stringify(results, null, 2));
@@ -88,4 +248,485 @@ program
     }
   });
 
+program
+  .command('search <query...>')
+  .description('Full-text search over stored descriptions and documentation')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('-e, --ecosystem <type>', 'Ecosystem filter (npm, pypi, etc.)')
+  .option('--dev', 'Only development dependencies')
+  .option('--prod', 'Only production dependencies')
+  .option('--project <name>', 'Only packages found in this project (repository or input file name)')
+  .option('-n, --limit <count>', 'Maximum number of results', parseInteger, 20)
+  .option('--any', 'Match packages containing any of the words instead of all of them')
+  .option('--json', 'Print results as JSON')
+  .action(async (words, options, command) => {
+    try {
+      if (options.dev && options.prod) {
+        throw new Error('--dev and --prod cannot be combined');
+      }
+
+      const mapper = new DocumentationMapper({ config: loadConfig(command) });
+      await mapper.initialize();
+
+      // Bold on a terminal, Markdown emphasis when piped
+      const highlight = options.json ? ['**', '**'] : process.stdout.isTTY ? ['\x1b[1m', '\x1b[22m'] : ['**', '**'];
+      const results = await mapper.searchDocumentation(words.join(' '), {
+        ecosystem: options.ecosystem,
+        dev: options.dev ? true : options.prod ? false : undefined,
+        project: options.project,
+        limit: options.limit,
+        any: options.any,
+        highlight
+      });
+      await mapper.close();
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2));
+        return;
+      }
+      if (results.length === 0) {
+        console.log('No matching packages');
+        return;
+      }
+      results.forEach((result, index) => {
+        const tags = [result.isDevDependency ? 'dev' : 'prod', ...result.projects].join(', ');
+        console.log(`${index + 1}. ${result.ecosystem}/${result.name}@${result.version} (${tags}) score ${result.score}`);
+        if (result.description) {
+          console.log(`   ${result.description}`);
+        }
+        if (result.snippet) {
+          console.log(`   ${result.snippet.replace(/\s+/g, ' ')}`);
+        }
+      });
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('export')
+  .description('Render stored documentation as a static HTML site, a Markdown handbook, CSV or an SBOM (no network access)')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('-f, --format <format>', `Report format: ${EXPORT_FORMATS.join(', ')}`, 'html')
+  .option('-o, --output <path>', 'Output directory (html) or file (default: documentation-report[.md|.csv], bom.cdx.json, bom.spdx.json)')
+  .option('-p, --project <name>', 'Only packages used in the latest scan of this project')
+  .option('-e, --ecosystem <type>', 'Ecosystem filter (npm, pypi, etc.)')
+  .option('--dev', 'Only development dependencies')
+  .option('--prod', 'Only production dependencies')
+  .action(async (options, command) => {
+    try {
+      if (options.dev && options.prod) {
+        throw new Error('--dev and --prod cannot be combined');
+      }
+      if (!EXPORT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+      }
+
+      const mapper = new DocumentationMapper({ config: loadConfig(command) });
+      await mapper.initialize();
+      const written = await mapper.exportReport({
+        project: options.project,
+        ecosystem: options.ecosystem,
+        dev: options.dev ? true : options.prod ? false : undefined
+      }, options.format, options.output || (SbomConverter.formats.includes(options.format)
+        ? SbomConverter.getDefaultOutput(options.format)
+        : ReportExporter.getDefaultOutput(options.format)));
+      await mapper.close();
+
+      console.log(`Report written to ${options.format === 'html' ? `${written}/index.html` : written}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('usages [package]')
+  .description('Show which projects and manifests use a package (by name or package URL), or everything a project depends on')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('-v, --version <version>', 'Specific version')
+  .option('-e, --ecosystem <type>', 'Ecosystem filter (npm, pypi, etc.)')
+  .option('-p, --project <name>', 'Only this project')
+  .option('--commit <hash>', 'The scan of this commit (or hash prefix) instead of the latest scan')
+  .option('--all-scans', 'Include every recorded scan, not only the latest per project')
+  .option('--min-risk <score>', 'Only usages the scanner gave at least this risk score', parseNumber)
+  .option('--signal <type>', 'Only usages the scanner flagged with this signal type')
+  .option('--json', 'Print results as JSON')
+  .action(async (packageName, options, command) => {
+    try {
+      if (!packageName && !options.project && options.minRisk === undefined && !options.signal) {
+        throw new Error('Give a package name, --project, --min-risk or --signal');
+      }
+
+      const mapper = new DocumentationMapper({ config: loadConfig(command) });
+      await mapper.initialize();
+      const isPurl = Boolean(packageName) && packageName.startsWith('pkg:');
+      const usages = await mapper.findUsages({
+        package: isPurl ? undefined : packageName,
+        purl: isPurl ? packageName : undefined,
+        version: options.version,
+        ecosystem: options.ecosystem,
+        project: options.project,
+        commit: options.commit,
+        allScans: options.allScans,
+        minRisk: options.minRisk,
+        signal: options.signal
+      });
+      await mapper.close();
+
+      if (options.json) {
+        console.log(JSON.stringify(usages, null, 2));
+        return;
+      }
+      if (usages.length === 0) {
+        console.log('No recorded usages');
+        return;
+      }
+
+      let heading = null;
+      for (const usage of usages) {
+        const scan = `${usage.project} (${usage.commitHash ? `${usage.commitHash.slice(0, 12)}, ` : ''}scanned ${usage.scanDate})`;
+        if (scan !== heading) {
+          console.log(scan);
+          heading = scan;
+        }
+        const declared = usage.declaredVersion && usage.declaredVersion !== usage.version ? ` (declared ${usage.declaredVersion})` : '';
+        const line = usage.lineNumber ? `:${usage.lineNumber}` : '';
+        const risk = usage.riskScore ? `  risk ${usage.riskScore}` : '';
+        console.log(`  ${usage.ecosystem}/${usage.name}@${usage.version}${declared}${usage.isDevDependency ? ' [dev]' : ''}  ${usage.manifestPath}${line}${risk}`);
+        for (const signal of usage.signals) {
+          console.log(`    ${signal.severity ? `${signal.severity} ` : ''}${signal.type}${signal.detail ? `: ${signal.detail}` : ''}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('licenses')
+  .description('Check stored licenses against a policy of allowed, review-required and denied licenses; exits 1 on violations')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('--policy <file>', 'License policy file (default: license-policy.yml)')
+  .option('-p, --project <name>', 'Only packages in this project\'s latest scan')
+  .option('-e, --ecosystem <type>', 'Ecosystem filter (npm, pypi, etc.)')
+  .option('--prod', 'Skip development dependencies')
+  .option('--strict', 'Also fail when a license needs review')
+  .option('--json', 'Print results as JSON')
+  .action(async (options, command) => {
+    try {
+      const config = loadConfig(command);
+      const policy = LicensePolicy.load(path.resolve(config.licenses.policy));
+      const mapper = new DocumentationMapper({ config });
+      await mapper.initialize();
+      const results = await mapper.evaluateLicenses(policy, {
+        project: options.project,
+        ecosystem: options.ecosystem,
+        dev: options.prod ? false : undefined
+      });
+      await mapper.close();
+
+      const failing = options.strict ? ['deny', 'review'] : ['deny'];
+      const violations = results.filter(result => failing.includes(result.verdict));
+      const groups = [
+        ['Production dependencies', results.filter(result => !result.isDevDependency)],
+        ['Development dependencies', results.filter(result => result.isDevDependency)]
+      ];
+      const count = (group, verdict) => group.filter(result => result.verdict === verdict).length;
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          policy: path.resolve(config.licenses.policy),
+          production: Object.fromEntries(['allow', 'review', 'deny'].map(verdict => [verdict, count(groups[0][1], verdict)])),
+          development: Object.fromEntries(['allow', 'review', 'deny'].map(verdict => [verdict, count(groups[1][1], verdict)])),
+          violations: violations.length,
+          packages: results
+        }, null, 2));
+      } else {
+        for (const [title, group] of groups) {
+          if (group.length === 0) {
+            continue;
+          }
+          console.log(`${title}: ${count(group, 'allow')} allowed, ${count(group, 'review')} to review, ${count(group, 'deny')} denied`);
+          for (const result of group.filter(entry => entry.verdict !== 'allow')) {
+            const verdict = result.verdict === 'deny' ? 'DENIED' : 'REVIEW';
+            console.log(`  ${verdict}  ${result.ecosystem}/${result.name}@${result.version}  ${result.license || '-'}  (${result.reason})`);
+          }
+        }
+        if (results.length === 0) {
+          console.log('No packages to check');
+        }
+      }
+
+      if (violations.length > 0) {
+        console.error(`${violations.length} package${violations.length === 1 ? '' : 's'} violate${violations.length === 1 ? 's' : ''} the license policy`);
+        // exitCode rather than exit() so piped JSON output is flushed
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('outdated')
+  .description('Compare stored versions with the latest stable releases: versions behind, release age, deprecated or yanked releases')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('-p, --project <name>', 'Only packages in this project\'s latest scan')
+  .option('-e, --ecosystem <type>', 'Ecosystem filter (npm, pypi, etc.)')
+  .option('--dev', 'Only development dependencies')
+  .option('--prod', 'Only production dependencies')
+  .option('-f, --format <format>', `Output format: ${OutdatedReport.formats.join(', ')}`, 'table')
+  .option('-o, --output <file>', 'Write the report to a file instead of stdout')
+  .option('--all', 'Also list packages that are up to date')
+  .option('-j, --concurrency <n>', 'Number of packages checked in parallel (default: 8)', parseInteger)
+  .option('--rate-limit <host=rps...>', 'Per-host request rate, e.g. registry.npmjs.org=20 or crates.io=1:2 (rate:burst)')
+  .option('--no-cache', 'Disable the persistent HTTP response cache')
+  .option('--offline', 'Answer every registry request from the snapshot directory')
+  .action(async (options, command) => {
+    try {
+      if (options.dev && options.prod) {
+        throw new Error('--dev and --prod cannot be combined');
+      }
+      const report = new OutdatedReport();
+      if (!OutdatedReport.formats.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected one of: ${OutdatedReport.formats.join(', ')})`);
+      }
+
+      const mapper = new DocumentationMapper({ config: loadConfig(command) });
+      await mapper.initialize();
+      const results = await mapper.findOutdated({
+        project: options.project,
+        ecosystem: options.ecosystem,
+        dev: options.dev ? true : options.prod ? false : undefined
+      });
+      await mapper.close();
+
+      const listed = options.all ? results : results.filter(result => result.update !== 'none' || result.deprecated);
+      const output = report.render(listed, options.format);
+      if (options.output) {
+        fs.writeFileSync(options.output, output);
+        console.log(`Report written to ${options.output}`);
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('audit')
+  .description('Match stored packages against known vulnerabilities (OSV) and store the advisories with each package')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('--osv-dir <dir>', 'Directory of OSV JSON records, e.g. unpacked all.zip exports')
+  .option('--osv-api <url>', 'OSV API endpoint to query, e.g. https://api.osv.dev')
+  .option('-p, --project <name>', 'Only packages in this project\'s latest scan')
+  .option('-e, --ecosystem <type>', 'Ecosystem filter (npm, pypi, etc.)')
+  .option('--dev', 'Only development dependencies')
+  .option('--prod', 'Only production dependencies')
+  .option('--fail-on <severity>', `Exit 1 when a package has an advisory of this severity or worse (${OsvDatabase.severities.join(', ')})`)
+  .option('-j, --concurrency <n>', 'Number of packages checked in parallel (default: 8)', parseInteger)
+  .option('--offline', 'Use only the OSV directory; never query the API')
+  .option('--json', 'Print results as JSON')
+  .action(async (options, command) => {
+    try {
+      if (options.dev && options.prod) {
+        throw new Error('--dev and --prod cannot be combined');
+      }
+      if (options.failOn && !OsvDatabase.severities.includes(options.failOn)) {
+        throw new Error(`Unknown severity "${options.failOn}" (expected one of: ${OsvDatabase.severities.join(', ')})`);
+      }
+
+      const mapper = new DocumentationMapper({ config: loadConfig(command) });
+      await mapper.initialize();
+      const results = await mapper.auditPackages({
+        project: options.project,
+        ecosystem: options.ecosystem,
+        dev: options.dev ? true : options.prod ? false : undefined
+      });
+      await mapper.close();
+
+      const vulnerable = results.filter(result => result.vulnerabilities.length > 0);
+      const failed = results.filter(result => result.error);
+      const count = (severity) => vulnerable.filter(result => result.maxSeverity === severity).length;
+      const failing = options.failOn
+        ? vulnerable.filter(result => OsvDatabase.compareSeverity(result.maxSeverity, options.failOn) >= 0)
+        : [];
+
+      if (options.json) {
+        console.log(JSON.stringify({
+          audited: results.length - failed.length,
+          vulnerable: vulnerable.length,
+          bySeverity: Object.fromEntries([...OsvDatabase.severities].reverse().map(severity => [severity, count(severity)])),
+          failed: failed.length,
+          packages: results
+        }, null, 2));
+      } else {
+        for (const result of vulnerable) {
+          console.log(`${result.ecosystem}/${result.name}@${result.version}${result.isDevDependency ? ' [dev]' : ''}  ${result.maxSeverity.toUpperCase()}`);
+          for (const advisory of result.vulnerabilities) {
+            const severity = `${advisory.severity || 'unrated'}${advisory.score !== null ? ` ${advisory.score}` : ''}`;
+            const fixed = advisory.fixed.length > 0 ? `fixed in ${advisory.fixed.join(', ')}` : 'no fix';
+            console.log(`  ${advisory.id}  ${severity}  ${advisory.summary || ''}  (${fixed})`);
+          }
+        }
+        for (const result of failed) {
+          console.log(`${result.ecosystem}/${result.name}@${result.version}  not audited: ${result.error}`);
+        }
+        const summary = [...OsvDatabase.severities].reverse().map(severity => `${count(severity)} ${severity}`).join(', ');
+        console.log(`${vulnerable.length} of ${results.length - failed.length} packages have known vulnerabilities (${summary})`);
+      }
+
+      if (failing.length > 0) {
+        console.error(`${failing.length} package${failing.length === 1 ? ' has' : 's have'} ${options.failOn} or worse vulnerabilities`);
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('projects')
+  .description('List scanned projects and their recorded scans')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('--json', 'Print results as JSON')
+  .action(async (options, command) => {
+    try {
+      const mapper = new DocumentationMapper({ config: loadConfig(command) });
+      await mapper.initialize();
+      const projects = await mapper.listProjects();
+      await mapper.close();
+
+      if (options.json) {
+        console.log(JSON.stringify(projects, null, 2));
+        return;
+      }
+      if (projects.length === 0) {
+        console.log('No projects scanned yet');
+        return;
+      }
+      for (const project of projects) {
+        console.log(`${project.name}  ${project.path || ''}`);
+        for (const scan of project.scans) {
+          const signals = scan.summary && scan.summary.total_signals !== undefined ? `, ${scan.summary.total_signals} signals` : '';
+          console.log(`  ${scan.scanDate}  ${scan.commitHash ? scan.commitHash.slice(0, 12) : '(no commit)'}  ${scan.usages} packages${signals}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const openDatabase = async (command, options = {}) => {
+  const { type, path: dbPath, mongodbUri, mongodbName } = loadConfig(command).database;
+  const database = new Database({ type, path: dbPath, mongodbUri, mongodbName, logger, readOnly: options.readOnly });
+  await database.connect();
+  return database;
+};
+
+const db = program
+  .command('db')
+  .description('Manage the database schema');
+
+db
+  .command('status')
+  .description('Show the schema version and pending migrations')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('--json', 'Print the status as JSON')
+  .action(async (options, command) => {
+    try {
+      const database = await openDatabase(command, { readOnly: true });
+      const status = await new SchemaMigrator({ database }).getStatus();
+      await database.close();
+
+      if (options.json) {
+        console.log(JSON.stringify(status, null, 2));
+        return;
+      }
+      console.log(`Schema version ${status.currentVersion} of ${status.latestVersion} (${status.type})`);
+      status.applied.forEach(migration => console.log(`  applied  ${migration.version}  ${migration.name}  (${migration.appliedAt})`));
+      status.pending.forEach(migration => console.log(`  pending  ${migration.version}  ${migration.name}`));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+db
+  .command('migrate')
+  .description('Apply pending schema migrations (SQLite files are backed up first)')
+  .option('-d, --db <type>', 'Database type: sqlite or mongodb (default: sqlite)')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .option('--no-backup', 'Do not copy the SQLite file before migrating')
+  .action(async (options, command) => {
+    try {
+      const database = await openDatabase(command);
+      const result = await new SchemaMigrator({ database, backup: options.backup }).migrate();
+      await database.close();
+
+      if (result.applied.length === 0) {
+        console.log(`Database schema is up to date (version ${result.currentVersion})`);
+        return;
+      }
+      console.log(`Applied ${result.applied.length} migration${result.applied.length === 1 ? '' : 's'}; schema is now at version ${result.currentVersion}`);
+      if (result.backupPath) {
+        console.log(`Previous database saved to ${result.backupPath}`);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+const cache = program
+  .command('cache')
+  .description('Manage the persistent HTTP response cache');
+
+cache
+  .command('clear')
+  .description('Remove every cached registry and documentation response')
+  .option('--cache-dir <dir>', 'Directory of the HTTP response cache')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .action((options, command) => {
+    try {
+      const httpCache = new HttpCache({ directory: loadConfig(command).cache.directory, logger });
+      const removed = httpCache.clear();
+      console.log(`Removed ${removed} cached responses from ${httpCache.directory}`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+cache
+  .command('stats')
+  .description('Show HTTP response cache statistics')
+  .option('--cache-dir <dir>', 'Directory of the HTTP response cache')
+  .option('-c, --config <file>', 'Configuration file (default: nearest .documentation-mapperrc)')
+  .action((options, command) => {
+    try {
+      const httpCache = new HttpCache({ directory: loadConfig(command).cache.directory, logger });
+      console.log(JSON.stringify(httpCache.getStats(), null, 2));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
@@ -0,0 +1,95 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigLoader = require('../src/ConfigLoader');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('uses the built-in defaults without a config file', () => {
+  const config = new ConfigLoader({ cwd: dir, env: {} }).load();
+
+  assert.strictEqual(config.file, null);
+  assert.strictEqual(config.database.type, 'sqlite');
+  assert.strictEqual(config.network.concurrency, 8);
+  assert.strictEqual(config.scanner.maxDepth, null);
+});
+
+test('layers the config file, environment variables and CLI flags in that order', () => {
+  fs.writeFileSync(path.join(dir, 'mapper.yml'), 'network:\n  timeout: 5000\n  concurrency: 2\ncache:\n  ttl: 60\n');
+  const env = { DOCUMENTATION_MAPPER_NETWORK_CONCURRENCY: '4', DOCUMENTATION_MAPPER_CACHE_ENABLED: 'no' };
+
+  const config = new ConfigLoader({ cwd: dir, env }).load('mapper.yml', { network: { timeout: 1000 } });
+
+  assert.strictEqual(config.file, path.join(dir, 'mapper.yml'));
+  assert.strictEqual(config.network.timeout, 1000);
+  assert.strictEqual(config.network.concurrency, 4);
+  assert.strictEqual(config.cache.enabled, false);
+  assert.strictEqual(config.cache.ttl, 60);
+  // Untouched settings in a section keep their defaults
+  assert.strictEqual(config.cache.directory, '.documentation-mapper-cache');
+});
+
+test('discovers an rc file in a parent directory and reads legacy variables', () => {
+  const nested = path.join(dir, 'a', 'b');
+  fs.mkdirSync(nested, { recursive: true });
+  fs.writeFileSync(path.join(dir, '.documentation-mapperrc.json'), JSON.stringify({ database: { type: 'mongodb' } }));
+
+  const config = new ConfigLoader({ cwd: nested, env: { MONGODB_URI: 'mongodb://db.internal:27017' } }).load();
+
+  assert.strictEqual(config.file, path.join(dir, '.documentation-mapperrc.json'));
+  assert.strictEqual(config.database.type, 'mongodb');
+  assert.strictEqual(config.database.mongodbUri, 'mongodb://db.internal:27017');
+});
+
+test('reports every invalid setting with the file it came from', () => {
+  fs.writeFileSync(path.join(dir, 'mapper.json'), JSON.stringify({
+    network: { timeout: 0, retries: 3 },
+    database: { type: 'postgres' },
+    registries: { npm: { url: 'ftp://mirror' } }
+  }));
+  const env = { DOCUMENTATION_MAPPER_CACHE_TTL: 'soon' };
+
+  assert.throws(() => new ConfigLoader({ cwd: dir, env }).load('mapper.json'), (error) => {
+    assert.match(error.message, /config file: .*mapper\.json/);
+    assert.match(error.message, /network\.timeout must be an integer >= 1 \(got 0\)/);
+    assert.match(error.message, /network\.retries is not a known setting/);
+    assert.match(error.message, /database\.type must be one of sqlite, mongodb/);
+    assert.match(error.message, /registries\.npm\.url must be an http\(s\) URL/);
+    assert.match(error.message, /DOCUMENTATION_MAPPER_CACHE_TTL must be an integer/);
+    return true;
+  });
+});
+
+test('fails clearly on a missing or unparsable config file', () => {
+  const loader = new ConfigLoader({ cwd: dir, env: {} });
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+  fs.writeFileSync(path.join(dir, 'list.yml'), '- a\n- b\n');
+
+  assert.throws(() => loader.load('missing.yml'), /Cannot read config file/);
+  assert.throws(() => loader.load('broken.json'), /Cannot parse config file/);
+  assert.throws(() => loader.load('list.yml'), /the top level must be an object/);
+});
+
+test('stores settings given under ecosystem aliases under the canonical ecosystem', () => {
+  const env = { DOCUMENTATION_MAPPER_SCANNER_ECOSYSTEMS: 'python,cargo' };
+  const config = new ConfigLoader({ cwd: dir, env }).load(null, {
+    refresh: { ecosystems: { maven: { maxAge: 7 } } },
+    registries: { rubygems: { url: 'https://gems.internal' } }
+  });
+
+  assert.deepStrictEqual(config.scanner.ecosystems, ['pypi', 'rust']);
+  assert.strictEqual(config.refresh.ecosystems.java.maxAge, 7);
+  assert.strictEqual(config.registries.ruby.url, 'https://gems.internal');
+  assert.throws(() => new ConfigLoader({ cwd: dir, env: {} }).load(null, { scanner: { ecosystems: ['cobol'] } }),
+    /scanner\.ecosystems contains unknown values "cobol"/);
+});
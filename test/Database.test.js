@@ -0,0 +1,76 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/Database');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let dir;
+let database;
+
+beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documentation-mapper-db-'));
+  database = new Database({ path: path.join(dir, 'documentation.db'), logger });
+  await database.initialize();
+});
+
+afterEach(async () => {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const storePackage = (name, fields = {}) => database.storePackage({
+  ecosystem: 'npm',
+  name,
+  version: '1.0.0',
+  description: `${name} package`,
+  lastUpdated: new Date().toISOString(),
+  ...fields
+});
+
+/**
+ * Record a scan of `project` at `scanDate` whose package.json uses `usages`
+ * ({ name, riskScore, signals, isDevDependency }).
+ */
+const recordScan = async (project, scanDate, usages) => {
+  const scanId = await database.recordScan({ project, path: project, scanDate, commitHash: null, source: 'scan-file' });
+  for (const usage of usages) {
+    await database.recordUsage(scanId, { ecosystem: 'npm', version: '1.0.0', manifestPath: 'package.json', ...usage });
+  }
+  return scanId;
+};
+
+const names = (rows) => rows.map(row => row.name);
+
+test('applies --min-risk and --signal to the selected project only', async () => {
+  await storePackage('shared');
+  await recordScan('a', '2025-01-01T00:00:00Z', [{ name: 'shared', riskScore: 1 }]);
+  await recordScan('b', '2025-01-01T00:00:00Z', [{ name: 'shared', riskScore: 9, signals: [{ type: 'typosquat' }] }]);
+
+  assert.deepStrictEqual(names(await database.queryPackages({ project: 'a', minRisk: 5 })), []);
+  assert.deepStrictEqual(names(await database.queryPackages({ project: 'a', signal: 'typosquat' })), []);
+  assert.deepStrictEqual(names(await database.queryPackages({ project: 'b', minRisk: 5 })), ['shared']);
+  assert.deepStrictEqual(names(await database.queryPackages({ minRisk: 5 })), ['shared']);
+});
+
+test('only looks at the latest scan of each project for risk filters', async () => {
+  await storePackage('fixed');
+  await recordScan('a', '2025-01-01T00:00:00Z', [{ name: 'fixed', riskScore: 9 }]);
+  await recordScan('a', '2025-02-01T00:00:00Z', [{ name: 'fixed', riskScore: 0 }]);
+
+  assert.deepStrictEqual(names(await database.queryPackages({ minRisk: 5 })), []);
+});
+
+test('search --project only matches packages in the project\'s latest scan', async () => {
+  await storePackage('removed', { description: 'parser for widgets' });
+  await storePackage('kept', { description: 'parser for gadgets' });
+  await recordScan('a', '2025-01-01T00:00:00Z', [{ name: 'removed' }, { name: 'kept' }]);
+  await recordScan('a', '2025-02-01T00:00:00Z', [{ name: 'kept' }]);
+
+  const results = await database.searchPackages('parser', { project: 'a' });
+  assert.deepStrictEqual(names(results), ['kept']);
+  assert.deepStrictEqual(results[0].projects, ['a']);
+  assert.deepStrictEqual((await database.searchPackages('widgets', {}))[0].projects, []);
+});
@@ -0,0 +1,513 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DependencyScanner = require('../src/DependencyScanner');
+
+const logger = { info() {}, warn() {}, debug() {} };
+
+let repo;
+
+beforeEach(() => {
+  repo = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-scanner-'));
+});
+
+afterEach(() => {
+  fs.rmSync(repo, { recursive: true, force: true });
+});
+
+const write = (file, content) => {
+  const target = path.join(repo, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+};
+
+const scan = (options = {}) => new DependencyScanner({ logger, ...options }).scan(repo);
+
+const find = (dependencies, manifestPath, name) =>
+  dependencies.find(dep => dep.manifestPath === manifestPath && dep.name === name);
+
+test('pins npm workspace members from the root package-lock.json', async () => {
+  write('package.json', { name: 'root', workspaces: ['packages/*'], devDependencies: { typescript: '^5.0.0' } });
+  write('packages/a/package.json', { name: 'a', dependencies: { lodash: '^4.17.0' } });
+  write('packages/b/package.json', { name: 'b', dependencies: { lodash: '^3.0.0' } });
+  write('package-lock.json', {
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'root', workspaces: ['packages/*'], devDependencies: { typescript: '^5.0.0' } },
+      'packages/a': { name: 'a', dependencies: { lodash: '^4.17.0' } },
+      'packages/b': { name: 'b', dependencies: { lodash: '^3.0.0' } },
+      'node_modules/a': { resolved: 'packages/a', link: true },
+      'node_modules/typescript': { version: '5.4.5', dev: true },
+      'node_modules/lodash': { version: '4.17.21' },
+      'packages/b/node_modules/lodash': { version: '3.10.1' }
+    }
+  });
+
+  const dependencies = await scan();
+
+  assert.strictEqual(find(dependencies, 'package.json', 'typescript').version, '5.4.5');
+  assert.strictEqual(find(dependencies, 'packages/a/package.json', 'lodash').version, '4.17.21');
+  assert.strictEqual(find(dependencies, 'packages/a/package.json', 'lodash').declaredVersion, '^4.17.0');
+  assert.strictEqual(find(dependencies, 'packages/b/package.json', 'lodash').version, '3.10.1');
+  assert.ok(dependencies.every(dep => dep.locked));
+  // Every lockfile entry was folded into the manifest that declares it
+  assert.deepStrictEqual(dependencies.filter(dep => dep.manifestPath === 'package-lock.json'), []);
+});
+
+test('pins yarn workspace members matched by the root workspaces globs', async () => {
+  write('package.json', { name: 'root', private: true, workspaces: { packages: ['./apps/*'] } });
+  write('apps/web/package.json', { name: 'web', dependencies: { react: '^18.2.0' } });
+  write('tools/package.json', { name: 'tools', dependencies: { react: '^17.0.0' } });
+  write('yarn.lock', [
+    '# yarn lockfile v1',
+    '',
+    'react@^18.2.0:',
+    '  version "18.3.1"',
+    '',
+    'react@^17.0.0:',
+    '  version "17.0.2"',
+    ''
+  ].join('\n'));
+
+  const dependencies = await scan();
+
+  assert.strictEqual(find(dependencies, 'apps/web/package.json', 'react').version, '18.3.1');
+  // Not a workspace member, so the root lockfile does not apply
+  assert.strictEqual(find(dependencies, 'tools/package.json', 'react').version, '^17.0.0');
+  assert.strictEqual(find(dependencies, 'tools/package.json', 'react').locked, undefined);
+});
+
+test('pins pnpm workspace members from the lockfile importers', async () => {
+  write('package.json', { name: 'root', devDependencies: { eslint: '^8.0.0' } });
+  write('packages/api/package.json', { name: 'api', dependencies: { express: '^4.18.0', '@types/node': '^20.0.0' } });
+  write('pnpm-lock.yaml', `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    devDependencies:
+      eslint:
+        specifier: ^8.0.0
+        version: 8.57.0
+
+  packages/api:
+    dependencies:
+      '@types/node':
+        specifier: ^20.0.0
+        version: 20.12.7
+      express:
+        specifier: ^4.18.0
+        version: 4.19.2(supports-color@8.1.1)
+
+packages:
+
+  '@types/node@20.12.7':
+    resolution: {integrity: sha512-x}
+
+  eslint@8.57.0:
+    resolution: {integrity: sha512-x}
+
+  express@4.19.2:
+    resolution: {integrity: sha512-x}
+
+  debug@2.6.9:
+    resolution: {integrity: sha512-x}
+`);
+
+  const dependencies = await scan();
+
+  assert.strictEqual(find(dependencies, 'package.json', 'eslint').version, '8.57.0');
+  assert.strictEqual(find(dependencies, 'packages/api/package.json', 'express').version, '4.19.2');
+  assert.strictEqual(find(dependencies, 'packages/api/package.json', '@types/node').version, '20.12.7');
+  assert.deepStrictEqual(dependencies.filter(dep => dep.manifestPath === 'pnpm-lock.yaml').map(dep => [dep.name, dep.relationship]),
+    [['debug', 'transitive']]);
+});
+
+test('reads pnpm v5 and v6 package keys and peer suffixes', async () => {
+  write('pnpm-lock.yaml', `lockfileVersion: 5.4
+
+specifiers:
+  react-dom: ^18.0.0
+
+dependencies:
+  react-dom: 18.2.0_react@18.2.0
+
+packages:
+
+  /react-dom/18.2.0_react@18.2.0:
+    dev: false
+
+  /@babel/core/7.24.0:
+    dev: true
+`);
+
+  const v5 = await new DependencyScanner({ logger }).parsePnpmLock(path.join(repo, 'pnpm-lock.yaml'));
+  assert.deepStrictEqual(v5.map(dep => [dep.name, dep.version, dep.relationship, dep.isDevDependency]), [
+    ['react-dom', '18.2.0', 'direct', false],
+    ['@babel/core', '7.24.0', 'transitive', true]
+  ]);
+
+  write('pnpm-lock.yaml', `lockfileVersion: '6.0'
+
+dependencies:
+  local-lib:
+    specifier: link:../lib
+    version: link:../lib
+
+packages:
+
+  /@babel/core@7.24.0(supports-color@8.1.1):
+    dev: true
+`);
+
+  const v6 = await new DependencyScanner({ logger }).parsePnpmLock(path.join(repo, 'pnpm-lock.yaml'));
+  assert.deepStrictEqual(v6.map(dep => [dep.name, dep.version]), [['@babel/core', '7.24.0']]);
+});
+
+const manifests = async (options = {}) => (await new DependencyScanner({ logger, ...options }).findManifestFiles(repo))
+  .map(file => path.relative(repo, file).split(path.sep).join('/'));
+
+test('finds manifests in nested directories and skips vendored and ignored ones', async () => {
+  write('package.json', {});
+  write('services/api/requirements.txt', 'flask\n');
+  write('services/api/node_modules/left-pad/package.json', {});
+  write('services/legacy/Gemfile', '');
+  write('services/.gitignore', 'legacy/\n');
+
+  assert.deepStrictEqual(await manifests(), ['package.json', 'services/api/requirements.txt']);
+  assert.deepStrictEqual(await manifests({ respectGitignore: false }),
+    ['package.json', 'services/api/requirements.txt', 'services/legacy/Gemfile']);
+});
+
+test('applies include and exclude globs and the depth limit', async () => {
+  write('package.json', {});
+  write('apps/web/package.json', {});
+  write('apps/web/e2e/package.json', {});
+  write('libs/util/package.json', {});
+
+  assert.deepStrictEqual(await manifests({ include: ['apps/**'] }), ['apps/web/e2e/package.json', 'apps/web/package.json']);
+  assert.deepStrictEqual(await manifests({ exclude: ['**/e2e/**'] }), ['apps/web/package.json', 'libs/util/package.json', 'package.json']);
+  assert.deepStrictEqual(await manifests({ maxDepth: 0 }), ['package.json']);
+  assert.deepStrictEqual(await manifests({ maxDepth: 2 }), ['apps/web/package.json', 'libs/util/package.json', 'package.json']);
+});
+
+test('pins Pipfile, Cargo.toml and Gemfile dependencies from their lockfiles', async () => {
+  write('py/Pipfile', '[packages]\nrequests = "*"\n\n[dev-packages]\npytest = ">=7"\n');
+  write('py/Pipfile.lock', {
+    default: { requests: { version: '==2.31.0' }, urllib3: { version: '==2.2.1' } },
+    develop: { pytest: { version: '==8.1.1' } }
+  });
+  write('rs/Cargo.toml', '[package]\nname = "app"\nversion = "0.1.0"\n\n[dependencies]\nserde = "1"\n');
+  write('rs/Cargo.lock', [
+    '[[package]]', 'name = "app"', 'version = "0.1.0"', 'dependencies = ["serde"]', '',
+    '[[package]]', 'name = "serde"', 'version = "1.0.197"', 'source = "registry+https://github.com/rust-lang/crates.io-index"', '',
+    '[[package]]', 'name = "serde_derive"', 'version = "1.0.197"', 'source = "registry+https://github.com/rust-lang/crates.io-index"', ''
+  ].join('\n'));
+  write('rb/Gemfile', "source 'https://rubygems.org'\ngem 'nokogiri', '~> 1.16'\n");
+  write('rb/Gemfile.lock', [
+    'GEM', '  remote: https://rubygems.org/', '  specs:',
+    '    nokogiri (1.16.2-x86_64-linux)', '      racc (~> 1.4)', '    racc (1.7.3)', '',
+    'PLATFORMS', '  x86_64-linux', '',
+    'DEPENDENCIES', '  nokogiri (~> 1.16)', ''
+  ].join('\n'));
+
+  const dependencies = await scan();
+  const pinned = (manifestPath, name) => {
+    const dep = find(dependencies, manifestPath, name);
+    return dep && [dep.version, dep.relationship, dep.locked];
+  };
+
+  assert.deepStrictEqual(pinned('py/Pipfile', 'requests'), ['2.31.0', 'direct', true]);
+  assert.strictEqual(find(dependencies, 'py/Pipfile', 'pytest').isDevDependency, true);
+  assert.deepStrictEqual(pinned('py/Pipfile.lock', 'urllib3'), ['2.2.1', 'transitive', true]);
+  assert.deepStrictEqual(pinned('rs/Cargo.toml', 'serde'), ['1.0.197', 'direct', true]);
+  assert.deepStrictEqual(pinned('rs/Cargo.lock', 'serde_derive'), ['1.0.197', 'transitive', true]);
+  // The platform suffix is not part of the gem version
+  assert.deepStrictEqual(pinned('rb/Gemfile', 'nokogiri'), ['1.16.2', 'direct', true]);
+  assert.deepStrictEqual(pinned('rb/Gemfile.lock', 'racc'), ['1.7.3', 'transitive', true]);
+});
+
+test('reads the highest version of each module from a go.sum without go.mod', async () => {
+  write('go.sum', [
+    'golang.org/x/text v0.3.0 h1:abc=',
+    'golang.org/x/text v0.3.0/go.mod h1:def=',
+    'golang.org/x/text v0.14.0 h1:ghi=',
+    'golang.org/x/sys v0.20.0/go.mod h1:jkl='
+  ].join('\n'));
+
+  const dependencies = await scan();
+
+  assert.deepStrictEqual(dependencies.map(dep => [dep.name, dep.version, dep.locked]), [['golang.org/x/text', 'v0.14.0', true]]);
+});
+
+const parse = (file, content) => {
+  write(file, content);
+  return new DependencyScanner({ logger }).parseManifestFile(path.join(repo, file));
+};
+
+const summarize = (dependencies) => dependencies.map(({ name, version, scope, group }) => [name, version, scope, group]);
+
+test('reads PEP 621, dependency groups, build requirements and Poetry tables from pyproject.toml', async () => {
+  const dependencies = await parse('pyproject.toml', `
+[build-system]
+requires = ["setuptools>=61"]
+
+[project]
+name = "app"
+dependencies = [
+  "requests[socks]>=2.28,<3; python_version >= '3.8'",
+]
+
+[project.optional-dependencies]
+docs = ["sphinx~=7.0"]
+
+[dependency-groups]
+test = ["pytest>=8", {include-group = "lint"}]
+
+[tool.poetry.dependencies]
+python = "^3.10"
+httpx = { version = "^0.27", optional = true }
+mylib = { git = "https://github.com/acme/mylib.git", tag = "v1.2.0" }
+
+[tool.poetry.group.lint.dependencies]
+ruff = "0.4.1"
+`);
+
+  assert.deepStrictEqual(summarize(dependencies), [
+    ['requests', '>=2.28,<3', 'runtime', undefined],
+    ['sphinx', '~=7.0', 'optional', 'docs'],
+    ['pytest', '>=8', 'dev', 'test'],
+    ['setuptools', '>=61', 'build', undefined],
+    ['httpx', '^0.27', 'optional', undefined],
+    ['mylib', 'v1.2.0', 'runtime', undefined],
+    ['ruff', '0.4.1', 'dev', 'lint']
+  ]);
+  assert.deepStrictEqual(dependencies[0].extras, ['socks']);
+  assert.strictEqual(dependencies[0].marker, "python_version >= '3.8'");
+  assert.strictEqual(dependencies[5].source, 'git');
+});
+
+test('reads Cargo.toml tables, renamed crates, target tables and workspace inheritance', async () => {
+  write('Cargo.toml', '[workspace]\nmembers = ["app"]\n\n[workspace.dependencies]\ntokio = { version = "1.37", features = ["full"] }\n');
+  const dependencies = await parse('app/Cargo.toml', `
+[package]
+name = "app"
+
+[dependencies]
+tokio = { workspace = true }
+json = { package = "serde_json", version = "1.0" }
+local = { path = "../local" }
+
+[dev-dependencies]
+proptest = "1"
+
+[target.'cfg(windows)'.dependencies]
+winapi = { version = "0.3", optional = true }
+`);
+
+  assert.deepStrictEqual(summarize(dependencies), [
+    ['tokio', '1.37', 'runtime', undefined],
+    ['serde_json', '1.0', 'runtime', undefined],
+    ['local', '*', 'runtime', undefined],
+    ['proptest', '1', 'dev', undefined],
+    ['winapi', '0.3', 'optional', 'cfg(windows)']
+  ]);
+  assert.strictEqual(dependencies[2].source, 'path');
+});
+
+test('reads extras, markers, hashes, includes, constraints and VCS URLs from requirements files', async () => {
+  write('constraints.txt', 'urllib3<2\n');
+  write('requirements-dev.txt', '-r requirements.txt\npytest>=8  # test runner\n');
+  const dependencies = await parse('requirements.txt', [
+    '--index-url https://pypi.example/simple',
+    '-c constraints.txt',
+    'requests[security,socks]==2.31.0 ; python_version >= "3.8" \\',
+    '    --hash=sha256:aaaa \\',
+    '    --hash=sha256:bbbb',
+    'urllib3',
+    '-e git+https://github.com/acme/tool.git@v2.0#egg=acme-tool',
+    'https://files.example/pkgs/wheel_pkg-1.4.0-py3-none-any.whl',
+    ''
+  ].join('\n'));
+
+  assert.deepStrictEqual(dependencies.map(dep => [dep.name, dep.version, dep.source]), [
+    ['requests', '==2.31.0', 'pypi'],
+    ['urllib3', '<2', 'pypi'],
+    ['acme-tool', 'v2.0', 'git'],
+    ['wheel_pkg', '1.4.0', 'url']
+  ]);
+  assert.deepStrictEqual(dependencies[0].extras, ['security', 'socks']);
+  assert.strictEqual(dependencies[0].marker, 'python_version >= "3.8"');
+  assert.strictEqual(dependencies[2].editable, true);
+
+  const dev = await new DependencyScanner({ logger }).parseManifestFile(path.join(repo, 'requirements-dev.txt'));
+  assert.deepStrictEqual(dev.map(dep => [dep.name, dep.scope, path.basename(dep.manifestPath)]), [
+    ['pytest', 'dev', 'requirements-dev.txt'],
+    ['requests', 'runtime', 'requirements.txt'],
+    ['urllib3', 'runtime', 'requirements.txt'],
+    ['acme-tool', 'runtime', 'requirements.txt'],
+    ['wheel_pkg', 'runtime', 'requirements.txt']
+  ]);
+});
+
+test('stops at requirements files that include each other', async () => {
+  write('a.txt', '-r requirements.txt\nflask\n');
+  const dependencies = await parse('requirements.txt', '-r a.txt\ndjango\n');
+
+  assert.deepStrictEqual(dependencies.map(dep => dep.name), ['django', 'flask']);
+});
+
+test('resolves Maven versions through properties, parent POMs and imported BOMs', async () => {
+  write('pom.xml', `<project>
+  <groupId>com.acme</groupId>
+  <artifactId>parent</artifactId>
+  <version>1.0.0</version>
+  <packaging>pom</packaging>
+  <properties><jackson.version>2.17.0</jackson.version></properties>
+  <dependencyManagement><dependencies>
+    <dependency><groupId>com.fasterxml.jackson.core</groupId><artifactId>jackson-databind</artifactId><version>\${jackson.version}</version></dependency>
+    <dependency><groupId>com.acme</groupId><artifactId>bom</artifactId><version>1.0.0</version><type>pom</type><scope>import</scope></dependency>
+  </dependencies></dependencyManagement>
+</project>`);
+  write('bom/pom.xml', `<project>
+  <groupId>com.acme</groupId>
+  <artifactId>bom</artifactId>
+  <version>1.0.0</version>
+  <dependencyManagement><dependencies>
+    <dependency><groupId>org.junit.jupiter</groupId><artifactId>junit-jupiter</artifactId><version>5.10.2</version><scope>test</scope></dependency>
+  </dependencies></dependencyManagement>
+</project>`);
+  write('core/pom.xml', `<project>
+  <parent><groupId>com.acme</groupId><artifactId>parent</artifactId><version>1.0.0</version></parent>
+  <artifactId>core</artifactId>
+  <dependencies>
+    <dependency><groupId>com.fasterxml.jackson.core</groupId><artifactId>jackson-databind</artifactId></dependency>
+    <dependency><groupId>org.junit.jupiter</groupId><artifactId>junit-jupiter</artifactId></dependency>
+    <dependency><groupId>\${project.groupId}</groupId><artifactId>util</artifactId><version>\${project.version}</version></dependency>
+    <dependency><groupId>javax.servlet</groupId><artifactId>servlet-api</artifactId><version>2.5</version><scope>provided</scope></dependency>
+  </dependencies>
+  <build><plugins><plugin><groupId>org.apache.maven.plugins</groupId><artifactId>maven-jar-plugin</artifactId></plugin></plugins></build>
+</project>`);
+  write('util/pom.xml', '<project><groupId>com.acme</groupId><artifactId>util</artifactId><version>1.0.0</version></project>');
+
+  const dependencies = (await scan()).filter(dep => dep.manifestPath === 'core/pom.xml');
+
+  assert.deepStrictEqual(dependencies.map(dep => [dep.name, dep.version, dep.scope, dep.source]), [
+    ['com.fasterxml.jackson.core:jackson-databind', '2.17.0', 'runtime', 'maven_central'],
+    ['org.junit.jupiter:junit-jupiter', '5.10.2', 'dev', 'maven_central'],
+    ['com.acme:util', '1.0.0', 'runtime', 'path'],
+    ['javax.servlet:servlet-api', '2.5', 'provided', 'maven_central']
+  ]);
+});
+
+test('reads Groovy and Kotlin Gradle declarations, variables and version catalogs', async () => {
+  write('settings.gradle.kts', 'include(":app")\n');
+  write('gradle.properties', 'okhttpVersion=4.12.0\n');
+  write('gradle/libs.versions.toml', `
+[versions]
+retrofit = "2.11.0"
+
+[libraries]
+retrofit-core = { module = "com.squareup.retrofit2:retrofit", version.ref = "retrofit" }
+retrofit-gson = { group = "com.squareup.retrofit2", name = "converter-gson", version.ref = "retrofit" }
+
+[bundles]
+network = ["retrofit-core", "retrofit-gson"]
+`);
+  write('build.gradle', `
+buildscript {
+    dependencies {
+        classpath 'com.android.tools.build:gradle:8.3.0'
+    }
+}
+ext {
+    junitVersion = '5.10.2'
+}
+dependencies {
+    implementation "com.squareup.okhttp3:okhttp:$okhttpVersion"
+    testImplementation group: 'org.junit.jupiter', name: 'junit-jupiter', version: '5.10.2' // map form
+    testImplementation "org.junit.jupiter:junit-jupiter-params:\${junitVersion}"
+    compileOnly 'org.projectlombok:lombok:1.18.32'
+    implementation project(':core')
+}
+`);
+  const groovy = await new DependencyScanner({ logger }).parseManifestFile(path.join(repo, 'build.gradle'));
+
+  assert.deepStrictEqual(groovy.map(dep => [dep.name, dep.version, dep.scope]), [
+    ['com.squareup.okhttp3:okhttp', '4.12.0', 'runtime'],
+    ['org.junit.jupiter:junit-jupiter', '5.10.2', 'dev'],
+    ['org.junit.jupiter:junit-jupiter-params', '5.10.2', 'dev'],
+    ['org.projectlombok:lombok', '1.18.32', 'provided']
+  ]);
+
+  const kotlin = await parse('app/build.gradle.kts', `
+val coroutinesVersion = "1.8.0"
+dependencies {
+    implementation(libs.bundles.network)
+    implementation(platform("org.jetbrains.kotlinx:kotlinx-coroutines-bom:\${coroutinesVersion}"))
+    implementation(kotlin("stdlib", "1.9.23"))
+    androidTestImplementation(libs.retrofit.core.get())
+}
+`);
+
+  assert.deepStrictEqual(kotlin.map(dep => [dep.name, dep.version, dep.scope]), [
+    ['com.squareup.retrofit2:retrofit', '2.11.0', 'runtime'],
+    ['com.squareup.retrofit2:converter-gson', '2.11.0', 'runtime'],
+    ['org.jetbrains.kotlinx:kotlinx-coroutines-bom', '1.8.0', 'runtime'],
+    ['org.jetbrains.kotlin:kotlin-stdlib', '1.9.23', 'runtime'],
+    ['com.squareup.retrofit2:retrofit', '2.11.0', 'dev']
+  ]);
+});
+
+test('reads go.mod require blocks, indirect markers, replace and exclude directives', async () => {
+  write('go.sum', [
+    'github.com/spf13/cobra v1.8.0 h1:a=',
+    'github.com/go-chi/chi/v5 v5.0.12 h1:b=',
+    'golang.org/x/sys v0.20.0 h1:c='
+  ].join('\n'));
+  const dependencies = await parse('go.mod', `module example.com/app
+
+go 1.22
+
+require github.com/spf13/cobra v1.8.0
+
+require (
+	github.com/go-chi/chi/v5 v5.0.12
+	golang.org/x/sys v0.19.0 // indirect
+	github.com/pkg/errors v0.9.1
+	example.com/internal v1.0.0
+	github.com/old/lib v1.2.0
+)
+
+exclude github.com/pkg/errors v0.9.1
+
+replace (
+	example.com/internal => ../internal
+	github.com/old/lib v1.2.0 => github.com/new/lib v1.3.0
+)
+
+retract v0.1.0
+`);
+
+  assert.deepStrictEqual(dependencies.map(dep => [dep.name, dep.version, dep.relationship, dep.source, dep.verified]), [
+    ['github.com/spf13/cobra', 'v1.8.0', 'direct', 'goproxy', true],
+    ['github.com/go-chi/chi/v5', 'v5.0.12', 'direct', 'goproxy', true],
+    ['golang.org/x/sys', 'v0.19.0', 'transitive', 'goproxy', false],
+    ['example.com/internal', 'v1.0.0', 'direct', 'path', undefined],
+    ['github.com/new/lib', 'v1.3.0', 'direct', 'goproxy', false]
+  ]);
+  assert.strictEqual(dependencies[3].url, '../internal');
+  assert.strictEqual(dependencies[4].replaces, 'github.com/old/lib@v1.2.0');
+});
+
+test('adds go.sum modules as transitive dependencies for go.mod files older than Go 1.17', async () => {
+  write('go.sum', 'github.com/spf13/cobra v1.1.0 h1:a=\ngithub.com/spf13/pflag v1.0.5 h1:b=\n');
+  const dependencies = await parse('go.mod', 'module example.com/app\n\ngo 1.16\n\nrequire github.com/spf13/cobra v1.1.0\n');
+
+  assert.deepStrictEqual(dependencies.map(dep => [dep.name, dep.relationship, path.basename(dep.manifestPath)]), [
+    ['github.com/spf13/cobra', 'direct', 'go.mod'],
+    ['github.com/spf13/pflag', 'transitive', 'go.sum']
+  ]);
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentationCrawler = require('../src/DocumentationCrawler');
+
+const crawler = new DocumentationCrawler({ logger: { warn() {} }, firecrawl: false });
+
+test('crawls the repository of a git dependency', async () => {
+  const url = await crawler.getDocumentationUrl({
+    ecosystem: 'pypi',
+    name: 'click',
+    version: '8.1.0',
+    source: 'git',
+    url: 'git+https://github.com/pallets/click.git@8.1.0#egg=click'
+  });
+
+  assert.strictEqual(url, 'https://github.com/pallets/click');
+});
+
+test('has nothing to crawl for git dependencies outside http(s)', async () => {
+  const url = await crawler.getDocumentationUrl({ ecosystem: 'pypi', name: 'x', version: '1', source: 'git', url: 'file:///srv/x' });
+  assert.strictEqual(url, null);
+});
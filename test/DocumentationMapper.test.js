@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DocumentationMapper = require('../src/DocumentationMapper');
+const ConfigLoader = require('../src/ConfigLoader');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// The refresh policy alone; the constructor would open a log file and a database
+const createMapper = (refresh = {}) => {
+  const mapper = Object.create(DocumentationMapper.prototype);
+  mapper.refreshPolicy = new ConfigLoader({ env: {} }).load(null, { refresh }).refresh;
+  return mapper;
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+test('refetches rows once they are older than the maximum age', () => {
+  const mapper = createMapper({ maxAge: 30 });
+
+  assert.strictEqual(mapper.getRefreshReason({ ecosystem: 'npm', last_updated: daysAgo(29) }), null);
+  assert.strictEqual(mapper.getRefreshReason({ ecosystem: 'npm', last_updated: daysAgo(31) }), 'last updated 31 days ago');
+  assert.strictEqual(mapper.getRefreshReason({ ecosystem: 'npm' }), 'no last update time recorded');
+});
+
+test('applies per-ecosystem maximum ages, also under ecosystem aliases', () => {
+  const mapper = createMapper({ maxAge: 30, ecosystems: { pypi: { maxAge: 7 } } });
+
+  assert.strictEqual(mapper.getRefreshReason({ ecosystem: 'python', lastUpdated: daysAgo(8) }), 'last updated 8 days ago');
+  assert.strictEqual(mapper.getRefreshReason({ ecosystem: 'npm', lastUpdated: daysAgo(8) }), null);
+});
+
+test('retries failed rows with exponential backoff up to the retry limit', () => {
+  const mapper = createMapper({ retryBackoff: 60, maxRetries: 2 });
+  const failed = (minutes, failures) => ({
+    ecosystem: 'npm',
+    description: 'Failed to fetch description: timeout',
+    last_updated: new Date(Date.now() - minutes * 60 * 1000).toISOString(),
+    failure_count: failures
+  });
+
+  assert.strictEqual(mapper.getRefreshReason(failed(30, 1)), null);
+  assert.strictEqual(mapper.getRefreshReason(failed(61, 1)), 'retrying after 1 failed attempt');
+  assert.strictEqual(mapper.getRefreshReason(failed(61, 2)), null);
+  assert.strictEqual(mapper.getRefreshReason(failed(121, 2)), 'retrying after 2 failed attempts');
+  // Past maxRetries a failed row waits for the normal maximum age
+  assert.strictEqual(mapper.getRefreshReason(failed(24 * 60, 3)), null);
+  assert.strictEqual(createMapper({ retryFailed: false }).getRefreshReason(failed(24 * 60, 1)), null);
+});
@@ -0,0 +1,92 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const HttpCache = require('../src/HttpCache');
+
+const logger = { info() {}, warn() {} };
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'http-cache-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * An axios instance behind a cache, answered by `respond(config)` instead of
+ * the network; `requests` records what reached the "server".
+ */
+const createClient = (respond, options = {}) => {
+  const requests = [];
+  const http = axios.create({
+    adapter: async (config) => {
+      requests.push(config);
+      const { status = 200, headers = {}, data = '' } = respond(config);
+      if (!config.validateStatus(status)) {
+        throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+      }
+      return { data, status, statusText: '', headers: axios.AxiosHeaders.from(headers), config, request: null };
+    }
+  });
+  const cache = new HttpCache({ logger, directory, ...options });
+  cache.attach(http);
+  return { http, cache, requests };
+};
+
+test('answers fresh entries from disk in a later run', async () => {
+  const respond = () => ({ headers: { 'cache-control': 'max-age=600' }, data: '{"name":"left-pad"}' });
+  await createClient(respond).http.get('https://registry.example/left-pad');
+
+  const { http, requests } = createClient(respond);
+  const response = await http.get('https://registry.example/left-pad');
+
+  assert.deepStrictEqual(response.data, { name: 'left-pad' });
+  assert.strictEqual(requests.length, 0);
+});
+
+test('revalidates fresh entries with their ETag when asked to', async () => {
+  await createClient(() => ({ headers: { 'cache-control': 'max-age=600', etag: '"v1"' }, data: '"first"' }))
+    .http.get('https://registry.example/left-pad');
+
+  const { http, cache, requests } = createClient(() => ({ status: 304 }), { revalidate: true });
+  const response = await http.get('https://registry.example/left-pad');
+
+  assert.strictEqual(response.data, 'first');
+  assert.strictEqual(requests[0].headers.get('If-None-Match'), '"v1"');
+  assert.strictEqual(cache.stats.revalidated, 1);
+});
+
+test('shares one request between concurrent callers', async () => {
+  const { http, requests } = createClient(() => ({ data: '"body"' }));
+  await Promise.all([http.get('https://registry.example/a'), http.get('https://registry.example/a')]);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('never writes credentialed or private responses to disk', async () => {
+  const { http, cache } = createClient((config) => ({
+    headers: config.url.endsWith('private') ? { 'cache-control': 'private, max-age=600' } : { 'cache-control': 'max-age=600' },
+    data: '"packument"'
+  }));
+
+  await http.get('https://npm.internal/secret', { headers: { Authorization: 'Bearer token' } });
+  await http.get('https://registry.example/private');
+
+  assert.strictEqual(cache.getStats().entries, 0);
+});
+
+test('does not share credentialed responses across credentials', async () => {
+  const { http, requests } = createClient((config) => ({ data: JSON.stringify(config.headers.get('Authorization') || null) }));
+
+  const first = await http.get('https://npm.internal/pkg', { headers: { Authorization: 'Bearer one' } });
+  const second = await http.get('https://npm.internal/pkg', { headers: { Authorization: 'Bearer two' } });
+  const anonymous = await http.get('https://npm.internal/pkg');
+
+  assert.deepStrictEqual([first.data, second.data, anonymous.data], ['Bearer one', 'Bearer two', null]);
+  assert.strictEqual(requests.length, 3);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LicensePolicy = require('../src/LicensePolicy');
+
+const policy = new LicensePolicy({
+  allow: ['MIT', 'Apache-2.0', 'BSD-*', 'GPL-2.0-only WITH Classpath-exception-2.0'],
+  review: ['MPL-2.0', 'LGPL-*'],
+  deny: ['GPL-*', 'AGPL-*'],
+  unknown: 'deny',
+  dev: { deny: [], unknown: 'allow' }
+});
+
+const verdict = (license, options) => policy.evaluate(license, options).verdict;
+
+test('matches identifiers with their -only, -or-later and + forms and wildcards', () => {
+  assert.strictEqual(verdict('MIT'), 'allow');
+  assert.deepStrictEqual(policy.evaluate('BSD-3-Clause'), { verdict: 'allow', reason: 'BSD-3-Clause is allowed' });
+  assert.strictEqual(verdict('MPL-2.0-or-later'), 'review');
+  assert.strictEqual(verdict('GPL-3.0+'), 'deny');
+  assert.deepStrictEqual(policy.evaluate('WTFPL'), { verdict: 'review', reason: 'WTFPL is not in the policy' });
+});
+
+test('takes the most permissive choice of OR and the strictest part of AND', () => {
+  assert.strictEqual(verdict('GPL-3.0-only OR MIT'), 'allow');
+  assert.strictEqual(verdict('MIT AND LGPL-2.1-only'), 'review');
+  assert.strictEqual(verdict('(MIT OR GPL-2.0-only) AND AGPL-3.0-only'), 'deny');
+});
+
+test('lets a listed exception override the license it modifies', () => {
+  assert.deepStrictEqual(policy.evaluate('GPL-2.0-only WITH Classpath-exception-2.0'),
+    { verdict: 'allow', reason: 'GPL-2.0-only WITH Classpath-exception-2.0 is allowed' });
+  assert.strictEqual(verdict('GPL-2.0-only WITH Autoconf-exception-2.0'), 'deny');
+});
+
+test('applies the unknown and unlisted verdicts and the dev overrides', () => {
+  assert.deepStrictEqual(policy.evaluate(null), { verdict: 'deny', reason: 'no license recorded' });
+  assert.deepStrictEqual(policy.evaluate('see LICENSE file'), { verdict: 'review', reason: 'not an SPDX expression' });
+  assert.strictEqual(verdict(null, { dev: true }), 'allow');
+  assert.strictEqual(verdict('GPL-3.0-only', { dev: true }), 'review');
+});
+
+test('rejects malformed policies and files', () => {
+  assert.throws(() => new LicensePolicy({ allow: 'MIT', unknown: 'maybe', extra: 1, dev: { deny: [''] } }), (error) => {
+    assert.match(error.message, /allow: expected a list of SPDX identifiers/);
+    assert.match(error.message, /unknown: expected one of allow, review, deny/);
+    assert.match(error.message, /extra: unknown key/);
+    assert.match(error.message, /dev\.deny: expected a list/);
+    return true;
+  });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'license-policy-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'policy.yml'), 'allow: [MIT]\n');
+    fs.writeFileSync(path.join(dir, 'list.yml'), '- MIT\n');
+    assert.strictEqual(LicensePolicy.load(path.join(dir, 'policy.yml')).evaluate('MIT').verdict, 'allow');
+    assert.throws(() => LicensePolicy.load(path.join(dir, 'list.yml')), /expected a mapping/);
+    assert.throws(() => LicensePolicy.load(path.join(dir, 'missing.yml')), /Cannot read license policy/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OsvDatabase = require('../src/OsvDatabase');
+const VersionResolver = require('../src/VersionResolver');
+
+const logger = { info() {}, warn() {} };
+const resolver = new VersionResolver({ logger });
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'osv-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const writeRecord = (file, record) => {
+  const target = path.join(directory, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, JSON.stringify(record));
+};
+
+const LODASH = {
+  id: 'GHSA-35jh-r3h4-6jhm',
+  aliases: ['CVE-2021-23337'],
+  summary: 'Command Injection in lodash',
+  severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:H/UI:N/S:U/C:H/I:H/A:H' }],
+  affected: [{
+    package: { ecosystem: 'npm', name: 'lodash' },
+    ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.21' }] }]
+  }],
+  references: [{ type: 'WEB', url: 'https://example.com' }, { type: 'ADVISORY', url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm' }]
+};
+
+test('matches advisories from an OSV export by version range and rates them', async () => {
+  writeRecord('npm/GHSA-35jh-r3h4-6jhm.json', LODASH);
+  writeRecord('npm/withdrawn.json', { ...LODASH, id: 'GHSA-withdrawn', withdrawn: '2022-01-01T00:00:00Z' });
+  writeRecord('PyPI/PYSEC-1.json', {
+    id: 'PYSEC-1',
+    affected: [{
+      package: { ecosystem: 'PyPI', name: 'Django' },
+      ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '4.0' }, { last_affected: '4.2.1' }] }],
+      database_specific: { severity: 'MODERATE' }
+    }]
+  });
+  fs.writeFileSync(path.join(directory, 'broken.json'), '{');
+
+  const osv = new OsvDatabase({ logger, resolver, directory });
+  osv.load([{ ecosystem: 'npm', name: 'lodash' }, { ecosystem: 'pypi', name: 'django' }]);
+
+  assert.deepStrictEqual(await osv.findVulnerabilities({ ecosystem: 'npm', name: 'lodash', version: '4.17.20' }), [{
+    id: 'GHSA-35jh-r3h4-6jhm',
+    aliases: ['CVE-2021-23337'],
+    summary: 'Command Injection in lodash',
+    severity: 'high',
+    score: 7.2,
+    fixed: ['4.17.21'],
+    url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm',
+    published: null,
+    modified: null
+  }]);
+  assert.deepStrictEqual(await osv.findVulnerabilities({ ecosystem: 'npm', name: 'lodash', version: '4.17.21' }), []);
+
+  // Advisory names are matched through the canonical package name
+  const django = await osv.findVulnerabilities({ ecosystem: 'python', name: 'Django', version: '4.2.1' });
+  assert.deepStrictEqual(django.map(advisory => [advisory.id, advisory.severity, advisory.score]), [['PYSEC-1', 'medium', null]]);
+  assert.deepStrictEqual(await osv.findVulnerabilities({ ecosystem: 'pypi', name: 'django', version: '4.2.2' }), []);
+});
+
+test('merges advisories from the OSV API, following page tokens', async () => {
+  const requests = [];
+  const http = {
+    post: async (url, body) => {
+      requests.push([url, body]);
+      return body.page_token
+        ? { data: { vulns: [{ id: 'GHSA-2', database_specific: { severity: 'CRITICAL' } }] } }
+        : { data: { vulns: [LODASH], next_page_token: 'next' } };
+    }
+  };
+  const osv = new OsvDatabase({ logger, resolver, http, apiUrl: 'https://api.osv.dev/' });
+
+  const advisories = await osv.findVulnerabilities({ ecosystem: 'npm', name: 'lodash', version: '4.17.20' });
+
+  assert.deepStrictEqual(advisories.map(advisory => [advisory.id, advisory.severity]), [['GHSA-2', 'critical'], ['GHSA-35jh-r3h4-6jhm', 'high']]);
+  assert.deepStrictEqual(requests.map(([url, body]) => [url, body.package, body.page_token]), [
+    ['https://api.osv.dev/v1/query', { ecosystem: 'npm', name: 'lodash' }, undefined],
+    ['https://api.osv.dev/v1/query', { ecosystem: 'npm', name: 'lodash' }, 'next']
+  ]);
+});
+
+test('scores CVSS v3 vectors and picks the most severe rating', () => {
+  const osv = new OsvDatabase({ logger, resolver });
+
+  assert.strictEqual(osv.getCvss3Score('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), 9.8);
+  assert.strictEqual(osv.getCvss3Score('CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N'), 6.1);
+  assert.strictEqual(osv.getCvss3Score('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N'), 0);
+  assert.strictEqual(osv.getCvss3Score('not a vector'), null);
+
+  assert.strictEqual(OsvDatabase.getMaxSeverity([{ severity: 'medium' }, { severity: null }, { severity: 'high' }]), 'high');
+  assert.strictEqual(OsvDatabase.getMaxSeverity([{ severity: null }]), 'low');
+  assert.strictEqual(OsvDatabase.getMaxSeverity([]), null);
+});
+
+test('refuses a missing export directory', () => {
+  const osv = new OsvDatabase({ logger, resolver, directory: path.join(directory, 'missing') });
+  assert.throws(() => osv.load([]), /OSV directory not found/);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const OutdatedReport = require('../src/OutdatedReport');
+
+const report = new OutdatedReport();
+
+const RESULTS = [
+  { ecosystem: 'npm', name: 'lodash', version: '4.17.20', latest: '4.17.21', update: 'patch', behind: { major: 0, minor: 0, patch: 1 }, ageDays: 1200 },
+  { ecosystem: 'npm', name: 'request', version: '2.88.0', latest: '2.88.2', update: 'patch', behind: { major: 0, minor: 0, patch: 1 }, deprecated: true, deprecationMessage: 'request has been deprecated' },
+  { ecosystem: 'pypi', name: 'django', version: '3.2.0', latest: '5.0.4', update: 'major', behind: { major: 2, minor: 3, patch: 0 }, ageDays: 45, isDevDependency: true },
+  { ecosystem: 'rust', name: 'serde', version: '1.0.197', latest: '1.0.197', update: 'none', behind: { major: 0, minor: 0, patch: 0 }, ageDays: 400 },
+  { ecosystem: 'go', name: 'example.com/private', version: 'v1.0.0', latest: null, update: null, error: 'lookup failed' }
+];
+
+test('lists the biggest updates first with their notes and a summary', () => {
+  const lines = report.render(RESULTS).split('\n');
+
+  assert.match(lines[0], /^Package\s+Current\s+Latest\s+Update\s+Behind\s+Age\s+Notes$/);
+  assert.deepStrictEqual(lines.slice(2, 7).map(line => line.split(/\s{2,}/)[0]), [
+    'pypi/django (dev)', 'npm/lodash', 'npm/request', 'rust/serde', 'go/example.com/private'
+  ]);
+  assert.match(lines[2], /2 major, 3 minor\s+45d/);
+  assert.match(lines[3], /3\.3y/);
+  assert.match(lines[4], /DEPRECATED: request has been deprecated$/);
+  assert.match(lines[6], /\?\s+\?\s+lookup failed$/);
+  assert.strictEqual(lines[8], '5 packages: 1 major, 0 minor and 2 patch updates available, 1 deprecated or yanked, 1 not checked');
+});
+
+test('renders JSON and Markdown and rejects unknown formats', () => {
+  const json = JSON.parse(report.render(RESULTS, 'json'));
+  assert.deepStrictEqual(json.summary, { packages: 5, major: 1, minor: 0, patch: 2, upToDate: 1, deprecated: 1, unknown: 1 });
+  assert.strictEqual(json.packages[0].name, 'django');
+
+  const markdown = report.render([{ ...RESULTS[1], deprecationMessage: 'use a | b' }], 'markdown');
+  assert.match(markdown, /^# Outdated dependencies\n/);
+  assert.match(markdown, /\| npm\/request \| 2\.88\.0 \| 2\.88\.2 \| patch \| 1 patch \|  \| DEPRECATED: use a \\\| b \|/);
+
+  assert.strictEqual(report.render([]), 'No packages to report\n');
+  assert.throws(() => report.render(RESULTS, 'csv'), /Unknown outdated format "csv"/);
+});
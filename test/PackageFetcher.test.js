@@ -0,0 +1,145 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PackageFetcher = require('../src/PackageFetcher');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const notFound = () => Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+
+/**
+ * A fetcher whose registries are a mirror that lacks everything, then the
+ * public default; `responses` maps public URLs to their bodies.
+ */
+const createFetcher = (responses) => {
+  const requested = [];
+  const http = {
+    get: async (url) => {
+      requested.push(url);
+      if (!(url in responses)) {
+        throw notFound();
+      }
+      return { data: responses[url] };
+    }
+  };
+  const registryConfig = { getRegistries: (ecosystem, name, primary) => [`https://mirror.internal/${ecosystem}`, primary] };
+  return { fetcher: new PackageFetcher({ logger, http, registryConfig }), requested };
+};
+
+test('falls back from a configured mirror for crates, Maven and RubyGems versions', async () => {
+  const { fetcher, requested } = createFetcher({
+    'https://crates.io/api/v1/crates/serde': { versions: [{ num: '1.0.1' }, { num: '1.0.0', yanked: true }] },
+    'https://repo1.maven.org/maven2/org/slf4j/slf4j-api/maven-metadata.xml': '<metadata><versioning><versions><version>2.0.9</version></versions></versioning></metadata>',
+    'https://rubygems.org/api/v1/versions/rake.json': [{ number: '13.1.0' }]
+  });
+
+  assert.deepStrictEqual(await fetcher.fetchVersions({ ecosystem: 'rust', name: 'serde' }), ['1.0.1']);
+  assert.deepStrictEqual(await fetcher.fetchVersions({ ecosystem: 'java', name: 'org.slf4j:slf4j-api' }), ['2.0.9']);
+  assert.deepStrictEqual(await fetcher.fetchVersions({ ecosystem: 'ruby', name: 'rake' }), ['13.1.0']);
+  assert.deepStrictEqual(requested.filter(url => url.startsWith('https://mirror.internal/')), [
+    'https://mirror.internal/rust/crates/serde',
+    'https://mirror.internal/java/org/slf4j/slf4j-api/maven-metadata.xml',
+    'https://mirror.internal/ruby/api/v1/versions/rake.json'
+  ]);
+});
+
+test('looks up GitHub-hosted Go modules through the configured GitHub registries', async () => {
+  const { fetcher, requested } = createFetcher({
+    'https://api.github.com/repos/spf13/cobra': { description: 'A Commander for modern Go CLI interactions', license: { spdx_id: 'Apache-2.0' } }
+  });
+
+  const info = await fetcher.fetchPackageInfo({ ecosystem: 'go', name: 'github.com/spf13/cobra', version: 'v1.8.0' });
+
+  assert.strictEqual(info.description, 'A Commander for modern Go CLI interactions');
+  assert.strictEqual(info.license, 'Apache-2.0');
+  assert.strictEqual(requested[0], 'https://mirror.internal/github/repos/spf13/cobra');
+});
+
+test('stops at errors other than 401, 403 and 404', async () => {
+  const fetcher = new PackageFetcher({
+    logger,
+    http: { get: async () => { throw Object.assign(new Error('boom'), { response: { status: 500 } }); } },
+    registryConfig: { getRegistries: (ecosystem, name, primary) => ['https://mirror.internal', primary] }
+  });
+
+  await assert.rejects(fetcher.fetchVersions({ ecosystem: 'rust', name: 'serde' }), /boom/);
+});
+
+test('stores the repository of a pip VCS requirement without its ref and egg fragment', async () => {
+  const fetcher = new PackageFetcher({ logger });
+  const info = await fetcher.fetchPackageInfo({
+    ecosystem: 'pypi',
+    name: 'click',
+    version: '8.1.0',
+    source: 'git',
+    url: 'git+https://github.com/pallets/click.git@8.1.0#egg=click'
+  });
+
+  assert.strictEqual(info.repositoryUrl, 'https://github.com/pallets/click');
+});
+
+test('extracts license, repository, homepage, authors and publish date from npm', async () => {
+  const { fetcher } = createFetcher({
+    'https://registry.npmjs.org/%40acme%2Fwidgets': {
+      'dist-tags': { latest: '2.0.0' },
+      time: { '1.0.0': '2024-03-01T10:00:00.000Z' },
+      versions: {
+        '1.0.0': {
+          description: 'Widgets',
+          license: 'Apache License, Version 2.0',
+          repository: { type: 'git', url: 'git+ssh://git@github.com/acme/widgets.git' },
+          homepage: 'https://acme.example/widgets',
+          author: 'Jane Doe <jane@acme.example> (https://jane.example)',
+          maintainers: [{ name: 'ops', email: 'ops@acme.example' }, { name: 'Jane Doe' }],
+          keywords: ['ui', ' widgets ', 'ui'],
+          deprecated: 'Use @acme/widgets@2'
+        }
+      }
+    }
+  });
+
+  const info = await fetcher.fetchPackageInfo({ ecosystem: 'npm', name: '@acme/widgets', version: '1.0.0' });
+
+  assert.deepStrictEqual(info, {
+    description: 'Widgets',
+    license: 'Apache-2.0',
+    repositoryUrl: 'https://github.com/acme/widgets',
+    homepage: 'https://acme.example/widgets',
+    documentationUrl: null,
+    authors: ['Jane Doe', 'ops'],
+    keywords: ['ui', 'widgets'],
+    publishedAt: '2024-03-01T10:00:00.000Z',
+    latestVersion: '2.0.0',
+    deprecated: true,
+    deprecationMessage: 'Use @acme/widgets@2'
+  });
+});
+
+test('extracts PyPI licenses from classifiers and URLs from project_urls', async () => {
+  const { fetcher } = createFetcher({
+    'https://pypi.org/pypi/requests/2.31.0/json': {
+      info: {
+        summary: 'HTTP for Humans.',
+        license: 'Apache 2.0\n\n   Copyright 2019 Kenneth Reitz\n',
+        classifiers: ['License :: OSI Approved :: Apache Software License'],
+        project_urls: { Documentation: 'https://requests.readthedocs.io', Source: 'https://github.com/psf/requests', Homepage: 'https://requests.readthedocs.io' },
+        author: 'Kenneth Reitz',
+        author_email: 'me@kennethreitz.org',
+        maintainer_email: 'Nate Prewitt <nate@example.org>',
+        keywords: 'http, requests'
+      },
+      urls: [{ upload_time_iso_8601: '2023-05-22T15:12:42.313790Z', yanked: false }]
+    },
+    'https://pypi.org/pypi/requests/json': { info: { version: '2.32.3' } }
+  });
+
+  const info = await fetcher.fetchPackageInfo({ ecosystem: 'pypi', name: 'requests', version: '2.31.0' });
+
+  assert.strictEqual(info.license, 'Apache-2.0');
+  assert.strictEqual(info.repositoryUrl, 'https://github.com/psf/requests');
+  assert.strictEqual(info.documentationUrl, 'https://requests.readthedocs.io');
+  assert.deepStrictEqual(info.authors, ['Kenneth Reitz', 'Nate Prewitt']);
+  assert.deepStrictEqual(info.keywords, ['http', 'requests']);
+  assert.strictEqual(info.publishedAt, '2023-05-22T15:12:42.313Z');
+  assert.strictEqual(info.latestVersion, '2.32.3');
+  assert.strictEqual(info.deprecated, false);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PackageUrl = require('../src/PackageUrl');
+
+test('builds purls from dependencies in every ecosystem', () => {
+  const identify = (ecosystem, name, version = '1.0.0') => PackageUrl.identify({ ecosystem, name, version });
+
+  assert.strictEqual(identify('npm', '@types/node'), 'pkg:npm/%40types/node@1.0.0');
+  assert.strictEqual(identify('python', 'Django_REST.framework'), 'pkg:pypi/django-rest-framework@1.0.0');
+  assert.strictEqual(identify('cargo', 'serde'), 'pkg:cargo/serde@1.0.0');
+  assert.strictEqual(identify('maven', 'org.slf4j:slf4j-api'), 'pkg:maven/org.slf4j/slf4j-api@1.0.0');
+  assert.strictEqual(identify('rubygems', 'rails'), 'pkg:gem/rails@1.0.0');
+  assert.strictEqual(identify('php', 'Symfony/Console'), 'pkg:composer/symfony/console@1.0.0');
+  assert.strictEqual(identify('go', 'github.com/go-chi/chi/v5', 'v5.0.12'), 'pkg:golang/github.com/go-chi/chi/v5@v5.0.12');
+  assert.strictEqual(identify('nuget', 'Newtonsoft.Json'), 'pkg:nuget/newtonsoft.json@1.0.0');
+  assert.strictEqual(identify('docker', 'nginx'), null);
+});
+
+test('parses purls with encoded parts, qualifiers and subpaths', () => {
+  const purl = PackageUrl.parse('pkg:npm/%40angular/core@17.0.0?repository_url=https%3A%2F%2Fnpm.internal&arch=x64#packages/../core/src');
+
+  assert.deepStrictEqual([purl.ecosystem, purl.namespace, purl.name, purl.version, purl.dependencyName],
+    ['npm', '@angular', 'core', '17.0.0', '@angular/core']);
+  assert.deepStrictEqual(purl.qualifiers, { repository_url: 'https://npm.internal', arch: 'x64' });
+  assert.strictEqual(purl.subpath, 'packages/core/src');
+  assert.strictEqual(purl.toString(), 'pkg:npm/%40angular/core@17.0.0?arch=x64&repository_url=https:%2F%2Fnpm.internal#packages/core/src');
+
+  assert.strictEqual(PackageUrl.parse('pkg:maven/org.slf4j/slf4j-api').dependencyName, 'org.slf4j:slf4j-api');
+  assert.strictEqual(PackageUrl.parse('pkg:npm/@babel/core@7.24.0').namespace, '@babel');
+  assert.strictEqual(PackageUrl.parse('pkg:deb/debian/curl@8.0').ecosystem, null);
+  assert.throws(() => PackageUrl.parse('npm/left-pad'), /Invalid package URL/);
+  assert.throws(() => PackageUrl.parse('pkg:npm/@1.0.0'), /no name/);
+});
+
+test('canonicalizes ecosystem aliases and name spellings', () => {
+  assert.strictEqual(PackageUrl.normalizeEcosystem(' Python '), 'pypi');
+  assert.strictEqual(PackageUrl.normalizeEcosystem('golang'), 'go');
+  assert.strictEqual(PackageUrl.normalizeEcosystem('docker'), 'docker');
+
+  assert.deepStrictEqual(PackageUrl.canonicalize({ ecosystem: 'pip', name: 'Flask_Login', version: '0.6.3' }),
+    { ecosystem: 'pypi', name: 'flask-login', version: '0.6.3' });
+  // npm names are case-sensitive
+  assert.strictEqual(PackageUrl.canonicalize({ ecosystem: 'npm', name: 'JSONStream' }).name, 'JSONStream');
+  assert.deepStrictEqual(PackageUrl.canonicalize({ ecosystem: 'docker', name: 'nginx' }), { ecosystem: 'docker', name: 'nginx' });
+});
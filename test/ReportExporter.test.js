@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ReportExporter = require('../src/ReportExporter');
+
+const exporter = new ReportExporter({ logger: { info() {} } });
+
+const PACKAGE = {
+  ecosystem: 'npm',
+  name: '@snyk/protect',
+  version: '1.0.0',
+  declaredVersion: '-1.0.0',
+  scope: null,
+  isDevDependency: false,
+  license: 'MIT',
+  description: 'Says "hi", twice',
+  documentation: { url: '=HYPERLINK("https://evil.example","x")', source: 'basic_fetch' },
+  repositoryUrl: '+cmd',
+  latestVersion: '@SUM(1)',
+  deprecated: false,
+  vulnerabilities: [],
+  maxSeverity: null,
+  source: 'registry',
+  manifestPath: '\t=1+1',
+  lastUpdated: '2025-01-01T00:00:00.000Z'
+};
+
+const row = (pkg) => exporter.toCsv([pkg]).split('\r\n')[1];
+
+test('prefixes every formula-like CSV value with a quote', () => {
+  const fields = row(PACKAGE);
+
+  assert.match(fields, /^npm,'@snyk\/protect,1\.0\.0,'-1\.0\.0,/);
+  assert.ok(fields.includes(`"'=HYPERLINK(""https://evil.example"",""x"")"`));
+  assert.ok(fields.includes(",'+cmd,'@SUM(1),"));
+  assert.ok(fields.includes("'\t=1+1"));
+});
+
+test('quotes values with commas, quotes and line breaks', () => {
+  assert.ok(row(PACKAGE).includes('"Says ""hi"", twice"'));
+  assert.strictEqual(exporter.csvField('a\nb'), '"a\nb"');
+  assert.strictEqual(exporter.csvField(null), '');
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RepositoryUrl = require('../src/RepositoryUrl');
+
+test('normalizes repository URLs to https', () => {
+  const cases = {
+    'git+https://github.com/pallets/click.git@8.1.0#egg=click': 'https://github.com/pallets/click',
+    'git+https://github.com/pallets/click@refs/pull/1/head#egg=click': 'https://github.com/pallets/click',
+    'git+https://gitlab.com/group/sub/project.git@main': 'https://gitlab.com/group/sub/project',
+    'git+https://github.com/npm/cli.git': 'https://github.com/npm/cli',
+    'git@github.com:x/y.git': 'https://github.com/x/y',
+    'ssh://git@github.com/x/y.git': 'https://github.com/x/y',
+    'git://github.com/x/y.git': 'https://github.com/x/y',
+    'http://github.com/x/y/': 'https://github.com/x/y',
+    'https://github.com/x/y#readme': 'https://github.com/x/y',
+    'github:x/y': 'https://github.com/x/y',
+    'gitlab:x/y': 'https://gitlab.com/x/y',
+    'bitbucket:x/y.git': 'https://bitbucket.org/x/y',
+    'x/y': 'https://github.com/x/y'
+  };
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.strictEqual(RepositoryUrl.normalize(input), expected, input);
+  }
+});
+
+test('keeps an @ in the host part and ignores empty values', () => {
+  assert.strictEqual(RepositoryUrl.normalize('https://token@example.com/x/y.git'), 'https://token@example.com/x/y');
+  assert.strictEqual(RepositoryUrl.normalize(''), null);
+  assert.strictEqual(RepositoryUrl.normalize(null), null);
+});
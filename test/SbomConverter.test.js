@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SbomConverter = require('../src/SbomConverter');
+
+const converter = new SbomConverter({ logger: { info() {}, warn() {} } });
+
+const CYCLONEDX = {
+  bomFormat: 'CycloneDX',
+  specVersion: '1.5',
+  metadata: { timestamp: '2025-01-01T00:00:00Z', component: { type: 'application', 'bom-ref': 'app', name: 'shop' } },
+  components: [
+    { type: 'library', 'bom-ref': 'express', name: 'express', version: '4.19.2', purl: 'pkg:npm/express@4.19.2', licenses: [{ license: { id: 'MIT' } }] },
+    {
+      type: 'library',
+      'bom-ref': 'jest',
+      name: 'jest',
+      version: '29.7.0',
+      purl: 'pkg:npm/jest@29.7.0',
+      properties: [{ name: 'cdx:npm:package:development', value: 'true' }],
+      components: [{ type: 'library', 'bom-ref': 'types', purl: 'pkg:npm/%40types/node@20.12.7', licenses: [{ expression: 'MIT OR Apache-2.0' }, { license: { id: 'ISC' } }] }]
+    },
+    { type: 'library', name: 'vendored-thing', version: '1.0' },
+    { type: 'file', name: 'README.md' }
+  ],
+  dependencies: [{ ref: 'app', dependsOn: ['express', 'jest'] }]
+};
+
+test('reads CycloneDX components, nested assemblies, dev flags and the dependency graph', () => {
+  const { scan, dependencies } = converter.read(CYCLONEDX, '/tmp/shop.cdx.json');
+
+  assert.deepStrictEqual(scan, { project: 'shop', commitHash: null, scanDate: '2025-01-01T00:00:00Z' });
+  assert.deepStrictEqual(dependencies.map(dep => [dep.name, dep.version, dep.scope, dep.relationship, dep.license, dep.locked]), [
+    ['express', '4.19.2', 'runtime', 'direct', 'MIT', true],
+    ['jest', '29.7.0', 'dev', 'direct', undefined, true],
+    ['@types/node', '20.12.7', 'runtime', 'transitive', '(MIT OR Apache-2.0) AND ISC', true]
+  ]);
+  assert.ok(dependencies.every(dep => dep.manifestPath === 'shop.cdx.json'));
+});
+
+test('reads SPDX packages, purl references and DEPENDS_ON / DEV_DEPENDENCY_OF relationships', () => {
+  const { scan, dependencies } = converter.read({
+    spdxVersion: 'SPDX-2.3',
+    name: 'shop-sbom',
+    creationInfo: { created: '2025-02-01T00:00:00Z' },
+    documentDescribes: ['SPDXRef-Root'],
+    packages: [
+      { SPDXID: 'SPDXRef-Root', name: 'shop' },
+      { SPDXID: 'SPDXRef-1', name: 'requests', versionInfo: '2.31.0', licenseConcluded: 'NOASSERTION', licenseDeclared: 'Apache-2.0',
+        externalRefs: [{ referenceType: 'purl', referenceLocator: 'pkg:pypi/requests@2.31.0' }] },
+      { SPDXID: 'SPDXRef-2', name: 'pytest', versionInfo: '8.1.1',
+        externalRefs: [{ referenceType: 'purl', referenceLocator: 'pkg:pypi/pytest' }] },
+      { SPDXID: 'SPDXRef-3', name: 'urllib3', versionInfo: '2.2.1',
+        externalRefs: [{ referenceType: 'purl', referenceLocator: 'pkg:pypi/urllib3@2.2.1' }] }
+    ],
+    relationships: [
+      { spdxElementId: 'SPDXRef-Root', relationshipType: 'DEPENDS_ON', relatedSpdxElement: 'SPDXRef-1' },
+      { spdxElementId: 'SPDXRef-2', relationshipType: 'DEV_DEPENDENCY_OF', relatedSpdxElement: 'SPDXRef-Root' },
+      { spdxElementId: 'SPDXRef-1', relationshipType: 'DEPENDS_ON', relatedSpdxElement: 'SPDXRef-3' }
+    ]
+  }, 'sbom.spdx.json');
+
+  assert.deepStrictEqual(scan, { project: 'shop', commitHash: null, scanDate: '2025-02-01T00:00:00Z' });
+  assert.deepStrictEqual(dependencies.map(dep => [dep.ecosystem, dep.name, dep.version, dep.scope, dep.relationship, dep.license]), [
+    ['pypi', 'requests', '2.31.0', 'runtime', 'direct', 'Apache-2.0'],
+    // The version comes from versionInfo when the purl has none
+    ['pypi', 'pytest', '8.1.1', 'dev', 'direct', undefined],
+    ['pypi', 'urllib3', '2.2.1', 'runtime', 'transitive', undefined]
+  ]);
+});
+
+const ROWS = [
+  {
+    ecosystem: 'npm',
+    name: '@types/node',
+    version: '20.12.7',
+    description: 'TypeScript definitions for node',
+    license: 'MIT',
+    documentation: { url: 'https://github.com/DefinitelyTyped/DefinitelyTyped' },
+    relationship: 'direct',
+    vulnerabilities: [{ id: 'GHSA-xxxx', aliases: ['CVE-2024-1'], severity: 'high', score: 7.5, fixed: ['20.12.8'] }]
+  },
+  { ecosystem: 'pypi', name: 'pytest', version: '8.1.1', license: 'GPL-2.0', isDevDependency: true, relationship: 'direct' },
+  { ecosystem: 'java', name: 'com.acme:internal', version: '1.0', license: 'Commercial', description: 'Failed to fetch description: 404', relationship: 'transitive' }
+];
+
+test('writes CycloneDX with purls, licenses, references, vulnerabilities and the direct dependencies', () => {
+  const bom = converter.write(ROWS, 'cyclonedx', { project: 'shop' });
+
+  assert.strictEqual(converter.detect(bom), 'cyclonedx');
+  assert.deepStrictEqual(bom.components.map(component => [component['bom-ref'], component.group, component.name, component.scope, component.licenses]), [
+    ['pkg:npm/%40types/node@20.12.7', '@types', 'node', 'required', [{ license: { id: 'MIT' } }]],
+    // Deprecated identifiers are written as their replacement
+    ['pkg:pypi/pytest@8.1.1', undefined, 'pytest', 'excluded', [{ license: { id: 'GPL-2.0-only' } }]],
+    ['pkg:maven/com.acme/internal@1.0', 'com.acme', 'internal', 'required', [{ license: { name: 'Commercial' } }]]
+  ]);
+  assert.strictEqual(bom.components[2].description, undefined);
+  assert.deepStrictEqual(bom.components[0].externalReferences, [{ type: 'documentation', url: 'https://github.com/DefinitelyTyped/DefinitelyTyped' }]);
+  assert.deepStrictEqual(bom.vulnerabilities.map(entry => [entry.id, entry.recommendation, entry.affects]), [
+    ['GHSA-xxxx', 'Upgrade to 20.12.8', [{ ref: 'pkg:npm/%40types/node@20.12.7' }]]
+  ]);
+  assert.deepStrictEqual(bom.dependencies, [{ ref: 'project:shop', dependsOn: ['pkg:npm/%40types/node@20.12.7', 'pkg:pypi/pytest@8.1.1'] }]);
+});
+
+test('writes SPDX with LicenseRefs for non-SPDX licenses and reads its own output back', () => {
+  const document = converter.write(ROWS, 'spdx', { project: 'shop' });
+
+  assert.strictEqual(converter.detect(document), 'spdx');
+  assert.deepStrictEqual(document.packages.map(pkg => pkg.licenseDeclared), ['NOASSERTION', 'MIT', 'GPL-2.0-only', 'LicenseRef-Commercial']);
+  assert.deepStrictEqual(document.hasExtractedLicensingInfos, [
+    { licenseId: 'LicenseRef-Commercial', name: 'Commercial', extractedText: 'Commercial' }
+  ]);
+
+  const { scan, dependencies } = converter.read(document, 'bom.spdx.json');
+  assert.strictEqual(scan.project, 'shop');
+  assert.deepStrictEqual(dependencies.map(dep => [dep.ecosystem, dep.name, dep.version, dep.scope]), [
+    ['npm', '@types/node', '20.12.7', 'runtime'],
+    ['pypi', 'pytest', '8.1.1', 'dev'],
+    ['java', 'com.acme:internal', '1.0', 'runtime']
+  ]);
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ScanSchema = require('../src/ScanSchema');
+
+const schema = new ScanSchema();
+
+const record = (overrides = {}) => ({
+  ecosystem: 'npm',
+  manifest_path: 'apps/web/package.json',
+  dependency: { name: 'left-pad', version: '1.3.0', source: 'registry', resolved: null },
+  metadata: { dev_dependency: false, line_number: 12, script_section: null },
+  risk_score: 0.5,
+  signals: [{ type: 'install_script', file: 'package.json', line: 3, detail: null, severity: 'high' }],
+  ...overrides
+});
+
+test('accepts a well-formed scan file, with or without a schema_version', () => {
+  const data = {
+    repo: { path: '/src/app', commit_hash: 'abc123', scan_date: '2024-05-01T12:00:00Z' },
+    scan_summary: { total: 1 },
+    dependencies: [record(), { ecosystem: 'pypi', manifest_path: 'requirements.txt', dependency: { name: 'requests' }, metadata: { dev_dependency: true }, extra: 'allowed' }]
+  };
+
+  assert.deepStrictEqual(schema.validate(data), { version: 1, errors: [], invalid: new Map() });
+  assert.strictEqual(schema.validate({ ...data, schema_version: '1.0' }).version, 1);
+  assert.deepStrictEqual(ScanSchema.versions, [1]);
+});
+
+test('rejects files that are not scan files or use an unknown schema_version', () => {
+  assert.deepStrictEqual(schema.validate([]).errors, ['expected a JSON object with a dependencies array']);
+  assert.deepStrictEqual(schema.validate({ schema_version: 2, dependencies: [] }).errors, ['unsupported schema_version 2 (supported: 1)']);
+  assert.deepStrictEqual(schema.validate({ schema_version: 'v1', dependencies: [] }).errors, ['unsupported schema_version "v1" (supported: 1)']);
+
+  // Records are not checked while the file itself is malformed
+  const result = schema.validate({ repo: { scan_date: 'yesterday' }, dependencies: {} });
+  assert.deepStrictEqual(result.errors, ['repo.scan_date must be a date (got "yesterday")', 'dependencies must be an array (got {})']);
+  assert.strictEqual(result.invalid.size, 0);
+});
+
+test('reports every problem of each malformed record by index', () => {
+  const result = schema.validate({
+    dependencies: [
+      record(),
+      record({ ecosystem: ' ', dependency: { name: 'x', version: 1 }, risk_score: -1 }),
+      record({ metadata: { dev_dependency: 'no', line_number: 1.5 }, signals: [{ type: '' }, 'tag'] }),
+      null
+    ]
+  });
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual([...result.invalid], [
+    [1, ['ecosystem must not be empty', 'dependency.version must be a string (got 1)', 'risk_score must be >= 0 (got -1)']],
+    [2, [
+      'metadata.dev_dependency must be a boolean (got "no")',
+      'metadata.line_number must be an integer (got 1.5)',
+      'signals[0].type must not be empty',
+      'signals[1] must be an object (got "tag")'
+    ]],
+    [3, ['record must not be null']]
+  ]);
+});
+
+test('describes records by ecosystem, name and manifest', () => {
+  assert.strictEqual(schema.describe(record(), 12), 'dependencies[12] (npm left-pad, apps/web/package.json)');
+  assert.strictEqual(schema.describe({ ecosystem: 'npm', dependency: 'left-pad' }, 0), 'dependencies[0] (npm)');
+  assert.strictEqual(schema.describe(null, 3), 'dependencies[3]');
+});
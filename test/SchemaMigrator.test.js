@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/Database');
+const SchemaMigrator = require('../src/SchemaMigrator');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+let dir;
+let database;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-migrator-'));
+  database = new Database({ path: path.join(dir, 'documentation.db'), logger, autoMigrate: false });
+});
+
+afterEach(async () => {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// The packages table as it was before schema versioning
+const createLegacyDatabase = async () => {
+  await database.connect();
+  await database.exec(`
+    CREATE TABLE packages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ecosystem TEXT NOT NULL,
+      name TEXT NOT NULL,
+      version TEXT NOT NULL,
+      source TEXT,
+      description TEXT,
+      documentation TEXT,
+      manifest_path TEXT,
+      is_dev_dependency BOOLEAN DEFAULT 0,
+      last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(ecosystem, name, version)
+    );
+    INSERT INTO packages (ecosystem, name, version, description, last_updated) VALUES
+      ('python', 'Django', '4.2.0', 'old spelling', '2024-01-01'),
+      ('pypi', 'django', '4.2.0', 'newer row', '2024-06-01');
+  `);
+};
+
+test('creates the latest schema in a new database without a backup', async () => {
+  await database.connect();
+  const migrator = new SchemaMigrator({ database, logger });
+
+  const result = await migrator.migrate();
+
+  assert.strictEqual(result.currentVersion, migrator.latestVersion);
+  assert.strictEqual(result.applied.length, migrator.latestVersion);
+  assert.strictEqual(result.backupPath, null);
+  assert.deepStrictEqual((await migrator.getStatus()).pending, []);
+  assert.strictEqual((await migrator.migrate()).applied.length, 0);
+});
+
+test('upgrades a database from before versioning and keeps a backup of it', async () => {
+  await createLegacyDatabase();
+  const migrator = new SchemaMigrator({ database, logger });
+
+  const result = await migrator.migrate();
+
+  assert.ok(fs.existsSync(result.backupPath));
+  assert.match(path.basename(result.backupPath), /^documentation\.db\.v0-\d{8}T\d{6}\.bak$/);
+  // Alias and case spellings of one package collapse into the most recent row
+  assert.deepStrictEqual(await database.all('SELECT ecosystem, name, description, purl FROM packages'), [
+    { ecosystem: 'pypi', name: 'django', description: 'newer row', purl: 'pkg:pypi/django@4.2.0' }
+  ]);
+});
+
+test('refuses to open an outdated or newer database without migrating', async () => {
+  await createLegacyDatabase();
+  const migrator = new SchemaMigrator({ database, logger });
+
+  await assert.rejects(migrator.check(), /is at version 0 but \d+ is required; run "documentation-mapper db migrate"/);
+
+  await migrator.migrate();
+  await database.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migrator.latestVersion + 1, 'From the future']);
+  await assert.rejects(migrator.check(), /is newer than this tool supports/);
+  await assert.rejects(migrator.migrate(), /upgrade documentation-mapper/);
+});
+
+test('rolls back a failing migration together with its version row', async () => {
+  await database.connect();
+  const migrator = new SchemaMigrator({ database, logger, backup: false });
+  migrator.migrations = [
+    { version: 1, name: 'Create table', up: async (db) => db.exec('CREATE TABLE things (id INTEGER)') },
+    { version: 2, name: 'Broken', up: async (db) => { await db.exec('ALTER TABLE things ADD COLUMN name TEXT'); throw new Error('boom'); } }
+  ];
+
+  await assert.rejects(migrator.migrate(), /Migration 2 \(Broken\) failed: boom/);
+
+  assert.strictEqual((await migrator.getStatus()).currentVersion, 1);
+  assert.deepStrictEqual((await database.all('PRAGMA table_info(things)')).map(column => column.name), ['id']);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const SpdxLicense = require('../src/SpdxLicense');
+
+test('maps license names as registries and POMs write them to SPDX identifiers', () => {
+  assert.strictEqual(SpdxLicense.normalize('The Apache Software License, Version 2.0'), 'Apache-2.0');
+  assert.strictEqual(SpdxLicense.normalize('Apache License, Version 2.0'), 'Apache-2.0');
+  assert.strictEqual(SpdxLicense.normalize('MIT License'), 'MIT');
+  assert.strictEqual(SpdxLicense.normalize('New BSD License'), 'BSD-3-Clause');
+  assert.strictEqual(SpdxLicense.normalize('GNU Lesser General Public License, version 2.1'), 'LGPL-2.1-only');
+  assert.strictEqual(SpdxLicense.normalize('Proprietary'), 'Proprietary');
+  assert.strictEqual(SpdxLicense.normalize(''), null);
+});
+
+test('combines license lists with OR and replaces deprecated identifiers', () => {
+  assert.strictEqual(SpdxLicense.normalize(['MIT', { type: 'Apache-2.0' }, 'MIT']), 'MIT OR Apache-2.0');
+  assert.strictEqual(SpdxLicense.normalize(['MIT', 'GPL-2.0+ WITH Classpath-exception-2.0']), 'MIT OR (GPL-2.0-or-later WITH Classpath-exception-2.0)');
+  assert.strictEqual(SpdxLicense.normalize('GPL-2.0'), 'GPL-2.0-only');
+  assert.strictEqual(SpdxLicense.normalize('(LGPL-2.1 OR MIT) AND BSD-2-Clause-FreeBSD'), '(LGPL-2.1-only OR MIT) AND BSD-2-Clause');
+  // Prose that happens to mention an identifier is left alone
+  assert.strictEqual(SpdxLicense.normalize('GPL-2.0, see COPYING'), 'GPL-2.0, see COPYING');
+});
+
+test('reads PyPI trove classifiers', () => {
+  assert.strictEqual(SpdxLicense.fromClassifiers([
+    'Programming Language :: Python :: 3',
+    'License :: OSI Approved :: GNU General Public License v3 or later (GPLv3+)'
+  ]), 'GPL-3.0-or-later');
+  assert.strictEqual(SpdxLicense.fromClassifiers(['Framework :: Django']), null);
+});
+
+test('parses and validates SPDX expressions', () => {
+  assert.deepStrictEqual(SpdxLicense.parse('MIT OR Apache-2.0 AND BSD-3-Clause'), {
+    operator: 'OR',
+    operands: [
+      { license: 'MIT', exception: null },
+      { operator: 'AND', operands: [{ license: 'Apache-2.0', exception: null }, { license: 'BSD-3-Clause', exception: null }] }
+    ]
+  });
+  assert.throws(() => SpdxLicense.parse('MIT OR'), /Invalid SPDX expression/);
+  assert.throws(() => SpdxLicense.parse('(MIT'), /Invalid SPDX expression/);
+
+  assert.strictEqual(SpdxLicense.isValidExpression('Apache-2.0 WITH LLVM-exception OR LicenseRef-Acme'), true);
+  assert.strictEqual(SpdxLicense.isValidExpression('MIT WITH Not-An-Exception'), false);
+  assert.strictEqual(SpdxLicense.isValidExpression('Commercial'), false);
+  assert.strictEqual(SpdxLicense.isKnown('GPL-2.0'), false);
+});
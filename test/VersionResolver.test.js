@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const VersionResolver = require('../src/VersionResolver');
+
+const logger = { info() {}, warn() {} };
+
+const createResolver = (versions) => new VersionResolver({ logger, fetcher: { fetchVersions: async () => versions } });
+
+const resolve = async (ecosystem, version, versions, extra = {}) =>
+  (await createResolver(versions).resolve({ ecosystem, name: 'pkg', version, ...extra })).version;
+
+test('resolves npm, Cargo and Composer ranges to the highest matching release', async () => {
+  assert.strictEqual(await resolve('npm', '^1.2.0', ['1.2.0', '1.9.3', '2.0.0', '1.10.0-beta.1']), '1.9.3');
+  assert.strictEqual(await resolve('npm', '~1.2.0', ['1.2.0', '1.2.7', '1.3.0']), '1.2.7');
+  // A bare Cargo version is a caret requirement
+  assert.strictEqual(await resolve('rust', '1.0', ['1.0.0', '1.0.197', '2.0.0']), '1.0.197');
+  assert.strictEqual(await resolve('rust', '0.4', ['0.4.1', '0.5.0']), '0.4.1');
+  assert.strictEqual(await resolve('php', '^7.4 || ^8.0', ['7.4.2', '8.1.0', '9.0.0']), '8.1.0');
+});
+
+test('orders PEP 440 versions and skips pre-releases unless asked for', async () => {
+  const versions = ['2.0', '2.1.0rc1', '2.0.post1', '1.9', '2.1.dev3'];
+
+  assert.strictEqual(await resolve('pypi', '>=1.9,<3', versions), '2.0.post1');
+  assert.strictEqual(await resolve('pypi', '~=1.9', versions), '1.9');
+  assert.strictEqual(await resolve('pypi', '==2.*', versions), '2.0.post1');
+  assert.strictEqual(await resolve('pypi', '>=2.1rc1', versions), '2.1.0rc1');
+});
+
+test('resolves RubyGems pessimistic and Maven/NuGet interval ranges', async () => {
+  assert.strictEqual(await resolve('ruby', '~> 1.16', ['1.15.0', '1.16.2', '1.17.0', '2.0.0']), '1.17.0');
+  assert.strictEqual(await resolve('ruby', '~> 1.16.0', ['1.16.2', '1.17.0']), '1.16.2');
+  assert.strictEqual(await resolve('java', '[1.0,2.0)', ['1.0', '1.5.1', '2.0']), '1.5.1');
+  assert.strictEqual(await resolve('dotnet', '[13.0.1,)', ['12.0.3', '13.0.3']), '13.0.3');
+});
+
+test('keeps exact pins, locked and non-registry versions without asking the registry', async () => {
+  const resolver = new VersionResolver({ logger, fetcher: { fetchVersions: async () => { throw new Error('unexpected lookup'); } } });
+
+  assert.strictEqual((await resolver.resolve({ ecosystem: 'npm', name: 'a', version: '1.2.3' })).version, '1.2.3');
+  assert.strictEqual((await resolver.resolve({ ecosystem: 'pypi', name: 'a', version: '==2.0' })).version, '2.0');
+  assert.strictEqual((await resolver.resolve({ ecosystem: 'rust', name: 'a', version: '=0.3.1' })).version, '0.3.1');
+  assert.strictEqual((await resolver.resolve({ ecosystem: 'npm', name: 'a', version: '^1.0.0', locked: true })).version, '^1.0.0');
+  assert.strictEqual((await resolver.resolve({ ecosystem: 'pypi', name: 'a', version: 'main', source: 'git' })).version, 'main');
+});
+
+test('keeps the declared range when nothing satisfies it or the lookup fails', async () => {
+  const resolved = await createResolver(['1.0.0']).resolve({ ecosystem: 'npm', name: 'a', version: '^2.0.0' });
+  assert.deepStrictEqual([resolved.version, resolved.declaredVersion], ['^2.0.0', '^2.0.0']);
+
+  const failing = new VersionResolver({ logger, fetcher: { fetchVersions: async () => { throw new Error('offline'); } } });
+  assert.strictEqual((await failing.resolve({ ecosystem: 'npm', name: 'a', version: '^2.0.0' })).version, '^2.0.0');
+});
+
+test('measures how far a version trails the latest stable release', () => {
+  const resolver = createResolver([]);
+
+  assert.deepStrictEqual(resolver.compareToLatest('npm', '1.2.3', ['1.2.3', '1.2.4', '1.2.5', '1.3.0', '2.0.0', '3.0.0', '4.0.0-beta.1']), {
+    latest: '3.0.0',
+    update: 'major',
+    behind: { major: 2, minor: 1, patch: 2 }
+  });
+  assert.deepStrictEqual(resolver.compareToLatest('npm', '3.0.0', ['2.0.0', '3.0.0']), {
+    latest: '3.0.0',
+    update: 'none',
+    behind: { major: 0, minor: 0, patch: 0 }
+  });
+  // Composer and Go tags may carry a v prefix or omit the patch number
+  assert.strictEqual(resolver.compareToLatest('php', 'v5.4', ['v5.4', 'v5.4.1']).update, 'patch');
+  assert.strictEqual(resolver.compareToLatest('npm', 'not-a-version', ['1.0.0']), null);
+});
+
+test('counts minor bumps of a 0.x crate as breaking', () => {
+  const resolver = createResolver([]);
+
+  assert.deepStrictEqual(resolver.compareToLatest('rust', '0.3.1', ['0.3.1', '0.3.2', '0.4.0', '0.5.0']), {
+    latest: '0.5.0',
+    update: 'major',
+    behind: { major: 2, minor: 0, patch: 1 }
+  });
+  assert.strictEqual(resolver.compareToLatest('npm', '0.3.1', ['0.4.0']).update, 'minor');
+});
+
+test('uses each ecosystem\'s pre-release rules when finding the latest release', () => {
+  const resolver = createResolver([]);
+
+  assert.strictEqual(resolver.compareToLatest('pypi', '2.0', ['2.0', '2.0.post1', '2.1rc1', '2.1.dev0']).latest, '2.0.post1');
+  // Maven classifiers such as -jre are releases; milestones are not
+  assert.strictEqual(resolver.compareToLatest('java', '32.1.2-jre', ['32.1.2-jre', '33.0.0-jre', '34.0.0-M1']).latest, '33.0.0-jre');
+  assert.strictEqual(resolver.compareToLatest('ruby', '7.0.8', ['7.0.8', '7.1.3', '7.2.0.beta1']).update, 'minor');
+  assert.strictEqual(resolver.compareToLatest('dotnet', '13.0.1', ['13.0.1', '13.0.3']).update, 'patch');
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'src', 'index.js');
+
+const SCAN = {
+  repo: { path: 'json-fixture', commit_hash: 'abc1234', scan_date: '2025-01-01T00:00:00Z' },
+  scan_summary: { total_signals: 1 },
+  dependencies: [
+    {
+      ecosystem: 'npm',
+      manifest_path: 'package.json',
+      dependency: { name: 'left-pad', version: '1.3.0', source: 'registry' },
+      metadata: { dev_dependency: false, line_number: 3 },
+      risk_score: 0.9,
+      signals: [{ type: 'typosquat', file: 'package.json', line: 3, detail: 'Close to a popular name', severity: 'medium' }]
+    },
+    {
+      ecosystem: 'python',
+      manifest_path: 'requirements.txt',
+      dependency: { name: 'requests', version: '2.31.0', source: 'registry' },
+      metadata: { dev_dependency: true }
+    }
+  ]
+};
+
+let dir;
+
+// Runs the CLI offline in the fixture directory; stdout must hold only the command's output
+const run = (...args) => {
+  const result = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8', timeout: 60000 });
+  assert.strictEqual(result.status, 0, `${args.join(' ')} exited with ${result.status}:\n${result.stderr}`);
+  return result.stdout;
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'documentation-mapper-json-'));
+  fs.mkdirSync(path.join(dir, 'osv'));
+  fs.writeFileSync(path.join(dir, 'scan.json'), JSON.stringify(SCAN));
+  fs.writeFileSync(path.join(dir, 'license-policy.yml'), 'allow:\n  - MIT\n');
+  run('scan', 'scan.json', '--skip-docs', '--offline');
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const COMMANDS = [
+  ['query'],
+  ['query', '--signal', 'typosquat'],
+  ['search', 'pad', '--json'],
+  ['usages', '--project', 'json-fixture', '--json'],
+  ['projects', '--json'],
+  ['licenses', '--json'],
+  ['outdated', '--format', 'json', '--offline'],
+  ['audit', '--json', '--offline', '--osv-dir', 'osv'],
+  ['db', 'status', '--json']
+];
+
+for (const args of COMMANDS) {
+  test(`${args.join(' ')} prints parseable JSON`, () => {
+    const output = run(...args);
+    assert.doesNotThrow(() => JSON.parse(output), `stdout was:\n${output}`);
+  });
+}
+
+test('db status does not create a missing database', () => {
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'documentation-mapper-empty-'));
+  try {
+    const result = spawnSync(process.execPath, [CLI, 'db', 'status', '--json'], { cwd: empty, encoding: 'utf8', timeout: 60000 });
+    assert.notStrictEqual(result.status, 0);
+    assert.match(result.stderr, /No SQLite database/);
+    assert.strictEqual(fs.existsSync(path.join(empty, 'documentation.db')), false);
+  } finally {
+    fs.rmSync(empty, { recursive: true, force: true });
+  }
+});